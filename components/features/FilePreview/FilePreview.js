@@ -6,6 +6,8 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import Image from 'next/image';
 import axios from 'axios';
+import { fetchDecryptedFile, getSessionPassphrase, setSessionPassphrase } from '../../../utils/fileEncryption';
+import { withBucket } from '../../../utils/bucketUtils';
 
 /**
  * 文件预览组件
@@ -30,7 +32,17 @@ const FilePreview = ({
   const [previewContent, setPreviewContent] = useState(null);
   const [previewType, setPreviewType] = useState('');
   const [error, setError] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [decryptedName, setDecryptedName] = useState(null);
   const modalRef = useRef(null);
+  // 解密后内容的对象URL，关闭或切换文件时释放
+  const objectUrlRef = useRef(null);
+
+  // 媒体预览直接使用下载接口，浏览器通过 Range 请求实现拖动播放
+  const downloadUrl = file ? withBucket(`/api/download?fileId=${encodeURIComponent(file.fileId || file.id)}`) : '';
+  const isEncrypted = Boolean(file?.encryption);
+  const displayName = decryptedName || file?.name || file?.fileName || '';
+  const displaySize = file ? (isEncrypted ? file.encryption.plainSize : file.size ?? file.fileSize ?? 0) : 0;
 
   /**
    * 获取文件类型
@@ -78,6 +90,50 @@ const FilePreview = ({
     return 'unsupported';
   };
 
+  /**
+   * 释放解密内容的对象URL
+   */
+  const revokeObjectUrl = useCallback(() => {
+    if (objectUrlRef.current) {
+      URL.revokeObjectURL(objectUrlRef.current);
+      objectUrlRef.current = null;
+    }
+  }, []);
+
+  /**
+   * 下载密文并在浏览器中解密后预览
+   * @param {string} activePassphrase - 口令
+   */
+  const loadEncryptedPreview = useCallback(async (activePassphrase) => {
+    setIsLoading(true);
+    setError(null);
+    setPreviewContent(null);
+
+    try {
+      const { blob, fileName } = await fetchDecryptedFile(file, activePassphrase);
+      setSessionPassphrase(activePassphrase);
+      setDecryptedName(fileName);
+
+      const fileType = getFileType(fileName, blob.type);
+      setPreviewType(fileType);
+      if (fileType === 'text' || fileType === 'code') {
+        setPreviewContent(await blob.text());
+      } else if (fileType !== 'unsupported') {
+        revokeObjectUrl();
+        objectUrlRef.current = URL.createObjectURL(blob);
+        setPreviewContent(objectUrlRef.current);
+      }
+    } catch (error) {
+      console.error('解密预览失败:', error);
+      // 口令错误时清除记住的口令，回到输入界面
+      setSessionPassphrase(null);
+      setPreviewType('locked');
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [file, revokeObjectUrl]);
+
   /**
    * 加载预览内容
    */
@@ -86,22 +142,33 @@ const FilePreview = ({
       return;
     }
 
+    if (isEncrypted) {
+      // 加密文件需要口令，本次会话已输入过时直接解密
+      const sessionPassphrase = getSessionPassphrase();
+      if (sessionPassphrase) {
+        await loadEncryptedPreview(sessionPassphrase);
+      } else {
+        setPreviewType('locked');
+      }
+      return;
+    }
+
     setIsLoading(true);
     setError(null);
     setPreviewContent(null);
 
     try {
-      const fileType = getFileType(file.name, file.mimeType);
+      const fileType = getFileType(displayName, file.mimeType);
       setPreviewType(fileType);
 
       switch (fileType) {
         case 'image':
-          setPreviewContent(`/api/files/${file.id}/download`);
+          setPreviewContent(downloadUrl);
           break;
 
         case 'video':
         case 'audio':
-          setPreviewContent(`/api/files/${file.id}/download`);
+          setPreviewContent(downloadUrl);
           break;
 
         case 'text':
@@ -113,7 +180,7 @@ const FilePreview = ({
           break;
 
         case 'pdf':
-          setPreviewContent(`/api/files/${file.id}/download`);
+          setPreviewContent(downloadUrl);
           break;
 
         default:
@@ -129,7 +196,7 @@ const FilePreview = ({
     } finally {
       setIsLoading(false);
     }
-  }, [file, isOpen, onError]);
+  }, [file, isOpen, onError, downloadUrl, isEncrypted, loadEncryptedPreview, displayName]);
 
   /**
    * 处理下载
@@ -138,7 +205,7 @@ const FilePreview = ({
     if (onDownload) {
       onDownload(file);
     } else {
-      window.open(`/api/files/${file.id}/download`, '_blank');
+      window.open(downloadUrl, '_blank');
     }
   };
 
@@ -146,12 +213,14 @@ const FilePreview = ({
    * 处理关闭
    */
   const handleClose = useCallback(() => {
+    revokeObjectUrl();
     setPreviewContent(null);
     setError(null);
+    setDecryptedName(null);
     if (onClose) {
       onClose();
     }
-  }, [onClose]);
+  }, [onClose, revokeObjectUrl]);
 
   /**
    * 处理键盘事件
@@ -198,6 +267,33 @@ const FilePreview = ({
       );
     }
 
+    if (previewType === 'locked') {
+      return (
+        <form
+          className="preview-locked"
+          onSubmit={(e) => {
+            e.preventDefault();
+            loadEncryptedPreview(passphrase);
+          }}
+        >
+          <div className="locked-icon"><i className="fas fa-lock" /></div>
+          <p>此文件已端到端加密，请输入口令在浏览器中解密</p>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="加密口令"
+            autoComplete="current-password"
+            autoFocus
+          />
+          {error && <p className="preview-locked-error">{error}</p>}
+          <button type="submit" className="download-btn" disabled={!passphrase}>
+            解密预览
+          </button>
+        </form>
+      );
+    }
+
     if (error) {
       return (
         <div className="preview-error">
@@ -217,7 +313,8 @@ const FilePreview = ({
             <div className="image-interactive">
               <Image 
                 src={previewContent} 
-                alt={file.name}
+                alt={displayName}
+                unoptimized={isEncrypted}
                 width={800}
                 height={600}
                 style={{ objectFit: 'contain', maxWidth: '100%', height: 'auto' }}
@@ -251,8 +348,8 @@ const FilePreview = ({
               您的浏览器不支持音频播放
             </audio>
             <div className="audio-info">
-              <h3>{file.name}</h3>
-              <p>大小: {formatFileSize(file.size)}</p>
+              <h3>{displayName}</h3>
+              <p>大小: {formatFileSize(displaySize)}</p>
             </div>
           </div>
         );
@@ -272,7 +369,7 @@ const FilePreview = ({
           <div className="preview-pdf">
             <iframe 
               src={previewContent}
-              title={file.name}
+              title={displayName}
               onError={() => setError('PDF加载失败')}
             />
           </div>
@@ -284,8 +381,8 @@ const FilePreview = ({
           <div className="preview-unsupported">
             <div className="unsupported-icon"><i className="fas fa-file" /></div>
             <h3>不支持预览此文件类型</h3>
-            <p>文件: {file.name}</p>
-            <p>大小: {formatFileSize(file.size)}</p>
+            <p>文件: {displayName}</p>
+            <p>大小: {formatFileSize(displaySize)}</p>
             <button onClick={handleDownload} className="download-btn">
               下载文件
             </button>
@@ -294,6 +391,9 @@ const FilePreview = ({
     }
   };
 
+  // 卸载时释放解密内容
+  useEffect(() => revokeObjectUrl, [revokeObjectUrl]);
+
   // 监听文件变化，重新加载预览
   useEffect(() => {
     if (isOpen && file) {
@@ -325,9 +425,11 @@ const FilePreview = ({
         {/* 预览头部 */}
         <div className="preview-header">
           <div className="file-info">
-            <h2 className="file-name">{file.name}</h2>
+            <h2 className="file-name">
+              {isEncrypted && <i className="fas fa-lock" title="端到端加密" />} {displayName}
+            </h2>
             <div className="file-meta">
-              <span className="file-size">{formatFileSize(file.size)}</span>
+              <span className="file-size">{formatFileSize(displaySize)}</span>
               {file.mimeType && (
                 <span className="file-type">{file.mimeType}</span>
               )}
@@ -4,7 +4,9 @@
  */
 
 import React, { useState, useRef } from 'react';
-import axios from 'axios';
+import { FILE_CONFIG, ENCRYPTION_CONFIG } from '../../../constants/config';
+import { uploadResumable } from '../../../utils/resumableUpload';
+import { encryptFile, setSessionPassphrase } from '../../../utils/fileEncryption';
 
 /**
  * 文件上传组件
@@ -15,6 +17,7 @@ import axios from 'axios';
  * @param {boolean} props.multiple - 是否支持多文件上传
  * @param {string} props.accept - 接受的文件类型
  * @param {number} props.maxFileSize - 最大文件大小（字节）
+ * @param {string} props.folder - 上传到的文件夹路径
  * @param {string} props.className - 额外的CSS类名
  * @returns {JSX.Element} 文件上传组件
  */
@@ -24,13 +27,19 @@ const FileUpload = ({
   onUploadError,
   multiple = true,
   accept = "*/*",
-  maxFileSize = 50 * 1024 * 1024, // 50MB
+  maxFileSize = FILE_CONFIG.MAX_FILE_SIZE,
+  folder = '/',
   className = ''
 }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadError, setUploadError] = useState(null);
+  // 端到端加密选项，口令只在浏览器中使用
+  const [encryptEnabled, setEncryptEnabled] = useState(false);
+  const [encryptName, setEncryptName] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
   const fileInputRef = useRef(null);
 
   /**
@@ -97,14 +106,18 @@ const FileUpload = ({
       return;
     }
 
-    const formData = new FormData();
-    formData.append('file', file);
-
     try {
-      await axios.post('/api/files', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        onUploadProgress: (progressEvent) => {
-          const fileProgress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+      // 启用加密时先在浏览器中加密，服务端只收到密文和加密参数
+      const { file: uploadTarget, encryption } = encryptEnabled
+        ? await encryptFile(file, passphrase, { encryptName })
+        : { file, encryption: null };
+
+      // 使用可续传上传，断线后在网络恢复时自动从断点继续
+      await uploadResumable(uploadTarget, {
+        folder,
+        encryption,
+        onProgress: (bytesUploaded, bytesTotal) => {
+          const fileProgress = Math.round((bytesUploaded * 100) / bytesTotal);
           const totalProgress = Math.round(((index + fileProgress / 100) * 100) / total);
           setUploadProgress(totalProgress);
           
@@ -117,6 +130,9 @@ const FileUpload = ({
               totalFiles: total
             });
           }
+        },
+        onStatusChange: (status) => {
+          setIsPaused(status === 'paused');
         }
       });
     } catch (error) {
@@ -142,6 +158,14 @@ const FileUpload = ({
       return;
     }
 
+    if (encryptEnabled && passphrase.length < ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH) {
+      setUploadError(`加密口令至少需要 ${ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH} 个字符`);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+      return;
+    }
+
     setIsUploading(true);
     setUploadProgress(0);
     setUploadError(null); // 清除之前的错误
@@ -153,6 +177,11 @@ const FileUpload = ({
         await uploadSingleFile(files[i], i, files.length);
       }
 
+      if (encryptEnabled) {
+        // 记住本次会话的口令，下载或预览刚上传的文件时不必重复输入
+        setSessionPassphrase(passphrase);
+      }
+
       if (onUploadComplete) {
         onUploadComplete(files);
       }
@@ -162,6 +191,7 @@ const FileUpload = ({
       setUploadError(formattedError);
     } finally {
       setIsUploading(false);
+      setIsPaused(false);
       setUploadProgress(0);
       
       // 清空文件输入
@@ -265,7 +295,7 @@ const FileUpload = ({
                   />
                 </div>
                 <div className="progress-text">
-                  {uploadProgress}%
+                  {isPaused ? `网络已断开，恢复后将自动继续 (${uploadProgress}%)` : `${uploadProgress}%`}
                 </div>
               </div>
             )}
@@ -293,6 +323,44 @@ const FileUpload = ({
               </div>
             )}
           </div>
+
+          {/* 端到端加密选项 */}
+          <div className="upload-encryption">
+            <label className="upload-encryption-toggle">
+              <input
+                type="checkbox"
+                checked={encryptEnabled}
+                onChange={(event) => setEncryptEnabled(event.target.checked)}
+                disabled={isUploading}
+              />
+              <i className="fas fa-lock" /> 端到端加密
+            </label>
+            {encryptEnabled && (
+              <>
+                <input
+                  type="password"
+                  className="upload-encryption-passphrase"
+                  value={passphrase}
+                  onChange={(event) => setPassphrase(event.target.value)}
+                  placeholder={`加密口令（至少 ${ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH} 个字符）`}
+                  autoComplete="new-password"
+                  disabled={isUploading}
+                />
+                <label className="upload-encryption-toggle">
+                  <input
+                    type="checkbox"
+                    checked={encryptName}
+                    onChange={(event) => setEncryptName(event.target.checked)}
+                    disabled={isUploading}
+                  />
+                  同时加密文件名
+                </label>
+                <p className="upload-encryption-hint">
+                  文件在浏览器中加密后上传，服务器无法读取内容。口令不会被保存，遗失后无法恢复文件。
+                </p>
+              </>
+            )}
+          </div>
         </div>
     </div>
   );
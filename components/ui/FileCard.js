@@ -3,18 +3,20 @@
  * 用于显示文件信息和操作按钮的React组件
  */
 
-import React from 'react';
-import { getFileIcon, formatFileSize } from '../../utils/fileUtils';
+import React, { useState } from 'react';
+import { formatFileSize } from '../../utils/fileUtils';
 import { formatDate } from '../../utils/formatUtils';
+import FileThumbnail from './FileThumbnail';
 
 /**
  * 文件卡片组件
  * @param {Object} props - 组件属性
- * @param {Object} props.file - 文件对象
+ * @param {Object} props.file - 文件对象，thumbnailUrl 为缩略图地址（可选）
  * @param {Function} props.onPreview - 预览文件回调
  * @param {Function} props.onDownload - 下载文件回调
  * @param {Function} props.onCopyLink - 复制链接回调
  * @param {Function} props.onDelete - 删除文件回调
+ * @param {Function} props.onRename - 重命名回调，参数为 (fileId, newName, file)，返回 false 时保持编辑状态
  * @param {string} props.className - 额外的CSS类名
  * @returns {JSX.Element} 文件卡片组件
  */
@@ -24,8 +26,13 @@ const FileCard = ({
   onDownload, 
   onCopyLink, 
   onDelete,
+  onRename,
   className = ''
 }) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftName, setDraftName] = useState(file.name);
+  const [isSaving, setIsSaving] = useState(false);
+
   /**
    * 处理预览点击
    */
@@ -62,16 +69,76 @@ const FileCard = ({
     }
   };
 
+  /**
+   * 进入重命名状态
+   */
+  const handleStartRename = () => {
+    setDraftName(file.name);
+    setIsRenaming(true);
+  };
+
+  /**
+   * 提交重命名
+   */
+  const handleSubmitRename = async () => {
+    const newName = draftName.trim();
+    if (!newName || newName === file.name || !onRename) {
+      setIsRenaming(false);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const result = await onRename(file.id, newName, file);
+      if (result !== false) {
+        setIsRenaming(false);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * 重命名输入框的键盘处理：回车保存，Esc 取消
+   * @param {KeyboardEvent} event - 键盘事件
+   */
+  const handleRenameKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      handleSubmitRename();
+    } else if (event.key === 'Escape') {
+      setIsRenaming(false);
+    }
+  };
+
   return (
     <div className={`file-card ${className}`}>
-      <div className="file-icon">
-        <i className={getFileIcon(file.name)} />
-      </div>
+      <FileThumbnail fileName={file.name} thumbnailUrl={file.thumbnailUrl} />
       
       <div className="file-info">
-        <div className="file-name" title={file.name}>
-          {file.name}
-        </div>
+        {isRenaming ? (
+          <input
+            className="file-name-input"
+            type="text"
+            value={draftName}
+            onChange={(event) => setDraftName(event.target.value)}
+            onKeyDown={handleRenameKeyDown}
+            onBlur={handleSubmitRename}
+            disabled={isSaving}
+            maxLength={255}
+            aria-label="新文件名"
+            autoFocus
+          />
+        ) : (
+          <div className="file-name" title={file.name} onDoubleClick={onRename ? handleStartRename : undefined}>
+            {file.name}
+          </div>
+        )}
+        {file.description && (
+          <div className="file-description" title={file.description}>
+            {file.description}
+          </div>
+        )}
         <div className="file-meta">
           <span className="file-size">
             {formatFileSize(file.size)}
@@ -99,6 +166,17 @@ const FileCard = ({
         >
           <i className="fas fa-download" />
         </button>
+        {onRename && (
+          <button 
+            className="btn-icon" 
+            onClick={handleStartRename}
+            title="重命名"
+            type="button"
+            disabled={isRenaming}
+          >
+            <i className="fas fa-pen" />
+          </button>
+        )}
         <button 
           className="btn-icon" 
           onClick={handleCopyLink}
@@ -120,4 +198,4 @@ const FileCard = ({
   );
 };
 
-export default FileCard;
\ No newline at end of file
+export default FileCard;
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * 文件缩略图组件
+ * 有缩略图时显示图片，没有或加载失败时显示文件类型图标
+ */
+
+import React, { useState, useEffect } from 'react';
+import Image from 'next/image';
+import { getFileIcon } from '../../utils/fileUtils';
+
+/**
+ * 文件缩略图组件
+ * @param {Object} props - 组件属性
+ * @param {string} props.fileName - 文件名，用于选择图标
+ * @param {string|null} props.thumbnailUrl - 缩略图地址，没有时显示图标
+ * @param {string} props.className - 额外的CSS类名
+ * @returns {JSX.Element} 文件缩略图组件
+ */
+const FileThumbnail = ({ fileName, thumbnailUrl, className = '' }) => {
+  const [failed, setFailed] = useState(false);
+
+  // 地址变化（如切换存储桶）后重新尝试加载
+  useEffect(() => {
+    setFailed(false);
+  }, [thumbnailUrl]);
+
+  const showThumbnail = thumbnailUrl && !failed;
+
+  return (
+    <div className={`file-icon ${showThumbnail ? 'has-thumbnail' : ''} ${className}`}>
+      {showThumbnail ? (
+        <Image
+          className="file-thumbnail"
+          src={thumbnailUrl}
+          alt=""
+          width={320}
+          height={320}
+          unoptimized
+          onError={() => setFailed(true)}
+        />
+      ) : (
+        <i className={getFileIcon(fileName)} />
+      )}
+    </div>
+  );
+};
+
+export default FileThumbnail;
@@ -0,0 +1,330 @@
+/**
+ * 分享面板组件
+ * 生成文件的分享链接，可以复制链接，设置、修改或移除访问密码，限制下载次数，
+ * 改为自定义的短链接ID，延长有效期或撤销链接
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { formatDate } from '../../utils/formatUtils';
+
+// 下载次数上限选项，1 表示下载一次后失效
+const DOWNLOAD_LIMIT_OPTIONS = [
+  { value: '', label: '不限下载次数' },
+  { value: '1', label: '一次性（下载后失效）' },
+  { value: '3', label: '最多 3 次' },
+  { value: '5', label: '最多 5 次' },
+  { value: '10', label: '最多 10 次' },
+  { value: '20', label: '最多 20 次' }
+];
+
+// 延长有效期的选项（天）
+const EXTEND_OPTIONS = [1, 7, 30];
+
+/**
+ * 分享面板组件
+ * @param {Object} props - 组件属性
+ * @param {Object} props.file - 文件对象
+ * @param {Function} props.createShareLink - 生成短链接，参数为 (fileId, options)，返回 { success, shortUrl, expiresAt, hasPassword, maxDownloads, downloads, error }
+ * @param {Function} props.updateShareLink - 修改短链接，参数为 (shortId, { slug, extendBy })，返回 { success, link, error }
+ * @param {Function} props.revokeShareLink - 撤销短链接，参数为 shortId，返回 { success, error }
+ * @param {Function} props.onClose - 关闭回调
+ * @param {string} props.className - 额外的CSS类名
+ * @returns {JSX.Element} 分享面板组件
+ */
+const SharePanel = ({
+  file,
+  createShareLink,
+  updateShareLink,
+  revokeShareLink,
+  onClose,
+  className = ''
+}) => {
+  const [link, setLink] = useState(null);
+  const [error, setError] = useState(null);
+  const [password, setPassword] = useState('');
+  const [slug, setSlug] = useState('');
+  const [revoked, setRevoked] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  // 父组件每次渲染都会传入新的回调，只在切换文件时重新生成
+  const createShareLinkRef = useRef(createShareLink);
+  useEffect(() => {
+    createShareLinkRef.current = createShareLink;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    createShareLinkRef.current(file.fileId).then((result) => {
+      if (cancelled) {
+        return;
+      }
+      if (result.success) {
+        setLink(result);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [file.fileId]);
+
+  /**
+   * 复制分享链接
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link.shortUrl);
+      setCopied(true);
+    } catch {
+      setError('无法访问剪贴板，请手动复制链接');
+    }
+  };
+
+  /**
+   * 修改分享设置
+   * @param {Object} options - 要修改的设置，参数同 createShareLink 的 options
+   * @returns {Promise<boolean>} 是否修改成功
+   */
+  const updateLink = async (options) => {
+    setSaving(true);
+    try {
+      const result = await createShareLink(file.fileId, options);
+      if (result.success) {
+        setLink(result);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+      return result.success;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * 修改短链接ID或延长有效期
+   * @param {Object} changes - 修改内容，参数同 updateShareLink 的 changes
+   * @returns {Promise<boolean>} 是否修改成功
+   */
+  const manageLink = async (changes) => {
+    setSaving(true);
+    try {
+      const result = await updateShareLink(link.shortId, changes);
+      if (result.success) {
+        setLink(result.link);
+        setCopied(false);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+      return result.success;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * 提交自定义短链接ID
+   * @param {Event} event - 表单提交事件
+   */
+  const handleSlugSubmit = async (event) => {
+    event.preventDefault();
+    const nextSlug = slug.trim();
+    if (nextSlug && nextSlug !== link.shortId && await manageLink({ slug: nextSlug })) {
+      setSlug('');
+    }
+  };
+
+  /**
+   * 撤销链接，撤销后可以重新生成新的链接
+   */
+  const handleRevoke = async () => {
+    setSaving(true);
+    try {
+      const result = await revokeShareLink(link.shortId);
+      if (result.success) {
+        setLink(null);
+        setRevoked(true);
+        setCopied(false);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * 撤销后重新生成链接
+   */
+  const handleRecreate = async () => {
+    if (await updateLink({})) {
+      setRevoked(false);
+    }
+  };
+
+  /**
+   * 设置、修改或移除密码
+   * @param {string|null} nextPassword - 新密码，为 null 时移除密码
+   */
+  const updatePassword = async (nextPassword) => {
+    if (await updateLink({ password: nextPassword })) {
+      setPassword('');
+    }
+  };
+
+  /**
+   * 修改下载次数上限
+   * @param {Event} event - 选择框变更事件
+   */
+  const handleLimitChange = (event) => {
+    updateLink({ maxDownloads: event.target.value ? Number(event.target.value) : null });
+  };
+
+  /**
+   * 提交密码表单
+   * @param {Event} event - 表单提交事件
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (password) {
+      updatePassword(password);
+    }
+  };
+
+  return (
+    <div className={`share-panel ${className}`} onClick={(event) => event.stopPropagation()}>
+      <div className="share-panel-header">
+        <span className="share-panel-title">
+          <i className="fas fa-share-alt" /> 分享链接
+        </span>
+        {link?.expiresAt && <span className="share-panel-meta">有效期至 {formatDate(link.expiresAt)}</span>}
+      </div>
+
+      {!link && !error && !revoked && (
+        <div className="share-panel-meta"><i className="fas fa-spinner fa-spin" /> 生成中...</div>
+      )}
+
+      {link && (
+        <>
+          <div className="share-panel-row">
+            <input
+              type="text"
+              className="form-input"
+              value={link.shortUrl}
+              readOnly
+              onFocus={(event) => event.target.select()}
+            />
+            <button type="button" className="btn btn-sm btn-primary" onClick={handleCopy}>
+              <i className={copied ? 'fas fa-check' : 'fas fa-copy'} /> {copied ? '已复制' : '复制'}
+            </button>
+          </div>
+
+          <form className="share-panel-row" onSubmit={handleSubmit}>
+            <input
+              type="password"
+              className="form-input"
+              placeholder={link.hasPassword ? '输入新密码' : '设置访问密码（可选）'}
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              autoComplete="new-password"
+            />
+            <button type="submit" className="btn btn-sm" disabled={saving || !password}>
+              {link.hasPassword ? '修改密码' : '设置密码'}
+            </button>
+            {link.hasPassword && (
+              <button type="button" className="btn btn-sm btn-danger" disabled={saving} onClick={() => updatePassword(null)}>
+                移除密码
+              </button>
+            )}
+          </form>
+
+          <div className="share-panel-row">
+            <select
+              className="form-input"
+              value={link.maxDownloads ? String(link.maxDownloads) : ''}
+              onChange={handleLimitChange}
+              disabled={saving}
+            >
+              {DOWNLOAD_LIMIT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+              {link.maxDownloads && !DOWNLOAD_LIMIT_OPTIONS.some(option => option.value === String(link.maxDownloads)) && (
+                <option value={String(link.maxDownloads)}>最多 {link.maxDownloads} 次</option>
+              )}
+            </select>
+            <span className="share-panel-meta">
+              已下载 {link.downloads || 0}{link.maxDownloads ? ` / ${link.maxDownloads}` : ''} 次
+            </span>
+          </div>
+
+          <div className="share-panel-meta">
+            {link.hasPassword
+              ? <><i className="fas fa-lock" /> 访问者需要输入密码才能下载，修改密码后已解锁的访问者需要重新输入</>
+              : <><i className="fas fa-lock-open" /> 任何拿到链接的人都可以下载</>}
+          </div>
+          {link.maxDownloads && (
+            <div className="share-panel-meta">
+              <i className="fas fa-fire" /> 下载次数用完后链接自动失效，同一次下载的断点续传不会重复计数
+            </div>
+          )}
+
+          <form className="share-panel-row" onSubmit={handleSlugSubmit}>
+            <input
+              type="text"
+              className="form-input"
+              placeholder={`自定义链接ID，当前为 ${link.shortId}`}
+              value={slug}
+              onChange={(event) => setSlug(event.target.value)}
+              pattern="[A-Za-z0-9_\-]{1,64}"
+              title="字母、数字、连字符和下划线，最长64个字符"
+            />
+            <button type="submit" className="btn btn-sm" disabled={saving || !slug.trim()}>
+              修改ID
+            </button>
+          </form>
+
+          <div className="share-panel-row">
+            {link.expiresAt && EXTEND_OPTIONS.map(days => (
+              <button
+                key={days}
+                type="button"
+                className="btn btn-sm"
+                disabled={saving}
+                onClick={() => manageLink({ extendBy: days * 86400 })}
+              >
+                延长 {days} 天
+              </button>
+            ))}
+            <button type="button" className="btn btn-sm btn-danger" disabled={saving} onClick={handleRevoke}>
+              撤销链接
+            </button>
+          </div>
+        </>
+      )}
+
+      {revoked && (
+        <div className="share-panel-row">
+          <span className="share-panel-meta"><i className="fas fa-ban" /> 链接已撤销，拿到链接的人将无法下载</span>
+          <button type="button" className="btn btn-sm btn-primary" disabled={saving} onClick={handleRecreate}>
+            生成新链接
+          </button>
+        </div>
+      )}
+
+      {error && <div className="share-panel-error">{error}</div>}
+
+      <div className="share-panel-actions">
+        <button type="button" className="btn btn-sm" onClick={onClose}>
+          关闭
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SharePanel;
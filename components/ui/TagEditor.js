@@ -0,0 +1,190 @@
+/**
+ * 标签编辑组件
+ * 以标签块的形式编辑文件标签，输入时根据已有标签自动补全
+ */
+
+import React, { useState, useMemo } from 'react';
+
+// 自动补全最多显示的候选数量
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * 标签编辑组件
+ * @param {Object} props - 组件属性
+ * @param {Array<string>} props.tags - 当前标签
+ * @param {Array<string>} props.suggestions - 可供补全的已有标签
+ * @param {Function} props.onSave - 保存回调，参数为新的标签数组
+ * @param {Function} props.onCancel - 取消回调
+ * @param {number} props.maxTags - 最多标签数量
+ * @param {string} props.className - 额外的CSS类名
+ * @returns {JSX.Element} 标签编辑组件
+ */
+const TagEditor = ({
+  tags = [],
+  suggestions = [],
+  onSave,
+  onCancel,
+  maxTags = 20,
+  className = ''
+}) => {
+  const [selectedTags, setSelectedTags] = useState(tags);
+  const [inputValue, setInputValue] = useState('');
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * 与输入内容前缀匹配且尚未选择的标签
+   */
+  const matches = useMemo(() => {
+    const prefix = inputValue.trim().replace(/^#/, '').toLowerCase();
+    if (!prefix) {
+      return [];
+    }
+    return suggestions
+      .filter(tag => tag.toLowerCase().startsWith(prefix))
+      .filter(tag => !selectedTags.some(selected => selected.toLowerCase() === tag.toLowerCase()))
+      .slice(0, MAX_SUGGESTIONS);
+  }, [inputValue, suggestions, selectedTags]);
+
+  /**
+   * 添加标签
+   * @param {string} rawTag - 标签文本
+   */
+  const addTag = (rawTag) => {
+    const tag = rawTag.trim().replace(/^#/, '');
+    setInputValue('');
+    setActiveIndex(-1);
+    if (!tag || selectedTags.length >= maxTags ||
+        selectedTags.some(selected => selected.toLowerCase() === tag.toLowerCase())) {
+      return;
+    }
+    setSelectedTags(prev => [...prev, tag]);
+  };
+
+  /**
+   * 移除标签
+   * @param {string} tag - 标签
+   */
+  const removeTag = (tag) => {
+    setSelectedTags(prev => prev.filter(selected => selected !== tag));
+  };
+
+  /**
+   * 输入框键盘处理
+   * 回车或逗号确认，方向键选择候选，退格删除最后一个标签，Esc 取消
+   * @param {KeyboardEvent} event - 键盘事件
+   */
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'Enter':
+      case ',':
+        event.preventDefault();
+        addTag(activeIndex >= 0 && matches[activeIndex] ? matches[activeIndex] : inputValue);
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        setActiveIndex(prev => Math.min(prev + 1, matches.length - 1));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActiveIndex(prev => Math.max(prev - 1, -1));
+        break;
+      case 'Backspace':
+        if (!inputValue && selectedTags.length > 0) {
+          removeTag(selectedTags[selectedTags.length - 1]);
+        }
+        break;
+      case 'Escape':
+        if (onCancel) {
+          onCancel();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * 保存标签，输入框中未确认的内容也会一并保存
+   */
+  const handleSave = async () => {
+    const pending = inputValue.trim().replace(/^#/, '');
+    const finalTags = pending && !selectedTags.some(tag => tag.toLowerCase() === pending.toLowerCase())
+      ? [...selectedTags, pending]
+      : selectedTags;
+
+    setIsSaving(true);
+    try {
+      await onSave(finalTags);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className={`tag-editor ${className}`} onClick={(event) => event.stopPropagation()}>
+      <div className="tag-editor-field">
+        {selectedTags.map(tag => (
+          <span key={tag} className="tag-chip">
+            #{tag}
+            <button
+              type="button"
+              className="tag-chip-remove"
+              onClick={() => removeTag(tag)}
+              title={`移除标签 ${tag}`}
+              disabled={isSaving}
+            >
+              <i className="fas fa-times" />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          className="tag-editor-input"
+          value={inputValue}
+          onChange={(event) => {
+            setInputValue(event.target.value);
+            setActiveIndex(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={selectedTags.length >= maxTags ? '已达到标签上限' : '添加标签，回车确认'}
+          disabled={isSaving || selectedTags.length >= maxTags}
+          maxLength={32}
+          aria-label="添加标签"
+          autoFocus
+        />
+      </div>
+
+      {matches.length > 0 && (
+        <ul className="tag-suggestions" role="listbox">
+          {matches.map((tag, index) => (
+            <li
+              key={tag}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`tag-suggestion ${index === activeIndex ? 'active' : ''}`}
+              onMouseDown={(event) => {
+                // 阻止输入框失去焦点
+                event.preventDefault();
+                addTag(tag);
+              }}
+            >
+              #{tag}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="tag-editor-actions">
+        <button type="button" className="btn btn-sm btn-primary" onClick={handleSave} disabled={isSaving}>
+          {isSaving ? '保存中...' : '保存'}
+        </button>
+        <button type="button" className="btn btn-sm" onClick={onCancel} disabled={isSaving}>
+          取消
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TagEditor;
@@ -0,0 +1,153 @@
+/**
+ * 版本历史组件
+ * 列出文件的当前版本和历史版本，可以下载任意版本或把历史版本恢复为当前版本
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { formatFileSize } from '../../utils/fileUtils';
+import { formatDate } from '../../utils/formatUtils';
+
+/**
+ * 描述版本控制规则
+ * @param {Object|null} policy - 版本控制规则
+ * @returns {string} 规则说明
+ */
+const describePolicy = (policy) => {
+  if (!policy || !policy.enabled) {
+    return '版本控制未开启，再次上传同名文件会新建文件';
+  }
+  const rules = [];
+  if (policy.keepLast) {
+    rules.push(`最近 ${policy.keepLast} 个版本`);
+  }
+  if (policy.keepDays) {
+    rules.push(`${policy.keepDays} 天内的版本`);
+  }
+  return rules.length > 0 ? `保留${rules.join('或')}` : '保留全部历史版本';
+};
+
+/**
+ * 版本历史组件
+ * @param {Object} props - 组件属性
+ * @param {Object} props.file - 当前版本的文件对象
+ * @param {Function} props.loadVersions - 加载版本历史，参数为消息ID，返回 { success, current, versions, policy, error }
+ * @param {Function} props.onDownload - 下载版本回调，参数为版本的文件对象
+ * @param {Function} props.onRestore - 恢复版本回调，参数为版本的文件对象
+ * @param {Function} props.onClose - 关闭回调
+ * @param {string} props.className - 额外的CSS类名
+ * @returns {JSX.Element} 版本历史组件
+ */
+const VersionHistory = ({
+  file,
+  loadVersions,
+  onDownload,
+  onRestore,
+  onClose,
+  className = ''
+}) => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  // 父组件每次渲染都会传入新的回调，只在切换文件时重新加载
+  const loadVersionsRef = useRef(loadVersions);
+  useEffect(() => {
+    loadVersionsRef.current = loadVersions;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadVersionsRef.current(file.messageId).then((result) => {
+      if (cancelled) {
+        return;
+      }
+      if (result.success) {
+        setHistory(result);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [file.messageId]);
+
+  /**
+   * 恢复历史版本
+   * @param {Object} version - 版本的文件对象
+   */
+  const handleRestore = async (version) => {
+    setRestoringId(version.fileId);
+    try {
+      await onRestore(version);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const versions = history ? [history.current, ...history.versions] : [];
+
+  return (
+    <div className={`version-history ${className}`} onClick={(event) => event.stopPropagation()}>
+      <div className="version-history-header">
+        <span className="version-history-title">
+          <i className="fas fa-history" /> 版本历史
+        </span>
+        {history && <span className="version-history-policy">{describePolicy(history.policy)}</span>}
+      </div>
+
+      {error && <div className="version-history-empty">{error}</div>}
+      {!history && !error && (
+        <div className="version-history-empty"><i className="fas fa-spinner fa-spin" /> 加载中...</div>
+      )}
+
+      {history && (
+        <ul className="version-list">
+          {versions.map((version, index) => (
+            <li key={version.fileId} className={`version-item ${index === 0 ? 'current' : ''}`}>
+              <div className="version-info">
+                <span className="version-number">v{version.version || 1}</span>
+                <span className="version-meta">
+                  {version.fileSize ? formatFileSize(version.fileSize) : '未知大小'}
+                  {' · '}
+                  {version.uploadTime ? formatDate(version.uploadTime) : ''}
+                </span>
+                {index === 0 && <span className="version-badge">当前版本</span>}
+              </div>
+              <div className="version-actions">
+                <button
+                  type="button"
+                  className="btn btn-sm"
+                  onClick={() => onDownload(version)}
+                  title="下载此版本"
+                >
+                  <i className="fas fa-download" />
+                </button>
+                {index > 0 && (
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-primary"
+                    onClick={() => handleRestore(version)}
+                    disabled={restoringId !== null}
+                    title="恢复为当前版本"
+                  >
+                    {restoringId === version.fileId ? '恢复中...' : '恢复'}
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="version-history-actions">
+        <button type="button" className="btn btn-sm" onClick={onClose}>
+          关闭
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -21,13 +21,18 @@ export interface APIBase {
 export interface FileEndpoints {
   LIST: string;
   UPLOAD: string;
+  RESUMABLE_UPLOAD: string;
   DELETE: string;
   DOWNLOAD: string;
   INFO: (fileId: string) => string;
   METADATA: (fileId: string) => string;
+  VERSIONS: (messageId: string) => string;
   BATCH_DELETE: string;
   BATCH_DOWNLOAD: string;
   BATCH_MOVE: string;
+  FOLDERS: string;
+  TAGS: string;
+  BUCKETS: string;
   PREVIEW: (fileId: string) => string;
   THUMBNAIL: (fileId: string) => string;
   SHARE: string;
@@ -55,18 +60,29 @@ export const FILE_ENDPOINTS: FileEndpoints = {
   // 文件管理
   LIST: '/api/files',
   UPLOAD: '/api/files',
+  RESUMABLE_UPLOAD: '/api/uploads', // tus 协议可续传上传
   DELETE: '/api/files',
   DOWNLOAD: '/api/download',
   
   // 文件信息
   INFO: (fileId: string) => `/api/files/${fileId}`,
   METADATA: (fileId: string) => `/api/files/${fileId}/metadata`,
+  VERSIONS: (messageId: string) => `/api/files/${messageId}/versions`,
   
   // 批量操作
   BATCH_DELETE: '/api/files/batch/delete',
   BATCH_DOWNLOAD: '/api/files/batch/download',
   BATCH_MOVE: '/api/files/batch/move',
   
+  // 虚拟文件夹
+  FOLDERS: '/api/folders',
+  
+  // 文件标签
+  TAGS: '/api/tags',
+  
+  // 存储桶
+  BUCKETS: '/api/buckets',
+  
   // 文件预览
   PREVIEW: (fileId: string) => `/api/files/${fileId}/preview`,
   THUMBNAIL: (fileId: string) => `/api/files/${fileId}/thumbnail`,
@@ -87,6 +103,7 @@ export const FILE_ENDPOINTS: FileEndpoints = {
 export interface ShortlinkEndpoints {
   CREATE: string;
   GET: (shortId: string) => string;
+  UPDATE: (shortId: string) => string;
   DELETE: (shortId: string) => string;
   LIST: string;
   CLEANUP: string;
@@ -100,8 +117,9 @@ export interface ShortlinkEndpoints {
 export const SHORTLINK_ENDPOINTS: ShortlinkEndpoints = {
   CREATE: '/api/short-link',
   GET: (shortId) => `/api/short-link/${shortId}`,
-  DELETE: (shortId) => `/api/short-link/${shortId}`,
-  LIST: '/api/short-link/list',
+  UPDATE: (shortId) => `/api/short-links?shortId=${encodeURIComponent(shortId)}`,
+  DELETE: (shortId) => `/api/short-links?shortId=${encodeURIComponent(shortId)}`,
+  LIST: '/api/short-links',
   CLEANUP: '/api/cleanup-short-links',
   STATS: '/api/short-link/stats'
 };
@@ -118,10 +136,14 @@ export interface AdminEndpoints {
   FILE_DETAIL: (fileId: string) => string;
   SETTINGS: string;
   CONFIG: string;
+  BUCKETS: string;
   LOGS: string;
   ERROR_LOGS: string;
   ACCESS_LOGS: string;
   CLEANUP: string;
+  SYNC_FILES: string;
+  CHAT_INDEX: string;
+  TRASH: string;
   BACKUP: string;
   RESTORE: string;
   HEALTH: string;
@@ -149,6 +171,9 @@ export const ADMIN_ENDPOINTS: AdminEndpoints = {
   SETTINGS: '/api/admin/settings',
   CONFIG: '/api/admin/config',
   
+  // 存储桶管理
+  BUCKETS: '/api/admin/buckets',
+  
   // 日志管理
   LOGS: '/api/admin/logs',
   ERROR_LOGS: '/api/admin/logs/errors',
@@ -156,6 +181,9 @@ export const ADMIN_ENDPOINTS: AdminEndpoints = {
   
   // 系统维护
   CLEANUP: '/api/admin/cleanup',
+  SYNC_FILES: '/api/admin/sync-files',
+  CHAT_INDEX: '/api/admin/chat-index',
+  TRASH: '/api/admin/trash',
   BACKUP: '/api/admin/backup',
   RESTORE: '/api/admin/restore',
   
@@ -11,6 +11,7 @@
  */
 export interface FileConfig {
   MAX_FILE_SIZE: number;
+  CHUNK_SIZE: number;
   MAX_TOTAL_SIZE: number;
   ALLOWED_TYPES: string[];
   MAX_PREVIEW_SIZE: number;
@@ -19,14 +20,23 @@ export interface FileConfig {
   ICON_MAP: Record<string, string>;
 }
 
+/**
+ * 是否使用 --local 模式的自建 Bot API 服务器
+ * 服务端读取 TELEGRAM_API_LOCAL，浏览器端只能读取 NEXT_PUBLIC_TELEGRAM_API_LOCAL
+ */
+const TELEGRAM_API_LOCAL = (process.env.NEXT_PUBLIC_TELEGRAM_API_LOCAL || process.env.TELEGRAM_API_LOCAL) === 'true';
+
 /**
  * 文件相关配置
  * 定义文件上传、预览和处理的相关限制和规则
  */
 export const FILE_CONFIG: FileConfig = {
   // 文件大小限制
-  MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
-  MAX_TOTAL_SIZE: 2 * 1024 * 1024 * 1024, // 2GB
+  // 超过 CHUNK_SIZE 的文件会被拆分为多条 Telegram 消息存储，单文件不再受 Bot API 限制
+  MAX_FILE_SIZE: TELEGRAM_API_LOCAL ? 10 * 1024 * 1024 * 1024 : 2 * 1024 * 1024 * 1024, // local 模式 10GB，否则 2GB
+  // 需与 src/telegram_api.js 中的 LOCAL_LIMITS / HOSTED_LIMITS 的 CHUNK_SIZE 保持一致
+  CHUNK_SIZE: TELEGRAM_API_LOCAL ? 1950 * 1024 * 1024 : 19 * 1024 * 1024, // local 模式 1950MB，否则 19MB
+  MAX_TOTAL_SIZE: TELEGRAM_API_LOCAL ? 10 * 1024 * 1024 * 1024 : 2 * 1024 * 1024 * 1024,
   
   // 文件类型配置
   ALLOWED_TYPES: [
@@ -274,7 +284,8 @@ export const STORAGE_CONFIG: StorageConfig = {
     UPLOAD_QUEUE: 'upload_queue',
     FILE_CACHE: 'file_cache',
     SETTINGS: 'app_settings',
-    THEME: 'app_theme'
+    THEME: 'app_theme',
+    CURRENT_BUCKET: 'current_bucket'
   },
   
   // 缓存过期时间
@@ -322,6 +333,38 @@ export const UPLOAD_CONFIG: UploadConfig = {
   }
 };
 
+/**
+ * 端到端加密配置接口
+ */
+export interface EncryptionConfig {
+  VERSION: number;
+  ALGORITHM: string;
+  KDF: string;
+  PBKDF2_ITERATIONS: number;
+  CHUNK_SIZE: number;
+  SALT_LENGTH: number;
+  NONCE_PREFIX_LENGTH: number;
+  MIN_PASSPHRASE_LENGTH: number;
+  ENCRYPTED_NAME_EXTENSION: string;
+}
+
+/**
+ * 端到端加密配置
+ * 文件在浏览器中用口令派生的密钥加密后再上传，服务端只保存密文和加密参数，
+ * 参数格式需与 src/file_encryption.js 中的校验保持一致
+ */
+export const ENCRYPTION_CONFIG: EncryptionConfig = {
+  VERSION: 1,
+  ALGORITHM: 'AES-GCM',
+  KDF: 'PBKDF2-SHA256',
+  PBKDF2_ITERATIONS: 600000,
+  CHUNK_SIZE: 1024 * 1024,     // 每个加密块 1MB 明文
+  SALT_LENGTH: 16,
+  NONCE_PREFIX_LENGTH: 8,      // 每块的 IV = 8 字节随机前缀 + 4 字节块序号
+  MIN_PASSPHRASE_LENGTH: 8,
+  ENCRYPTED_NAME_EXTENSION: '.enc'
+};
+
 /**
  * 验证规则配置接口
  */
@@ -501,6 +544,7 @@ export default {
   API_CONFIG,
   STORAGE_CONFIG,
   UPLOAD_CONFIG,
+  ENCRYPTION_CONFIG,
   VALIDATION_RULES,
   AUTH_CONFIG,
   EVENTS,
@@ -516,6 +560,7 @@ if (typeof module !== 'undefined' && module.exports) {
     API_CONFIG,
     STORAGE_CONFIG,
     UPLOAD_CONFIG,
+    ENCRYPTION_CONFIG,
     VALIDATION_RULES,
     AUTH_CONFIG,
     EVENTS,
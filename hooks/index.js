@@ -12,6 +12,15 @@ export { useFileManager } from './useFileManager';
 // 管理面板相关 Hook
 export { useAdminPanel } from './useAdminPanel';
 
+// 存储桶管理相关 Hook
+export { useBucketAdmin } from './useBucketAdmin';
+
+// 回收站管理相关 Hook
+export { useTrashAdmin } from './useTrashAdmin';
+
+// 短链接管理相关 Hook
+export { useShortLinkAdmin } from './useShortLinkAdmin';
+
 // API 请求相关 Hook
 export { useApi, useApiCall } from './useApi';
 
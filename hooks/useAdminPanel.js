@@ -71,7 +71,7 @@ export function useAdminPanel() {
     setLoading(true);
     try {
       const response = await axios.post('/api/cleanup-short-links');
-      createSuccessMessage(`清理完成：扫描 ${response.data.scannedCount} 个键，删除 ${response.data.deletedCount} 个短链接`);
+      createSuccessMessage(`清理完成：扫描 ${response.data.scannedCount} 个键，删除 ${response.data.deletedCount} 个短链接，迁移 ${response.data.migratedCount} 个未过期的短链接`);
       await fetchSystemStats(); // 刷新统计
       return true;
     } catch (error) {
@@ -3,6 +3,8 @@ import axios from 'axios';
 import { createSuccessMessage, createErrorMessage } from '../components/ui/Message';
 import { createConfirmDialog } from '../components/ui/Modal';
 import { formatFileSize } from '../utils/fileUtils';
+import { withBucket } from '../utils/bucketUtils';
+import { getAuthHeaders } from '../utils/authUtils';
 
 /**
  * 批量操作管理钩子
@@ -72,7 +74,7 @@ export const useBatchOps = (files = [], onFilesChange) => {
     }
 
     const confirmed = await createConfirmDialog(
-      `确定要删除选中的 ${selectedFiles.length} 个文件吗？此操作不可撤销。`
+      `确定要删除选中的 ${selectedFiles.length} 个文件吗？文件会移到回收站，可以在管理面板中恢复。`
     );
 
     if (!confirmed) return;
@@ -100,7 +102,7 @@ export const useBatchOps = (files = [], onFilesChange) => {
         const batch = selectedFiles.slice(i, i + batchSize);
         const promises = batch.map(async (fileId) => {
           try {
-            await axios.delete(`/api/files?messageId=${fileId}`);
+            await axios.delete(withBucket(`/api/files?messageId=${fileId}`), { headers: getAuthHeaders() });
             successCount++;
           } catch (error) {
             console.error(`删除文件 ${fileId} 失败:`, error);
@@ -200,7 +202,7 @@ export const useBatchOps = (files = [], onFilesChange) => {
       if (selectedFiles.length === 1) {
         const file = selectedFileDetails[0];
         window.open(
-          `/api/download?fileId=${file.fileId}&fileName=${encodeURIComponent(file.fileName)}`,
+          withBucket(`/api/download?fileId=${file.fileId}&fileName=${encodeURIComponent(file.fileName)}`),
           '_blank'
         );
       } else {
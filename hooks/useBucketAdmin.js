@@ -0,0 +1,171 @@
+/**
+ * 存储桶管理 Hook
+ * 提供管理面板中创建、修改、停用和同步存储桶的方法
+ */
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+import { ADMIN_ENDPOINTS } from '../constants/apiEndpoints';
+import { createSuccessMessage, createErrorMessage } from '../components/ui/Message';
+import { createConfirmDialog } from '../components/ui/Modal';
+import { withBucket } from '../utils/bucketUtils';
+
+/**
+ * 存储桶管理 Hook
+ * @returns {Object} 存储桶列表和管理方法
+ */
+export function useBucketAdmin() {
+  const [bucketList, setBucketList] = useState([]);
+  const [bucketLoading, setBucketLoading] = useState(false);
+
+  /**
+   * 获取全部存储桶（包含已停用的）
+   * @returns {Promise<void>}
+   */
+  const fetchBucketList = useCallback(async () => {
+    try {
+      const response = await axios.get(ADMIN_ENDPOINTS.BUCKETS);
+      setBucketList(response.data.buckets || []);
+    } catch (error) {
+      console.error('获取存储桶列表失败:', error);
+      createErrorMessage('获取存储桶列表失败');
+    }
+  }, []);
+
+  /**
+   * 创建存储桶
+   * @param {Object} params - 名称、存储驱动、聊天ID、显示名称和描述
+   * @returns {Promise<boolean>} 是否创建成功
+   */
+  const createBucket = useCallback(async (params) => {
+    setBucketLoading(true);
+    try {
+      const response = await axios.post(ADMIN_ENDPOINTS.BUCKETS, params);
+      createSuccessMessage(`存储桶 ${response.data.bucket.name} 已创建`);
+      await fetchBucketList();
+      return true;
+    } catch (error) {
+      createErrorMessage(`创建失败: ${error.response?.data?.error || error.message}`);
+      return false;
+    } finally {
+      setBucketLoading(false);
+    }
+  }, [fetchBucketList]);
+
+  /**
+   * 修改存储桶的显示名称和描述
+   * @param {string} name - 存储桶名称
+   * @param {Object} changes - 要修改的字段
+   * @returns {Promise<boolean>} 是否修改成功
+   */
+  const updateBucket = useCallback(async (name, changes) => {
+    setBucketLoading(true);
+    try {
+      await axios.patch(ADMIN_ENDPOINTS.BUCKETS, { name, ...changes });
+      await fetchBucketList();
+      return true;
+    } catch (error) {
+      createErrorMessage(`修改失败: ${error.response?.data?.error || error.message}`);
+      return false;
+    } finally {
+      setBucketLoading(false);
+    }
+  }, [fetchBucketList]);
+
+  /**
+   * 停用或恢复存储桶
+   * @param {Object} bucket - 存储桶记录
+   * @returns {Promise<boolean>} 是否操作成功
+   */
+  const toggleBucketRetired = useCallback(async (bucket) => {
+    const retired = !bucket.retiredAt;
+    if (retired) {
+      const confirmed = await createConfirmDialog(
+        `确定要停用存储桶 ${bucket.label} 吗？停用后不能再上传，已有文件仍可下载和删除。`
+      );
+      if (!confirmed) return false;
+    }
+    const updated = await updateBucket(bucket.name, { retired });
+    if (updated) {
+      createSuccessMessage(`存储桶 ${bucket.label} 已${retired ? '停用' : '恢复'}`);
+    }
+    return updated;
+  }, [updateBucket]);
+
+  /**
+   * 从Telegram重新同步存储桶的文件列表
+   * @param {Object} bucket - 存储桶记录
+   * @returns {Promise<boolean>} 是否同步成功
+   */
+  const syncBucket = useCallback(async (bucket) => {
+    const confirmed = await createConfirmDialog(`确定要从Telegram重新同步存储桶 ${bucket.label} 的文件列表吗？`);
+    if (!confirmed) return false;
+
+    setBucketLoading(true);
+    try {
+      const response = await axios.post(withBucket(ADMIN_ENDPOINTS.SYNC_FILES, bucket.name));
+      createSuccessMessage(`同步完成：处理 ${response.data.syncedCount} 个文件`);
+      return true;
+    } catch (error) {
+      createErrorMessage(`同步失败: ${error.response?.data?.error || error.message}`);
+      return false;
+    } finally {
+      setBucketLoading(false);
+    }
+  }, []);
+
+  /**
+   * 立即把存储桶的完整索引快照写入聊天并置顶
+   * @param {Object} bucket - 存储桶记录
+   * @returns {Promise<boolean>} 是否写入成功
+   */
+  const snapshotBucketIndex = useCallback(async (bucket) => {
+    setBucketLoading(true);
+    try {
+      const response = await axios.post(withBucket(ADMIN_ENDPOINTS.CHAT_INDEX, bucket.name), { action: 'snapshot' });
+      createSuccessMessage(`已写入索引快照 v${response.data.version}`);
+      return true;
+    } catch (error) {
+      createErrorMessage(`写入索引快照失败: ${error.response?.data?.error || error.message}`);
+      return false;
+    } finally {
+      setBucketLoading(false);
+    }
+  }, []);
+
+  /**
+   * 从聊天中置顶的索引快照恢复存储桶的文件索引
+   * @param {Object} bucket - 存储桶记录
+   * @returns {Promise<boolean>} 是否恢复成功
+   */
+  const recoverBucketIndex = useCallback(async (bucket) => {
+    const confirmed = await createConfirmDialog(
+      `确定要从聊天索引恢复存储桶 ${bucket.label} 吗？数据库中现有的文件列表会被快照内容覆盖。`
+    );
+    if (!confirmed) return false;
+
+    setBucketLoading(true);
+    try {
+      const response = await axios.post(withBucket(ADMIN_ENDPOINTS.CHAT_INDEX, bucket.name), { action: 'recover' });
+      const { version, files, deltas } = response.data;
+      createSuccessMessage(`恢复完成：快照 v${version}，${deltas} 条增量，共 ${files} 个文件`);
+      return true;
+    } catch (error) {
+      createErrorMessage(`恢复失败: ${error.response?.data?.error || error.message}`);
+      return false;
+    } finally {
+      setBucketLoading(false);
+    }
+  }, []);
+
+  return {
+    bucketList,
+    bucketLoading,
+    fetchBucketList,
+    createBucket,
+    updateBucket,
+    toggleBucketRetired,
+    syncBucket,
+    snapshotBucketIndex,
+    recoverBucketIndex
+  };
+}
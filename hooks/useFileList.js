@@ -1,9 +1,23 @@
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import axios from 'axios';
+import { useDebounce } from './useDebounce';
+import { getCurrentBucket, setCurrentBucket, withBucketParams, withBucket, DEFAULT_BUCKET } from '../utils/bucketUtils';
+import { getAuthHeaders } from '../utils/authUtils';
+
+// 每页加载的文件数量
+const PAGE_SIZE = 50;
+
+/**
+ * 拼接文件夹路径
+ * @param {string} parentPath - 上级路径
+ * @param {string} name - 文件夹名称
+ * @returns {string} 完整路径
+ */
+const joinFolderPath = (parentPath, name) => (parentPath === '/' ? `/${name}` : `${parentPath}/${name}`);
 
 /**
  * 文件列表管理钩子
- * 提供文件列表的获取、搜索、排序和过滤功能
+ * 提供文件列表的分页获取（搜索、排序和过滤由服务端完成），以及虚拟文件夹的浏览和管理
  * @returns {Object} 文件列表相关的状态和方法
  */
 export const useFileList = () => {
@@ -12,102 +26,375 @@ export const useFileList = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   
+  // 存储桶状态：所有文件请求都带上当前存储桶
+  const [bucket, setBucket] = useState(DEFAULT_BUCKET);
+  const [buckets, setBuckets] = useState([]);
+  
+  // 文件夹状态
+  const [currentPath, setCurrentPath] = useState('/');
+  const [folders, setFolders] = useState([]);
+  
+  // 标签状态：选择标签后在所有文件夹中筛选
+  const [tagFilter, setTagFilter] = useState('');
+  const [availableTags, setAvailableTags] = useState([]);
+  
   // 搜索和过滤状态
   const [searchTerm, setSearchTerm] = useState('');
   const [filterType, setFilterType] = useState('all');
   const [sortBy, setSortBy] = useState('uploadTime');
   const [sortOrder, setSortOrder] = useState('desc');
+  const debouncedSearchTerm = useDebounce(searchTerm, 300);
+  
+  // 分页状态：服务端返回的下一页游标
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  /**
+   * 获取可切换的存储桶
+   * 记住的存储桶已被停用或删除时回到默认存储桶
+   */
+  const fetchBuckets = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/buckets');
+      if (response.data && response.data.success) {
+        const bucketList = response.data.buckets;
+        setBuckets(bucketList);
+        const saved = getCurrentBucket();
+        const selected = bucketList.some(item => item.name === saved) ? saved : DEFAULT_BUCKET;
+        setCurrentBucket(selected);
+        setBucket(selected);
+      }
+    } catch (error) {
+      console.error('获取存储桶列表失败:', error);
+    }
+  }, []);
+
+  /**
+   * 切换存储桶，回到根目录并清除标签筛选
+   * @param {string} name - 存储桶名称
+   */
+  const switchBucket = useCallback((name) => {
+    setCurrentBucket(name);
+    setBucket(name);
+    setCurrentPath('/');
+    setTagFilter('');
+  }, []);
+
+  /**
+   * 获取已使用的标签，用于标签筛选和自动补全
+   */
+  const fetchTags = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/tags', { params: withBucketParams({}, bucket) });
+      if (response.data && response.data.success) {
+        setAvailableTags(response.data.tags.map(entry => entry.tag));
+      }
+    } catch (error) {
+      console.error('获取标签列表失败:', error);
+    }
+  }, [bucket]);
+
+  /**
+   * 生成文件列表的查询参数
+   * 搜索、类型筛选和排序都交给服务端处理
+   * 选择了标签时改为查询所有文件夹中带该标签的文件
+   * @param {string} [cursor] - 分页游标
+   * @returns {Object} 查询参数
+   */
+  const buildQueryParams = useCallback((cursor) => {
+    const params = {
+      sort: sortBy,
+      order: sortOrder,
+      limit: PAGE_SIZE,
+      ...(tagFilter ? { tag: tagFilter } : { path: currentPath })
+    };
+    if (debouncedSearchTerm.trim()) {
+      params.q = debouncedSearchTerm.trim();
+    }
+    if (filterType !== 'all') {
+      params.type = filterType;
+    }
+    if (cursor) {
+      params.cursor = cursor;
+    }
+    return withBucketParams(params, bucket);
+  }, [bucket, currentPath, tagFilter, debouncedSearchTerm, filterType, sortBy, sortOrder]);
 
   /**
-   * 获取文件列表
+   * 获取当前文件夹的第一页文件
    */
   const fetchFiles = useCallback(async () => {
     setLoading(true);
     setError(null);
     
     try {
-      const response = await axios.get('/api/files');
+      const response = await axios.get('/api/files', { params: buildQueryParams() });
       
       if (response.data && response.data.success) {
-        if (Array.isArray(response.data.files)) {
-          setFiles(response.data.files);
-        } else {
-          setFiles([]);
-        }
+        setFiles(Array.isArray(response.data.files) ? response.data.files : []);
+        setFolders(!tagFilter && Array.isArray(response.data.folders) ? response.data.folders : []);
+        setNextCursor(response.data.nextCursor || null);
       } else {
         setError('获取文件列表失败');
         setFiles([]);
+        setFolders([]);
+        setNextCursor(null);
       }
     } catch (error) {
+      // 当前文件夹已被删除或移动，回到根目录
+      if (error.response?.status === 404 && currentPath !== '/') {
+        setCurrentPath('/');
+        return;
+      }
       console.error('获取文件列表失败:', error);
       setError('获取文件列表失败');
       setFiles([]);
+      setFolders([]);
+      setNextCursor(null);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [buildQueryParams, currentPath, tagFilter]);
 
   /**
-   * 根据文件名获取文件类型
-   * @param {string} fileName - 文件名
-   * @returns {string} 文件类型
+   * 加载下一页文件并追加到列表末尾
    */
-  const getFileType = (fileName) => {
-    const ext = fileName.split('.').pop().toLowerCase();
-    if (['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'].includes(ext)) return 'image';
-    if (['pdf', 'doc', 'docx', 'txt', 'rtf'].includes(ext)) return 'document';
-    if (['mp4', 'avi', 'mov', 'wmv', 'flv'].includes(ext)) return 'video';
-    if (['mp3', 'wav', 'flac', 'aac'].includes(ext)) return 'audio';
-    return 'other';
-  };
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+    
+    setLoadingMore(true);
+    try {
+      const response = await axios.get('/api/files', { params: buildQueryParams(nextCursor) });
+      if (response.data && response.data.success) {
+        const pageFiles = Array.isArray(response.data.files) ? response.data.files : [];
+        setFiles(prevFiles => [
+          ...prevFiles,
+          ...pageFiles.filter(file => !prevFiles.some(existing => existing.fileId === file.fileId))
+        ]);
+        setNextCursor(response.data.nextCursor || null);
+      }
+    } catch (error) {
+      console.error('加载更多文件失败:', error);
+      setError('加载更多文件失败');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [buildQueryParams, nextCursor, loadingMore]);
 
   /**
-   * 过滤和排序后的文件列表
+   * 当前路径的面包屑
    */
-  const filteredAndSortedFiles = useMemo(() => {
-    let filtered = files;
+  const breadcrumbs = useMemo(() => {
+    const items = [{ name: '全部文件', path: '/' }];
+    let path = '/';
+    for (const segment of currentPath.split('/').filter(Boolean)) {
+      path = joinFolderPath(path, segment);
+      items.push({ name: segment, path });
+    }
+    return items;
+  }, [currentPath]);
 
-    // 搜索过滤
-    if (searchTerm) {
-      filtered = filtered.filter(file => 
-        file.fileName.toLowerCase().includes(searchTerm.toLowerCase())
-      );
+  /**
+   * 在当前文件夹下创建子文件夹
+   * @param {string} name - 文件夹名称
+   */
+  const createFolder = async (name) => {
+    try {
+      await axios.post(withBucket('/api/folders', bucket), { path: joinFolderPath(currentPath, name) });
+      await fetchFiles();
+      return { success: true };
+    } catch (error) {
+      console.error('创建文件夹失败:', error);
+      return { success: false, error: error.response?.data?.error || '创建文件夹失败' };
     }
+  };
 
-    // 类型过滤
-    if (filterType !== 'all') {
-      filtered = filtered.filter(file => getFileType(file.fileName) === filterType);
+  /**
+   * 重命名文件夹
+   * @param {string} path - 文件夹路径
+   * @param {string} name - 新名称
+   */
+  const renameFolder = async (path, name) => {
+    try {
+      await axios.patch(withBucket('/api/folders', bucket), { path, name });
+      await fetchFiles();
+      return { success: true };
+    } catch (error) {
+      console.error('重命名文件夹失败:', error);
+      return { success: false, error: error.response?.data?.error || '重命名文件夹失败' };
     }
+  };
 
-    // 排序
-    filtered.sort((a, b) => {
-      let aValue, bValue;
-      
-      switch (sortBy) {
-        case 'fileName':
-          aValue = a.fileName.toLowerCase();
-          bValue = b.fileName.toLowerCase();
-          break;
-        case 'fileSize':
-          aValue = a.fileSize || 0;
-          bValue = b.fileSize || 0;
-          break;
-        case 'uploadTime':
-        default:
-          aValue = new Date(a.uploadTime || 0);
-          bValue = new Date(b.uploadTime || 0);
-          break;
-      }
+  /**
+   * 移动文件夹到另一个文件夹下
+   * @param {string} path - 文件夹路径
+   * @param {string} parent - 目标上级文件夹
+   */
+  const moveFolder = async (path, parent) => {
+    try {
+      await axios.patch(withBucket('/api/folders', bucket), { path, parent });
+      await fetchFiles();
+      return { success: true };
+    } catch (error) {
+      console.error('移动文件夹失败:', error);
+      return { success: false, error: error.response?.data?.error || '移动文件夹失败' };
+    }
+  };
 
-      if (sortOrder === 'asc') {
-        return aValue > bValue ? 1 : -1;
-      } else {
-        return aValue < bValue ? 1 : -1;
+  /**
+   * 删除文件夹
+   * 非空文件夹需要确认后连同其中的文件一起删除
+   * @param {string} path - 文件夹路径
+   */
+  const deleteFolder = async (path) => {
+    try {
+      await axios.delete('/api/folders', { params: withBucketParams({ path }, bucket) });
+      await fetchFiles();
+      return { success: true };
+    } catch (error) {
+      if (error.response?.status !== 409) {
+        console.error('删除文件夹失败:', error);
+        return { success: false, error: error.response?.data?.error || '删除文件夹失败' };
       }
+    }
+    
+    // 文件夹不为空，确认后递归删除
+    const confirmMessage = `文件夹 "${path}" 不为空，确定要删除其中的所有子文件夹和文件吗？文件会移到回收站。`;
+    const confirmed = await new Promise((resolve) => {
+      import('../components/ui/Modal').then(({ createConfirmDialog }) => {
+        createConfirmDialog(
+          confirmMessage,
+          () => resolve(true),
+          () => resolve(false),
+          {
+            title: '删除文件夹',
+            confirmText: '全部删除',
+            cancelText: '取消',
+            type: 'warning'
+          }
+        );
+      }).catch(() => {
+        resolve(window.confirm(confirmMessage));
+      });
     });
+    
+    if (!confirmed) {
+      return { success: false, cancelled: true };
+    }
+    
+    try {
+      await axios.delete('/api/folders', { params: withBucketParams({ path, recursive: true }, bucket), headers: getAuthHeaders() });
+      await fetchFiles();
+      return { success: true };
+    } catch (error) {
+      console.error('删除文件夹失败:', error);
+      await fetchFiles();
+      return { success: false, error: error.response?.data?.error || '删除文件夹失败' };
+    }
+  };
+
+  /**
+   * 重命名文件或修改描述
+   * @param {string} messageId - 消息ID
+   * @param {Object} changes - 修改内容 { fileName, description }
+   */
+  const updateFile = async (messageId, changes) => {
+    try {
+      const response = await axios.patch(withBucket(`/api/files/${messageId}`, bucket), changes);
+      const updated = response.data.file;
+      setFiles(prevFiles => prevFiles.map(file => (file.messageId === messageId ? { ...file, ...updated } : file)));
+      if (changes.tags) {
+        fetchTags();
+      }
+      return { success: true, file: updated };
+    } catch (error) {
+      console.error('更新文件信息失败:', error);
+      return { success: false, error: error.response?.data?.error || '更新文件信息失败' };
+    }
+  };
 
-    return filtered;
-  }, [files, searchTerm, filterType, sortBy, sortOrder]);
+  /**
+   * 获取文件的版本历史
+   * @param {string} messageId - 当前版本的消息ID
+   * @returns {Promise<Object>} { success, current, versions, policy }
+   */
+  const fetchVersions = async (messageId) => {
+    try {
+      const response = await axios.get(withBucket(`/api/files/${messageId}/versions`, bucket));
+      const { current, versions, policy } = response.data;
+      return { success: true, current, versions, policy };
+    } catch (error) {
+      console.error('获取版本历史失败:', error);
+      return { success: false, error: error.response?.data?.error || '获取版本历史失败' };
+    }
+  };
+
+  /**
+   * 把历史版本恢复为当前版本
+   * @param {string} messageId - 当前版本的消息ID
+   * @param {string} versionFileId - 要恢复的版本的文件ID
+   */
+  const restoreVersion = async (messageId, versionFileId) => {
+    try {
+      const response = await axios.post(withBucket(`/api/files/${messageId}/versions`, bucket), {
+        action: 'restore',
+        versionFileId
+      });
+      await fetchFiles();
+      return { success: true, file: response.data.file };
+    } catch (error) {
+      console.error('恢复文件版本失败:', error);
+      return { success: false, error: error.response?.data?.error || '恢复文件版本失败' };
+    }
+  };
+
+  /**
+   * 设置文件夹的版本控制规则
+   * @param {string} path - 文件夹路径
+   * @param {Object|null} versioning - { enabled, keepLast, keepDays }，null 表示沿用上级设置
+   */
+  const setFolderVersioning = async (path, versioning) => {
+    try {
+      await axios.patch(withBucket('/api/folders', bucket), { path, versioning });
+      await fetchFiles();
+      return { success: true };
+    } catch (error) {
+      console.error('设置版本控制失败:', error);
+      return { success: false, error: error.response?.data?.error || '设置版本控制失败' };
+    }
+  };
+
+  /**
+   * 把文件移动到指定文件夹
+   * @param {Array<string>} fileIds - 文件ID列表
+   * @param {string} folder - 目标文件夹路径
+   */
+  const moveFiles = async (fileIds, folder) => {
+    try {
+      const response = await axios.post(withBucket('/api/files/batch/move', bucket), { fileIds, folder });
+      await fetchFiles();
+      return { success: response.data.success, results: response.data.results };
+    } catch (error) {
+      console.error('移动文件失败:', error);
+      return { success: false, error: error.response?.data?.error || '移动文件失败' };
+    }
+  };
+
+  /**
+   * 根据文件名获取文件类型
+   * @param {string} fileName - 文件名
+   * @returns {string} 文件类型
+   */
+  const getFileType = (fileName) => {
+    const ext = fileName.split('.').pop().toLowerCase();
+    if (['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'].includes(ext)) return 'image';
+    if (['pdf', 'doc', 'docx', 'txt', 'rtf'].includes(ext)) return 'document';
+    if (['mp4', 'avi', 'mov', 'wmv', 'flv'].includes(ext)) return 'video';
+    if (['mp3', 'wav', 'flac', 'aac'].includes(ext)) return 'audio';
+    return 'other';
+  };
 
   // 显示网络诊断结果的函数
   const showNetworkDiagnostics = (diagnostics) => {
@@ -174,8 +461,8 @@ export const useFileList = () => {
     // 如果不跳过确认，显示确认对话框
     if (!skipConfirm) {
       const confirmMessage = fileName 
-        ? `确定要删除文件 "${fileName}" 吗？此操作不可撤销。`
-        : '确定要删除此文件吗？此操作不可撤销。';
+        ? `确定要删除文件 "${fileName}" 吗？文件会移到回收站，可以在管理面板中恢复。`
+        : '确定要删除此文件吗？文件会移到回收站，可以在管理面板中恢复。';
       
       // 使用Promise包装确认对话框
       const confirmed = await new Promise((resolve) => {
@@ -227,7 +514,7 @@ export const useFileList = () => {
           if (deletingMessage && deletingMessage.remove) {
             deletingMessage.remove();
           }
-          createSuccessMessage(`<i class="fas fa-check-circle"></i> "${fileName || fileToDelete.fileName}" 删除成功`);
+          createSuccessMessage(`<i class="fas fa-check-circle"></i> "${fileName || fileToDelete.fileName}" 已移到回收站`);
         },
         // 错误回调
         (error) => {
@@ -406,7 +693,7 @@ export const useFileList = () => {
         diagnosticButton.disabled = true;
         
         try {
-          const response = await fetch('/api/network-diagnostics');
+          const response = await fetch(withBucket('/api/network-diagnostics', bucket));
           const result = await response.json();
           
           if (result.success) {
@@ -456,18 +743,25 @@ export const useFileList = () => {
   };
 
   /**
-   * 生成短链接
+   * 生成短链接，已有未过期的短链接时复用
    * @param {string} fileId - 文件ID
+   * @param {Object} [options] - 短链接选项
+   * @param {string|null} [options.password] - 设置或修改分享密码，为 null 时移除密码
+   * @param {number|null} [options.maxDownloads] - 下载次数上限，为 null 时不限次数
    */
-  const generateShortLink = async (fileId) => {
+  const generateShortLink = async (fileId, options = {}) => {
     try {
-      const response = await axios.post('/api/short-link', { fileId });
+      const response = await axios.post(withBucket('/api/short-link', bucket), { fileId, ...options });
       return { 
         success: true, 
         shortLink: response.data.shortUrl,
         shortUrl: response.data.shortUrl,
         shortId: response.data.shortId,
         expiresIn: response.data.expiresIn,
+        expiresAt: response.data.expiresAt,
+        hasPassword: response.data.hasPassword,
+        maxDownloads: response.data.maxDownloads,
+        downloads: response.data.downloads,
         isExisting: response.data.isExisting
       };
     } catch (error) {
@@ -476,26 +770,90 @@ export const useFileList = () => {
     }
   };
 
+  /**
+   * 修改短链接ID或延长有效期
+   * @param {string} shortId - 短链接ID
+   * @param {Object} changes - 修改内容，slug 为新的短链接ID，extendBy 为延长的秒数
+   * @returns {Promise<Object>} { success, link, error }，link 的字段同 generateShortLink 的结果
+   */
+  const updateShortLink = async (shortId, changes) => {
+    try {
+      const response = await axios.patch(`/api/short-links?shortId=${encodeURIComponent(shortId)}`, changes);
+      return { success: true, link: response.data.link };
+    } catch (error) {
+      console.error('修改短链接失败:', error);
+      return { success: false, error: error.response?.data?.error || '修改短链接失败' };
+    }
+  };
+
+  /**
+   * 撤销短链接
+   * @param {string} shortId - 短链接ID
+   * @returns {Promise<Object>} { success, error }
+   */
+  const revokeShortLink = async (shortId) => {
+    try {
+      await axios.delete(`/api/short-links?shortId=${encodeURIComponent(shortId)}`);
+      return { success: true };
+    } catch (error) {
+      console.error('撤销短链接失败:', error);
+      return { success: false, error: error.response?.data?.error || '撤销短链接失败' };
+    }
+  };
+
   // 初始化加载
   useEffect(() => {
     fetchFiles();
   }, [fetchFiles]);
 
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  useEffect(() => {
+    fetchBuckets();
+  }, [fetchBuckets]);
+
   return {
     // 状态
-    files: filteredAndSortedFiles,
+    files,
     rawFiles: files, // 原始文件数据
     loading,
+    loadingMore,
+    hasMore: Boolean(nextCursor),
     error,
     searchTerm,
     filterType,
     sortBy,
     sortOrder,
+    currentPath,
+    folders,
+    breadcrumbs,
+    tagFilter,
+    availableTags,
+    bucket,
+    buckets,
     
     // 方法
     fetchFiles,
+    loadMore,
     deleteFile,
     generateShortLink,
+    updateShortLink,
+    revokeShortLink,
+    setCurrentPath,
+    setTagFilter,
+    fetchTags,
+    switchBucket,
+    createFolder,
+    renameFolder,
+    moveFolder,
+    deleteFolder,
+    moveFiles,
+    updateFile,
+    fetchVersions,
+    restoreVersion,
+    setFolderVersioning,
     setSearchTerm,
     setFilterType,
     setSortBy,
@@ -118,7 +118,7 @@ export function useFileManager() {
     try {
       const response = await axios.post('/api/short-link', { fileId });
       if (response.data.success) {
-        const shortUrl = `${window.location.origin}/s/${response.data.data.shortCode}`;
+        const shortUrl = `${window.location.origin}/s/${response.data.shortId}`;
         createSuccessMessage(`短链接已生成: ${shortUrl}`);
         return shortUrl;
       } else {
@@ -3,23 +3,27 @@
  * 提供文件上传的状态管理和业务逻辑
  */
 import { useState, useCallback } from 'react';
-import axios from 'axios';
 import { createSuccessMessage, createErrorMessage } from '../components/ui/Message';
 import { FILE_CONFIG } from '../constants/config';
+import { uploadResumable } from '../utils/resumableUpload';
 
 /**
  * 文件上传 Hook
+ * @param {Object} [options] - 选项
+ * @param {Function} [options.onUploadSuccess] - 单个文件上传成功回调
+ * @param {string} [options.folder] - 上传到的文件夹路径
  * @returns {Object} 上传状态和方法
  */
 export function useFileUpload(options = {}) {
   const [uploadProgress, setUploadProgress] = useState(0);
   const [isUploading, setIsUploading] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [uploadQueue, setUploadQueue] = useState([]);
   const [uploadStats, setUploadStats] = useState({ total: 0, completed: 0, failed: 0, current: null });
   const [isDragging, setIsDragging] = useState(false);
   
-  const { onUploadSuccess } = options;
+  const { onUploadSuccess, folder = '/' } = options;
 
   /**
    * 验证文件
@@ -45,6 +49,7 @@ export function useFileUpload(options = {}) {
 
   /**
    * 上传单个文件
+   * 使用可续传上传，连接中断后会在网络恢复时自动从断点继续
    * @param {File} file - 要上传的文件
    * @returns {Promise<Object>} 上传结果
    */
@@ -57,38 +62,29 @@ export function useFileUpload(options = {}) {
     setUploadProgress(0);
 
     try {
-      const formData = new FormData();
-      formData.append('file', file);
-
-      const response = await axios.post('/api/files', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        onUploadProgress: (progressEvent) => {
-          const progress = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          setUploadProgress(progress);
+      const uploadedFile = await uploadResumable(file, {
+        folder,
+        onProgress: (bytesUploaded, bytesTotal) => {
+          setUploadProgress(Math.round((bytesUploaded * 100) / bytesTotal));
         },
+        onStatusChange: (status) => {
+          setIsPaused(status === 'paused');
+        }
       });
 
-      if (response.data.success) {
-        const uploadedFile = response.data.data;
-        setUploadedFiles(prev => [...prev, uploadedFile]);
-        createSuccessMessage(`文件 "${file.name}" 上传成功`);
-        return uploadedFile;
-      } else {
-        throw new Error(response.data.error || '上传失败');
-      }
+      setUploadedFiles(prev => [...prev, uploadedFile]);
+      createSuccessMessage(`文件 "${file.name}" 上传成功`);
+      return uploadedFile;
     } catch (error) {
       console.error('文件上传失败:', error);
       createErrorMessage(`文件上传失败: ${error.message}`);
       return null;
     } finally {
       setIsUploading(false);
+      setIsPaused(false);
       setUploadProgress(0);
     }
-  }, [validateFile]);
+  }, [validateFile, folder]);
 
   /**
    * 批量上传文件
@@ -185,6 +181,7 @@ export function useFileUpload(options = {}) {
   const resetUpload = useCallback(() => {
     setUploadProgress(0);
     setIsUploading(false);
+    setIsPaused(false);
     setUploadedFiles([]);
     setUploadQueue([]);
     setUploadStats({ total: 0, completed: 0, failed: 0, current: null });
@@ -194,6 +191,7 @@ export function useFileUpload(options = {}) {
     // 状态
     uploadProgress,
     isUploading,
+    isPaused,
     uploadedFiles,
     uploadQueue,
     uploadStats,
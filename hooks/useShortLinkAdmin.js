@@ -0,0 +1,119 @@
+/**
+ * 短链接管理 Hook
+ * 提供管理面板中查看、修改ID、延长和撤销短链接的方法
+ */
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+import { SHORTLINK_ENDPOINTS } from '../constants/apiEndpoints';
+import { createSuccessMessage, createErrorMessage } from '../components/ui/Message';
+import { createConfirmDialog } from '../components/ui/Modal';
+
+/**
+ * 短链接管理 Hook
+ * @returns {Object} 短链接列表和管理方法
+ */
+export function useShortLinkAdmin() {
+  const [shortLinkBucket, setShortLinkBucket] = useState('');
+  const [shortLinkList, setShortLinkList] = useState([]);
+  const [shortLinkLoading, setShortLinkLoading] = useState(false);
+
+  /**
+   * 获取未过期的短链接
+   * @param {string} [bucket] - 存储桶名称，为空时列出全部存储桶的短链接
+   * @returns {Promise<void>}
+   */
+  const fetchShortLinks = useCallback(async (bucket = shortLinkBucket) => {
+    try {
+      const response = await axios.get(SHORTLINK_ENDPOINTS.LIST, { params: bucket ? { bucket } : {} });
+      setShortLinkList(response.data.links || []);
+    } catch (error) {
+      console.error('获取短链接失败:', error);
+      createErrorMessage(`获取短链接失败: ${error.response?.data?.error || error.message}`);
+    }
+  }, [shortLinkBucket]);
+
+  /**
+   * 切换查看的存储桶
+   * @param {string} bucket - 存储桶名称，为空时查看全部
+   */
+  const selectShortLinkBucket = useCallback((bucket) => {
+    setShortLinkBucket(bucket);
+    fetchShortLinks(bucket);
+  }, [fetchShortLinks]);
+
+  /**
+   * 修改短链接
+   * @param {Object} link - 短链接
+   * @param {Object} changes - 修改内容，字段同 PATCH /api/short-links
+   * @param {string} successText - 成功提示
+   * @returns {Promise<boolean>} 是否修改成功
+   */
+  const updateShortLink = useCallback(async (link, changes, successText) => {
+    setShortLinkLoading(true);
+    try {
+      await axios.patch(SHORTLINK_ENDPOINTS.UPDATE(link.shortId), changes);
+      createSuccessMessage(successText);
+      await fetchShortLinks();
+      return true;
+    } catch (error) {
+      createErrorMessage(`修改失败: ${error.response?.data?.error || error.message}`);
+      return false;
+    } finally {
+      setShortLinkLoading(false);
+    }
+  }, [fetchShortLinks]);
+
+  /**
+   * 修改短链接ID
+   * @param {Object} link - 短链接
+   * @param {string} slug - 新的短链接ID
+   * @returns {Promise<boolean>} 是否修改成功
+   */
+  const renameShortLink = useCallback((link, slug) => (
+    updateShortLink(link, { slug }, `短链接已改为 /s/${slug}，旧地址已失效`)
+  ), [updateShortLink]);
+
+  /**
+   * 延长短链接的有效期
+   * @param {Object} link - 短链接
+   * @param {number} days - 延长的天数
+   * @returns {Promise<boolean>} 是否延长成功
+   */
+  const extendShortLink = useCallback((link, days) => (
+    updateShortLink(link, { extendBy: days * 86400 }, `短链接 ${link.shortId} 已延长 ${days} 天`)
+  ), [updateShortLink]);
+
+  /**
+   * 撤销短链接
+   * @param {Object} link - 短链接
+   * @returns {Promise<boolean>} 是否撤销成功
+   */
+  const revokeShortLink = useCallback(async (link) => {
+    const confirmed = await createConfirmDialog(`确定要撤销短链接 ${link.shortId} 吗？撤销后拿到链接的人将无法下载。`);
+    if (!confirmed) return false;
+
+    setShortLinkLoading(true);
+    try {
+      await axios.delete(SHORTLINK_ENDPOINTS.DELETE(link.shortId));
+      createSuccessMessage(`短链接 ${link.shortId} 已撤销`);
+      await fetchShortLinks();
+      return true;
+    } catch (error) {
+      createErrorMessage(`撤销失败: ${error.response?.data?.error || error.message}`);
+      return false;
+    } finally {
+      setShortLinkLoading(false);
+    }
+  }, [fetchShortLinks]);
+
+  return {
+    shortLinkBucket,
+    shortLinkList,
+    shortLinkLoading,
+    fetchShortLinks,
+    selectShortLinkBucket,
+    renameShortLink,
+    extendShortLink,
+    revokeShortLink
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * 回收站管理 Hook
+ * 提供管理面板中查看、恢复和彻底删除回收站文件的方法
+ */
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+import { ADMIN_ENDPOINTS } from '../constants/apiEndpoints';
+import { createSuccessMessage, createErrorMessage } from '../components/ui/Message';
+import { createConfirmDialog } from '../components/ui/Modal';
+import { withBucket, DEFAULT_BUCKET } from '../utils/bucketUtils';
+
+/**
+ * 回收站管理 Hook
+ * @returns {Object} 回收站内容和管理方法
+ */
+export function useTrashAdmin() {
+  const [trashBucket, setTrashBucket] = useState(DEFAULT_BUCKET);
+  const [trashFiles, setTrashFiles] = useState([]);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(null);
+  const [trashLoading, setTrashLoading] = useState(false);
+
+  /**
+   * 获取存储桶回收站中的文件，服务端会顺带彻底删除过期的文件
+   * @param {string} [bucket] - 存储桶名称，默认为当前选择的存储桶
+   * @returns {Promise<void>}
+   */
+  const fetchTrash = useCallback(async (bucket = trashBucket) => {
+    try {
+      const response = await axios.get(withBucket(ADMIN_ENDPOINTS.TRASH, bucket));
+      setTrashFiles(response.data.files || []);
+      setTrashRetentionDays(response.data.retentionDays);
+    } catch (error) {
+      console.error('获取回收站失败:', error);
+      createErrorMessage(`获取回收站失败: ${error.response?.data?.error || error.message}`);
+    }
+  }, [trashBucket]);
+
+  /**
+   * 切换查看的存储桶
+   * @param {string} bucket - 存储桶名称
+   */
+  const selectTrashBucket = useCallback((bucket) => {
+    setTrashBucket(bucket);
+    setTrashFiles([]);
+    fetchTrash(bucket);
+  }, [fetchTrash]);
+
+  /**
+   * 向回收站API发送操作
+   * @param {Object} body - 请求体
+   * @returns {Promise<Object|null>} 响应数据，失败时为 null
+   */
+  const postTrashAction = useCallback(async (body) => {
+    setTrashLoading(true);
+    try {
+      const response = await axios.post(withBucket(ADMIN_ENDPOINTS.TRASH, trashBucket), body);
+      await fetchTrash();
+      return response.data;
+    } catch (error) {
+      createErrorMessage(`操作失败: ${error.response?.data?.error || error.message}`);
+      return null;
+    } finally {
+      setTrashLoading(false);
+    }
+  }, [trashBucket, fetchTrash]);
+
+  /**
+   * 恢复文件到原来的文件夹
+   * @param {Object} entry - 回收站条目
+   * @returns {Promise<boolean>} 是否恢复成功
+   */
+  const restoreTrashFile = useCallback(async (entry) => {
+    const result = await postTrashAction({ action: 'restore', fileId: entry.file.fileId });
+    if (result) {
+      createSuccessMessage(`"${entry.file.fileName}" 已恢复`);
+    }
+    return Boolean(result);
+  }, [postTrashAction]);
+
+  /**
+   * 彻底删除文件
+   * @param {Object} entry - 回收站条目
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  const purgeTrashFile = useCallback(async (entry) => {
+    const confirmed = await createConfirmDialog(`确定要彻底删除 "${entry.file.fileName}" 吗？此操作不可撤销。`);
+    if (!confirmed) return false;
+
+    const result = await postTrashAction({ action: 'purge', fileId: entry.file.fileId });
+    if (result) {
+      createSuccessMessage(`"${entry.file.fileName}" 已彻底删除`);
+    }
+    return Boolean(result);
+  }, [postTrashAction]);
+
+  /**
+   * 清空回收站
+   * @returns {Promise<boolean>} 是否全部删除成功
+   */
+  const emptyTrash = useCallback(async () => {
+    const confirmed = await createConfirmDialog(`确定要彻底删除回收站中的 ${trashFiles.length} 个文件吗？此操作不可撤销。`);
+    if (!confirmed) return false;
+
+    const result = await postTrashAction({ action: 'empty' });
+    if (!result) return false;
+    if (result.failed > 0) {
+      createErrorMessage(`已删除 ${result.purged} 个文件，${result.failed} 个文件删除失败，请稍后重试`);
+      return false;
+    }
+    createSuccessMessage(`回收站已清空，共删除 ${result.purged} 个文件`);
+    return true;
+  }, [trashFiles.length, postTrashAction]);
+
+  return {
+    trashBucket,
+    trashFiles,
+    trashRetentionDays,
+    trashLoading,
+    fetchTrash,
+    selectTrashBucket,
+    restoreTrashFile,
+    purgeTrashFile,
+    emptyTrash
+  };
+}
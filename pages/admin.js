@@ -16,6 +16,9 @@ import {
 import { createConfirmDialog } from '../components/ui/Modal';
 import AuthModal from '../components/AuthModal';
 import { getAuthStatus } from '../utils/authUtils';
+import { useBucketAdmin } from '../hooks/useBucketAdmin';
+import { useTrashAdmin } from '../hooks/useTrashAdmin';
+import { useShortLinkAdmin } from '../hooks/useShortLinkAdmin';
 
 // 认证状态常量
 const AUTH_STATUS = {
@@ -24,6 +27,48 @@ const AUTH_STATUS = {
   EXPIRED: 'expired'
 };
 
+// Bot 池状态显示名称
+const BOT_STATUS_LABELS = {
+  healthy: '正常',
+  degraded: '不稳定',
+  cooling_down: '暂停中',
+  revoked: 'Token 已失效'
+};
+
+// 元数据存储类型的显示名称
+const METADATA_BACKEND_LABELS = {
+  upstash: 'Upstash Redis',
+  redis: 'Redis',
+  local: '本地文件',
+  memory: '内存（重启后丢失）'
+};
+
+/**
+ * 描述存储桶的版本控制规则
+ * @param {Object|null} versioning - 版本控制规则
+ * @returns {string} 规则说明
+ */
+const describeVersioning = (versioning) => {
+  if (!versioning || !versioning.enabled) {
+    return '关闭';
+  }
+  const rules = [];
+  if (versioning.keepLast) {
+    rules.push(`最近 ${versioning.keepLast} 个`);
+  }
+  if (versioning.keepDays) {
+    rules.push(`${versioning.keepDays} 天内`);
+  }
+  return rules.length > 0 ? `保留${rules.join('或')}` : '保留全部';
+};
+
+// 存储桶驱动的显示名称
+const STORAGE_DRIVER_LABELS = {
+  telegram: 'Telegram',
+  local: '本地磁盘',
+  memory: '内存（重启后丢失）'
+};
+
 // 临时定义formatFileSize函数，避免导入错误
 const formatFileSize = (bytes) => {
   if (bytes === 0) {
@@ -57,6 +102,45 @@ export default function AdminPanel() {
   const [animationSpeed, setAnimationSpeed] = useState('normal');
   const [interactionEnabled, setInteractionEnabled] = useState(true);
 
+  // 存储桶管理
+  const {
+    bucketList,
+    bucketLoading,
+    fetchBucketList,
+    createBucket,
+    updateBucket,
+    toggleBucketRetired,
+    syncBucket,
+    snapshotBucketIndex,
+    recoverBucketIndex
+  } = useBucketAdmin();
+  const [bucketForm, setBucketForm] = useState({ name: '', driver: 'telegram', chatId: '', label: '', description: '', versioning: { enabled: false, keepLast: '', keepDays: '' } });
+
+  // 回收站管理
+  const {
+    trashBucket,
+    trashFiles,
+    trashRetentionDays,
+    trashLoading,
+    fetchTrash,
+    selectTrashBucket,
+    restoreTrashFile,
+    purgeTrashFile,
+    emptyTrash
+  } = useTrashAdmin();
+
+  // 短链接管理
+  const {
+    shortLinkBucket,
+    shortLinkList,
+    shortLinkLoading,
+    fetchShortLinks,
+    selectShortLinkBucket,
+    renameShortLink,
+    extendShortLink,
+    revokeShortLink
+  } = useShortLinkAdmin();
+
   // 获取系统统计信息
   /**
    * 获取系统统计信息
@@ -112,7 +196,7 @@ export default function AdminPanel() {
     setLoading(true);
     try {
       const response = await axios.post('/api/cleanup-short-links');
-      createSuccessMessage(`清理完成：扫描 ${response.data.scannedCount} 个键，删除 ${response.data.deletedCount} 个短链接`);
+      createSuccessMessage(`清理完成：扫描 ${response.data.scannedCount} 个键，删除 ${response.data.deletedCount} 个短链接，迁移 ${response.data.migratedCount} 个未过期的短链接`);
       fetchSystemStats(); // 刷新统计
     } catch (error) {
       createErrorMessage(`清理失败: ${error.message}`);
@@ -121,6 +205,22 @@ export default function AdminPanel() {
     }
   };
 
+  /**
+   * 把所有存储桶的短链接迁移到短链接索引
+   * @returns {Promise<void>}
+   */
+  const handleMigrateShortLinks = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.post('/api/admin/short-links', { action: 'migrate' });
+      createSuccessMessage(`迁移完成：${response.data.buckets.length} 个存储桶，加入索引 ${response.data.migrated} 个短链接`);
+    } catch (error) {
+      createErrorMessage(`迁移失败: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // 同步文件列表
   const handleSyncFiles = async () => {
     const confirmed = await createConfirmDialog('确定要从Telegram重新同步文件列表吗？');
@@ -162,6 +262,57 @@ export default function AdminPanel() {
     }
   };
 
+  /**
+   * 提交新建存储桶表单
+   * @param {Event} e - 表单提交事件
+   */
+  const handleCreateBucket = async (e) => {
+    e.preventDefault();
+    const created = await createBucket(bucketForm);
+    if (created) {
+      setBucketForm({ name: '', driver: 'telegram', chatId: '', label: '', description: '', versioning: { enabled: false, keepLast: '', keepDays: '' } });
+    }
+  };
+
+  /**
+   * 修改存储桶的显示名称
+   * @param {Object} bucket - 存储桶记录
+   */
+  const handleRenameBucket = async (bucket) => {
+    // eslint-disable-next-line no-alert
+    const label = window.prompt('新的显示名称', bucket.label);
+    if (label === null || label.trim() === bucket.label) {
+      return;
+    }
+    if (await updateBucket(bucket.name, { label })) {
+      createSuccessMessage('存储桶名称已更新');
+    }
+  };
+
+  /**
+   * 设置存储桶的版本控制
+   * 输入保留的历史版本数开启版本控制，留空保留全部版本，输入 off 关闭
+   * @param {Object} bucket - 存储桶记录
+   */
+  const handleBucketVersioning = async (bucket) => {
+    const current = bucket.versioning;
+    // eslint-disable-next-line no-alert
+    const input = window.prompt(
+      '版本控制：输入保留的历史版本数（留空保留全部），off 关闭',
+      current?.enabled ? String(current.keepLast || '') : 'off'
+    );
+    if (input === null) {
+      return;
+    }
+    const value = input.trim().toLowerCase();
+    const versioning = value === 'off'
+      ? { enabled: false }
+      : { enabled: true, keepLast: value || null, keepDays: current?.keepDays || null };
+    if (await updateBucket(bucket.name, { versioning })) {
+      createSuccessMessage('版本控制设置已更新');
+    }
+  };
+
   // 移动端菜单状态
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   
@@ -188,6 +339,12 @@ export default function AdminPanel() {
   // 处理侧边栏链接点击（移动端自动关闭菜单）
   const handleNavClick = (tab) => {
     setActiveTab(tab);
+    if (tab === 'trash') {
+      fetchTrash();
+    }
+    if (tab === 'shortLinks') {
+      fetchShortLinks();
+    }
     if (window.innerWidth <= 768) {
       closeMobileMenu();
     }
@@ -220,6 +377,7 @@ export default function AdminPanel() {
     fetchSystemStats();
     fetchSystemStatus();
     fetchActivityLogs();
+    fetchBucketList();
   };
 
   /**
@@ -287,8 +445,9 @@ export default function AdminPanel() {
       fetchSystemStats();
       fetchSystemStatus();
       fetchActivityLogs();
+      fetchBucketList();
     }
-  }, [checkAuthentication, fetchSystemStats, fetchSystemStatus, fetchActivityLogs]);
+  }, [checkAuthentication, fetchSystemStats, fetchSystemStatus, fetchActivityLogs, fetchBucketList]);
 
   // 恢复图片交互样式设置
   useEffect(() => {
@@ -326,14 +485,16 @@ export default function AdminPanel() {
             <div className="stat-icon">
               <i className="fas fa-database" />
             </div>
-            <h3 className="stat-title">Redis 状态</h3>
+            <h3 className="stat-title">元数据存储</h3>
           </div>
           <div className="stat-body">
             <div className={`stat-value ${systemStatus?.redis?.connected ? 'success' : 'error'}`}>
-              {systemStatus?.redis?.connected ? '已连接' : '未连接'}
+              {systemStatus?.redis?.connected ? '已连接' : '未持久化'}
             </div>
             <div className="stat-change neutral">
-              <span className="stat-change-text">{systemStatus?.redis?.environment || '未知环境'}</span>
+              <span className="stat-change-text">
+                {METADATA_BACKEND_LABELS[systemStatus?.redis?.backend] || systemStatus?.redis?.environment || '未知环境'}
+              </span>
             </div>
           </div>
         </div>
@@ -352,6 +513,20 @@ export default function AdminPanel() {
             <div className="stat-change neutral">
               <span className="stat-change-text">Chat ID: {systemStatus?.telegram?.chatId || '未设置'}</span>
             </div>
+            {systemStatus?.telegram?.bots?.length > 1 && (
+              <div className="stat-change neutral">
+                <span className="stat-change-text">
+                  Bot 池: {systemStatus.telegram.bots.filter(bot => bot.status === 'healthy').length}/{systemStatus.telegram.bots.length} 个正常
+                </span>
+              </div>
+            )}
+            {systemStatus?.telegram?.api?.selfHosted && (
+              <div className="stat-change neutral">
+                <span className="stat-change-text">
+                  自建 Bot API{systemStatus.telegram.api.local ? '（local 模式）' : ''}: 单条消息上限 {formatFileSize(systemStatus.telegram.api.limits.MAX_DOWNLOAD_SIZE)}
+                </span>
+              </div>
+            )}
           </div>
         </div>
 
@@ -400,6 +575,79 @@ export default function AdminPanel() {
           </div>
         </div>
       )}
+
+      {systemStatus?.telegram?.bots?.length > 0 && (
+        <div className="admin-table-container">
+          <div className="admin-table-header">
+            <h2 className="admin-table-title">Bot 状态</h2>
+          </div>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Bot</th>
+                <th>状态</th>
+                <th>请求数</th>
+                <th>错误率</th>
+                <th>限流率</th>
+                <th>最近错误</th>
+              </tr>
+            </thead>
+            <tbody>
+              {systemStatus.telegram.bots.map(bot => (
+                <tr key={bot.id}>
+                  <td>
+                    <strong>{bot.username ? `@${bot.username}` : bot.id}</strong>
+                    <div className="log-details">{bot.id}</div>
+                  </td>
+                  <td>
+                    <span className={`stat-change ${bot.status === 'healthy' ? 'positive' : 'negative'}`}>
+                      {BOT_STATUS_LABELS[bot.status] || bot.status}
+                    </span>
+                    {bot.cooldownUntil && (
+                      <div className="log-details">至 {new Date(bot.cooldownUntil).toLocaleTimeString()}</div>
+                    )}
+                  </td>
+                  <td>{bot.requests}</td>
+                  <td>{(bot.errorRate * 100).toFixed(1)}%</td>
+                  <td>{(bot.rateLimitRate * 100).toFixed(1)}%</td>
+                  <td><span className="log-details">{bot.lastError || '-'}</span></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {systemStatus?.telegram?.rateLimits?.total > 0 && (
+        <div className="admin-table-container">
+          <div className="admin-table-header">
+            <h2 className="admin-table-title">Telegram 限流</h2>
+            <span className="log-details">
+              共 {systemStatus.telegram.rateLimits.total} 次，最近一小时 {systemStatus.telegram.rateLimits.lastHour} 次
+            </span>
+          </div>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>时间</th>
+                <th>操作</th>
+                <th>存储桶</th>
+                <th>等待</th>
+              </tr>
+            </thead>
+            <tbody>
+              {systemStatus.telegram.rateLimits.recent.map((event, index) => (
+                <tr key={`${event.at}-${index}`}>
+                  <td>{new Date(event.at).toLocaleString()}</td>
+                  <td><span className="log-details">{event.operation}</span></td>
+                  <td>{event.bucket || '-'}</td>
+                  <td>{event.retryAfter !== null ? `${event.retryAfter} 秒` : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 
@@ -480,6 +728,15 @@ export default function AdminPanel() {
                   </>
                 )}
               </button>
+              <button 
+                className="table-action"
+                onClick={handleMigrateShortLinks}
+                disabled={loading}
+                style={{ marginTop: 'var(--spacing-2)', width: '100%', height: 'auto', padding: 'var(--spacing-3)' }}
+              >
+                <i className="fas fa-link" />
+                <span style={{ marginLeft: '8px' }}>迁移短链接索引</span>
+              </button>
             </div>
           </div>
 
@@ -520,6 +777,466 @@ export default function AdminPanel() {
     </div>
   );
 
+  // 渲染存储桶管理页面
+  const renderBuckets = () => (
+    <div className="admin-content">
+      <div className="admin-table-container">
+        <div className="admin-table-header">
+          <h2 className="admin-table-title">存储桶</h2>
+          <div className="admin-table-actions">
+            <button className="header-action" onClick={() => fetchBucketList()} title="刷新">
+              <i className="fas fa-sync-alt" />
+            </button>
+          </div>
+        </div>
+
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>名称</th>
+              <th>存储</th>
+              <th>描述</th>
+              <th>版本控制</th>
+              <th>状态</th>
+              <th>操作</th>
+            </tr>
+          </thead>
+          <tbody>
+            {bucketList.map(bucket => (
+              <tr key={bucket.name}>
+                <td>
+                  <strong>{bucket.label}</strong>
+                  <div className="log-details">{bucket.name}</div>
+                </td>
+                <td>
+                  {STORAGE_DRIVER_LABELS[bucket.driver || 'telegram'] || bucket.driver}
+                  {(bucket.driver || 'telegram') === 'telegram' && (
+                    <div className="log-details"><code>{bucket.chatId || '未配置'}</code></div>
+                  )}
+                </td>
+                <td><span className="log-details">{bucket.description}</span></td>
+                <td><span className="log-details">{describeVersioning(bucket.versioning)}</span></td>
+                <td>
+                  {bucket.retiredAt ? (
+                    <span className="stat-change negative">已停用</span>
+                  ) : (
+                    <span className="stat-change positive">{bucket.builtin ? '默认' : '使用中'}</span>
+                  )}
+                </td>
+                <td>
+                  <div className="table-actions">
+                    <button
+                      className="table-action"
+                      title="同步文件列表"
+                      onClick={() => syncBucket(bucket)}
+                      disabled={bucketLoading || Boolean(bucket.retiredAt) || (bucket.driver || 'telegram') !== 'telegram'}
+                    >
+                      <i className="fas fa-sync-alt" />
+                    </button>
+                    <button
+                      className="table-action"
+                      title="写入索引快照"
+                      onClick={() => snapshotBucketIndex(bucket)}
+                      disabled={bucketLoading || Boolean(bucket.retiredAt) || (bucket.driver || 'telegram') !== 'telegram'}
+                    >
+                      <i className="fas fa-thumbtack" />
+                    </button>
+                    <button
+                      className="table-action"
+                      title="从聊天索引恢复"
+                      onClick={() => recoverBucketIndex(bucket)}
+                      disabled={bucketLoading || (bucket.driver || 'telegram') !== 'telegram'}
+                    >
+                      <i className="fas fa-history" />
+                    </button>
+                    {!bucket.builtin && (
+                      <>
+                        <button
+                          className="table-action"
+                          title="修改显示名称"
+                          onClick={() => handleRenameBucket(bucket)}
+                          disabled={bucketLoading}
+                        >
+                          <i className="fas fa-edit" />
+                        </button>
+                        <button
+                          className="table-action"
+                          title="设置版本控制"
+                          onClick={() => handleBucketVersioning(bucket)}
+                          disabled={bucketLoading || Boolean(bucket.retiredAt)}
+                        >
+                          <i className="fas fa-code-branch" />
+                        </button>
+                        <button
+                          className={`table-action ${bucket.retiredAt ? '' : 'danger'}`}
+                          title={bucket.retiredAt ? '恢复' : '停用'}
+                          onClick={() => toggleBucketRetired(bucket)}
+                          disabled={bucketLoading}
+                        >
+                          <i className={bucket.retiredAt ? 'fas fa-undo' : 'fas fa-archive'} />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="settings-section">
+        <div className="section-header">
+          <h3 className="section-title">
+            <span className="section-icon">
+              <i className="fas fa-plus" />
+            </span>
+            新建存储桶
+          </h3>
+        </div>
+        <form className="form-grid" onSubmit={handleCreateBucket}>
+          <div className="form-group">
+            <label className="form-label">名称</label>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="小写字母、数字和连字符，如 photos"
+              value={bucketForm.name}
+              onChange={(e) => setBucketForm({ ...bucketForm, name: e.target.value })}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">存储驱动</label>
+            <select
+              className="form-select"
+              value={bucketForm.driver}
+              onChange={(e) => setBucketForm({ ...bucketForm, driver: e.target.value })}
+            >
+              {Object.entries(STORAGE_DRIVER_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {bucketForm.driver === 'telegram' && (
+            <div className="form-group">
+              <label className="form-label">Chat ID</label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="-1001234567890 或 @channel"
+                value={bucketForm.chatId}
+                onChange={(e) => setBucketForm({ ...bucketForm, chatId: e.target.value })}
+                required
+              />
+            </div>
+          )}
+          <div className="form-group">
+            <label className="form-label">显示名称</label>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="默认与名称相同"
+              value={bucketForm.label}
+              onChange={(e) => setBucketForm({ ...bucketForm, label: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">描述</label>
+            <input
+              type="text"
+              className="form-input"
+              value={bucketForm.description}
+              onChange={(e) => setBucketForm({ ...bucketForm, description: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">版本控制</label>
+            <select
+              className="form-select"
+              value={bucketForm.versioning.enabled ? 'on' : 'off'}
+              onChange={(e) => setBucketForm({
+                ...bucketForm,
+                versioning: { ...bucketForm.versioning, enabled: e.target.value === 'on' }
+              })}
+            >
+              <option value="off">关闭</option>
+              <option value="on">同名文件保存为新版本</option>
+            </select>
+          </div>
+          {bucketForm.versioning.enabled && (
+            <>
+              <div className="form-group">
+                <label className="form-label">保留版本数</label>
+                <input
+                  type="number"
+                  min="1"
+                  className="form-input"
+                  placeholder="留空保留全部"
+                  value={bucketForm.versioning.keepLast}
+                  onChange={(e) => setBucketForm({
+                    ...bucketForm,
+                    versioning: { ...bucketForm.versioning, keepLast: e.target.value }
+                  })}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">保留天数</label>
+                <input
+                  type="number"
+                  min="1"
+                  className="form-input"
+                  placeholder="留空不按时间保留"
+                  value={bucketForm.versioning.keepDays}
+                  onChange={(e) => setBucketForm({
+                    ...bucketForm,
+                    versioning: { ...bucketForm.versioning, keepDays: e.target.value }
+                  })}
+                />
+              </div>
+            </>
+          )}
+          <div className="form-group">
+            <button type="submit" className="table-action" disabled={bucketLoading}>
+              <i className="fas fa-plus" />
+              <span style={{ marginLeft: '8px' }}>创建</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+
+  // 渲染回收站页面
+  const renderTrash = () => (
+    <div className="admin-content">
+      <div className="admin-table-container">
+        <div className="admin-table-header">
+          <h2 className="admin-table-title">回收站</h2>
+          <div className="admin-table-actions">
+            <select
+              className="header-action"
+              style={{ width: 'auto', padding: 'var(--spacing-2) var(--spacing-3)' }}
+              value={trashBucket}
+              onChange={(e) => selectTrashBucket(e.target.value)}
+            >
+              {bucketList.map(bucket => (
+                <option key={bucket.name} value={bucket.name}>{bucket.label}</option>
+              ))}
+            </select>
+            <button
+              className="header-action"
+              onClick={() => emptyTrash()}
+              disabled={trashLoading || trashFiles.length === 0}
+              title="清空回收站"
+            >
+              <i className="fas fa-trash-alt" />
+            </button>
+            <button className="header-action" onClick={() => fetchTrash()} title="刷新">
+              <i className="fas fa-sync-alt" />
+            </button>
+          </div>
+        </div>
+
+        {trashRetentionDays !== null && (
+          <div className="log-details" style={{ padding: 'var(--spacing-2) var(--spacing-4)' }}>
+            删除的文件保留 {trashRetentionDays} 天，到期后自动彻底删除
+          </div>
+        )}
+
+        {trashFiles.length > 0 ? (
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>文件名</th>
+                <th>大小</th>
+                <th>删除者</th>
+                <th>删除时间</th>
+                <th>到期时间</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trashFiles.map(entry => (
+                <tr key={entry.file.fileId}>
+                  <td>
+                    <strong>{entry.file.fileName}</strong>
+                    <div className="log-details">{entry.file.folder || '/'}</div>
+                  </td>
+                  <td>{formatFileSize(entry.file.fileSize || 0)}</td>
+                  <td>{entry.deletedBy}</td>
+                  <td>{new Date(entry.deletedAt).toLocaleString()}</td>
+                  <td>{new Date(entry.expiresAt).toLocaleString()}</td>
+                  <td>
+                    <div className="table-actions">
+                      <button
+                        className="table-action"
+                        title="恢复"
+                        onClick={() => restoreTrashFile(entry)}
+                        disabled={trashLoading}
+                      >
+                        <i className="fas fa-undo" />
+                      </button>
+                      <button
+                        className="table-action danger"
+                        title="彻底删除"
+                        onClick={() => purgeTrashFile(entry)}
+                        disabled={trashLoading}
+                      >
+                        <i className="fas fa-times" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div style={{ padding: 'var(--spacing-12)', textAlign: 'center', color: 'var(--color-text-muted)' }}>
+            <div style={{ fontSize: 'var(--font-size-4xl)', marginBottom: 'var(--spacing-4)' }}>
+              <i className="fas fa-trash-restore" />
+            </div>
+            <h3 style={{ margin: '0 0 var(--spacing-2)', color: 'var(--color-text-secondary)' }}>回收站是空的</h3>
+            <p style={{ margin: 0 }}>删除的文件会在这里保留一段时间，期间可以恢复</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  /**
+   * 修改短链接ID
+   * @param {Object} link - 短链接
+   */
+  const handleRenameShortLink = async (link) => {
+    // eslint-disable-next-line no-alert
+    const slug = window.prompt('新的短链接ID（字母、数字、连字符和下划线），修改后旧地址失效', link.shortId);
+    if (slug === null || !slug.trim() || slug.trim() === link.shortId) {
+      return;
+    }
+    await renameShortLink(link, slug.trim());
+  };
+
+  /**
+   * 复制短链接
+   * @param {Object} link - 短链接
+   */
+  const handleCopyShortLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.shortUrl);
+      createSuccessMessage('短链接已复制');
+    } catch {
+      createErrorMessage('无法访问剪贴板，请手动复制链接');
+    }
+  };
+
+  // 渲染短链接页面
+  const renderShortLinks = () => (
+    <div className="admin-content">
+      <div className="admin-table-container">
+        <div className="admin-table-header">
+          <h2 className="admin-table-title">短链接</h2>
+          <div className="admin-table-actions">
+            <select
+              className="header-action"
+              style={{ width: 'auto', padding: 'var(--spacing-2) var(--spacing-3)' }}
+              value={shortLinkBucket}
+              onChange={(e) => selectShortLinkBucket(e.target.value)}
+            >
+              <option value="">全部存储桶</option>
+              {bucketList.map(bucket => (
+                <option key={bucket.name} value={bucket.name}>{bucket.label}</option>
+              ))}
+            </select>
+            <button className="header-action" onClick={() => fetchShortLinks()} title="刷新">
+              <i className="fas fa-sync-alt" />
+            </button>
+          </div>
+        </div>
+
+        {shortLinkList.length > 0 ? (
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>短链接</th>
+                <th>文件</th>
+                <th>下载次数</th>
+                <th>创建时间</th>
+                <th>到期时间</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shortLinkList.map(link => (
+                <tr key={link.shortId}>
+                  <td>
+                    <strong>/s/{link.shortId}</strong>
+                    <div className="log-details">
+                      {link.hasPassword && <><i className="fas fa-lock" /> 有密码 </>}
+                      {link.exhausted && '下载次数已用完'}
+                    </div>
+                  </td>
+                  <td>
+                    <strong>{link.fileName || link.fileId}</strong>
+                    <div className="log-details">{link.bucket}</div>
+                  </td>
+                  <td>{link.downloads}{link.maxDownloads ? ` / ${link.maxDownloads}` : ''}</td>
+                  <td>{new Date(link.createdAt).toLocaleString()}</td>
+                  <td>{link.expiresAt ? new Date(link.expiresAt).toLocaleString() : '永不过期'}</td>
+                  <td>
+                    <div className="table-actions">
+                      <button
+                        className="table-action"
+                        title="复制链接"
+                        onClick={() => handleCopyShortLink(link)}
+                      >
+                        <i className="fas fa-copy" />
+                      </button>
+                      <button
+                        className="table-action"
+                        title="修改短链接ID"
+                        onClick={() => handleRenameShortLink(link)}
+                        disabled={shortLinkLoading}
+                      >
+                        <i className="fas fa-pen" />
+                      </button>
+                      {link.expiresAt && (
+                        <button
+                          className="table-action"
+                          title="延长7天"
+                          onClick={() => extendShortLink(link, 7)}
+                          disabled={shortLinkLoading}
+                        >
+                          <i className="fas fa-clock" />
+                        </button>
+                      )}
+                      <button
+                        className="table-action danger"
+                        title="撤销"
+                        onClick={() => revokeShortLink(link)}
+                        disabled={shortLinkLoading}
+                      >
+                        <i className="fas fa-ban" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div style={{ padding: 'var(--spacing-12)', textAlign: 'center', color: 'var(--color-text-muted)' }}>
+            <div style={{ fontSize: 'var(--font-size-4xl)', marginBottom: 'var(--spacing-4)' }}>
+              <i className="fas fa-link" />
+            </div>
+            <h3 style={{ margin: '0 0 var(--spacing-2)', color: 'var(--color-text-secondary)' }}>没有有效的短链接</h3>
+            <p style={{ margin: 0 }}>在文件列表中点击分享生成短链接，过期或撤销的短链接不会显示在这里</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
   // 渲染活动日志页面
   const renderLogs = () => (
     <div className="admin-content">
@@ -811,6 +1528,24 @@ export default function AdminPanel() {
       title: '数据库',
       description: '文件管理'
     },
+    {
+      id: 'buckets',
+      icon: 'fas fa-boxes',
+      title: '存储桶',
+      description: 'Telegram 聊天'
+    },
+    {
+      id: 'trash',
+      icon: 'fas fa-trash-restore',
+      title: '回收站',
+      description: '恢复删除的文件'
+    },
+    {
+      id: 'shortLinks',
+      icon: 'fas fa-link',
+      title: '短链接',
+      description: '分享链接管理'
+    },
     {
       id: 'logs',
       icon: 'fas fa-clipboard-list',
@@ -939,6 +1674,12 @@ export default function AdminPanel() {
                   if (activeTab === 'overview') {
                     fetchSystemStats();
                     fetchSystemStatus();
+                  } else if (activeTab === 'buckets') {
+                    fetchBucketList();
+                  } else if (activeTab === 'trash') {
+                    fetchTrash();
+                  } else if (activeTab === 'shortLinks') {
+                    fetchShortLinks();
                   } else if (activeTab === 'logs') {
                     fetchActivityLogs();
                   }
@@ -956,6 +1697,9 @@ export default function AdminPanel() {
             <div className="content-body">
               {activeTab === 'overview' && renderOverview()}
               {activeTab === 'database' && renderDatabase()}
+              {activeTab === 'buckets' && renderBuckets()}
+              {activeTab === 'trash' && renderTrash()}
+              {activeTab === 'shortLinks' && renderShortLinks()}
               {activeTab === 'logs' && renderLogs()}
               {activeTab === 'settings' && renderSettings()}
             </div>
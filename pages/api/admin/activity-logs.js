@@ -24,57 +24,25 @@ export default async function handler(req, res) {
  */
 async function getActivityLogs(req, res) {
   try {
-    const { limit = 100, offset = 0, action, ip } = req.query;
-    
-    const logs = [];
+    const { action, ip } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const offset = parseInt(req.query.offset, 10) || 0;
     const logKey = 'activity_logs';
 
-    if (redisClient.isConnected()) {
-      // Redis环境
-      const redis = redisClient.getClient();
-      
-      // 获取日志列表（按时间倒序）
-      const logEntries = await redis.lrange(logKey, offset, offset + limit - 1);
-      
-      for (const entry of logEntries) {
-        try {
-          const log = JSON.parse(entry);
-          
-          // 过滤条件
-          if (action && log.action !== action) {
-            continue;
-          }
-          if (ip && log.ip !== ip) {
-            continue;
-          }
-          
-          logs.push(log);
-        } catch (error) {
-          console.error('解析日志条目失败:', error);
-        }
+    // 获取日志列表（按时间倒序）并过滤
+    const logEntries = await redisClient.lrange(logKey, offset, offset + limit - 1);
+    const logs = logEntries.filter(log => {
+      if (!log || typeof log !== 'object') {
+        return false;
       }
-    } else {
-      // 内存环境
-      const { memoryStore } = redisClient;
-      const logData = memoryStore.get(logKey);
-      const allLogs = logData ? logData.value || [] : [];
-      
-      // 确保allLogs是数组
-      if (Array.isArray(allLogs)) {
-        // 过滤和分页
-        const filteredLogs = allLogs.filter(log => {
-          if (action && log.action !== action) {
-            return false;
-          }
-          if (ip && log.ip !== ip) {
-            return false;
-          }
-          return true;
-        });
-        
-        logs.push(...filteredLogs.slice(offset, offset + limit));
+      if (action && log.action !== action) {
+        return false;
       }
-    }
+      if (ip && log.ip !== ip) {
+        return false;
+      }
+      return true;
+    });
 
     // 统计信息
     const stats = await getActivityStats();
@@ -85,8 +53,8 @@ async function getActivityLogs(req, res) {
         logs,
         stats,
         pagination: {
-          limit: parseInt(limit, 10),
-          offset: parseInt(offset, 10),
+          limit,
+          offset,
           total: logs.length
         }
       }
@@ -128,39 +96,12 @@ async function logActivity(req, res) {
     const logKey = 'activity_logs';
     const maxLogs = 10000; // 最多保留10000条日志
 
-    if (redisClient.isConnected()) {
-      // Redis环境
-      const redis = redisClient.getClient();
-      
-      // 添加到列表头部
-      await redis.lpush(logKey, JSON.stringify(logEntry));
-      
-      // 保持列表长度
-      await redis.ltrim(logKey, 0, maxLogs - 1);
-      
-      // 更新统计
-      await updateActivityStats(action);
-      
-    } else {
-      // 内存环境
-      const { memoryStore } = redisClient;
-      const logData = memoryStore.get(logKey);
-      let logs = logData ? logData.value || [] : [];
-      
-      // 添加到数组头部
-      logs.unshift(logEntry);
-      
-      // 保持数组长度
-      if (logs.length > maxLogs) {
-        logs = logs.slice(0, maxLogs);
-      }
-      
-      // 保存回内存存储
-      memoryStore.set(logKey, { value: logs, timestamp: Date.now() });
-      
-      // 更新统计
-      await updateActivityStats(action);
-    }
+    // 添加到列表头部，并保持列表长度
+    await redisClient.lpush(logKey, logEntry);
+    await redisClient.ltrim(logKey, 0, maxLogs - 1);
+
+    // 更新统计
+    await updateActivityStats(action);
 
     console.log('活动日志记录:', logEntry);
 
@@ -184,35 +125,14 @@ async function logActivity(req, res) {
  */
 async function getActivityStats() {
   try {
-    const statsKey = 'activity_stats';
-    
-    if (redisClient.isConnected()) {
-      const redis = redisClient.getClient();
-      const stats = await redis.hgetall(statsKey);
-      
-      // 检查stats是否为有效对象
-      if (!stats || typeof stats !== 'object') {
-        return {};
-      }
-      
-      // 转换数值
-      const result = {};
-      for (const [key, value] of Object.entries(stats)) {
-        result[key] = parseInt(value, 10) || 0;
-      }
-      return result;
-    }
-    
-    const { memoryStore } = redisClient;
-    const statsData = memoryStore.get(statsKey);
-    const stats = statsData ? statsData.value : null;
-    
-    // 检查stats是否为有效对象
-    if (!stats || typeof stats !== 'object') {
-      return {};
+    const stats = await redisClient.hgetall('activity_stats');
+
+    // 转换数值
+    const result = {};
+    for (const [key, value] of Object.entries(stats)) {
+      result[key] = parseInt(value, 10) || 0;
     }
-    
-    return stats;
+    return result;
   } catch (error) {
     console.error('获取活动统计失败:', error);
     return {};
@@ -225,22 +145,8 @@ async function getActivityStats() {
 async function updateActivityStats(action) {
   try {
     const statsKey = 'activity_stats';
-    
-    if (redisClient.isConnected()) {
-      const redis = redisClient.getClient();
-      await redis.hincrby(statsKey, action, 1);
-      await redis.hincrby(statsKey, 'total', 1);
-    } else {
-      const { memoryStore } = redisClient;
-      const statsData = memoryStore.get(statsKey);
-      const stats = statsData ? statsData.value || {} : {};
-      
-      stats[action] = (stats[action] || 0) + 1;
-      stats.total = (stats.total || 0) + 1;
-      
-      // 保存回内存存储
-      memoryStore.set(statsKey, { value: stats, timestamp: Date.now() });
-    }
+    await redisClient.hincrby(statsKey, action, 1);
+    await redisClient.hincrby(statsKey, 'total', 1);
   } catch (error) {
     console.error('更新活动统计失败:', error);
   }
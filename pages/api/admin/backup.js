@@ -17,51 +17,43 @@ export default async function handler(req, res) {
   try {
     const backupData = {
       timestamp: new Date().toISOString(),
-      environment: redisClient.isConnected() ? 'production' : 'development',
+      environment: redisClient.isDurable() ? 'production' : 'development',
+      backend: redisClient.backend,
       data: {}
     };
 
-    if (redisClient.isConnected()) {
-      // Redis环境 - 导出所有键值对
-      const redis = redisClient.getClient();
-      
-      // 获取所有键
-      const keys = await redis.keys('*');
-      console.log(`找到 ${keys.length} 个Redis键`);
+    // 导出所有键值对
+    const keys = await redisClient.scanKeys('*');
+    console.log(`找到 ${keys.length} 个键`);
 
-      for (const key of keys) {
-        try {
-          // 获取键的类型
-          const type = await redis.type(key);
-          
-          switch (type) {
-            case 'string':
-              backupData.data[key] = await redis.get(key);
-              break;
-            case 'hash':
-              backupData.data[key] = await redis.hgetall(key);
-              break;
-            case 'list':
-              backupData.data[key] = await redis.lrange(key, 0, -1);
-              break;
-            case 'set':
-              backupData.data[key] = await redis.smembers(key);
-              break;
-            case 'zset':
-              backupData.data[key] = await redis.zrange(key, 0, -1, 'WITHSCORES');
-              break;
-            default:
-              console.warn(`未知的Redis数据类型: ${type} for key: ${key}`);
-          }
-        } catch (error) {
-          console.error(`备份键 ${key} 失败:`, error);
-          backupData.data[key] = { error: error.message };
+    for (const key of keys) {
+      try {
+        // 获取键的类型
+        const type = await redisClient.type(key);
+
+        switch (type) {
+          case 'string':
+            backupData.data[key] = await redisClient.get(key);
+            break;
+          case 'hash':
+            backupData.data[key] = await redisClient.hgetall(key);
+            break;
+          case 'list':
+            backupData.data[key] = await redisClient.lrange(key);
+            break;
+          case 'zset':
+            backupData.data[key] = await redisClient.zrangeByScore(key, '-inf', '+inf');
+            break;
+          case 'none':
+            // 遍历期间过期或被删除
+            break;
+          default:
+            console.warn(`未知的数据类型: ${type} for key: ${key}`);
         }
+      } catch (error) {
+        console.error(`备份键 ${key} 失败:`, error);
+        backupData.data[key] = { error: error.message };
       }
-    } else {
-      // 内存环境 - 导出内存存储
-      const memoryStorage = redisClient.getMemoryStorage();
-      backupData.data = { ...memoryStorage };
     }
 
     // 生成备份文件名
@@ -0,0 +1,53 @@
+import { buckets } from '../../../src/bucket_store';
+
+/**
+ * 管理面板 - 存储桶管理API
+ * GET 列出所有存储桶（包括已停用的），POST 创建，PATCH 修改或停用/恢复
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET': {
+        const bucketList = await buckets.list({ includeRetired: true });
+        return res.status(200).json({ success: true, buckets: bucketList });
+      }
+
+      case 'POST': {
+        // 创建存储桶：{ name, driver, chatId, label, description, versioning }，chatId 只有 telegram 驱动需要
+        const bucket = await buckets.create(req.body || {});
+        console.log(`存储桶已创建: ${bucket.name} -> ${bucket.chatId}`);
+        return res.status(201).json({ success: true, bucket });
+      }
+
+      case 'PATCH': {
+        // 修改存储桶：{ name, label, description, versioning }；停用或恢复：{ name, retired }
+        const { name, retired, ...changes } = req.body || {};
+        if (!name) {
+          return res.status(400).json({ success: false, error: '没有提供存储桶名称' });
+        }
+
+        let bucket = await buckets.update(name, changes);
+        if (retired !== undefined) {
+          bucket = await buckets.setRetired(name, Boolean(retired));
+          console.log(`存储桶已${bucket.retiredAt ? '停用' : '恢复'}: ${bucket.name}`);
+        }
+        return res.status(200).json({ success: true, bucket });
+      }
+
+      default:
+        res.setHeader('Allow', ['GET', 'POST', 'PATCH']);
+        return res.status(405).json({
+          success: false,
+          error: `Method ${method} Not Allowed`
+        });
+    }
+  } catch (error) {
+    console.error('存储桶操作失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || '存储桶操作失败'
+    });
+  }
+}
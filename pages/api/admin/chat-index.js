@@ -0,0 +1,59 @@
+import { createBucketStorage } from '../../../src/storage_provider';
+import { buckets } from '../../../src/bucket_store';
+
+/**
+ * 管理面板 - 聊天索引API
+ * GET 查看存储桶的索引快照状态；POST 的 action 参数：
+ * - flush：发送待写入的修改
+ * - snapshot：立即写入新的完整快照
+ * - recover：从聊天中的快照和增量重建Redis索引，snapshotFileId 可手动指定快照
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (!['GET', 'POST'].includes(method)) {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  try {
+    // 恢复只写入Redis，已停用的存储桶也允许恢复
+    const { action, snapshotFileId } = req.body || {};
+    const bucket = await buckets.resolve(req.query.bucket, { write: method === 'POST' && action !== 'recover' });
+    const storage = createBucketStorage(bucket);
+    const { chatIndex } = storage;
+
+    // 只有保存在Telegram聊天中的存储桶有聊天内的索引
+    if (!storage.chatBacked) {
+      return res.status(400).json({ success: false, error: `存储桶 ${bucket.name} 不使用Telegram存储，没有聊天索引` });
+    }
+
+    if (method === 'GET') {
+      const state = await chatIndex.getState();
+      const pending = await chatIndex.getPending();
+      return res.status(200).json({ success: true, bucket: bucket.name, state, pending: pending.length });
+    }
+
+    if (action === 'flush' || action === 'snapshot') {
+      const result = await chatIndex.flush({ snapshot: action === 'snapshot' });
+      if (!result.written && action === 'snapshot') {
+        return res.status(409).json({ success: false, error: '其他请求正在写入索引，请稍后重试' });
+      }
+      return res.status(200).json({ success: true, bucket: bucket.name, ...result });
+    }
+
+    if (action === 'recover') {
+      console.log(`开始从聊天索引恢复存储桶 ${bucket.name}...`);
+      const result = await chatIndex.recover({ snapshotFileId });
+      return res.status(200).json({ success: true, bucket: bucket.name, ...result });
+    }
+
+    return res.status(400).json({ success: false, error: 'action 只能是 flush、snapshot 或 recover' });
+  } catch (error) {
+    console.error('聊天索引操作失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: `聊天索引操作失败: ${error.message}`
+    });
+  }
+}
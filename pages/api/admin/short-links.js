@@ -0,0 +1,48 @@
+import { createBucketStorage } from '../../../src/storage_provider';
+import { buckets } from '../../../src/bucket_store';
+import { shortLinks } from '../../../src/short_link_store';
+
+/**
+ * 管理面板 - 短链接索引API
+ * POST 的 action 参数：
+ * - migrate：把文件记录中的 shortLink 和旧版本的 short:* 键加入短链接索引，
+ *   指定 bucket 参数时只迁移该存储桶，否则迁移全部存储桶（包括已停用的）；可以重复执行
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  const { action } = req.body || {};
+  if (action !== 'migrate') {
+    return res.status(400).json({ success: false, error: 'action 只能是 migrate' });
+  }
+
+  try {
+    const targets = req.query.bucket
+      ? [await buckets.resolve(req.query.bucket)]
+      : await buckets.list({ includeRetired: true });
+
+    const results = [];
+    for (const bucket of targets) {
+      const result = await shortLinks.migrate(createBucketStorage(bucket), bucket.name);
+      console.log(`存储桶 ${bucket.name} 的短链接迁移完成: 文件记录 ${result.indexed} 个，旧键 ${result.legacy} 个，跳过 ${result.skipped} 个，已过期 ${result.expired} 个`);
+      results.push({ bucket: bucket.name, ...result });
+    }
+
+    res.status(200).json({
+      success: true,
+      migrated: results.reduce((total, result) => total + result.indexed + result.legacy, 0),
+      buckets: results
+    });
+  } catch (error) {
+    console.error('迁移短链接失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: `迁移短链接失败: ${error.message}`
+    });
+  }
+}
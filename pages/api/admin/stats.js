@@ -1,9 +1,11 @@
 import { redisClient } from '../../../src/redis_client';
+import { buckets, getBucketKeyPrefix } from '../../../src/bucket_store';
+import { shortLinks } from '../../../src/short_link_store';
 import path from 'path';
 
 /**
  * 管理面板 - 系统统计API
- * 提供文件数量、大小、类型等统计信息
+ * 提供文件数量、大小、类型等统计信息，bucket 参数指定统计的存储桶
  */
 export default async function handler(req, res) {
   const { method } = req;
@@ -14,74 +16,44 @@ export default async function handler(req, res) {
   }
 
   try {
+    const bucket = await buckets.resolve(req.query.bucket);
+    const keyPrefix = getBucketKeyPrefix(bucket.name);
+    const filesKey = `${keyPrefix}files:${bucket.chatId}`;
+    const shortLinkPattern = `${keyPrefix}short:*`;
+
     const stats = {
+      bucket: bucket.name,
       totalFiles: 0,
       totalSize: 0,
       fileTypes: {},
       shortLinks: 0,
+      chunkedFiles: 0,
       lastUpdated: new Date().toISOString()
     };
 
     // 获取文件列表数据
     let filesData = null;
-    
-    if (redisClient.isConnected()) {
-      // 从 Redis 获取数据
-      const redis = redisClient.getClient();
-      const chatId = process.env.TELEGRAM_CHAT_ID;
-      
-      if (redis && chatId) {
-        try {
-          // 先检查键的类型
-          const keyType = await redis.type(`files:${chatId}`);
-          
-          if (keyType === 'string') {
-            const filesJson = await redis.get(`files:${chatId}`);
-            if (filesJson) {
-              const parsedData = typeof filesJson === 'string' ? JSON.parse(filesJson) : filesJson;
-              filesData = Array.isArray(parsedData) ? parsedData : parsedData.files || [];
-            }
-          } else if (keyType === 'hash') {
-            // 如果是hash类型，尝试获取files字段
-            const hashData = await redis.hgetall(`files:${chatId}`);
-            if (hashData && hashData.files) {
-              const parsedData = typeof hashData.files === 'string' ? JSON.parse(hashData.files) : hashData.files;
-              filesData = Array.isArray(parsedData) ? parsedData : [];
-            }
-          } else if (keyType === 'list') {
-            // 如果是list类型，获取所有元素
-            const listData = await redis.lrange(`files:${chatId}`, 0, -1);
-            if (listData && listData.length > 0) {
-              filesData = listData.map(item => {
-                try {
-                  return typeof item === 'string' ? JSON.parse(item) : item;
-                } catch {
-                  return null;
-                }
-              }).filter(item => item !== null);
-            }
-          } else if (keyType !== 'none') {
-            console.log(`文件数据键类型为 ${keyType}，跳过处理`);
-          }
-        } catch (error) {
-          console.error('从Redis获取文件数据失败:', error);
-        }
-      }
-    } else {
-      // 从内存存储获取数据
-      const { memoryStore } = redisClient;
-      if (memoryStore) {
-        const chatId = process.env.TELEGRAM_CHAT_ID;
-        const filesJson = memoryStore.get(`files:${chatId}`);
-        if (filesJson) {
-          try {
-            const parsedData = typeof filesJson === 'string' ? JSON.parse(filesJson) : filesJson;
-            const { files } = parsedData;
-            filesData = Array.isArray(parsedData) ? parsedData : files || [];
-          } catch (error) {
-            console.error('解析内存存储文件数据失败:', error);
-          }
+
+    if (bucket.chatId) {
+      try {
+        // 先检查键的类型
+        const keyType = await redisClient.type(filesKey);
+
+        if (keyType === 'list') {
+          const listData = await redisClient.lrange(filesKey);
+          filesData = listData.filter(item => item && typeof item === 'object');
+        } else if (keyType === 'string') {
+          const parsedData = await redisClient.get(filesKey);
+          filesData = Array.isArray(parsedData) ? parsedData : parsedData?.files || [];
+        } else if (keyType === 'hash') {
+          // 如果是hash类型，尝试获取files字段
+          const hashData = await redisClient.hgetall(filesKey);
+          filesData = Array.isArray(hashData.files) ? hashData.files : [];
+        } else if (keyType !== 'none') {
+          console.log(`文件数据键类型为 ${keyType}，跳过处理`);
         }
+      } catch (error) {
+        console.error('获取文件数据失败:', error);
       }
     }
 
@@ -124,52 +96,22 @@ export default async function handler(req, res) {
 
         stats.fileTypes[fileType] = (stats.fileTypes[fileType] || 0) + 1;
 
-        // 统计短链接
-        if (file.short && file.short.shortId) {
-          stats.shortLinks++;
+        // 统计分片文件（每个分片文件在列表中只有一条逻辑记录）
+        if (file.chunked) {
+          stats.chunkedFiles++;
         }
       });
     }
 
-    // 如果使用Redis，还要统计旧格式的短链接
-    if (redisClient.isConnected()) {
-      try {
-        const redis = redisClient.getClient();
-        if (redis) {
-          // 尝试扫描旧的短链接格式
-          try {
-            const result = await redis.scan(0, { match: 'short:*', count: 1000 });
-            if (Array.isArray(result) && result.length >= 2) {
-              const [, oldShortLinks] = result;
-              if (Array.isArray(oldShortLinks)) {
-                stats.shortLinks += oldShortLinks.length;
-              }
-            }
-          } catch {
-            // 如果SCAN不支持，尝试KEYS
-            try {
-              const keys = await redis.keys('short:*');
-              if (Array.isArray(keys)) {
-                stats.shortLinks += keys.length;
-              }
-            } catch {
-              console.log('无法扫描旧短链接，跳过统计');
-            }
-          }
-        }
-      } catch (error) {
-        console.error('统计短链接失败:', error);
-      }
-    } else {
-      // 统计内存存储中的旧短链接
-      const { memoryStore } = redisClient;
-      if (memoryStore) {
-        for (const [key] of memoryStore) {
-          if (key.startsWith('short:')) {
-            stats.shortLinks++;
-          }
-        }
-      }
+    // 统计短链接索引中的短链接，以及尚未迁移到索引的旧格式短链接
+    try {
+      const indexed = await shortLinks.list({ bucket: bucket.name });
+      const indexedIds = new Set(indexed.map(link => link.shortId));
+      const legacyKeys = await redisClient.scanKeys(shortLinkPattern);
+      stats.shortLinks = indexed.length +
+        legacyKeys.filter(key => !indexedIds.has(key.slice(shortLinkPattern.length - 1))).length;
+    } catch (error) {
+      console.error('统计短链接失败:', error);
     }
 
     // 如果是开发环境且没有真实数据，提供示例数据
@@ -198,7 +140,7 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('获取系统统计失败:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: `获取统计失败: ${error.message}`
     });
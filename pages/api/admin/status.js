@@ -1,4 +1,7 @@
 import { redisClient } from '../../../src/redis_client';
+import { getSharedBotPool } from '../../../src/bot_pool';
+import { getRateLimitStats } from '../../../src/retry_policy';
+import { getTelegramApiConfig, getTelegramLimits } from '../../../src/telegram_api';
 import axios from 'axios';
 
 /**
@@ -25,6 +28,9 @@ export default async function handler(req, res) {
         botToken: null,
         chatId: null,
         botInfo: null,
+        bots: [],
+        api: null,
+        rateLimits: null,
         error: null
       },
       environment: {
@@ -35,31 +41,16 @@ export default async function handler(req, res) {
       timestamp: new Date().toISOString()
     };
 
-    // 检查Redis状态
+    // 检查元数据存储状态
+    status.redis.backend = redisClient.backend;
+    status.redis.connected = redisClient.isDurable();
+    status.redis.environment = status.redis.connected ? 'production' : 'development';
     try {
-      status.redis.connected = redisClient.isConnected();
-      
-      if (status.redis.connected) {
-        status.redis.environment = 'production';
-        
-        // 尝试执行一个简单的Redis操作来验证连接
-        const redis = redisClient.getClient();
-        if (redis) {
-          try {
-            await redis.ping();
-            status.redis.healthy = true;
-          } catch (pingError) {
-            status.redis.healthy = false;
-            status.redis.error = `Redis ping失败: ${pingError.message}`;
-          }
-        }
-      } else {
-        status.redis.environment = 'development';
-        status.redis.healthy = true; // 内存存储总是健康的
-      }
-    } catch (error) {
-      status.redis.error = error.message;
+      // 执行一个简单的操作来验证连接
+      status.redis.healthy = await redisClient.ping();
+    } catch (pingError) {
       status.redis.healthy = false;
+      status.redis.error = `存储 ping失败: ${pingError.message}`;
     }
 
     // 检查Telegram配置
@@ -70,10 +61,14 @@ export default async function handler(req, res) {
     status.telegram.botToken = botToken ? `${botToken.substring(0, 10)}...` : null;
     status.telegram.chatId = chatId || null;
 
+    // Bot API 服务器地址和对应的文件大小限制
+    const apiConfig = getTelegramApiConfig();
+    status.telegram.api = { ...apiConfig, limits: getTelegramLimits(apiConfig) };
+
     // 如果配置了Telegram，尝试获取Bot信息
     if (botToken) {
       try {
-        const botResponse = await axios.get(`https://api.telegram.org/bot${botToken}/getMe`, {
+        const botResponse = await axios.get(`${apiConfig.baseApiUrl}/bot${botToken}/getMe`, {
           timeout: 5000
         });
         
@@ -93,7 +88,7 @@ export default async function handler(req, res) {
         }
       } catch (error) {
         status.telegram.healthy = false;
-        status.telegram.error = `无法连接到Telegram API: ${error.message}`;
+        status.telegram.error = `无法连接到Telegram API (${apiConfig.baseApiUrl}): ${error.message}`;
       }
     } else {
       status.telegram.healthy = false;
@@ -103,7 +98,7 @@ export default async function handler(req, res) {
     // 如果配置了Chat ID，尝试验证
     if (botToken && chatId) {
       try {
-        const chatResponse = await axios.get(`https://api.telegram.org/bot${botToken}/getChat`, {
+        const chatResponse = await axios.get(`${apiConfig.baseApiUrl}/bot${botToken}/getChat`, {
           params: { chat_id: chatId },
           timeout: 5000
         });
@@ -124,6 +119,20 @@ export default async function handler(req, res) {
       }
     }
 
+    // 机器人池中每个Token的健康状态（只显示机器人ID，不显示Token）
+    if (botToken) {
+      try {
+        const botPool = getSharedBotPool(botToken);
+        const usernames = await botPool.probe();
+        status.telegram.bots = botPool.getHealth().map(bot => ({ ...bot, username: usernames[bot.id] }));
+      } catch (error) {
+        status.telegram.botsError = `无法检查Bot状态: ${error.message}`;
+      }
+    }
+
+    // 本进程内操作被Telegram限流的记录（已按 retry_after 等待并重试，或等待时间过长而失败）
+    status.telegram.rateLimits = getRateLimitStats();
+
     // 在开发环境中提供更友好的状态信息
     if (process.env.NODE_ENV === 'development') {
       if (!status.redis.connected) {
@@ -1,8 +1,9 @@
-import { TelegramStorage } from '../../../src/telegram_storage';
+import { createBucketStorage } from '../../../src/storage_provider';
+import { buckets } from '../../../src/bucket_store';
 
 /**
  * 管理面板 - 文件同步API
- * 从Telegram重新同步文件列表到数据库
+ * 从Telegram重新同步文件列表到数据库，bucket 参数指定同步的存储桶
  */
 export default async function handler(req, res) {
   const { method } = req;
@@ -13,27 +14,24 @@ export default async function handler(req, res) {
   }
 
   try {
-    // 检查必要的环境变量
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
-    const chatId = process.env.TELEGRAM_CHAT_ID;
+    const bucket = await buckets.resolve(req.query.bucket, { write: true });
+    const storage = createBucketStorage(bucket);
 
-    if (!botToken || !chatId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Telegram配置不完整，请检查TELEGRAM_BOT_TOKEN和TELEGRAM_CHAT_ID环境变量'
-      });
+    // 本地磁盘和内存存储没有可同步的消息
+    if (!storage.chatBacked) {
+      return res.status(400).json({ success: false, error: `存储桶 ${bucket.name} 不使用Telegram存储，无需同步` });
     }
 
-    console.log('开始从Telegram同步文件列表...');
-
-    // 创建TelegramStorage实例
-    const storage = new TelegramStorage(botToken, chatId);
+    console.log(`开始从Telegram同步存储桶 ${bucket.name} 的文件列表...`);
 
     // 强制从Telegram同步文件列表
     const files = await storage.listFiles(true); // 传入true强制刷新
 
     console.log(`同步完成，共处理 ${files.length} 个文件`);
 
+    // 同步会整体替换文件列表，直接写入新的索引快照
+    await storage.flushChatIndex({ snapshot: true });
+
     // 统计同步结果
     const syncStats = {
       syncedCount: files.length,
@@ -76,7 +74,7 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('文件同步失败:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: `同步失败: ${error.message}`
     });
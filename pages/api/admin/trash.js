@@ -0,0 +1,63 @@
+import { createBucketStorage } from '../../../src/storage_provider';
+import { buckets } from '../../../src/bucket_store';
+import { getTrashRetentionDays } from '../../../src/trash_store';
+
+// 打开回收站时顺带彻底删除的过期文件数上限，避免请求超时
+const EXPIRED_PURGE_LIMIT = 20;
+
+/**
+ * 管理面板 - 回收站API
+ * GET 列出存储桶回收站中的文件，同时彻底删除超过保留期限的文件；POST 的 action 参数：
+ * - restore：恢复 fileId 指定的文件
+ * - purge：彻底删除 fileId 指定的文件
+ * - empty：清空回收站
+ * - purge-expired：彻底删除所有超过保留期限的文件，可用于定时任务
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (!['GET', 'POST'].includes(method)) {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  try {
+    // 已停用的存储桶仍允许删除文件，回收站操作也不受限制
+    const bucket = await buckets.resolve(req.query.bucket);
+    const storage = createBucketStorage(bucket);
+    const retentionDays = getTrashRetentionDays();
+
+    if (method === 'GET') {
+      const expired = await storage.purgeExpiredTrash({ retentionDays, limit: EXPIRED_PURGE_LIMIT });
+      await storage.flushChatIndex();
+      const files = await storage.trash.list(retentionDays);
+      return res.status(200).json({ success: true, bucket: bucket.name, retentionDays, expired, files });
+    }
+
+    const { action, fileId } = req.body || {};
+    let result;
+    if (action === 'restore' || action === 'purge') {
+      if (!fileId) {
+        return res.status(400).json({ success: false, error: '没有提供文件ID' });
+      }
+      result = action === 'restore'
+        ? { file: await storage.restoreFile(fileId) }
+        : { purged: await storage.purgeFile(fileId) };
+    } else if (action === 'empty') {
+      result = await storage.purgeTrash();
+    } else if (action === 'purge-expired') {
+      result = await storage.purgeExpiredTrash({ retentionDays });
+    } else {
+      return res.status(400).json({ success: false, error: 'action 只能是 restore、purge、empty 或 purge-expired' });
+    }
+
+    await storage.flushChatIndex();
+    return res.status(200).json({ success: true, bucket: bucket.name, ...result });
+  } catch (error) {
+    console.error('回收站操作失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: `回收站操作失败: ${error.message}`
+    });
+  }
+}
@@ -0,0 +1,31 @@
+import { buckets } from '../../src/bucket_store';
+
+/**
+ * 存储桶列表API
+ * 返回可以切换的存储桶（不含已停用的），供文件页面的存储桶切换器使用
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({
+      success: false,
+      error: `Method ${method} Not Allowed`
+    });
+  }
+
+  try {
+    const bucketList = await buckets.list();
+    res.status(200).json({
+      success: true,
+      buckets: bucketList.map(({ name, label, description }) => ({ name, label, description }))
+    });
+  } catch (error) {
+    console.error('获取存储桶列表失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: '获取存储桶列表失败'
+    });
+  }
+}
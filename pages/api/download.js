@@ -1,19 +1,57 @@
-import { TelegramStorage } from '../../src/telegram_storage';
+import { createBucketStorage } from '../../src/storage_provider.js';
 import { getMimeType, createContentDisposition } from '../../src/mime_types.js';
-import { redisClient } from '../../src/redis_client';
-import axios from 'axios';
-
-// 创建存储实例
-const telegramStorage = new TelegramStorage({
-  botToken: process.env.TELEGRAM_BOT_TOKEN,
-  chatId: process.env.TELEGRAM_CHAT_ID
-});
+import { buckets } from '../../src/bucket_store.js';
+import { shortLinks } from '../../src/short_link_store.js';
+import { verifyDownloadParams, getClientIp } from '../../src/signed_urls.js';
+import { parseRangeHeader, isRangeFresh, formatContentRange, createMultipartRanges } from '../../src/http_range.js';
+import { once } from 'events';
 
+/**
+ * 以 multipart/byteranges 格式依次发送多个区间
+ * @param {TelegramStorage} telegramStorage - 存储实例
+ * @param {Object} res - 响应对象
+ * @param {Object} fileInfo - 文件信息
+ * @param {Object} multipart - createMultipartRanges 的结果
+ * @param {Readable} firstStream - 已经打开的第一个区间的内容流
+ */
+async function sendMultipartRanges(telegramStorage, res, fileInfo, multipart, firstStream) {
+  for (let index = 0; index < multipart.parts.length; index++) {
+    const part = multipart.parts[index];
+    const stream = index === 0 ? firstStream : await telegramStorage.createDownloadStream(fileInfo, part.range);
+    
+    res.write(part.header);
+    for await (const chunk of stream) {
+      if (!res.write(chunk)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+      if (res.destroyed) {
+        // 客户端已断开
+        stream.destroy();
+        return;
+      }
+    }
+  }
+  res.end(multipart.trailer);
+}
 
+/**
+ * 生成下载令牌的 Set-Cookie 头
+ * 只发送给下载API，HttpOnly 防止页面脚本读取
+ * @param {Object} req - 请求对象
+ * @param {{name: string, value: string, maxAge: number}} cookie - 下载令牌 Cookie
+ * @returns {string} Set-Cookie 头的值
+ */
+function serializeDownloadCookie(req, cookie) {
+  const secure = req.headers['x-forwarded-proto'] === 'https' || Boolean(req.socket?.encrypted);
+  return `${cookie.name}=${cookie.value}; Path=/api/download; Max-Age=${cookie.maxAge}; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+}
 
 /**
  * 文件下载API
- * 支持原文件名下载、正确的MIME类型和短链接
+ * 支持原文件名下载、正确的MIME类型、短链接和 HTTP Range 区间请求；
+ * 有下载次数上限的短链接用完后返回 410，reason 说明失效原因；
+ * 带有 sig 参数时按签名链接处理（见 signed_urls.js），只校验签名，不读写短链接等记录；
+ * version 参数为历史版本的文件ID时下载该版本
  */
 export default async function handler(req, res) {
   const { method } = req;
@@ -23,91 +61,66 @@ export default async function handler(req, res) {
     return res.status(405).end(`Method ${method} Not Allowed`);
   }
 
-  const { fileId, s } = req.query; // s参数用于短链接
+  const { fileId, s, sig } = req.query; // s参数用于短链接，sig参数用于签名链接
   let actualFileId = fileId;
+  let shortLink = null;
+  // 请求带着的短链接下载令牌，说明这个客户端已经占用过一次下载次数
+  let downloadToken = null;
+  let signed = null;
+  
+  // 文件属于 bucket 参数指定的存储桶
+  let telegramStorage;
+  try {
+    const bucket = await buckets.resolve(req.query.bucket);
+    telegramStorage = createBucketStorage(bucket);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
   
-  // 处理短链接
-  if (s) {
+  // 处理签名链接：文件ID、存储桶和各项限制都在签名范围内，签名链接不能下载历史版本
+  if (sig) {
     try {
-      // 新的短链接处理逻辑：从所有文件中查找匹配的短链接
-      let foundFileInfo = null;
-      let foundFileId = null;
-      
-      // 首先尝试从旧的短链接键获取（向后兼容）
-      const oldShortLinkKey = `short:${s}`;
-      const oldShortLinkData = await redisClient.get(oldShortLinkKey);
-      
-      if (oldShortLinkData) {
-        // 处理旧格式的短链接
-        const expiresAt = new Date(oldShortLinkData.expiresAt);
-        if (expiresAt < new Date()) {
-          await redisClient.del(oldShortLinkKey); // 删除过期的短链接
-          return res.status(410).json({ 
-            success: false, 
-            error: '短链接已过期' 
-          });
-        }
-        
-        actualFileId = oldShortLinkData.fileId;
-        
-        // 更新访问计数
-        oldShortLinkData.accessCount = (oldShortLinkData.accessCount || 0) + 1;
-        oldShortLinkData.lastAccessAt = new Date().toISOString();
-        
-        const remainingTtl = Math.max(0, Math.floor((expiresAt - new Date()) / 1000));
-        await redisClient.set(oldShortLinkKey, oldShortLinkData, remainingTtl);
-        
-        console.log(`旧短链接访问: ${s} -> ${actualFileId}, 访问次数: ${oldShortLinkData.accessCount}`);
-      } else {
-        // 新格式：从文件信息中查找短链接
-        const files = await telegramStorage.listFiles();
-        
-        for (const file of files) {
-          const fileInfo = await telegramStorage.getFileInfo(file.fileId);
-          if (fileInfo.shortLink && fileInfo.shortLink.shortId === s) {
-            // 检查是否过期
-            const expiresAt = new Date(fileInfo.shortLink.expiresAt);
-            if (expiresAt < new Date()) {
-              // 清除过期的短链接
-              delete fileInfo.shortLink;
-              const fileKey = `file:${file.fileId}`;
-              await redisClient.set(fileKey, fileInfo, 86400 * 30);
-              
-              return res.status(410).json({ 
-                success: false, 
-                error: '短链接已过期' 
-              });
-            }
-            
-            foundFileInfo = fileInfo;
-            foundFileId = file.fileId;
-            break;
-          }
-        }
-        
-        if (!foundFileInfo) {
-          return res.status(404).json({ 
-            success: false, 
-            error: '短链接不存在或已过期' 
-          });
-        }
-        
-        actualFileId = foundFileId;
-        
-        // 更新访问计数
-        foundFileInfo.shortLink.accessCount = (foundFileInfo.shortLink.accessCount || 0) + 1;
-        foundFileInfo.shortLink.lastAccessAt = new Date().toISOString();
-        
-        // 更新文件信息
-        const fileKey = `file:${foundFileId}`;
-        await redisClient.set(fileKey, foundFileInfo, 86400 * 30);
-        
-        console.log(`新短链接访问: ${s} -> ${actualFileId}, 访问次数: ${foundFileInfo.shortLink.accessCount}`);
+      signed = verifyDownloadParams(req.query, { clientIp: getClientIp(req) });
+    } catch (error) {
+      if (!error.status) {
+        console.error('校验签名链接失败:', error);
       }
-      
+      return res.status(error.status || 500).json({ 
+        success: false, 
+        error: error.message,
+        reason: error.reason
+      });
+    }
+  }
+  const version = signed ? null : req.query.version;
+  
+  // 处理短链接：通过索引找到文件，短链接记录的存储桶优先于 bucket 参数
+  if (s && !signed) {
+    try {
+      downloadToken = await shortLinks.getDownloadToken(s, req.cookies);
+      // 是否为续传要在读取文件信息之后才能确定，带着令牌的区间请求先不检查下载次数，不是续传时由 reserveDownload 检查
+      const link = await shortLinks.resolve(s, { bucket: req.query.bucket, resumed: Boolean(downloadToken && req.headers.range) });
+      // 有密码的短链接需要先在短链接页面解锁
+      if (!shortLinks.isUnlocked(link, req.cookies)) {
+        return res.status(401).json({ 
+          success: false, 
+          error: '此分享链接需要密码，请先在分享页面输入密码',
+          unlockUrl: `/s/${encodeURIComponent(link.shortId)}`
+        });
+      }
+      telegramStorage = createBucketStorage(await buckets.resolve(link.bucket));
+      actualFileId = link.fileId;
+      shortLink = link;
     } catch (error) {
+      if (error.status === 404 || error.status === 410) {
+        return res.status(error.status).json({ 
+          success: false, 
+          error: error.message,
+          reason: error.reason
+        });
+      }
       console.error('处理短链接失败:', error);
-      return res.status(500).json({ 
+      return res.status(error.status || 500).json({ 
         success: false, 
         error: '短链接处理失败' 
       });
@@ -121,60 +134,163 @@ export default async function handler(req, res) {
     });
   }
 
+  // 是否已经占用了短链接的下载次数，开始传输之前失败时归还
+  let reserved = false;
   try {
-    // 获取文件信息
-    const fileInfo = await telegramStorage.getFileInfo(actualFileId);
-    
-    // 获取文件下载链接
-    const fileUrl = await telegramStorage.downloadFile(actualFileId);
-    
-    // 获取文件内容
-    const response = await axios.get(fileUrl, { 
-      responseType: 'stream',
-      timeout: 30000 // 30秒超时
-    });
+    // 获取文件信息，指定版本时获取该版本的记录
+    const fileInfo = version
+      ? await telegramStorage.getVersionInfo(actualFileId, version)
+      : await telegramStorage.getFileInfo(actualFileId);
     
     // 获取原文件名和MIME类型
     const originalFileName = fileInfo.fileName || 'download';
-    const mimeType = getMimeType(originalFileName);
+    // 端到端加密的文件内容是密文，由浏览器下载后自行解密
+    const mimeType = fileInfo.encryption ? 'application/octet-stream' : getMimeType(originalFileName);
+    const fileSize = Number.isSafeInteger(fileInfo.fileSize) ? fileInfo.fileSize : null;
+    const etag = `"${fileInfo.fileId || actualFileId}"`;
+    const lastModified = fileInfo.uploadTime ? new Date(fileInfo.uploadTime).toUTCString() : null;
     
-    // 设置优化的响应头
-    res.setHeader('Content-Type', mimeType);
-    res.setHeader('Content-Disposition', createContentDisposition(originalFileName));
+    // 解析区间请求，If-Range 校验不通过时按完整文件响应
+    let ranges = null;
+    if (req.headers.range && fileSize !== null && isRangeFresh(req.headers['if-range'], { etag, lastModified })) {
+      ranges = parseRangeHeader(req.headers.range, fileSize);
+    }
     
-    // 设置文件大小（如果可用）
-    if (fileInfo.fileSize) {
-      res.setHeader('Content-Length', fileInfo.fileSize);
+    if (ranges === -1) {
+      res.setHeader('Content-Range', formatContentRange(null, fileSize));
+      return res.status(416).json({ 
+        success: false, 
+        error: '请求的范围无效' 
+      });
+    }
+    
+    // 只有从文件中间开始、且令牌绑定的仍是这个文件的区间请求才属于已经开始的下载；
+    // 不带 Range 或从第 0 字节开始的请求是新的下载，即使带着令牌也占用下载次数
+    const resumedDownload = Boolean(downloadToken && ranges && downloadToken.etag === etag &&
+      ranges.every(range => range.start > 0));
+    
+    const multipart = ranges && ranges.length > 1 ? createMultipartRanges(ranges, fileSize, mimeType) : null;
+    
+    // 签名链接限制了单次响应的字节数，文件大小未知时同样拒绝
+    if (signed && signed.maxBytes) {
+      const responseBytes = ranges
+        ? ranges.reduce((total, range) => total + range.end - range.start + 1, 0)
+        : fileSize;
+      if (responseBytes === null || responseBytes > signed.maxBytes) {
+        return res.status(413).json({ 
+          success: false, 
+          error: `请求的内容超过签名链接允许的 ${signed.maxBytes} 字节` 
+        });
+      }
+    }
+    
+    // 短链接每次新的下载占用一次下载次数，达到上限后返回 410；
+    // 带着下载令牌的区间请求（断点续传、拖动进度、分段并行下载）属于同一次下载，不再占用
+    if (shortLink && !resumedDownload) {
+      const downloads = await shortLinks.reserveDownload(shortLink);
+      reserved = true;
+      const limitText = shortLink.maxDownloads ? ` / ${shortLink.maxDownloads}` : '';
+      console.log(`短链接访问: ${shortLink.shortId} -> ${actualFileId}, 下载次数: ${downloads}${limitText}`);
     }
     
-    // 设置缓存控制
-    res.setHeader('Cache-Control', 'public, max-age=3600'); // 1小时缓存
-    res.setHeader('ETag', `"${actualFileId}"`);
+    // 先打开第一段内容流（分片文件会按顺序拼接为一个流），让错误在开始响应之前抛出
+    const fileStream = await telegramStorage.createDownloadStream(fileInfo, ranges ? ranges[0] : null);
+    if (reserved) {
+      res.setHeader('Set-Cookie', serializeDownloadCookie(req, await shortLinks.createDownloadToken(shortLink, etag)));
+    }
+    reserved = false;
+    
+    // 设置优化的响应头
+    res.setHeader('Content-Disposition', createContentDisposition(originalFileName, signed ? signed.disposition : 'attachment'));
+    
+    // 设置缓存控制；签名链接不允许共享缓存，缓存时间不超过链接的有效期
+    if (signed) {
+      const remaining = signed.expires - Math.floor(Date.now() / 1000);
+      res.setHeader('Cache-Control', `private, max-age=${Math.max(0, Math.min(3600, remaining))}`);
+    } else {
+      res.setHeader('Cache-Control', 'public, max-age=3600'); // 1小时缓存
+    }
+    res.setHeader('ETag', etag);
+    if (lastModified) {
+      res.setHeader('Last-Modified', lastModified);
+    }
     
     // 设置安全头
     res.setHeader('X-Content-Type-Options', 'nosniff');
     res.setHeader('X-Frame-Options', 'DENY');
+    if (signed && signed.disposition === 'inline') {
+      // 直接显示的文件可能是HTML或SVG，禁止其中的脚本在本站点下运行
+      res.setHeader('Content-Security-Policy', "default-src 'none'; img-src 'self' data:; media-src 'self'; style-src 'unsafe-inline'; sandbox");
+    }
     
     // 支持断点续传
     res.setHeader('Accept-Ranges', 'bytes');
     
-    // 将文件流传输给客户端
-    response.data.pipe(res);
+    if (multipart) {
+      res.setHeader('Content-Type', multipart.contentType);
+      res.setHeader('Content-Length', multipart.contentLength);
+      res.status(206);
+      sendMultipartRanges(telegramStorage, res, fileInfo, multipart, fileStream).catch((streamError) => {
+        console.error('文件流传输失败:', streamError);
+        res.destroy(streamError);
+      });
+    } else {
+      res.setHeader('Content-Type', mimeType);
+      if (ranges) {
+        res.setHeader('Content-Range', formatContentRange(ranges[0], fileSize));
+        res.setHeader('Content-Length', ranges[0].end - ranges[0].start + 1);
+        res.status(206);
+      } else if (fileSize !== null) {
+        res.setHeader('Content-Length', fileSize);
+      }
+      
+      // 将文件流传输给客户端
+      fileStream.on('error', (streamError) => {
+        console.error('文件流传输失败:', streamError);
+        res.destroy(streamError);
+      });
+      fileStream.pipe(res);
+    }
     
     // 记录下载日志
-    console.log(`文件下载: ${originalFileName} (${actualFileId}), 大小: ${fileInfo.fileSize || 'unknown'} bytes`);
+    const rangeText = ranges ? `, 区间: ${ranges.map(range => `${range.start}-${range.end}`).join(',')}` : '';
+    console.log(`文件下载: ${originalFileName} (${fileInfo.fileId || actualFileId}), 大小: ${fileInfo.fileSize || 'unknown'} bytes${rangeText}`);
     
   } catch (error) {
+    if (reserved) {
+      await shortLinks.releaseDownload(shortLink).catch((releaseError) => {
+        console.error(`归还短链接 ${shortLink.shortId} 的下载次数失败:`, releaseError);
+      });
+    }
+    
+    // 并发下载时下载次数在占用时才用完
+    if (error.status === 410) {
+      return res.status(410).json({ 
+        success: false, 
+        error: error.message,
+        reason: error.reason
+      });
+    }
+    
     console.error('下载文件失败:', error);
     
     // 根据错误类型返回不同的状态码
-    if (error.message.includes('文件信息未找到') || error.message.includes('文件未找到')) {
+    // 本地磁盘和内存驱动的内容不存在时带有 404 状态码
+    if (error.message.includes('文件信息未找到') || error.message.includes('文件未找到') || error.status === 404) {
       return res.status(404).json({ 
         success: false, 
         error: '文件不存在或已被删除' 
       });
     }
     
+    // 单条消息超过当前 Bot API 服务器的下载上限
+    if (error.status === 413) {
+      return res.status(413).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+    
     if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
       return res.status(408).json({ 
         success: false, 
@@ -187,4 +303,4 @@ export default async function handler(req, res) {
       error: `下载失败: ${error.message}` 
     });
   }
-}
\ No newline at end of file
+}
\ No newline at end of file
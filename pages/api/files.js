@@ -1,6 +1,13 @@
-import { TelegramStorage } from '../../src/telegram_storage';
+import { createBucketStorage } from '../../src/storage_provider';
+import { buckets } from '../../src/bucket_store';
 import { IncomingForm } from 'formidable';
-import fs from 'fs';
+import { PassThrough } from 'stream';
+import { FILE_CONFIG } from '../../constants/config';
+import { hasTag } from '../../src/file_tags';
+import { parseFileQuery, hasSearchParams } from '../../src/file_index';
+import { normalizeEncryptionInfo } from '../../src/file_encryption';
+import { getRequestActor } from '../../src/trash_store';
+import { readThumbnail } from '../../src/thumbnails';
 
 // 禁用Next.js的默认body解析，以便处理文件上传
 export const config = {
@@ -9,70 +16,149 @@ export const config = {
   },
 };
 
-/**
- * 验证环境变量是否配置正确
- * @returns {Object} 验证结果
- */
-function validateEnvironmentVariables() {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
-  const chatId = process.env.TELEGRAM_CHAT_ID;
-  
-  if (!botToken) {
-    return { valid: false, error: '缺少环境变量 TELEGRAM_BOT_TOKEN' };
-  }
-  
-  if (!chatId) {
-    return { valid: false, error: '缺少环境变量 TELEGRAM_CHAT_ID' };
-  }
-  
-  return { valid: true, botToken, chatId };
-}
-
 export default async function handler(req, res) {
   const { method } = req;
   
-  // 验证环境变量
-  const envValidation = validateEnvironmentVariables();
-  if (!envValidation.valid) {
-    return res.status(500).json({ 
-      success: false, 
-      error: `配置错误: ${envValidation.error}` 
-    });
+  // 解析存储桶参数，未指定时使用默认存储桶；已停用的存储桶不能写入
+  let telegramStorage;
+  let bucket;
+  try {
+    bucket = await buckets.resolve(req.query.bucket, { write: method === 'POST' });
+    telegramStorage = createBucketStorage(bucket);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
   }
-  
-  // 创建TelegramStorage实例
-  const telegramStorage = new TelegramStorage({
-    botToken: envValidation.botToken,
-    chatId: envValidation.chatId
-  });
 
   switch (method) {
     case 'GET':
       try {
-        const files = await telegramStorage.listFiles();
+        const { path, tag } = req.query;
+        
+        // 使用搜索、筛选、排序或分页参数时走二级索引，按页返回并附带下一页游标
+        if (hasSearchParams(req.query)) {
+          const query = parseFileQuery(req.query);
+          const folders = query.folder !== null && !query.tag
+            ? await telegramStorage.folders.listSubfolders(query.folder)
+            : undefined;
+          const { files, nextCursor } = await telegramStorage.index.search(query);
+          return res.status(200).json({
+            success: true,
+            ...(folders ? { path: query.folder, folders } : {}),
+            files,
+            nextCursor
+          });
+        }
+        
+        const filterByTag = files => (tag ? files.filter(file => hasTag(file, tag)) : files);
+        
+        // 指定 path 时只列出该文件夹的直接内容
+        if (path !== undefined) {
+          const directory = await telegramStorage.folders.listDirectory(path);
+          return res.status(200).json({ success: true, ...directory, files: filterByTag(directory.files) });
+        }
+        
+        // 指定 tag 时只返回带有该标签的文件（不区分大小写）
+        const files = filterByTag(await telegramStorage.listFiles());
         res.status(200).json({ success: true, files });
       } catch (error) {
         console.error('获取文件列表失败:', error);
-        res.status(500).json({ success: false, error: '获取文件列表失败' });
+        res.status(error.status || 500).json({ 
+          success: false, 
+          error: error.status ? error.message : '获取文件列表失败' 
+        });
       }
       break;
 
     case 'POST':
-      // 上传文件
+      // 上传文件：multipart 中的文件内容直接以流的方式转发到 Telegram，不落盘也不整体读入内存
       try {
-        const form = new IncomingForm();
-        form.parse(req, async (err, fields, files) => {
+        let declaredSize = null;
+        let folder = undefined;
+        let encryption = null;
+        let encryptionError = null;
+        let uploadTask = null;
+        let thumbnailTask = null;
+        
+        const form = new IncomingForm({
+          maxFileSize: FILE_CONFIG.MAX_FILE_SIZE,
+          maxTotalFileSize: FILE_CONFIG.MAX_FILE_SIZE,
+          // 只处理第一个名为 file 的文件字段，以及在它之前提交的 thumbnail 缩略图
+          filter: part => !uploadTask && (part.name === 'file' || (part.name === 'thumbnail' && !thumbnailTask)),
+          fileWriteStreamHandler: (file) => {
+            const uploadStream = new PassThrough();
+            const fileName = file.originalFilename || 'upload';
+            
+            if (file.formName === 'thumbnail') {
+              // 缩略图无效时只记录警告，文件照常上传
+              thumbnailTask = readThumbnail(uploadStream).catch(error => {
+                console.warn('缩略图无效，已忽略:', error.message);
+                return null;
+              });
+              return uploadStream;
+            }
+            
+            if (encryptionError) {
+              // 加密参数无效时不上传，丢弃文件内容
+              uploadTask = Promise.resolve({ error: encryptionError, fileName });
+              uploadStream.resume();
+              return uploadStream;
+            }
+            
+            console.log(`开始流式上传文件: ${fileName}, 声明大小: ${declaredSize ?? 'unknown'} bytes${encryption ? '（已加密）' : ''}`);
+            
+            uploadTask = Promise.resolve(thumbnailTask)
+              .then(thumbnail => telegramStorage.uploadFile(uploadStream, fileName, {
+                fileSize: declaredSize ?? undefined,
+                folder,
+                encryption: encryption ?? undefined,
+                thumbnail: thumbnail ?? undefined
+              }))
+              .then(result => ({ result, fileName }))
+              .catch(error => {
+                // 上传失败后丢弃剩余数据，让表单解析能够正常结束
+                uploadStream.destroy();
+                return { error, fileName };
+              });
+            
+            return uploadStream;
+          }
+        });
+        
+        // 记录文件所属的表单字段，fileWriteStreamHandler 据此区分文件和缩略图
+        form.on('fileBegin', (name, file) => {
+          file.formName = name;
+        });
+        
+        // 客户端在文件字段之前提交 fileSize（用于大文件分片，超过分片大小的文件必须提供）、folder（目标文件夹）
+        // 和 encryption（客户端加密参数的JSON，内容为密文时提供）
+        form.on('field', (name, value) => {
+          if (name === 'fileSize') {
+            const size = parseInt(value, 10);
+            declaredSize = Number.isFinite(size) ? size : null;
+          } else if (name === 'folder') {
+            folder = value;
+          } else if (name === 'encryption') {
+            try {
+              encryption = normalizeEncryptionInfo(value);
+            } catch (error) {
+              encryptionError = error;
+            }
+          }
+        });
+        
+        form.parse(req, async (err) => {
           if (err) {
             console.error('文件解析错误:', err);
-            return res.status(500).json({ 
+            if (uploadTask) {
+              await uploadTask;
+            }
+            return res.status(err.httpCode || 500).json({ 
               success: false, 
               error: `文件解析失败: ${err.message}` 
             });
           }
 
-          // 在formidable v3中，files.file是一个数组
-          const fileArray = files.file;
-          if (!fileArray || !Array.isArray(fileArray) || fileArray.length === 0) {
+          if (!uploadTask) {
             console.error('没有提供文件');
             return res.status(400).json({ 
               success: false, 
@@ -80,33 +166,29 @@ export default async function handler(req, res) {
             });
           }
 
-          const [file] = fileArray; // 获取第一个文件
-          if (!file || !file.filepath) {
-            console.error('文件对象无效或缺少文件路径');
-            return res.status(400).json({ 
-              success: false, 
-              error: '文件对象无效或缺少文件路径' 
-            });
-          }
-
-          try {
-            console.log(`开始上传文件: ${file.originalFilename}, 大小: ${file.size} bytes`);
-            const fileBuffer = fs.readFileSync(file.filepath);
-            const result = await telegramStorage.uploadFile(fileBuffer, file.originalFilename);
-            
-            console.log(`文件上传成功: ${file.originalFilename}, fileId: ${result.fileId}`);
-            res.status(200).json({ 
-              success: true, 
-              fileId: result.fileId, 
-              messageId: result.messageId 
-            });
-          } catch (uploadError) {
+          const { result, error: uploadError, fileName } = await uploadTask;
+          if (uploadError) {
             console.error('文件上传到Telegram失败:', uploadError);
-            return res.status(500).json({ 
+            // 被Telegram限流时告诉客户端需要等待的时间
+            if (uploadError.retryAfter) {
+              res.setHeader('Retry-After', String(uploadError.retryAfter));
+            }
+            return res.status(uploadError.status || 500).json({ 
               success: false, 
               error: `上传失败: ${uploadError.message}` 
             });
           }
+          
+          console.log(`文件上传成功: ${fileName}, fileId: ${result.fileId}, 大小: ${result.fileSize} bytes`);
+          await telegramStorage.flushChatIndex();
+          res.status(200).json({ 
+            success: true, 
+            fileId: result.fileId, 
+            messageId: result.messageId,
+            fileSize: result.fileSize,
+            sha256: result.sha256,
+            deduplicated: result.deduplicated
+          });
         });
       } catch (error) {
         console.error('POST请求处理错误:', error);
@@ -118,20 +200,22 @@ export default async function handler(req, res) {
       break;
 
     case 'DELETE':
-      // 删除文件
+      // 把文件移到回收站
       try {
         const { messageId } = req.query;
         if (!messageId) {
           return res.status(400).json({ success: false, error: '没有提供消息ID' });
         }
 
-        const result = await telegramStorage.deleteFile(messageId);
-        res.status(200).json({ success: true, result });
+        await telegramStorage.trashAndPurge(messageId, { deletedBy: getRequestActor(req) });
+        res.status(200).json({ success: true, result: true });
       } catch (error) {
         console.error('删除文件API错误:', error);
         
         // 根据错误类型返回适当的状态码和错误信息
-        if (error.message.includes('网络连接超时') || error.message.includes('timeout')) {
+        if (error.status === 404) {
+          res.status(404).json({ success: false, error: error.message });
+        } else if (error.message.includes('网络连接超时') || error.message.includes('timeout')) {
           res.status(408).json({ 
             success: false, 
             error: error.message,
@@ -1,26 +1,106 @@
-import { TelegramStorage } from '../../../src/telegram_storage';
+import { createBucketStorage } from '../../../src/storage_provider';
+import { buckets } from '../../../src/bucket_store';
+import { normalizeTags } from '../../../src/file_tags';
+import { getRequestActor } from '../../../src/trash_store';
+
+// 文件名和描述的长度限制（描述会写入最长 1024 字符的消息说明）
+const MAX_FILE_NAME_LENGTH = 255;
+const MAX_DESCRIPTION_LENGTH = 500;
 
 /**
- * 验证环境变量是否配置正确
- * @returns {Object} 验证结果
+ * 校验 PATCH 请求体
+ * @param {Object} body - 请求体
+ * @returns {Object} 校验结果，valid 为 true 时 changes 为规范化后的修改内容
  */
-function validateEnvironmentVariables() {
-  const botToken = process.env.TELEGRAM_BOT_TOKEN;
-  const chatId = process.env.TELEGRAM_CHAT_ID;
-  
-  if (!botToken) {
-    return { valid: false, error: '缺少环境变量 TELEGRAM_BOT_TOKEN' };
+function validateFileChanges(body) {
+  const { fileName, description, tags } = body || {};
+  const changes = {};
+
+  if (fileName !== undefined) {
+    const trimmed = typeof fileName === 'string' ? fileName.trim() : '';
+    if (!trimmed || trimmed === '.' || trimmed === '..') {
+      return { valid: false, error: '文件名不能为空' };
+    }
+    if (trimmed.length > MAX_FILE_NAME_LENGTH) {
+      return { valid: false, error: `文件名不能超过 ${MAX_FILE_NAME_LENGTH} 个字符` };
+    }
+    if (/[/\\\x00-\x1f]/.test(trimmed)) {
+      return { valid: false, error: '文件名不能包含斜杠或控制字符' };
+    }
+    changes.fileName = trimmed;
+  }
+
+  if (description !== undefined) {
+    if (typeof description !== 'string') {
+      return { valid: false, error: '描述必须是字符串' };
+    }
+    if (description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      return { valid: false, error: `描述不能超过 ${MAX_DESCRIPTION_LENGTH} 个字符` };
+    }
+    changes.description = description.trim();
+  }
+
+  if (tags !== undefined) {
+    try {
+      changes.tags = normalizeTags(tags);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { valid: false, error: '没有提供要修改的字段 (fileName, description, tags)' };
+  }
+
+  return { valid: true, changes };
+}
+
+/**
+ * 重命名文件或修改描述、标签
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {TelegramStorage} telegramStorage - 存储实例
+ * @param {string} messageId - 消息ID
+ */
+async function handlePatch(req, res, telegramStorage, messageId) {
+  const validation = validateFileChanges(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ 
+      success: false, 
+      error: validation.error 
+    });
   }
-  
-  if (!chatId) {
-    return { valid: false, error: '缺少环境变量 TELEGRAM_CHAT_ID' };
+
+  try {
+    const file = await telegramStorage.findFileByMessageId(messageId);
+    if (!file) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '文件不存在或已被删除',
+        messageId
+      });
+    }
+
+    const updated = await telegramStorage.updateFileDetails(file.fileId, validation.changes);
+    await telegramStorage.flushChatIndex();
+    console.log(`文件信息已更新，消息ID: ${messageId}`);
+    res.status(200).json({ 
+      success: true, 
+      file: updated 
+    });
+  } catch (error) {
+    console.error(`更新文件信息失败 (消息ID: ${messageId}):`, error);
+    res.status(error.status || 500).json({ 
+      success: false, 
+      error: error.message || '更新文件信息失败',
+      messageId
+    });
   }
-  
-  return { valid: true, botToken, chatId };
 }
 
 /**
- * 处理单个文件的删除请求
+ * 单个文件API
+ * DELETE 把文件移到回收站，PATCH 重命名文件或修改描述、标签
  * @param {Object} req - 请求对象
  * @param {Object} res - 响应对象
  */
@@ -28,9 +108,8 @@ export default async function handler(req, res) {
   const { method, query } = req;
   const { messageId } = query;
 
-  // 只允许DELETE方法
-  if (method !== 'DELETE') {
-    res.setHeader('Allow', ['DELETE']);
+  if (method !== 'DELETE' && method !== 'PATCH') {
+    res.setHeader('Allow', ['DELETE', 'PATCH']);
     return res.status(405).json({ 
       success: false, 
       error: `Method ${method} Not Allowed` 
@@ -45,29 +124,30 @@ export default async function handler(req, res) {
     });
   }
 
-  // 验证环境变量
-  const envValidation = validateEnvironmentVariables();
-  if (!envValidation.valid) {
-    return res.status(500).json({ 
-      success: false, 
-      error: `配置错误: ${envValidation.error}` 
-    });
+  // 解析存储桶参数，未指定时使用默认存储桶；已停用的存储桶不能写入
+  let telegramStorage;
+  let bucket;
+  try {
+    bucket = await buckets.resolve(req.query.bucket, { write: method === 'PATCH' });
+    telegramStorage = createBucketStorage(bucket);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
   }
 
-  // 创建TelegramStorage实例
-  const telegramStorage = new TelegramStorage({
-    botToken: envValidation.botToken,
-    chatId: envValidation.chatId
-  });
+  if (method === 'PATCH') {
+    return handlePatch(req, res, telegramStorage, messageId);
+  }
 
   try {
     console.log(`开始删除文件，消息ID: ${messageId}`);
-    const result = await telegramStorage.deleteFile(messageId);
-    
-    console.log(`文件删除成功，消息ID: ${messageId}`);
+    // 文件先移到回收站，消息在保留期限过后才真正删除
+    const trashed = await telegramStorage.trashAndPurge(messageId, { deletedBy: getRequestActor(req) });
+
+    console.log(`文件已移到回收站，消息ID: ${messageId}`);
     res.status(200).json({ 
       success: true, 
-      result,
+      result: true,
+      trashed: { fileId: trashed.file.fileId, deletedAt: trashed.deletedAt, deletedBy: trashed.deletedBy },
       messageId 
     });
   } catch (error) {
@@ -124,7 +204,7 @@ export default async function handler(req, res) {
         suggestion: 'Telegram API连接失败，请稍后重试',
         messageId
       });
-    } else if (error.message.includes('文件不存在') || error.message.includes('not found')) {
+    } else if (error.status === 404 || error.message.includes('文件不存在') || error.message.includes('not found')) {
       res.status(404).json({ 
         success: false, 
         error: '文件不存在或已被删除',
@@ -0,0 +1,73 @@
+import { createBucketStorage } from '../../../../src/storage_provider.js';
+import { buckets } from '../../../../src/bucket_store.js';
+import { THUMBNAIL_CONTENT_TYPE } from '../../../../src/thumbnails.js';
+
+/**
+ * 文件缩略图API
+ * GET 返回文件的 JPEG 缩略图；查询参数 fileId 为文件ID，按文件ID直接读取记录，不读取整个文件列表；
+ * thumb 参数与文件当前的缩略图ID相同时允许浏览器长期缓存，否则每次通过 ETag 重新验证
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export default async function handler(req, res) {
+  const { method, query } = req;
+  const { messageId, fileId, thumb } = query;
+
+  if (method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({
+      success: false,
+      error: `Method ${method} Not Allowed`
+    });
+  }
+
+  if (!messageId || !fileId) {
+    return res.status(400).json({
+      success: false,
+      error: '没有提供消息ID或文件ID'
+    });
+  }
+
+  try {
+    const bucket = await buckets.resolve(req.query.bucket);
+    const telegramStorage = createBucketStorage(bucket);
+
+    const file = await telegramStorage.getFileInfo(fileId).catch(() => null);
+    if (!file || String(file.messageId) !== String(messageId)) {
+      return res.status(404).json({
+        success: false,
+        error: '文件不存在或已被删除',
+        messageId
+      });
+    }
+
+    const etag = `"thumb-${file.thumbFileId}"`;
+    if (file.thumbFileId && req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    const stream = await telegramStorage.createThumbnailStream(file);
+    res.setHeader('Content-Type', THUMBNAIL_CONTENT_TYPE);
+    // 地址中的缩略图ID与当前的相同时，这个地址的内容不会再变化
+    res.setHeader('Cache-Control', thumb === file.thumbFileId ? 'public, max-age=31536000, immutable' : 'no-cache');
+    res.setHeader('ETag', etag);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.status(200);
+
+    stream.on('error', (streamError) => {
+      console.error(`缩略图传输失败 (消息ID: ${messageId}):`, streamError);
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    // 没有缩略图是正常情况，由前端显示图标
+    if (error.status !== 404) {
+      console.error(`获取缩略图失败 (消息ID: ${messageId}):`, error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || '获取缩略图失败',
+      messageId
+    });
+  }
+}
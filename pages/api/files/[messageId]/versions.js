@@ -0,0 +1,69 @@
+import { createBucketStorage } from '../../../../src/storage_provider';
+import { buckets } from '../../../../src/bucket_store';
+
+/**
+ * 文件版本历史API
+ * GET 列出文件的当前版本和历史版本；POST { action: 'restore', versionFileId } 把历史版本恢复为当前版本
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export default async function handler(req, res) {
+  const { method, query } = req;
+  const { messageId } = query;
+
+  if (method !== 'GET' && method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ 
+      success: false, 
+      error: `Method ${method} Not Allowed` 
+    });
+  }
+
+  if (!messageId) {
+    return res.status(400).json({ 
+      success: false, 
+      error: '没有提供消息ID' 
+    });
+  }
+
+  try {
+    // 已停用的存储桶只能查看版本历史，不能恢复
+    const bucket = await buckets.resolve(req.query.bucket, { write: method === 'POST' });
+    const telegramStorage = createBucketStorage(bucket);
+
+    const file = await telegramStorage.findFileByMessageId(messageId);
+    if (!file) {
+      return res.status(404).json({ 
+        success: false, 
+        error: '文件不存在或已被删除',
+        messageId
+      });
+    }
+
+    if (method === 'GET') {
+      const history = await telegramStorage.listVersions(file.fileId);
+      await telegramStorage.flushChatIndex();
+      return res.status(200).json({ success: true, ...history });
+    }
+
+    const { action, versionFileId } = req.body || {};
+    if (action !== 'restore') {
+      return res.status(400).json({ success: false, error: 'action 只能是 restore' });
+    }
+    if (!versionFileId) {
+      return res.status(400).json({ success: false, error: '没有提供要恢复的版本ID' });
+    }
+
+    const restored = await telegramStorage.restoreVersion(file.fileId, versionFileId);
+    await telegramStorage.flushChatIndex();
+    console.log(`文件版本已恢复，消息ID: ${messageId} -> ${restored.messageId}`);
+    res.status(200).json({ success: true, file: restored });
+  } catch (error) {
+    console.error(`文件版本操作失败 (消息ID: ${messageId}):`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || '文件版本操作失败',
+      messageId
+    });
+  }
+}
@@ -0,0 +1,60 @@
+import { createBucketStorage } from '../../../../src/storage_provider';
+import { buckets } from '../../../../src/bucket_store';
+
+/**
+ * 批量移动文件API
+ * 请求体: { fileIds: string[], folder: string }，目标文件夹不存在时自动创建
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ 
+      success: false, 
+      error: `Method ${method} Not Allowed` 
+    });
+  }
+
+  const { fileIds, folder } = req.body || {};
+  if (!Array.isArray(fileIds) || fileIds.length === 0) {
+    return res.status(400).json({ 
+      success: false, 
+      error: '没有提供要移动的文件' 
+    });
+  }
+
+  // 解析存储桶参数，未指定时使用默认存储桶；已停用的存储桶不能写入
+  let telegramStorage;
+  let bucket;
+  try {
+    bucket = await buckets.resolve(req.query.bucket, { write: true });
+    telegramStorage = createBucketStorage(bucket);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+
+  const results = [];
+  for (const fileId of fileIds) {
+    try {
+      const file = await telegramStorage.folders.moveFile(fileId, folder);
+      results.push({ fileId, success: true, folder: file.folder });
+    } catch (error) {
+      console.error(`移动文件失败 (${fileId}):`, error);
+      // 目标文件夹无效时所有文件都会失败，直接返回
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      results.push({ fileId, success: false, error: error.message });
+    }
+  }
+
+  await telegramStorage.flushChatIndex();
+
+  const failed = results.filter(result => !result.success).length;
+  console.log(`批量移动文件到 ${folder || '/'}: 成功 ${results.length - failed} 个，失败 ${failed} 个`);
+  res.status(200).json({ 
+    success: failed === 0, 
+    results 
+  });
+}
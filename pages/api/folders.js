@@ -0,0 +1,92 @@
+import { createBucketStorage } from '../../src/storage_provider';
+import { buckets } from '../../src/bucket_store';
+import { getRequestActor } from '../../src/trash_store';
+
+/**
+ * 虚拟文件夹API
+ * GET 列出所有文件夹，POST 创建，PATCH 重命名、移动或设置版本控制，DELETE 删除
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+
+  // 解析存储桶参数，未指定时使用默认存储桶；已停用的存储桶不能写入
+  let telegramStorage;
+  let bucket;
+  try {
+    bucket = await buckets.resolve(req.query.bucket, { write: method !== 'GET' });
+    telegramStorage = createBucketStorage(bucket);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+  const { folders } = telegramStorage;
+
+  try {
+    switch (method) {
+      case 'GET': {
+        const folderList = await folders.listFolders();
+        return res.status(200).json({ success: true, folders: folderList });
+      }
+
+      case 'POST': {
+        // 创建文件夹：{ path }
+        const { path } = req.body || {};
+        if (!path) {
+          return res.status(400).json({ success: false, error: '没有提供文件夹路径' });
+        }
+
+        const created = await folders.createFolder(path);
+        await telegramStorage.flushChatIndex();
+        console.log(`文件夹已创建: ${created}`);
+        return res.status(201).json({ success: true, path: created });
+      }
+
+      case 'PATCH': {
+        // 重命名：{ path, name }；移动：{ path, parent }；版本控制：{ path, versioning }，versioning 为 null 时沿用上级设置
+        const { path, name, parent, versioning } = req.body || {};
+        if (!path) {
+          return res.status(400).json({ success: false, error: '没有提供文件夹路径' });
+        }
+
+        let result;
+        if (name !== undefined) {
+          result = await folders.renameFolder(path, name);
+        } else if (parent !== undefined) {
+          const folderName = path.split('/').filter(Boolean).pop();
+          result = await folders.moveFolder(path, `${parent}/${folderName}`);
+        } else if (versioning !== undefined) {
+          result = { versioning: await telegramStorage.versions.setFolderPolicy(path, versioning) };
+        } else {
+          return res.status(400).json({ success: false, error: '需要提供新名称 name、目标文件夹 parent 或版本控制设置 versioning' });
+        }
+        await telegramStorage.flushChatIndex();
+
+        return res.status(200).json({ success: true, ...result });
+      }
+
+      case 'DELETE': {
+        // 删除文件夹：?path=/a&recursive=true
+        const { path, recursive } = req.query;
+        if (!path) {
+          return res.status(400).json({ success: false, error: '没有提供文件夹路径' });
+        }
+
+        const result = await folders.deleteFolder(path, { recursive: recursive === 'true', deletedBy: getRequestActor(req) });
+        await telegramStorage.flushChatIndex();
+        return res.status(200).json({ success: true, ...result });
+      }
+
+      default:
+        res.setHeader('Allow', ['GET', 'POST', 'PATCH', 'DELETE']);
+        return res.status(405).json({
+          success: false,
+          error: `Method ${method} Not Allowed`
+        });
+    }
+  } catch (error) {
+    console.error('文件夹操作失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || '文件夹操作失败'
+    });
+  }
+}
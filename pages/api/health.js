@@ -23,8 +23,9 @@ export default function handler(req, res) {
       icon: 'fas fa-heart text-success'
     };
 
-    // 检查环境变量
-    const requiredEnvVars = ['TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID'];
+    // 检查环境变量，默认存储桶不使用 Telegram 驱动时不需要机器人配置
+    const storageDriver = (process.env.STORAGE_DRIVER || 'telegram').trim().toLowerCase();
+    const requiredEnvVars = storageDriver === 'telegram' ? ['TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID'] : [];
     const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
     
     if (missingEnvVars.length > 0) {
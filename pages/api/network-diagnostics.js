@@ -3,7 +3,8 @@
  * 提供网络连接状态检测和诊断功能
  */
 
-import { TelegramStorage } from '../../src/telegram_storage.js';
+import { createBucketStorage } from '../../src/storage_provider.js';
+import { buckets } from '../../src/bucket_store.js';
 
 /**
  * 网络诊断 API 处理函数
@@ -21,33 +22,42 @@ export default async function handler(req, res) {
   }
 
   try {
-    // 检查必要的环境变量
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
-    const chatId = process.env.TELEGRAM_CHAT_ID;
-
-    if (!botToken || !chatId) {
-      return res.status(500).json({
+    // 诊断 bucket 参数指定的存储桶所用的存储驱动
+    let telegramStorage;
+    try {
+      const bucket = await buckets.resolve(req.query.bucket);
+      telegramStorage = createBucketStorage(bucket);
+    } catch (error) {
+      return res.status(error.status || 500).json({
         success: false,
-        error: 'Telegram 配置缺失',
-        errorType: 'CONFIG_MISSING',
-        details: {
-          hasBotToken: !!botToken,
-          hasChatId: !!chatId
-        }
+        error: error.message,
+        errorType: 'CONFIG_MISSING'
       });
     }
 
-    // 创建 TelegramStorage 实例
-    const telegramStorage = new TelegramStorage({
-      botToken,
-      chatId
-    });
-
     console.log('[网络诊断] 开始执行网络连接诊断...');
     
     // 执行网络诊断
     const diagnostics = await telegramStorage.diagnoseNetworkConnection();
     
+    // 本地磁盘和内存驱动不依赖网络，直接使用驱动的检查结果
+    if (!telegramStorage.chatBacked) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...diagnostics,
+          overallHealth: {
+            status: diagnostics.healthy ? 'healthy' : 'critical',
+            score: diagnostics.healthy ? 1 : 0,
+            maxScore: 1,
+            issues: diagnostics.details.filter(detail => detail.status === 'error').map(detail => detail.message)
+          },
+          suggestions: [],
+          performedAt: new Date().toISOString()
+        }
+      });
+    }
+    
     // 计算总体健康状态
     const overallHealth = {
       status: 'healthy',
@@ -1,17 +1,16 @@
-import { TelegramStorage } from '../../src/telegram_storage';
-import { redisClient } from '../../src/redis_client';
-import crypto from 'crypto';
-
-// 创建TelegramStorage实例
-const telegramStorage = new TelegramStorage({
-  botToken: process.env.TELEGRAM_BOT_TOKEN,
-  chatId: process.env.TELEGRAM_CHAT_ID
-});
+import { createBucketStorage } from '../../src/storage_provider';
+import { buckets } from '../../src/bucket_store';
+import { shortLinks, buildShortUrl, isShortLinkExpired } from '../../src/short_link_store';
 
 /**
  * 短链接生成API
- * 为文件生成短链接，支持自定义过期时间
- * 优化版本：将短链接信息存储在文件信息中，避免创建额外的键
+ * 为文件生成短链接，支持自定义过期时间；
+ * 短链接写入全局索引（见 short_link_store.js），文件记录中保留短链接ID用于复用未过期的短链接。
+ * password 参数设置或修改分享密码，为 null 或空字符串时移除密码，不提供时保持不变；
+ * maxDownloads 参数限制下载次数，用完后短链接失效，为 null 或 0 时不限次数，不提供时保持不变；
+ * burnAfterDownload 为 true 时等同于 maxDownloads 为 1，即下载一次后失效；
+ * slug 参数指定自定义短链接ID，总是生成新的短链接，已被占用时返回 409。
+ * 生成后的短链接通过 /api/short-links 查看、修改ID、撤销和延长
  */
 export default async function handler(req, res) {
   const { method } = req;
@@ -22,7 +21,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { fileId, expiresIn = 3600 } = req.body; // 默认1小时过期
+    const { fileId, expiresIn = 3600, password, burnAfterDownload, slug } = req.body; // 默认1小时过期
+    const maxDownloads = burnAfterDownload ? 1 : req.body.maxDownloads;
     
     if (!fileId) {
       return res.status(400).json({ 
@@ -31,6 +31,10 @@ export default async function handler(req, res) {
       });
     }
 
+    // 短链接属于文件所在的存储桶
+    const bucket = await buckets.resolve(req.query.bucket);
+    const telegramStorage = createBucketStorage(bucket);
+
     // 获取文件信息
     let fileInfo;
     try {
@@ -45,45 +49,67 @@ export default async function handler(req, res) {
     const now = new Date();
     const expiresAt = new Date(now.getTime() + expiresIn * 1000);
     
-    // 检查是否已有有效的短链接
-    if (fileInfo.shortLink && fileInfo.shortLink.expiresAt) {
-      const existingExpiresAt = new Date(fileInfo.shortLink.expiresAt);
-      if (existingExpiresAt > now) {
-        // 已有有效短链接，直接返回
-        const baseUrl = req.headers.host ? `https://${req.headers.host}` : 'http://localhost:3000';
-        const shortUrl = `${baseUrl}/api/download?s=${fileInfo.shortLink.shortId}`;
+    // 检查是否已有有效的短链接（已撤销、已过期或下载次数已用完的短链接不再复用）；
+    // 过期时间以索引为准，在管理接口中延长后仍然复用
+    if (!slug && fileInfo.shortLink && fileInfo.shortLink.shortId) {
+      let existing = await shortLinks.get(fileInfo.shortLink.shortId);
+      if (existing && (isShortLinkExpired(existing, now) || await shortLinks.isExhausted(existing))) {
+        existing = null;
+      }
+      if (existing) {
+        // 已有有效短链接，按需修改密码和下载次数上限后直接返回
+        if (password !== undefined || maxDownloads !== undefined) {
+          existing = await shortLinks.update(existing.shortId, {
+            password: password === undefined ? undefined : password || null,
+            maxDownloads
+          });
+          console.log(`短链接 ${existing.shortId} 的分享设置已更新`);
+        }
+        const shortUrl = buildShortUrl(req, existing.shortId);
         
         console.log(`使用现有短链接: ${shortUrl} -> ${fileId}`);
         
         return res.status(200).json({ 
           success: true, 
           shortUrl,
-          shortId: fileInfo.shortLink.shortId,
-          expiresIn: Math.floor((existingExpiresAt - now) / 1000),
-          expiresAt: fileInfo.shortLink.expiresAt,
+          shortId: existing.shortId,
+          expiresIn: existing.expiresAt ? Math.floor((new Date(existing.expiresAt) - now) / 1000) : null,
+          expiresAt: existing.expiresAt,
+          hasPassword: Boolean(existing.password),
+          maxDownloads: existing.maxDownloads || null,
+          downloads: await shortLinks.getAccessCount(existing.shortId),
           isExisting: true
         });
       }
     }
 
-    // 生成新的短链接ID（8位随机字符串）
-    const shortId = crypto.randomBytes(4).toString('hex');
+    // 写入短链接索引，未指定自定义ID时短链接ID为8位随机字符串
+    const link = await shortLinks.create({
+      bucket: bucket.name,
+      fileId,
+      shortId: slug || undefined,
+      createdAt: now.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      password: password || undefined,
+      maxDownloads
+    });
+    const { shortId } = link;
     
-    // 将短链接信息添加到文件信息中
+    // 将短链接信息添加到文件信息中，访问次数记录在索引中；
+    // 只修改 shortLink 字段，不覆盖同时进行的重命名、修改标签等，失败时下次生成短链接不能复用
     fileInfo.shortLink = {
       shortId,
       createdAt: now.toISOString(),
-      expiresAt: expiresAt.toISOString(),
-      accessCount: 0
+      expiresAt: expiresAt.toISOString()
     };
-    
-    // 更新文件信息到Redis
-    const fileKey = `file:${fileId}`;
-    await redisClient.set(fileKey, JSON.stringify(fileInfo), 86400 * 30); // 30天过期
+    try {
+      await telegramStorage.updateFileRecord(fileId, { shortLink: fileInfo.shortLink });
+    } catch (error) {
+      console.warn(`记录文件 ${fileId} 的短链接失败:`, error.message);
+    }
     
     // 生成短链接URL
-    const baseUrl = req.headers.host ? `https://${req.headers.host}` : 'http://localhost:3000';
-    const shortUrl = `${baseUrl}/api/download?s=${shortId}`;
+    const shortUrl = buildShortUrl(req, shortId);
     
     console.log(`生成新短链接: ${shortUrl} -> ${fileId}, 过期时间: ${expiresIn}秒`);
     
@@ -93,12 +119,15 @@ export default async function handler(req, res) {
       shortId,
       expiresIn,
       expiresAt: fileInfo.shortLink.expiresAt,
+      hasPassword: Boolean(link.password),
+      maxDownloads: link.maxDownloads || null,
+      downloads: 0,
       isExisting: false
     });
     
   } catch (error) {
     console.error('生成短链接失败:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false, 
       error: `生成短链接失败: ${error.message}` 
     });
@@ -0,0 +1,52 @@
+import { shortLinks } from '../../../../src/short_link_store';
+
+/**
+ * 生成 Set-Cookie 头
+ * Cookie 名称按短链接区分，只用于这一个短链接；HttpOnly 防止页面脚本读取
+ * @param {Object} req - 请求对象
+ * @param {{name: string, value: string, maxAge: number}} cookie - 解锁 Cookie
+ * @returns {string} Set-Cookie 头的值
+ */
+function serializeUnlockCookie(req, cookie) {
+  const secure = req.headers['x-forwarded-proto'] === 'https' || Boolean(req.socket?.encrypted);
+  return `${cookie.name}=${cookie.value}; Path=/; Max-Age=${cookie.maxAge}; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+}
+
+/**
+ * 短链接解锁API
+ * POST 提交分享密码，正确时设置该短链接的解锁 Cookie；
+ * 每个短链接在一段时间内只允许有限次数的尝试，超过后返回 429
+ */
+export default async function handler(req, res) {
+  const { method, query } = req;
+  const { shortId } = query;
+
+  if (method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  try {
+    const link = await shortLinks.resolve(shortId);
+    const cookie = await shortLinks.unlock(link, req.body?.password);
+    if (cookie) {
+      res.setHeader('Set-Cookie', serializeUnlockCookie(req, cookie));
+    }
+
+    res.status(200).json({
+      success: true,
+      downloadUrl: `/api/download?s=${encodeURIComponent(link.shortId)}`
+    });
+  } catch (error) {
+    if (error.status === 429) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+      console.warn(`短链接 ${shortId} 的密码错误次数过多，暂时拒绝解锁`);
+    } else if (!error.status || error.status >= 500) {
+      console.error('解锁短链接失败:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,194 @@
+import { redisClient } from '../../../src/redis_client.js';
+import { buckets, getBucketKeyPrefix } from '../../../src/bucket_store.js';
+import { createBucketStorage } from '../../../src/storage_provider.js';
+import { shortLinks, toPublicLink, buildShortUrl, isShortLinkExpired } from '../../../src/short_link_store.js';
+
+/**
+ * 查找短链接对应的文件名
+ * 批量读取各存储桶的 file:${fileId} 键，文件记录不存在时文件名为 null
+ * @param {Array<Object>} links - 短链接记录
+ * @returns {Promise<Map<Object, string|null>>} 短链接记录到文件名的映射
+ */
+async function findFileNames(links) {
+  const keys = links.map(link => `${getBucketKeyPrefix(link.bucket)}file:${link.fileId}`);
+  const files = await redisClient.mget(keys);
+  return new Map(links.map((link, index) => {
+    let file = files[index];
+    // 旧版本写入的文件记录是JSON字符串
+    if (typeof file === 'string') {
+      try {
+        file = JSON.parse(file);
+      } catch {
+        file = null;
+      }
+    }
+    return [link, file?.fileName || null];
+  }));
+}
+
+/**
+ * 让文件记录中的 shortLink 指向修改后的短链接
+ * 生成短链接时通过文件记录复用已有的短链接，修改ID或过期时间后需要同步；
+ * 文件记录已指向其他短链接时不修改
+ * @param {Object} link - 修改后的短链接记录
+ * @param {string} previousId - 修改前的短链接ID
+ */
+async function syncFileShortLink(link, previousId) {
+  const storage = createBucketStorage(await buckets.resolve(link.bucket));
+  let fileInfo;
+  try {
+    fileInfo = await storage.getFileInfo(link.fileId);
+  } catch {
+    return;
+  }
+  if (fileInfo.shortLink?.shortId !== previousId) {
+    return;
+  }
+  // 只修改 shortLink 字段，同时进行的重命名、修改标签等不会被覆盖；
+  // 短链接本身已经修改成功，文件记录只用于复用短链接，更新失败时只记录警告
+  try {
+    await storage.updateFileRecord(link.fileId, {
+      shortLink: {
+        shortId: link.shortId,
+        createdAt: link.createdAt,
+        expiresAt: link.expiresAt
+      }
+    });
+  } catch (error) {
+    console.warn(`同步文件 ${link.fileId} 的短链接失败:`, error.message);
+  }
+}
+
+/**
+ * 返回给客户端的短链接信息
+ * @param {Object} req - 请求对象
+ * @param {Object} link - 短链接记录
+ * @param {number} downloads - 下载次数
+ * @param {string|null} [fileName] - 文件名
+ * @returns {Object} 短链接信息
+ */
+function describeLink(req, link, downloads, fileName = null) {
+  return {
+    ...toPublicLink(link),
+    maxDownloads: link.maxDownloads || null,
+    downloads,
+    exhausted: Boolean(link.maxDownloads) && downloads >= link.maxDownloads,
+    fileName,
+    shortUrl: buildShortUrl(req, link.shortId)
+  };
+}
+
+/**
+ * 列出短链接
+ * bucket 参数只列出该存储桶的短链接，不提供时列出所有存储桶的；fileId 参数只列出该文件的短链接
+ */
+async function handleList(req, res) {
+  const { fileId } = req.query;
+  // 按文件查询时文件属于 bucket 参数指定的存储桶（默认存储桶）
+  const bucket = (req.query.bucket || fileId) ? (await buckets.resolve(req.query.bucket)).name : null;
+
+  const links = (await shortLinks.list({ bucket }))
+    .filter(link => !fileId || link.fileId === fileId);
+  const [counts, fileNames] = await Promise.all([shortLinks.getAccessCounts(), findFileNames(links)]);
+
+  res.status(200).json({
+    success: true,
+    links: links.map(link => describeLink(req, link, counts[link.shortId] || 0, fileNames.get(link)))
+  });
+}
+
+/**
+ * 修改短链接
+ * 请求体字段：
+ * - slug：新的短链接ID，可以是便于记忆的自定义名称，已被占用时返回 409
+ * - extendBy：在当前过期时间（已过期的部分从现在算起）基础上延长的秒数
+ * - expiresAt：直接指定过期时间，为 null 时永不过期
+ * - password、maxDownloads：同 /api/short-link
+ */
+async function handleUpdate(req, res) {
+  const { shortId } = req.query;
+  const { slug, extendBy, expiresAt, password, maxDownloads } = req.body || {};
+
+  let link = await shortLinks.get(shortId);
+  if (!link || isShortLinkExpired(link)) {
+    return res.status(404).json({ success: false, error: '短链接不存在或已过期' });
+  }
+
+  let nextExpiresAt = expiresAt;
+  if (extendBy !== undefined) {
+    const seconds = Number(extendBy);
+    if (!Number.isInteger(seconds) || seconds <= 0) {
+      return res.status(400).json({ success: false, error: 'extendBy 应为正整数秒数' });
+    }
+    if (!link.expiresAt) {
+      return res.status(400).json({ success: false, error: '短链接永不过期，不需要延长' });
+    }
+    nextExpiresAt = new Date(Math.max(Date.now(), new Date(link.expiresAt).getTime()) + seconds * 1000).toISOString();
+  }
+
+  if (nextExpiresAt !== undefined || password !== undefined || maxDownloads !== undefined) {
+    link = await shortLinks.update(shortId, { expiresAt: nextExpiresAt, password, maxDownloads });
+  }
+  if (slug !== undefined && slug !== shortId) {
+    link = await shortLinks.rename(shortId, slug);
+    console.log(`短链接 ${shortId} 已改为 ${slug}`);
+  }
+  await syncFileShortLink(link, shortId);
+
+  res.status(200).json({
+    success: true,
+    link: describeLink(req, link, await shortLinks.getAccessCount(link.shortId))
+  });
+}
+
+/**
+ * 撤销短链接，撤销后立即不能访问
+ */
+async function handleRevoke(req, res) {
+  const { shortId } = req.query;
+  const link = await shortLinks.get(shortId);
+  if (!link) {
+    return res.status(404).json({ success: false, error: '短链接不存在' });
+  }
+
+  await shortLinks.remove(shortId);
+  console.log(`短链接 ${shortId} 已撤销 (${link.bucket}/${link.fileId})`);
+
+  res.status(200).json({ success: true, shortId });
+}
+
+/**
+ * 短链接管理API
+ * GET 列出未过期的短链接及下载次数，PATCH 修改短链接ID、过期时间和分享设置，DELETE 撤销短链接；
+ * PATCH 和 DELETE 通过 shortId 参数指定短链接
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (!['GET', 'PATCH', 'DELETE'].includes(method)) {
+    res.setHeader('Allow', ['GET', 'PATCH', 'DELETE']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  if (method !== 'GET' && !req.query.shortId) {
+    return res.status(400).json({ success: false, error: '没有提供短链接ID' });
+  }
+
+  try {
+    if (method === 'GET') {
+      return await handleList(req, res);
+    }
+    if (method === 'PATCH') {
+      return await handleUpdate(req, res);
+    }
+    return await handleRevoke(req, res);
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      console.error('管理短链接失败:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,73 @@
+import { createBucketStorage } from '../../src/storage_provider';
+import { buckets } from '../../src/bucket_store';
+import { signDownloadParams, DEFAULT_SIGNED_URL_TTL } from '../../src/signed_urls';
+
+/**
+ * 签名下载链接生成API
+ * 为文件生成带HMAC签名的下载地址，下载时只校验签名，不写入任何记录，适合在Wiki等页面中嵌入大量文件；
+ * 请求体字段：
+ * - fileId：文件ID
+ * - expiresIn：有效期（秒），默认1小时，最长365天
+ * - disposition：attachment（下载，默认）或 inline（在浏览器中直接显示，用于嵌入图片和视频）
+ * - ipPrefix：只允许IP以此开头的客户端下载，如 10.20.
+ * - maxBytes：单次响应的最大字节数
+ * 签名链接在过期前不能单独撤销，需要撤销时从 DOWNLOAD_SIGNING_KEYS 中删除签名用的密钥
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  try {
+    const { fileId, expiresIn = DEFAULT_SIGNED_URL_TTL, disposition, ipPrefix, maxBytes } = req.body || {};
+
+    if (!fileId) {
+      return res.status(400).json({
+        success: false,
+        error: '没有提供文件ID'
+      });
+    }
+
+    // 生成前确认文件存在，签名链接本身不再检查
+    const bucket = await buckets.resolve(req.query.bucket);
+    try {
+      await createBucketStorage(bucket).getFileInfo(fileId);
+    } catch {
+      return res.status(404).json({
+        success: false,
+        error: '文件不存在'
+      });
+    }
+
+    const { query, expiresAt, keyId } = signDownloadParams({
+      fileId,
+      bucket: bucket.name,
+      expiresIn,
+      disposition,
+      ipPrefix,
+      maxBytes
+    });
+    const baseUrl = req.headers.host ? `https://${req.headers.host}` : 'http://localhost:3000';
+    const url = `${baseUrl}/api/download?${new URLSearchParams(query).toString()}`;
+
+    console.log(`生成签名链接: ${bucket.name}/${fileId}, 密钥: ${keyId}, 过期时间: ${expiresAt}`);
+
+    res.status(200).json({
+      success: true,
+      url,
+      expiresAt,
+      keyId
+    });
+  } catch (error) {
+    if (!error.status || error.status >= 500) {
+      console.error('生成签名链接失败:', error);
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: `生成签名链接失败: ${error.message}`
+    });
+  }
+}
@@ -0,0 +1,40 @@
+import { createBucketStorage } from '../../src/storage_provider';
+import { buckets } from '../../src/bucket_store';
+import { collectTags } from '../../src/file_tags';
+
+/**
+ * 标签列表API
+ * 返回所有已使用的标签及使用次数，?q= 按前缀过滤，用于标签自动补全
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ 
+      success: false, 
+      error: `Method ${method} Not Allowed` 
+    });
+  }
+
+  // 解析存储桶参数，未指定时使用默认存储桶
+  let telegramStorage;
+  let bucket;
+  try {
+    bucket = await buckets.resolve(req.query.bucket);
+    telegramStorage = createBucketStorage(bucket);
+  } catch (error) {
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+
+  try {
+    const prefix = (req.query.q || '').trim().replace(/^#/, '').toLowerCase();
+    const tags = collectTags(await telegramStorage.listFiles())
+      .filter(entry => entry.tag.toLowerCase().startsWith(prefix));
+
+    res.status(200).json({ success: true, tags });
+  } catch (error) {
+    console.error('获取标签列表失败:', error);
+    res.status(500).json({ success: false, error: '获取标签列表失败' });
+  }
+}
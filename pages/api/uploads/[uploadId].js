@@ -0,0 +1,158 @@
+import { createBucketStorage } from '../../../src/storage_provider.js';
+import { uploadSessions, setTusHeaders, TUS_VERSION } from '../../../src/upload_sessions.js';
+import { buckets } from '../../../src/bucket_store.js';
+
+// tus 协议直接读取请求流，禁用Next.js的默认body解析
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+/**
+ * 完成上传：将临时文件流式写入存储桶并记录上传结果
+ * @param {Object} session - 已接收全部数据的会话
+ * @returns {Promise<Object>} 上传结果
+ */
+async function finalizeUpload(session) {
+  // 存储桶在创建会话时已经校验，这里再次确认它没有在上传期间被停用
+  const bucket = await buckets.resolve(session.metadata.bucket, { write: true });
+  const telegramStorage = createBucketStorage(bucket);
+
+  const fileName = session.metadata.filename || 'upload';
+  const thumbnail = await uploadSessions.readThumbnail(session);
+  const result = await telegramStorage.uploadFile(uploadSessions.createReadStream(session), fileName, {
+    fileSize: session.length,
+    folder: session.metadata.folder,
+    encryption: session.metadata.encryption,
+    thumbnail: thumbnail || undefined
+  });
+
+  await uploadSessions.complete(session, result);
+  await telegramStorage.flushChatIndex();
+  console.log(`可续传上传完成: ${fileName}, fileId: ${result.fileId}`);
+  return result;
+}
+
+/**
+ * 返回已完成上传的结果
+ * @param {Object} res - 响应对象
+ * @param {Object} session - 已完成的会话
+ */
+function sendUploadResult(res, session) {
+  res.setHeader('Upload-Offset', session.length);
+  res.setHeader('X-File-Id', session.result.fileId);
+  res.setHeader('X-Message-Id', session.result.messageId);
+  return res.status(204).end();
+}
+
+/**
+ * 追加数据，最后一个字节到达后完成上传
+ * 调用方已锁定会话，这里重新读取会话，确保偏移量和状态是加锁后的最新值
+ */
+async function handlePatch(req, res, uploadId) {
+  const session = await uploadSessions.get(uploadId);
+  if (!session) {
+    return res.status(404).end();
+  }
+
+  // 上传已完成（例如最后一块数据的响应丢失后重发），返回已保存的文件
+  if (session.status === 'completed') {
+    return sendUploadResult(res, session);
+  }
+
+  const offset = parseInt(req.headers['upload-offset'], 10);
+  if (offset !== session.offset) {
+    // 偏移量不一致，客户端需要先通过 HEAD 获取最新偏移量
+    res.setHeader('Upload-Offset', session.offset);
+    return res.status(409).end();
+  }
+
+  // 数据已收齐但上次完成上传失败时，不再接收数据，直接重试完成上传
+  let updated = session;
+  if (session.offset < session.length) {
+    try {
+      updated = await uploadSessions.append(session, req);
+    } catch (error) {
+      console.warn(`上传会话 ${uploadId} 数据接收中断:`, error.message);
+      if (!res.writableEnded && !req.destroyed) {
+        res.setHeader('Upload-Offset', error.session ? error.session.offset : session.offset);
+        res.status(400).end(error.message);
+      }
+      return;
+    }
+  }
+
+  res.setHeader('Upload-Offset', updated.offset);
+
+  if (updated.offset < updated.length) {
+    return res.status(204).end();
+  }
+
+  // 最后一个字节已到达，上传到Telegram
+  try {
+    const result = await finalizeUpload(updated);
+    res.setHeader('X-File-Id', result.fileId);
+    res.setHeader('X-Message-Id', result.messageId);
+    return res.status(204).end();
+  } catch (error) {
+    console.error(`完成上传 ${uploadId} 失败:`, error);
+    return res.status(error.status || 500).end(`上传失败: ${error.message}`);
+  }
+}
+
+/**
+ * 可续传上传会话API（tus 协议）
+ * HEAD 查询偏移量，PATCH 追加数据，DELETE 终止上传；
+ * PATCH 和 DELETE 持有会话锁，同一个会话的另一个请求正在处理时返回 423
+ */
+export default async function handler(req, res) {
+  const { method, query } = req;
+  const { uploadId } = query;
+  setTusHeaders(res);
+
+  if (!['HEAD', 'PATCH', 'DELETE'].includes(method)) {
+    res.setHeader('Allow', ['HEAD', 'PATCH', 'DELETE']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  if (req.headers['tus-resumable'] !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).end();
+  }
+
+  const session = await uploadSessions.get(uploadId);
+  if (!session) {
+    return res.status(404).end();
+  }
+
+  if (method === 'HEAD') {
+    res.setHeader('Upload-Offset', session.offset);
+    res.setHeader('Upload-Length', session.length);
+    if (session.status === 'completed') {
+      res.setHeader('X-File-Id', session.result.fileId);
+    }
+    return res.status(200).end();
+  }
+
+  if (method === 'PATCH' && req.headers['content-type'] !== 'application/offset+octet-stream') {
+    return res.status(415).end();
+  }
+
+  const lockToken = await uploadSessions.lock(uploadId);
+  if (!lockToken) {
+    return res.status(423).end('上传正在处理中，请稍后重试');
+  }
+
+  try {
+    if (method === 'PATCH') {
+      return await handlePatch(req, res, uploadId);
+    }
+
+    await uploadSessions.remove(uploadId);
+    console.log(`上传会话已终止: ${uploadId}`);
+    return res.status(204).end();
+  } finally {
+    await uploadSessions.unlock(uploadId, lockToken);
+  }
+}
@@ -0,0 +1,65 @@
+import { uploadSessions, setTusHeaders, TUS_VERSION } from '../../../../src/upload_sessions.js';
+import { readThumbnail } from '../../../../src/thumbnails.js';
+
+// 缩略图直接读取请求流，禁用Next.js的默认body解析
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+/**
+ * 上传会话的缩略图API
+ * PUT 以 image/jpeg 请求体提交浏览器生成的缩略图，上传完成时随文件的第一条消息一起发送；
+ * 缩略图是可选的，需要在最后一块数据之前提交
+ */
+export default async function handler(req, res) {
+  const { method, query } = req;
+  const { uploadId } = query;
+  setTusHeaders(res);
+
+  if (method !== 'PUT') {
+    res.setHeader('Allow', ['PUT']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  if (req.headers['tus-resumable'] !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).end();
+  }
+
+  if (req.headers['content-type'] !== 'image/jpeg') {
+    return res.status(415).end('缩略图必须是 JPEG 图片');
+  }
+
+  // 与追加数据和完成上传使用同一个锁，避免缩略图在完成上传读取它的同时被改写
+  const lockToken = await uploadSessions.lock(uploadId);
+  if (!lockToken) {
+    return res.status(423).end('上传正在处理中，请稍后重试');
+  }
+
+  try {
+    const session = await uploadSessions.get(uploadId);
+    if (!session) {
+      return res.status(404).end();
+    }
+
+    // 数据已收齐后提交的缩略图不会再被使用
+    if (session.offset === session.length) {
+      return res.status(409).end('缩略图需要在最后一块数据之前提交');
+    }
+
+    // 加密上传不保存缩略图，避免泄露文件内容
+    if (session.metadata.encryption) {
+      return res.status(400).end('端到端加密的文件不能附带缩略图');
+    }
+
+    await uploadSessions.saveThumbnail(session, await readThumbnail(req));
+    return res.status(204).end();
+  } catch (error) {
+    console.warn(`上传会话 ${uploadId} 的缩略图无效:`, error.message);
+    return res.status(error.status || 500).end(error.message);
+  } finally {
+    await uploadSessions.unlock(uploadId, lockToken);
+  }
+}
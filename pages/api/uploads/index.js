@@ -0,0 +1,70 @@
+import { uploadSessions, UploadSessionStore, setTusHeaders, TUS_VERSION, TUS_EXTENSIONS } from '../../../src/upload_sessions';
+import { normalizeFolderPath } from '../../../src/folder_store';
+import { normalizeEncryptionInfo } from '../../../src/file_encryption';
+import { buckets } from '../../../src/bucket_store';
+import { FILE_CONFIG } from '../../../constants/config';
+
+// tus 协议直接读取请求流，禁用Next.js的默认body解析
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+/**
+ * 可续传上传API（tus 协议）
+ * OPTIONS 返回服务端能力，POST 创建新的上传会话
+ */
+export default async function handler(req, res) {
+  const { method } = req;
+  setTusHeaders(res);
+
+  if (method === 'OPTIONS') {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    res.setHeader('Tus-Extension', TUS_EXTENSIONS.join(','));
+    res.setHeader('Tus-Max-Size', FILE_CONFIG.MAX_FILE_SIZE);
+    return res.status(204).end();
+  }
+
+  if (method !== 'POST') {
+    res.setHeader('Allow', ['OPTIONS', 'POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  if (req.headers['tus-resumable'] !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).end('不支持的 tus 协议版本');
+  }
+
+  const length = parseInt(req.headers['upload-length'], 10);
+  if (!Number.isFinite(length) || length <= 0) {
+    return res.status(400).end('缺少有效的 Upload-Length');
+  }
+
+  if (length > FILE_CONFIG.MAX_FILE_SIZE) {
+    return res.status(413).end(`文件大小超过限制 (${FILE_CONFIG.MAX_FILE_SIZE} bytes)`);
+  }
+
+  const metadata = UploadSessionStore.parseMetadata(req.headers['upload-metadata']);
+  try {
+    // 目标存储桶、文件夹和加密参数在创建会话时校验，避免传完数据才失败
+    metadata.bucket = (await buckets.resolve(req.query.bucket, { write: true })).name;
+    metadata.folder = normalizeFolderPath(metadata.folder);
+    metadata.encryption = normalizeEncryptionInfo(metadata.encryption);
+  } catch (error) {
+    return res.status(error.status || 400).end(error.message);
+  }
+
+  try {
+    const session = await uploadSessions.create({ length, metadata });
+
+    console.log(`创建上传会话: ${session.uploadId}, 文件: ${metadata.filename || 'unknown'}, 大小: ${length} bytes`);
+
+    res.setHeader('Location', `/api/uploads/${session.uploadId}`);
+    res.setHeader('Upload-Offset', 0);
+    res.status(201).end();
+  } catch (error) {
+    console.error('创建上传会话失败:', error);
+    res.status(500).end(`创建上传会话失败: ${error.message}`);
+  }
+}
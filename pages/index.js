@@ -8,6 +8,10 @@ import FilePreview from '../components/features/FilePreview/FilePreview';
 import PageAuthGuard from '../components/PageAuthGuard';
 import AuthModal from '../components/AuthModal';
 import DeleteQueueStatus from '../components/ui/DeleteQueueStatus';
+import TagEditor from '../components/ui/TagEditor';
+import VersionHistory from '../components/ui/VersionHistory';
+import SharePanel from '../components/ui/SharePanel';
+import FileThumbnail from '../components/ui/FileThumbnail';
 
 // 导入自定义钩子
 import { useFileList } from '../hooks/useFileList';
@@ -15,9 +19,12 @@ import { useFileUpload } from '../hooks/useFileUpload';
 import { useBatchOps } from '../hooks/useBatchOps';
 
 // 导入工具函数
-import { getFileIcon, formatFileSize } from '../utils/fileUtils';
+import { formatFileSize } from '../utils/fileUtils';
 import { formatDate } from '../utils/formatUtils';
 import { getFileType } from '../utils/validationUtils';
+import { downloadEncryptedFile, getSessionPassphrase, setSessionPassphrase } from '../utils/fileEncryption';
+import { withBucket } from '../utils/bucketUtils';
+import { getThumbnailUrl } from '../utils/fileThumbnail';
 
 // 导入消息组件
 import { createSuccessMessage, createErrorMessage } from '../components/ui/Message';
@@ -31,6 +38,9 @@ export default function Home() {
   const {
     files,
     loading,
+    loadingMore,
+    hasMore,
+    loadMore,
     searchTerm,
     setSearchTerm,
     filterType,
@@ -41,7 +51,27 @@ export default function Home() {
     setSortOrder,
     fetchFiles,
     deleteFile,
-    generateShortLink
+    generateShortLink,
+    updateShortLink,
+    revokeShortLink,
+    currentPath,
+    setCurrentPath,
+    folders,
+    breadcrumbs,
+    createFolder,
+    renameFolder,
+    deleteFolder,
+    moveFiles,
+    updateFile,
+    fetchVersions,
+    restoreVersion,
+    setFolderVersioning,
+    tagFilter,
+    setTagFilter,
+    availableTags,
+    bucket,
+    buckets,
+    switchBucket
   } = useFileList();
 
   const {
@@ -53,7 +83,8 @@ export default function Home() {
     handleDragLeave,
     handleDrop
   } = useFileUpload({
-    onUploadComplete: fetchFiles
+    onUploadComplete: fetchFiles,
+    folder: currentPath
   });
 
   const {
@@ -73,32 +104,89 @@ export default function Home() {
 
   const [previewFile, setPreviewFile] = useState(null);
   
+  // 正在编辑标签的文件
+  const [editingTagsFileId, setEditingTagsFileId] = useState(null);
+  
+  // 正在查看版本历史的文件
+  const [versionsFileId, setVersionsFileId] = useState(null);
+  const [sharingFileId, setSharingFileId] = useState(null);
+  
   // 登录状态管理
   const [showLoginModal, setShowLoginModal] = useState(false);
 
   /**
    * 处理文件下载
+   * 直接按文件ID下载，不经过短链接，分享链接的密码和访问次数只对访问者生效
    * @param {string} fileId - 文件ID
    * @param {string} fileName - 文件名
    */
-  const handleDownload = async (fileId, fileName) => {
+  const handleDownload = (fileId, fileName) => {
+    window.open(withBucket(`/api/download?fileId=${fileId}&fileName=${encodeURIComponent(fileName)}`), '_blank');
+    createSuccessMessage(`文件 "${fileName}" 下载已开始`);
+  };
+
+  /**
+   * 下载端到端加密的文件
+   * 密文下载到浏览器后用口令解密，再以原文件名保存
+   * @param {Object} file - 文件对象
+   * @param {string} [downloadUrl] - 密文的下载地址，默认下载当前版本
+   */
+  const handleEncryptedDownload = async (file, downloadUrl) => {
+    // eslint-disable-next-line no-alert
+    const passphrase = getSessionPassphrase() || window.prompt('此文件已加密，请输入口令');
+    if (!passphrase) {
+      return;
+    }
+
     try {
-      // 生成短链接用于下载
-      const result = await generateShortLink(fileId);
-      if (result.success) {
-        // 使用短链接进行下载
-        window.open(result.shortLink, '_blank');
-        createSuccessMessage(`文件 "${fileName}" 下载已开始`);
-      } else {
-        // 如果短链接生成失败，回退到直接下载
-        window.open(`/api/download?fileId=${fileId}&fileName=${encodeURIComponent(fileName)}`, '_blank');
-        createErrorMessage(result.error || '生成下载链接失败，已使用备用方式下载');
-      }
+      await downloadEncryptedFile(file, passphrase, downloadUrl);
+      setSessionPassphrase(passphrase);
+      createSuccessMessage('文件已在浏览器中解密并开始下载');
     } catch (error) {
-      console.error('下载失败:', error);
-      // 出错时回退到直接下载
-      window.open(`/api/download?fileId=${fileId}&fileName=${encodeURIComponent(fileName)}`, '_blank');
-      createErrorMessage('下载链接生成失败，已使用备用方式下载');
+      console.error('解密下载失败:', error);
+      setSessionPassphrase(null);
+      createErrorMessage(error.message);
+    }
+  };
+
+  /**
+   * 下载文件，加密文件需要在浏览器中解密
+   * @param {Object} file - 文件对象
+   */
+  const handleFileDownload = (file) => {
+    if (file.encryption) {
+      handleEncryptedDownload(file);
+    } else {
+      handleDownload(file.fileId, file.fileName);
+    }
+  };
+
+  /**
+   * 下载文件的某个版本
+   * @param {Object} file - 当前版本的文件对象
+   * @param {Object} version - 要下载的版本
+   */
+  const handleVersionDownload = (file, version) => {
+    const url = withBucket(`/api/download?fileId=${encodeURIComponent(file.fileId)}&version=${encodeURIComponent(version.fileId)}`);
+    if (version.encryption) {
+      handleEncryptedDownload(version, url);
+    } else {
+      window.open(url, '_blank');
+    }
+  };
+
+  /**
+   * 把历史版本恢复为当前版本
+   * @param {Object} file - 当前版本的文件对象
+   * @param {Object} version - 要恢复的版本
+   */
+  const handleRestoreVersion = async (file, version) => {
+    const result = await restoreVersion(file.messageId, version.fileId);
+    if (result.success) {
+      setVersionsFileId(null);
+      createSuccessMessage(`"${file.fileName}" 已恢复为第 ${version.version || 1} 个版本`);
+    } else {
+      createErrorMessage(result.error);
     }
   };
 
@@ -149,26 +237,141 @@ export default function Home() {
   };
 
   /**
-   * 处理分享功能
+   * 打开或关闭文件的分享面板
    * @param {string} fileId - 文件ID
    */
-  const handleShare = async (fileId) => {
-    try {
-      const result = await generateShortLink(fileId);
-      if (result.success) {
-        // 复制链接到剪贴板
-        try {
-          await navigator.clipboard.writeText(result.shortLink);
-          createSuccessMessage(`分享链接已生成并复制到剪贴板：${result.shortLink}`);
-        } catch {
-          createSuccessMessage(`分享链接已生成：${result.shortLink}`);
-        }
-      } else {
-        createErrorMessage(result.error || '生成分享链接失败');
-      }
-    } catch (error) {
-      console.error('分享失败:', error);
-      createErrorMessage('生成分享链接失败');
+  const handleShare = (fileId) => {
+    setSharingFileId(sharingFileId === fileId ? null : fileId);
+  };
+
+  /**
+   * 在当前文件夹下新建文件夹
+   */
+  const handleCreateFolder = async () => {
+    // eslint-disable-next-line no-alert
+    const name = window.prompt('请输入文件夹名称');
+    if (!name || !name.trim()) {
+      return;
+    }
+    const result = await createFolder(name.trim());
+    if (result.success) {
+      createSuccessMessage(`文件夹 "${name.trim()}" 已创建`);
+    } else {
+      createErrorMessage(result.error);
+    }
+  };
+
+  /**
+   * 重命名文件夹
+   * @param {Object} folder - 文件夹对象
+   */
+  const handleRenameFolder = async (folder) => {
+    // eslint-disable-next-line no-alert
+    const name = window.prompt('请输入新的文件夹名称', folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) {
+      return;
+    }
+    const result = await renameFolder(folder.path, name.trim());
+    if (result.success) {
+      createSuccessMessage(`文件夹已重命名为 "${name.trim()}"`);
+    } else {
+      createErrorMessage(result.error);
+    }
+  };
+
+  /**
+   * 设置文件夹的版本控制
+   * 输入保留的历史版本数开启版本控制，留空保留全部版本，输入 off 关闭，输入 inherit 沿用上级设置
+   * @param {Object} folder - 文件夹对象
+   */
+  const handleFolderVersioning = async (folder) => {
+    const current = folder.versioning;
+    const currentValue = !current ? 'inherit' : (!current.enabled ? 'off' : String(current.keepLast || ''));
+    // eslint-disable-next-line no-alert
+    const input = window.prompt('版本控制：输入保留的历史版本数（留空保留全部），off 关闭，inherit 沿用上级设置', currentValue);
+    if (input === null) {
+      return;
+    }
+    
+    const value = input.trim().toLowerCase();
+    let versioning;
+    if (value === 'inherit') {
+      versioning = null;
+    } else if (value === 'off') {
+      versioning = { enabled: false };
+    } else {
+      versioning = { enabled: true, keepLast: value || null, keepDays: current?.keepDays || null };
+    }
+    
+    const result = await setFolderVersioning(folder.path, versioning);
+    if (result.success) {
+      createSuccessMessage(`文件夹 "${folder.name}" 的版本控制已更新`);
+    } else {
+      createErrorMessage(result.error);
+    }
+  };
+
+  /**
+   * 删除文件夹
+   * @param {Object} folder - 文件夹对象
+   */
+  const handleDeleteFolder = async (folder) => {
+    const result = await deleteFolder(folder.path);
+    if (result.success) {
+      createSuccessMessage(`文件夹 "${folder.name}" 已删除`);
+    } else if (!result.cancelled) {
+      createErrorMessage(result.error);
+    }
+  };
+
+  /**
+   * 重命名文件
+   * @param {Object} file - 文件对象
+   */
+  const handleRenameFile = async (file) => {
+    // eslint-disable-next-line no-alert
+    const fileName = window.prompt('请输入新的文件名', file.fileName);
+    if (!fileName || !fileName.trim() || fileName.trim() === file.fileName) {
+      return;
+    }
+    const result = await updateFile(file.messageId, { fileName: fileName.trim() });
+    if (result.success) {
+      createSuccessMessage(`文件已重命名为 "${result.file.fileName}"`);
+    } else {
+      createErrorMessage(result.error);
+    }
+  };
+
+  /**
+   * 保存文件标签
+   * @param {Object} file - 文件对象
+   * @param {Array<string>} tags - 新的标签列表
+   */
+  const handleSaveTags = async (file, tags) => {
+    const result = await updateFile(file.messageId, { tags });
+    if (result.success) {
+      setEditingTagsFileId(null);
+      createSuccessMessage(`"${file.fileName}" 的标签已更新`);
+    } else {
+      createErrorMessage(result.error);
+    }
+  };
+
+  /**
+   * 移动文件到其他文件夹
+   * @param {Object} file - 文件对象
+   */
+  const handleMoveFile = async (file) => {
+    // eslint-disable-next-line no-alert
+    const folder = window.prompt('移动到文件夹（例如 /文档/2024）', currentPath);
+    if (!folder || folder === currentPath) {
+      return;
+    }
+    const result = await moveFiles([file.fileId], folder);
+    if (result.success) {
+      createSuccessMessage(`"${file.fileName}" 已移动到 ${folder}`);
+    } else {
+      createErrorMessage(result.error || '移动文件失败');
     }
   };
 
@@ -221,14 +424,33 @@ export default function Home() {
           uploadProgress={uploadProgress}
           isUploading={isUploading}
           isDragging={isDragging}
+          folder={currentPath}
+          onUploadComplete={fetchFiles}
         />
 
         {/* 文件列表区域 */}
         <section className="files-section">
           <div className="section-header">
             <h2><i className="fas fa-folder" /> 我的文件</h2>
+            {buckets.length > 1 && (
+              <label className="bucket-switcher">
+                <i className="fas fa-database" />
+                <select
+                  value={bucket}
+                  onChange={(e) => switchBucket(e.target.value)}
+                  aria-label="切换存储桶"
+                >
+                  {buckets.map(item => (
+                    <option key={item.name} value={item.name} title={item.description}>
+                      {item.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
             <div className="file-stats">
-              共 {filteredFiles.length} 个文件
+              {folders.length > 0 && `${folders.length} 个文件夹，`}
+              {hasMore ? `已加载 ${filteredFiles.length} 个文件` : `共 ${filteredFiles.length} 个文件`}
               {selectedFiles.length > 0 && (
                 <span className="selected-stats">
                   ，已选择 {selectedFiles.length} 个文件 ({selectedTotalSizeFormatted})
@@ -237,6 +459,42 @@ export default function Home() {
             </div>
           </div>
 
+          {/* 文件夹面包屑导航，按标签筛选时显示当前标签 */}
+          <nav className="breadcrumb folder-breadcrumb" aria-label="当前文件夹">
+            {tagFilter ? (
+              <button
+                type="button"
+                className="breadcrumb-item active"
+                onClick={() => setTagFilter('')}
+                title="清除标签筛选"
+              >
+                <i className="fas fa-tag breadcrumb-icon" />
+                #{tagFilter}
+                <i className="fas fa-times" />
+              </button>
+            ) : breadcrumbs.map((crumb, index) => (
+              <button
+                key={crumb.path}
+                type="button"
+                className={`breadcrumb-item ${index === breadcrumbs.length - 1 ? 'active' : ''}`}
+                onClick={() => setCurrentPath(crumb.path)}
+                disabled={index === breadcrumbs.length - 1}
+              >
+                {index === 0 && <i className="fas fa-home breadcrumb-icon" />}
+                {crumb.name}
+              </button>
+            ))}
+            <button
+              type="button"
+              className="quick-action-btn new-folder-btn"
+              onClick={handleCreateFolder}
+              title="在当前位置新建文件夹"
+            >
+              <i className="fas fa-folder-plus action-icon" />
+              新建文件夹
+            </button>
+          </nav>
+
           {/* 文件管理工具栏 */}
           <div className="file-toolbar">
             {/* 批量操作组件 */}
@@ -283,6 +541,18 @@ export default function Home() {
                 <option value="other">其他</option>
               </select>
 
+              <select
+                value={tagFilter}
+                onChange={(e) => setTagFilter(e.target.value)}
+                className="filter-select"
+                title="按标签筛选（包含所有文件夹）"
+              >
+                <option value="">所有标签</option>
+                {availableTags.map(tag => (
+                  <option key={tag} value={tag}>#{tag}</option>
+                ))}
+              </select>
+
               <select
                 value={sortBy}
                 onChange={(e) => setSortBy(e.target.value)}
@@ -310,7 +580,7 @@ export default function Home() {
             </div>
           )}
           
-          {!loading && filteredFiles.length === 0 && (
+          {!loading && !hasMore && filteredFiles.length === 0 && folders.length === 0 && (
             <div className="empty-state">
               <div className="empty-icon">
                 <i className="fas fa-folder-open" />
@@ -321,6 +591,56 @@ export default function Home() {
           )}
 
           <div className="file-container list">
+            {folders.map((folder) => (
+              <div key={folder.path} className="file-item folder-item">
+                <div className="file-content" onClick={() => setCurrentPath(folder.path)}>
+                  <div className="file-header">
+                    <div className="file-icon">
+                      <i className="fas fa-folder" />
+                    </div>
+                    <div className="file-info">
+                      <h4 className="file-name" title={folder.path}>
+                        {folder.name}
+                      </h4>
+                      <div className="file-meta">
+                        <span className="file-type">文件夹</span>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="file-actions">
+                  <button
+                    onClick={() => handleRenameFolder(folder)}
+                    className="action-btn rename-btn"
+                    disabled={loading}
+                    title="重命名文件夹"
+                  >
+                    <span className="btn-icon"><i className="fas fa-pen" /></span>
+                    <span className="btn-text">重命名</span>
+                  </button>
+                  <button
+                    onClick={() => handleFolderVersioning(folder)}
+                    className="action-btn version-btn"
+                    disabled={loading}
+                    title="设置版本控制"
+                  >
+                    <span className="btn-icon"><i className="fas fa-history" /></span>
+                    <span className="btn-text">版本</span>
+                  </button>
+                  <button
+                    onClick={() => handleDeleteFolder(folder)}
+                    className="action-btn delete-btn"
+                    disabled={loading}
+                    title="删除文件夹"
+                  >
+                    <span className="btn-icon"><i className="fas fa-trash" /></span>
+                    <span className="btn-text">删除</span>
+                  </button>
+                </div>
+              </div>
+            ))}
+
             {filteredFiles.map((file) => (
               <div key={file.fileId} className="file-item">
                 {/* 文件选择复选框 */}
@@ -335,22 +655,42 @@ export default function Home() {
                 {/* 文件内容 */}
                 <div className="file-content" onClick={() => handlePreview(file)}>
                   <div className="file-header">
-                    <div className="file-icon">
-                      <i className={getFileIcon(file.fileName)} />
-                    </div>
+                    <FileThumbnail fileName={file.fileName} thumbnailUrl={getThumbnailUrl(file)} />
                     <div className="file-info">
-                      <h4 className="file-name" title={file.fileName}>
+                      <h4 className="file-name" title={file.encryption?.name ? '文件名已加密' : file.fileName}>
+                        {file.encryption && <i className="fas fa-lock file-encrypted" title="端到端加密" />}
                         {file.fileName}
                       </h4>
                       <div className="file-meta">
                         <span className="file-type">{getFileType(file.fileName)}</span>
                         <span className="file-size">
-                          {file.fileSize ? formatFileSize(file.fileSize) : '未知大小'}
+                          {/* 加密文件显示明文大小 */}
+                          {file.encryption
+                            ? formatFileSize(file.encryption.plainSize)
+                            : (file.fileSize ? formatFileSize(file.fileSize) : '未知大小')}
                         </span>
                         <span className="file-date">
                           {file.uploadTime ? formatDate(file.uploadTime) : ''}
                         </span>
                       </div>
+                      {file.tags && file.tags.length > 0 && (
+                        <div className="file-tags">
+                          {file.tags.map(tag => (
+                            <button
+                              key={tag}
+                              type="button"
+                              className={`tag-chip ${tagFilter.toLowerCase() === tag.toLowerCase() ? 'active' : ''}`}
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setTagFilter(tag);
+                              }}
+                              title={`筛选标签 ${tag}`}
+                            >
+                              #{tag}
+                            </button>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -359,7 +699,7 @@ export default function Home() {
                   <button
                     onClick={(e) => {
                       e.stopPropagation();
-                      handleDownload(file.fileId, file.fileName);
+                      handleFileDownload(file);
                     }}
                     className="action-btn download-btn"
                     disabled={loading}
@@ -380,6 +720,54 @@ export default function Home() {
                     <span className="btn-icon"><i className="fas fa-share-alt" /></span>
                     <span className="btn-text">分享</span>
                   </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleRenameFile(file);
+                    }}
+                    className="action-btn rename-btn"
+                    disabled={loading}
+                    title="重命名文件"
+                  >
+                    <span className="btn-icon"><i className="fas fa-pen" /></span>
+                    <span className="btn-text">重命名</span>
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setEditingTagsFileId(editingTagsFileId === file.fileId ? null : file.fileId);
+                    }}
+                    className="action-btn tag-btn"
+                    disabled={loading}
+                    title="编辑标签"
+                  >
+                    <span className="btn-icon"><i className="fas fa-tags" /></span>
+                    <span className="btn-text">标签</span>
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setVersionsFileId(versionsFileId === file.fileId ? null : file.fileId);
+                    }}
+                    className="action-btn version-btn"
+                    disabled={loading}
+                    title="版本历史"
+                  >
+                    <span className="btn-icon"><i className="fas fa-history" /></span>
+                    <span className="btn-text">版本</span>
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleMoveFile(file);
+                    }}
+                    className="action-btn move-btn"
+                    disabled={loading}
+                    title="移动到其他文件夹"
+                  >
+                    <span className="btn-icon"><i className="fas fa-folder-open" /></span>
+                    <span className="btn-text">移动</span>
+                  </button>
                   <button
                     onClick={(e) => {
                       e.stopPropagation();
@@ -393,9 +781,58 @@ export default function Home() {
                     <span className="btn-text">删除</span>
                   </button>
                 </div>
+
+                {editingTagsFileId === file.fileId && (
+                  <TagEditor
+                    className="file-tag-editor"
+                    tags={file.tags || []}
+                    suggestions={availableTags}
+                    onSave={(tags) => handleSaveTags(file, tags)}
+                    onCancel={() => setEditingTagsFileId(null)}
+                  />
+                )}
+
+                {versionsFileId === file.fileId && (
+                  <VersionHistory
+                    className="file-version-history"
+                    file={file}
+                    loadVersions={fetchVersions}
+                    onDownload={(version) => handleVersionDownload(file, version)}
+                    onRestore={(version) => handleRestoreVersion(file, version)}
+                    onClose={() => setVersionsFileId(null)}
+                  />
+                )}
+
+                {sharingFileId === file.fileId && (
+                  <SharePanel
+                    className="file-share-panel"
+                    file={file}
+                    createShareLink={generateShortLink}
+                    updateShareLink={updateShortLink}
+                    revokeShareLink={revokeShortLink}
+                    onClose={() => setSharingFileId(null)}
+                  />
+                )}
               </div>
             ))}
           </div>
+
+          {!loading && hasMore && (
+            <div className="load-more">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={loadMore}
+                disabled={loadingMore}
+              >
+                {loadingMore ? (
+                  <><i className="fas fa-spinner fa-spin" /> 加载中...</>
+                ) : (
+                  <><i className="fas fa-chevron-down" /> 加载更多</>
+                )}
+              </button>
+            </div>
+          )}
         </section>
       </main>
 
@@ -404,7 +841,8 @@ export default function Home() {
         <FilePreview
           file={previewFile}
           onClose={handleClosePreview}
-          onDownload={() => handleDownload(previewFile.fileId, previewFile.fileName)}
+          isOpen
+          onDownload={() => handleFileDownload(previewFile)}
           onDelete={() => {
             deleteFile(previewFile.messageId, previewFile.fileName);
             handleClosePreview();
@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import Head from 'next/head';
+import axios from 'axios';
+import { shortLinks } from '../../src/short_link_store';
+
+/**
+ * 短链接的下载地址
+ * 下载接口同样通过短链接索引找到文件并占用下载次数，不会暴露文件ID
+ * @param {string} shortId - 短链接ID
+ * @returns {string} 下载地址
+ */
+function getDownloadUrl(shortId) {
+  return `/api/download?s=${encodeURIComponent(shortId)}`;
+}
+
+/**
+ * 解析短链接
+ * 有效时重定向到下载接口；有密码且未解锁时显示密码页面；不存在或已过期时显示说明页面并返回对应的状态码
+ * @param {Object} context - 请求上下文
+ * @returns {Promise<Object>} 重定向或页面属性
+ */
+export async function getServerSideProps({ params, query, req, res }) {
+  try {
+    // 旧链接带有 bucket 参数，用于查找迁移前的 short:* 键
+    const link = await shortLinks.resolve(params.id, { bucket: query.bucket });
+    if (!shortLinks.isUnlocked(link, req.cookies)) {
+      return { props: { shortId: link.shortId, locked: true } };
+    }
+    return {
+      redirect: {
+        destination: getDownloadUrl(link.shortId),
+        permanent: false
+      }
+    };
+  } catch (error) {
+    if (error.status !== 404 && error.status !== 410) {
+      console.error(`解析短链接失败 (${params.id}):`, error);
+    }
+    res.statusCode = error.status === 404 || error.status === 410 ? error.status : 500;
+    return {
+      props: {
+        status: res.statusCode,
+        error: res.statusCode === 500 ? '短链接处理失败，请稍后重试' : error.message,
+        reason: error.reason || null
+      }
+    };
+  }
+}
+
+/**
+ * 分享密码表单
+ * 解锁成功后服务端设置 Cookie，随后跳转到下载地址
+ * @param {Object} props - 组件属性
+ * @param {string} props.shortId - 短链接ID
+ * @returns {JSX.Element} 密码表单
+ */
+function UnlockForm({ shortId }) {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * 提交密码
+   * @param {Event} event - 表单提交事件
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await axios.post(`/api/short-links/${encodeURIComponent(shortId)}/unlock`, { password });
+      window.location.href = response.data.downloadUrl;
+    } catch (requestError) {
+      setError(requestError.response?.data?.error || '解锁失败，请稍后重试');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="share-unlock-form" onSubmit={handleSubmit}>
+      <input
+        type="password"
+        className="form-input"
+        placeholder="请输入分享密码"
+        value={password}
+        onChange={(event) => setPassword(event.target.value)}
+        autoComplete="off"
+        autoFocus
+        required
+      />
+      {error && <p className="share-unlock-error">{error}</p>}
+      <button type="submit" className="btn btn-primary" disabled={submitting || !password}>
+        {submitting ? <><i className="fas fa-spinner fa-spin" /> 验证中...</> : <><i className="fas fa-unlock" /> 解锁并下载</>}
+      </button>
+    </form>
+  );
+}
+
+/**
+ * 短链接页面
+ * 只在短链接需要密码或无法使用时渲染
+ * @param {Object} props - 页面属性
+ * @param {string} [props.shortId] - 需要密码的短链接ID
+ * @param {boolean} [props.locked] - 是否需要输入密码
+ * @param {number} [props.status] - 无法使用时的HTTP状态码
+ * @param {string} [props.error] - 无法使用时的错误信息
+ * @param {string} [props.reason] - 失效原因，expired 为过期，download-limit 为下载次数已用完
+ * @returns {JSX.Element} 短链接页面
+ */
+export default function ShortLinkPage({ shortId, locked, status, error, reason }) {
+  let icon = status === 410 ? 'fas fa-hourglass-end' : 'fas fa-unlink';
+  if (reason === 'download-limit') {
+    icon = 'fas fa-fire';
+  }
+  let title = status === 410 ? '分享链接已失效' : '分享链接不可用';
+  if (locked) {
+    icon = 'fas fa-lock';
+    title = '此分享链接需要密码';
+  }
+
+  return (
+    <div className="app">
+      <Head>
+        <title>TgNetBucket - 分享链接</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+        <meta name="robots" content="noindex" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <main className="main-content">
+        <div className="empty-state">
+          <div className="empty-icon">
+            <i className={icon} />
+          </div>
+          <h3 className="empty-title">{title}</h3>
+          {locked ? <UnlockForm shortId={shortId} /> : <p className="empty-description">{error}</p>}
+        </div>
+      </main>
+    </div>
+  );
+}
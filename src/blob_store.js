@@ -0,0 +1,133 @@
+import { redisClient } from './redis_client.js';
+
+/**
+ * 内容寻址的去重存储
+ * 以文件内容的 SHA-256 为键记录已经发送到Telegram的文档（blob），
+ * 相同内容的文件只发送一次，之后的上传只创建指向同一文档的逻辑记录。
+ * 每个 blob 带有引用计数，最后一个引用被删除时才真正删除Telegram消息
+ */
+class BlobStore {
+  /**
+   * @param {TelegramStorage} storage - 所属的存储实例
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * blob 记录在Redis中的键
+   * @param {string} sha256 - 文件内容的SHA-256
+   * @returns {string} 键名
+   */
+  blobKey(sha256) {
+    return this.storage.key(`blob:${this.storage.chatId}:${sha256}`);
+  }
+
+  /**
+   * 引用计数在Redis中的键
+   * @param {string} sha256 - 文件内容的SHA-256
+   * @returns {string} 键名
+   */
+  refKey(sha256) {
+    return `${this.blobKey(sha256)}:refs`;
+  }
+
+  /**
+   * 按内容哈希查找已有的文档
+   * @param {string} sha256 - 文件内容的SHA-256
+   * @returns {Promise<{sha256: string, fileId: string, chunked: boolean, messageIds: Array<string>}|null>} blob 记录
+   */
+  async find(sha256) {
+    if (!sha256) {
+      return null;
+    }
+    return await redisClient.get(this.blobKey(sha256));
+  }
+
+  /**
+   * 登记新发送的文档并持有第一个引用
+   * 同一内容并发上传时只有一个请求能登记成功，其余请求应改为引用已登记的文档
+   * @param {string} sha256 - 文件内容的SHA-256
+   * @param {Object} blob - 文档信息
+   * @param {string} blob.fileId - 存放内容的文件ID（Telegram文件ID或分片文件的逻辑ID）
+   * @param {boolean} blob.chunked - 是否为分片文件
+   * @param {Array<string>} blob.messageIds - 文档占用的所有消息ID
+   * @param {string} [blob.botId] - 发送文档的机器人ID，引用记录下载时使用
+   * @param {string} [blob.thumbFileId] - 文档的缩略图ID
+   * @returns {Promise<boolean>} 是否登记成功
+   */
+  async claim(sha256, { fileId, chunked, messageIds, botId, thumbFileId }) {
+    const blob = {
+      sha256,
+      fileId,
+      chunked: Boolean(chunked),
+      messageIds,
+      ...(botId ? { botId } : {}),
+      ...(thumbFileId ? { thumbFileId } : {}),
+      createdAt: new Date().toISOString()
+    };
+    const claimed = await redisClient.setnx(this.blobKey(sha256), blob);
+    if (claimed) {
+      await redisClient.incrby(this.refKey(sha256), 1);
+      // 存放内容的文件被删除后引用记录仍然需要 blob 记录，因此单独写入聊天内的索引
+      await this.storage.chatIndex.record({ type: 'blob', sha256, blob });
+    }
+    return claimed;
+  }
+
+  /**
+   * 为已有文档增加一个引用
+   * @param {string} sha256 - 文件内容的SHA-256
+   * @returns {Promise<boolean>} 是否成功；文档恰好在此期间被释放时返回false
+   */
+  async addReference(sha256) {
+    const refs = await redisClient.incrby(this.refKey(sha256), 1);
+    if (refs > 1) {
+      return true;
+    }
+
+    // 计数从0开始说明最后一个引用刚被删除，文档即将或已经被删除，不能再引用
+    await redisClient.incrby(this.refKey(sha256), -1);
+    return false;
+  }
+
+  /**
+   * 释放一个引用
+   * 返回剩余的引用数；为0时调用方负责删除Telegram消息，然后调用 remove 清理记录
+   * @param {string} sha256 - 文件内容的SHA-256
+   * @returns {Promise<{blob: Object|null, remaining: number}>} blob 记录和剩余引用数
+   */
+  async release(sha256) {
+    const blob = await this.find(sha256);
+    if (!blob) {
+      return { blob: null, remaining: 0 };
+    }
+    const remaining = await redisClient.incrby(this.refKey(sha256), -1);
+    return { blob, remaining: Math.max(remaining, 0) };
+  }
+
+  /**
+   * 删除最后一个引用失败时恢复引用计数
+   * @param {string} sha256 - 文件内容的SHA-256
+   * @returns {Promise<void>}
+   */
+  async restore(sha256) {
+    await redisClient.incrby(this.refKey(sha256), 1);
+  }
+
+  /**
+   * 删除 blob 记录和引用计数
+   * @param {string} sha256 - 文件内容的SHA-256
+   * @returns {Promise<boolean>} 操作结果
+   */
+  async remove(sha256) {
+    const removed = await redisClient.transaction([
+      ['del', this.blobKey(sha256)],
+      ['del', this.refKey(sha256)]
+    ]);
+    await this.storage.chatIndex.record({ type: 'blob', sha256, blob: null });
+    return removed;
+  }
+}
+
+export { BlobStore };
@@ -0,0 +1,336 @@
+import TelegramBot from 'node-telegram-bot-api';
+import { getTelegramApiConfig } from './telegram_api.js';
+
+/**
+ * 机器人池默认配置
+ */
+const POOL_DEFAULTS = {
+  // 连续失败多少次后暂停使用
+  failureThreshold: 3,
+  // 连续失败后的暂停时间
+  failureCooldownMs: 60 * 1000,
+  // 没有权限访问聊天时的暂停时间（管理员可能稍后恢复权限）
+  forbiddenCooldownMs: 10 * 60 * 1000,
+  // 429 响应没有给出 retry_after 时的暂停时间
+  rateLimitCooldownMs: 30 * 1000
+};
+
+/**
+ * 从Token中取出机器人ID（冒号前的部分）
+ * 机器人ID是公开信息，用于在文件记录和状态页面中标识机器人，不会泄露Token
+ * @param {string} token - Bot Token
+ * @returns {string} 机器人ID
+ */
+function getBotId(token) {
+  return String(token || '').split(':')[0];
+}
+
+/**
+ * 读取配置的全部Token
+ * TELEGRAM_BOT_TOKEN 为主Token，TELEGRAM_BOT_TOKENS 可以用逗号或空白分隔追加更多Token，
+ * 所有机器人都需要是存储聊天的管理员
+ * @param {string} [primaryToken] - 主Token
+ * @returns {Array<string>} 去重后的Token列表，主Token在前
+ */
+function parseBotTokens(primaryToken = process.env.TELEGRAM_BOT_TOKEN) {
+  const extraTokens = (process.env.TELEGRAM_BOT_TOKENS || '').split(/[\s,]+/);
+  return [...new Set([primaryToken, ...extraTokens].map(token => (token || '').trim()).filter(Boolean))];
+}
+
+/**
+ * 创建 Telegram 客户端
+ * 请求发送到 TELEGRAM_API_URL 指定的 Bot API 服务器，未配置时使用官方服务器
+ * @param {string} token - Bot Token
+ * @returns {TelegramBot} 客户端
+ */
+function createTelegramClient(token) {
+  return new TelegramBot(token, {
+    polling: false,
+    baseApiUrl: getTelegramApiConfig().baseApiUrl,
+    request: {
+      agentOptions: {
+        timeout: 60000, // 增加到60秒超时
+        keepAlive: true,
+        keepAliveMsecs: 30000
+      }
+    }
+  });
+}
+
+/**
+ * 判断 Telegram 错误的类型
+ * node-telegram-bot-api 的接口错误为 ETELEGRAM，响应体中带有 error_code；网络错误为 EFATAL
+ * @param {Error} error - 请求错误
+ * @returns {{type: string, retryAfter: number|null}} 错误类型：rate_limited、unauthorized、forbidden、client 或 transient
+ */
+function classifyTelegramError(error) {
+  const body = error?.response?.body;
+  const status = (body && body.error_code) || error?.response?.statusCode;
+  if (status === 429) {
+    const retryAfter = body?.parameters?.retry_after;
+    return { type: 'rate_limited', retryAfter: Number.isFinite(retryAfter) ? retryAfter : null };
+  }
+  if (status === 401) {
+    return { type: 'unauthorized', retryAfter: null };
+  }
+  if (status === 403) {
+    return { type: 'forbidden', retryAfter: null };
+  }
+  if (status >= 400 && status < 500) {
+    return { type: 'client', retryAfter: null };
+  }
+  return { type: 'transient', retryAfter: null };
+}
+
+/**
+ * Telegram 机器人池
+ * 把请求分散到多个机器人上，按每个机器人的错误和限流情况自动切换：
+ * - 429：按 retry_after 暂停该机器人，请求交给下一个机器人
+ * - 401：Token 已被撤销，本进程内不再使用
+ * - 403：机器人不是聊天管理员或被移出聊天，暂停较长时间
+ * - 网络错误和5xx：连续失败达到阈值后暂停
+ * - 其他4xx：请求本身的问题，直接抛出，不影响机器人健康状态
+ */
+class BotPool {
+  /**
+   * @param {Array<{token: string, client: Object}>} entries - 机器人列表，第一个为主机器人
+   * @param {Object} [options] - 覆盖默认配置
+   */
+  constructor(entries, options = {}) {
+    if (!entries || entries.length === 0) {
+      throw new Error('没有配置Telegram Bot Token');
+    }
+    this.config = { ...POOL_DEFAULTS, ...options };
+    this.now = options.now || Date.now;
+    this.bots = entries.map(({ token, client }, index) => ({
+      id: getBotId(token) || `bot${index + 1}`,
+      client,
+      inFlight: 0,
+      requests: 0,
+      errors: 0,
+      rateLimited: 0,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      revoked: false,
+      lastError: null,
+      lastErrorAt: null,
+      lastUsedAt: null
+    }));
+    this.cursor = 0;
+  }
+
+  /**
+   * 根据Token列表创建机器人池
+   * @param {Array<string>} tokens - Token列表
+   * @param {Object} [options] - 覆盖默认配置
+   * @returns {BotPool} 机器人池
+   */
+  static fromTokens(tokens, options = {}) {
+    return new BotPool(tokens.map(token => ({ token, client: createTelegramClient(token) })), options);
+  }
+
+  /**
+   * 主机器人，用于 getUpdates 等与机器人身份绑定的操作
+   * @returns {Object} 机器人
+   */
+  get primary() {
+    return this.bots[0];
+  }
+
+  /**
+   * 机器人当前是否可用
+   * @param {Object} bot - 机器人
+   * @returns {boolean} 是否可用
+   */
+  isAvailable(bot) {
+    return !bot.revoked && bot.cooldownUntil <= this.now();
+  }
+
+  /**
+   * 按优先顺序排列候选机器人
+   * 可用的机器人按进行中的请求数从少到多轮流使用，指定的机器人排在最前；
+   * 全部在暂停中时按暂停结束时间排列，仍然尝试请求而不是直接失败
+   * @param {string} [preferredBotId] - 优先使用的机器人ID
+   * @returns {Array<Object>} 候选机器人
+   */
+  getCandidates(preferredBotId) {
+    const start = this.cursor++ % this.bots.length;
+    const rotated = [...this.bots.slice(start), ...this.bots.slice(0, start)];
+
+    const available = rotated
+      .filter(bot => this.isAvailable(bot))
+      .sort((a, b) => a.inFlight - b.inFlight);
+    const coolingDown = rotated
+      .filter(bot => !bot.revoked && !this.isAvailable(bot))
+      .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+
+    const candidates = [...available, ...coolingDown];
+    const preferredIndex = candidates.findIndex(bot => bot.id === preferredBotId);
+    if (preferredIndex > 0 && this.isAvailable(candidates[preferredIndex])) {
+      candidates.unshift(...candidates.splice(preferredIndex, 1));
+    }
+    return candidates;
+  }
+
+  /**
+   * 用池中的机器人执行请求
+   * @param {Function} operation - (client, bot) => Promise，bot.id 为执行请求的机器人ID
+   * @param {Object} [options] - 选项
+   * @param {string} [options.botId] - 优先使用的机器人ID，如文件的上传者
+   * @param {boolean} [options.failover] - 失败时是否换用其他机器人重试；请求体为流时不能重试
+   * @returns {Promise<any>} 请求结果
+   */
+  async run(operation, { botId, failover = true } = {}) {
+    const candidates = this.getCandidates(botId);
+    if (candidates.length === 0) {
+      const error = new Error('所有Telegram Bot Token都已失效');
+      error.status = 503;
+      // 重试也不会成功，需要更换Token或等待状态检查重新启用
+      error.retryable = false;
+      throw error;
+    }
+
+    let lastError;
+    for (const bot of failover ? candidates : candidates.slice(0, 1)) {
+      bot.inFlight++;
+      bot.requests++;
+      bot.lastUsedAt = this.now();
+      try {
+        const result = await operation(bot.client, bot);
+        bot.consecutiveFailures = 0;
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (!this.recordFailure(bot, error)) {
+          throw error;
+        }
+        console.warn(`Bot ${bot.id} 请求失败，尝试其他Bot:`, error.message);
+      } finally {
+        bot.inFlight--;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * 记录失败并更新机器人状态
+   * @param {Object} bot - 机器人
+   * @param {Error} error - 请求错误
+   * @returns {boolean} 是否是机器人本身的问题（可以换用其他机器人）
+   */
+  recordFailure(bot, error) {
+    const { type, retryAfter } = classifyTelegramError(error);
+    if (type === 'client') {
+      return false;
+    }
+
+    const now = this.now();
+    bot.errors++;
+    bot.lastError = error.message;
+    bot.lastErrorAt = now;
+
+    if (type === 'rate_limited') {
+      bot.rateLimited++;
+      bot.cooldownUntil = now + (retryAfter !== null ? retryAfter * 1000 : this.config.rateLimitCooldownMs);
+    } else if (type === 'unauthorized') {
+      bot.revoked = true;
+      console.error(`Bot ${bot.id} 的Token已失效，停止使用`);
+    } else if (type === 'forbidden') {
+      bot.cooldownUntil = now + this.config.forbiddenCooldownMs;
+    } else if (++bot.consecutiveFailures >= this.config.failureThreshold) {
+      bot.cooldownUntil = now + this.config.failureCooldownMs;
+    }
+    return true;
+  }
+
+  /**
+   * 用 getMe 检查每个机器人，结果计入健康状态
+   * @param {number} [timeout] - 每个请求的超时时间（毫秒）
+   * @returns {Promise<Object>} 机器人ID到用户名（失败时为null）的映射
+   */
+  async probe(timeout = 5000) {
+    const results = {};
+    await Promise.all(this.bots.map(async (bot) => {
+      let timer;
+      try {
+        const me = await Promise.race([
+          bot.client.getMe(),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('getMe 请求超时')), timeout);
+          })
+        ]);
+        // getMe 成功说明Token有效（可能已被重新启用），聊天权限问题的暂停仍然保留
+        bot.revoked = false;
+        bot.consecutiveFailures = 0;
+        results[bot.id] = me.username || null;
+      } catch (error) {
+        this.recordFailure(bot, error);
+        results[bot.id] = null;
+      } finally {
+        clearTimeout(timer);
+      }
+    }));
+    return results;
+  }
+
+  /**
+   * 每个机器人的健康状态
+   * @returns {Array<Object>} 状态列表，不包含Token
+   */
+  getHealth() {
+    const now = this.now();
+    const toTime = value => (value ? new Date(value).toISOString() : null);
+    return this.bots.map(bot => {
+      let status = 'healthy';
+      if (bot.revoked) {
+        status = 'revoked';
+      } else if (bot.cooldownUntil > now) {
+        status = 'cooling_down';
+      } else if (bot.consecutiveFailures > 0) {
+        status = 'degraded';
+      }
+      return {
+        id: bot.id,
+        status,
+        inFlight: bot.inFlight,
+        requests: bot.requests,
+        errors: bot.errors,
+        rateLimited: bot.rateLimited,
+        errorRate: bot.requests > 0 ? bot.errors / bot.requests : 0,
+        rateLimitRate: bot.requests > 0 ? bot.rateLimited / bot.requests : 0,
+        consecutiveFailures: bot.consecutiveFailures,
+        cooldownUntil: bot.cooldownUntil > now ? toTime(bot.cooldownUntil) : null,
+        lastError: bot.lastError,
+        lastErrorAt: toTime(bot.lastErrorAt),
+        lastUsedAt: toTime(bot.lastUsedAt)
+      };
+    });
+  }
+}
+
+// 同一组Token在进程内共用一个机器人池，健康状态在各个请求之间共享
+let sharedPool = null;
+let sharedPoolKey = null;
+
+/**
+ * 获取进程内共享的机器人池
+ * @param {string} [primaryToken] - 主Token，默认为 TELEGRAM_BOT_TOKEN
+ * @returns {BotPool} 机器人池
+ */
+function getSharedBotPool(primaryToken) {
+  const tokens = parseBotTokens(primaryToken);
+  const key = tokens.join(',');
+  if (!sharedPool || sharedPoolKey !== key) {
+    sharedPool = BotPool.fromTokens(tokens);
+    sharedPoolKey = key;
+  }
+  return sharedPool;
+}
+
+export {
+  BotPool,
+  getSharedBotPool,
+  parseBotTokens,
+  getBotId,
+  classifyTelegramError
+};
@@ -0,0 +1,361 @@
+import { redisClient } from './redis_client.js';
+import { normalizeVersioningPolicy, getVersioningFromEnv } from './version_store.js';
+
+// 默认存储桶，对应环境变量 TELEGRAM_CHAT_ID，保留原有的Redis键名
+const DEFAULT_BUCKET = 'default';
+
+// 存储桶名称：小写字母、数字和连字符，用于URL参数和Redis键前缀
+const BUCKET_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+// Telegram 聊天ID：数字ID（频道和超级群组为负数）或 @频道用户名
+const CHAT_ID_PATTERN = /^(-?\d+|@[A-Za-z0-9_]{5,32})$/;
+
+// 存储桶记录在Redis中的键，哈希表的字段为存储桶名称，修改一个存储桶时只写入它自己的字段
+const BUCKETS_KEY = 'bucket-records';
+
+// 旧版本把全部存储桶保存在一个JSON值中，第一次读取时复制到哈希表
+const LEGACY_BUCKETS_KEY = 'buckets';
+
+// 创建存储桶时名称和聊天ID的占用标记有效期（秒），防止两个请求同时创建同名或同一聊天的存储桶
+const BUCKET_CLAIM_TTL = 30;
+
+// 存储驱动：Telegram 聊天、本地磁盘或进程内存
+const STORAGE_DRIVERS = ['telegram', 'local', 'memory'];
+
+/**
+ * 创建带HTTP状态码的存储桶错误
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP状态码
+ * @returns {Error} 错误对象
+ */
+function createBucketError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 规范化存储桶名称
+ * 未指定时为默认存储桶
+ * @param {string} [name] - 存储桶名称
+ * @returns {string} 规范化后的名称
+ */
+function normalizeBucketName(name) {
+  if (name === undefined || name === null || name === '') {
+    return DEFAULT_BUCKET;
+  }
+  const normalized = String(name).trim().toLowerCase();
+  if (!BUCKET_NAME_PATTERN.test(normalized)) {
+    throw createBucketError('存储桶名称只能包含小写字母、数字和连字符，且不超过32个字符');
+  }
+  return normalized;
+}
+
+/**
+ * 规范化存储驱动名称
+ * 未指定时为 telegram
+ * @param {string} [driver] - 驱动名称
+ * @returns {string} 规范化后的名称
+ */
+function normalizeStorageDriver(driver) {
+  const normalized = String(driver || 'telegram').trim().toLowerCase();
+  if (!STORAGE_DRIVERS.includes(normalized)) {
+    throw createBucketError(`未知的存储驱动: ${driver}，可选 ${STORAGE_DRIVERS.join('、')}`);
+  }
+  return normalized;
+}
+
+/**
+ * 存储桶的Redis键前缀
+ * 默认存储桶不加前缀，保证升级前的数据仍然可以访问
+ * @param {string} name - 存储桶名称
+ * @returns {string} 键前缀
+ */
+function getBucketKeyPrefix(name) {
+  return !name || name === DEFAULT_BUCKET ? '' : `bucket:${name}:`;
+}
+
+/**
+ * 存储桶管理
+ * 每个存储桶使用一个存储驱动，Telegram 存储桶对应一个聊天；文件列表、索引和统计都保存在各自的键前缀下（短链接ID全局唯一，保存在全局的短链接索引中）。
+ * 不使用 Telegram 的存储桶没有聊天，聊天ID记为 <驱动>:<名称>，只用于区分文件列表的键名。
+ * 默认存储桶由环境变量配置，不保存在Redis中，也不能停用
+ */
+class BucketStore {
+  /**
+   * 默认存储桶
+   * @returns {Object} 存储桶记录
+   */
+  getDefaultBucket() {
+    // 驱动名称在创建存储实例时校验，这里不抛出，以免配置错误时存储桶列表也无法读取
+    const driver = (process.env.STORAGE_DRIVER || 'telegram').trim().toLowerCase();
+    return {
+      name: DEFAULT_BUCKET,
+      label: '默认',
+      description: '',
+      driver,
+      chatId: driver === 'telegram' ? process.env.TELEGRAM_CHAT_ID || '' : `${driver}:${DEFAULT_BUCKET}`,
+      versioning: getVersioningFromEnv(),
+      builtin: true,
+      createdAt: null,
+      retiredAt: null
+    };
+  }
+
+  /**
+   * 读取存储桶记录
+   * 哈希表为空时从旧版本的存储桶记录复制，旧记录保留不变
+   * @returns {Promise<Object>} 名称到存储桶记录的映射
+   */
+  async getBucketMap() {
+    const bucketMap = await redisClient.hgetall(BUCKETS_KEY);
+    if (Object.keys(bucketMap).length > 0) {
+      return bucketMap;
+    }
+
+    const legacy = await redisClient.get(LEGACY_BUCKETS_KEY);
+    if (!legacy || typeof legacy !== 'object') {
+      return bucketMap;
+    }
+    for (const bucket of Object.values(legacy)) {
+      await redisClient.hset(BUCKETS_KEY, bucket.name, bucket);
+    }
+    return { ...legacy, ...(await redisClient.hgetall(BUCKETS_KEY)) };
+  }
+
+  /**
+   * 保存一个存储桶的记录
+   * @param {Object} bucket - 存储桶记录
+   */
+  async saveBucket(bucket) {
+    if (!(await redisClient.hset(BUCKETS_KEY, bucket.name, bucket))) {
+      throw createBucketError('保存存储桶失败', 500);
+    }
+  }
+
+  /**
+   * 占用创建存储桶用到的名称或聊天ID
+   * @param {string} kind - name 或 chat
+   * @param {string} value - 名称或聊天ID
+   * @returns {Promise<boolean>} 是否占用成功，另一个请求正在使用时为 false
+   */
+  async claim(kind, value) {
+    return await redisClient.setnx(`bucket-claim:${kind}:${value}`, 1, BUCKET_CLAIM_TTL);
+  }
+
+  /**
+   * 释放创建存储桶时的占用标记，之后由存储桶记录防止重复
+   * @param {string} kind - name 或 chat
+   * @param {string} value - 名称或聊天ID
+   */
+  async releaseClaim(kind, value) {
+    await redisClient.del(`bucket-claim:${kind}:${value}`);
+  }
+
+  /**
+   * 列出存储桶
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.includeRetired] - 是否包含已停用的存储桶
+   * @returns {Promise<Array<Object>>} 默认存储桶在前，其余按名称排序
+   */
+  async list({ includeRetired = false } = {}) {
+    const bucketMap = await this.getBucketMap();
+    const buckets = Object.values(bucketMap)
+      .filter(bucket => includeRetired || !bucket.retiredAt)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return [this.getDefaultBucket(), ...buckets];
+  }
+
+  /**
+   * 获取存储桶
+   * @param {string} name - 存储桶名称
+   * @returns {Promise<Object|null>} 存储桶记录
+   */
+  async get(name) {
+    const normalized = normalizeBucketName(name);
+    if (normalized === DEFAULT_BUCKET) {
+      return this.getDefaultBucket();
+    }
+    return (await this.getBucketMap())[normalized] || null;
+  }
+
+  /**
+   * 解析请求中的存储桶参数
+   * 已停用的存储桶只能读取和删除文件，不能写入
+   * @param {string} [name] - 存储桶名称，未指定时为默认存储桶
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.write] - 是否为写入操作
+   * @returns {Promise<Object>} 存储桶记录
+   */
+  async resolve(name, { write = false } = {}) {
+    const bucket = await this.get(name);
+    if (!bucket) {
+      throw createBucketError(`存储桶不存在: ${name}`, 404);
+    }
+    if (write && bucket.retiredAt) {
+      throw createBucketError(`存储桶已停用: ${bucket.name}`, 409);
+    }
+    return bucket;
+  }
+
+  /**
+   * 校验聊天ID，并确保没有被其他存储桶使用
+   * @param {string} chatId - 聊天ID
+   * @param {Object} bucketMap - 当前的存储桶记录
+   * @returns {string} 规范化后的聊天ID
+   */
+  validateChatId(chatId, bucketMap) {
+    const normalized = String(chatId ?? '').trim();
+    if (!CHAT_ID_PATTERN.test(normalized)) {
+      throw createBucketError('无效的Telegram聊天ID');
+    }
+
+    const owner = [this.getDefaultBucket(), ...Object.values(bucketMap)]
+      .find(bucket => String(bucket.chatId) === normalized);
+    if (owner) {
+      throw createBucketError(`该聊天已被存储桶 ${owner.name} 使用`, 409);
+    }
+    return normalized;
+  }
+
+  /**
+   * 创建存储桶
+   * @param {Object} params - 存储桶参数
+   * @param {string} params.name - 名称
+   * @param {string} [params.driver] - 存储驱动，默认为 telegram
+   * @param {string} [params.chatId] - Telegram聊天ID，只有 telegram 驱动需要
+   * @param {string} [params.label] - 显示名称
+   * @param {string} [params.description] - 描述
+   * @param {boolean|Object} [params.versioning] - 版本控制规则，见 normalizeVersioningPolicy
+   * @returns {Promise<Object>} 新的存储桶记录
+   */
+  async create({ name, driver, chatId, label, description, versioning }) {
+    if (!name) {
+      throw createBucketError('没有提供存储桶名称');
+    }
+    const normalized = normalizeBucketName(name);
+    const storageDriver = normalizeStorageDriver(driver);
+    if (normalized === DEFAULT_BUCKET || !(await this.claim('name', normalized))) {
+      throw createBucketError(`存储桶已存在: ${normalized}`, 409);
+    }
+    const telegram = storageDriver === 'telegram';
+    const claimedChatId = telegram ? String(chatId ?? '').trim() : '';
+    let chatClaimed = false;
+
+    try {
+      if (claimedChatId) {
+        chatClaimed = await this.claim('chat', claimedChatId);
+        if (!chatClaimed) {
+          throw createBucketError('该聊天正在被另一个存储桶使用', 409);
+        }
+      }
+      // 占用名称和聊天ID之后再读取记录，同时创建的存储桶不会重复
+      const bucketMap = await this.getBucketMap();
+      if (bucketMap[normalized]) {
+        throw createBucketError(`存储桶已存在: ${normalized}`, 409);
+      }
+
+      const now = new Date().toISOString();
+      const bucket = {
+        name: normalized,
+        label: String(label || normalized).trim().slice(0, 64),
+        description: String(description || '').trim().slice(0, 256),
+        driver: storageDriver,
+        chatId: telegram ? this.validateChatId(chatId, bucketMap) : `${storageDriver}:${normalized}`,
+        versioning: normalizeVersioningPolicy(versioning),
+        builtin: false,
+        createdAt: now,
+        updatedAt: now,
+        retiredAt: null
+      };
+
+      await this.saveBucket(bucket);
+      return bucket;
+    } finally {
+      await this.releaseClaim('name', normalized);
+      if (chatClaimed) {
+        await this.releaseClaim('chat', claimedChatId);
+      }
+    }
+  }
+
+  /**
+   * 修改存储桶的显示名称、描述和版本控制规则
+   * 驱动和聊天ID在创建后不能修改：文件记录和删除消息都依赖原来的存储位置
+   * @param {string} name - 存储桶名称
+   * @param {Object} changes - 要修改的字段
+   * @returns {Promise<Object>} 修改后的存储桶记录
+   */
+  async update(name, { label, description, chatId, driver, versioning }) {
+    const bucketMap = await this.getBucketMap();
+    const bucket = this.findConfigurable(name, bucketMap);
+    if (chatId !== undefined && String(chatId).trim() !== String(bucket.chatId)) {
+      throw createBucketError('存储桶创建后不能修改聊天ID，请新建存储桶');
+    }
+    if (driver !== undefined && normalizeStorageDriver(driver) !== (bucket.driver || 'telegram')) {
+      throw createBucketError('存储桶创建后不能修改存储驱动，请新建存储桶');
+    }
+
+    const updated = {
+      ...bucket,
+      ...(label !== undefined ? { label: String(label).trim().slice(0, 64) || bucket.name } : {}),
+      ...(description !== undefined ? { description: String(description).trim().slice(0, 256) } : {}),
+      ...(versioning !== undefined ? { versioning: normalizeVersioningPolicy(versioning) } : {}),
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.saveBucket(updated);
+    return updated;
+  }
+
+  /**
+   * 停用或恢复存储桶
+   * 停用后存储桶不再出现在切换列表中，文件仍可下载和删除，但不能上传或修改
+   * @param {string} name - 存储桶名称
+   * @param {boolean} retired - 是否停用
+   * @returns {Promise<Object>} 修改后的存储桶记录
+   */
+  async setRetired(name, retired) {
+    const bucketMap = await this.getBucketMap();
+    const bucket = this.findConfigurable(name, bucketMap);
+
+    const updated = {
+      ...bucket,
+      retiredAt: retired ? bucket.retiredAt || new Date().toISOString() : null,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.saveBucket(updated);
+    return updated;
+  }
+
+  /**
+   * 查找可以修改的存储桶（默认存储桶由环境变量配置，不能修改）
+   * @param {string} name - 存储桶名称
+   * @param {Object} bucketMap - 当前的存储桶记录
+   * @returns {Object} 存储桶记录
+   */
+  findConfigurable(name, bucketMap) {
+    const normalized = normalizeBucketName(name);
+    if (normalized === DEFAULT_BUCKET) {
+      throw createBucketError('默认存储桶由环境变量 TELEGRAM_CHAT_ID 和 FILE_VERSIONING 配置，不能修改或停用');
+    }
+    const bucket = bucketMap[normalized];
+    if (!bucket) {
+      throw createBucketError(`存储桶不存在: ${normalized}`, 404);
+    }
+    return bucket;
+  }
+}
+
+const buckets = new BucketStore();
+
+export {
+  BucketStore,
+  buckets,
+  normalizeBucketName,
+  normalizeStorageDriver,
+  getBucketKeyPrefix,
+  DEFAULT_BUCKET,
+  STORAGE_DRIVERS
+};
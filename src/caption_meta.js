@@ -0,0 +1,62 @@
+/**
+ * 消息说明（caption）中的文件元数据
+ * 文件夹等信息以 "key: value" 行的形式写入每条文件消息的说明，
+ * Redis 数据丢失后 syncFilesFromTelegram 可以据此还原
+ */
+
+// 元数据说明的首行标记，用于区分用户手动填写的说明
+const CAPTION_MARKER = '#tgnb';
+
+// Telegram 消息说明的长度上限
+const CAPTION_MAX_LENGTH = 1024;
+
+/**
+ * 生成带元数据的消息说明
+ * 空值会被忽略，所有字段都为空时返回空字符串
+ * @param {Object} metadata - 元数据键值对
+ * @returns {string} 消息说明
+ */
+function buildCaption(metadata = {}) {
+  const lines = Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}: ${String(value).replace(/\s*\n\s*/g, ' ')}`);
+
+  if (lines.length === 0) {
+    return '';
+  }
+
+  const caption = [CAPTION_MARKER, ...lines].join('\n');
+  return caption.length > CAPTION_MAX_LENGTH ? caption.slice(0, CAPTION_MAX_LENGTH) : caption;
+}
+
+/**
+ * 解析消息说明中的元数据
+ * @param {string} caption - 消息说明
+ * @returns {Object} 元数据键值对，不是元数据说明时返回空对象
+ */
+function parseCaption(caption) {
+  const metadata = {};
+  if (typeof caption !== 'string') {
+    return metadata;
+  }
+
+  const [firstLine, ...lines] = caption.split('\n');
+  if (firstLine.trim() !== CAPTION_MARKER) {
+    return metadata;
+  }
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      metadata[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+  return metadata;
+}
+
+export {
+  buildCaption,
+  parseCaption,
+  CAPTION_MARKER,
+  CAPTION_MAX_LENGTH
+};
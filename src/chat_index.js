@@ -0,0 +1,561 @@
+import { redisClient } from './redis_client.js';
+import { buildCaption, parseCaption } from './caption_meta.js';
+
+// 索引文档的格式版本
+const INDEX_FORMAT_VERSION = 1;
+
+// 增量消息达到此数量后写入新的完整快照，限制恢复时需要下载的消息数
+const MAX_DELTAS_PER_SNAPSHOT = 50;
+
+// 写入索引消息时持有的锁的过期时间（秒）
+const FLUSH_LOCK_TTL = 120;
+
+// 文件记录键的过期时间，与 TelegramStorage 保持一致
+const FILE_KEY_TTL = 86400 * 30;
+
+/**
+ * 索引中占用消息的全部文件记录：文件列表、回收站和历史版本
+ * @param {{files: Array, trash: Object, versions: Object}} index - 索引内容
+ * @returns {Array<Object>} 文件记录
+ */
+function getIndexedRecords({ files, trash, versions }) {
+  return [
+    ...files,
+    ...Object.values(trash).map(entry => entry.file),
+    ...Object.values(versions).flat().map(entry => entry.file)
+  ];
+}
+
+/**
+ * 聊天内的自描述索引
+ * 把Redis中的文件索引以JSON文档的形式保存在存储聊天中，Redis数据丢失后无需更新历史即可完整恢复：
+ * - 快照：包含全部文件记录、回收站、版本历史、分片清单、去重记录和文件夹的完整文档，置顶在聊天中，
+ *   说明中记录快照版本和最新一条增量消息的位置
+ * - 增量：快照之后的修改，每条增量文档记录上一条增量的位置，从最新一条往前形成链表
+ *
+ * 文件记录的修改先写入Redis中的待发送列表，再由 flush 合并为一条增量消息发送，
+ * 增量达到上限后改为写入新快照。恢复时从置顶消息找到快照，沿链表取回全部增量并按顺序重放。
+ * 只有使用 Telegram 驱动的存储桶有存储聊天，其他驱动不记录修改
+ */
+class ChatIndex {
+  /**
+   * @param {TelegramStorage} storage - 所属的存储实例
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * 索引状态在Redis中的键
+   * @returns {{state: string, pending: string, lock: string}} 键名
+   */
+  get keys() {
+    const prefix = this.storage.key(`chatindex:${this.storage.chatId}`);
+    return {
+      state: prefix,
+      pending: `${prefix}:pending`,
+      lock: `${prefix}:lock`
+    };
+  }
+
+  /**
+   * 读取索引状态
+   * @returns {Promise<Object|null>} 快照版本、置顶消息和增量链表头等信息
+   */
+  async getState() {
+    return await redisClient.get(this.keys.state);
+  }
+
+  /**
+   * 记录一条待发送的修改
+   * 只写入Redis，由 flush 统一发送到聊天中
+   * @param {Object} op - 修改内容：{type: 'put', file}、{type: 'manifest', manifest}、{type: 'delete', fileId, manifestId}、
+   *   {type: 'trash', entry}（移到回收站）、{type: 'versions', lineageId, versions}（逻辑文件的全部历史版本）
+   *   或 {type: 'blob', sha256, blob}（blob 为 null 表示删除去重记录）
+   * @returns {Promise<void>}
+   */
+  async record(op) {
+    if (!this.storage.chatBacked) {
+      return;
+    }
+    await redisClient.lpush(this.keys.pending, { ...op, at: new Date().toISOString() });
+  }
+
+  /**
+   * 读取待发送的修改，按发生顺序排列
+   * @returns {Promise<Array<Object>>} 修改列表
+   */
+  async getPending() {
+    return (await redisClient.lrange(this.keys.pending)).reverse();
+  }
+
+  /**
+   * 把待发送的修改写入聊天
+   * 有修改时发送一条增量消息；还没有快照或增量已达上限时写入新快照。
+   * 其他请求正在写入时直接返回，未发送的修改留给下一次 flush
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.snapshot] - 是否强制写入新快照
+   * @returns {Promise<{written: string|null, version: number|null}>} 写入的消息类型（snapshot、delta 或 null）和快照版本
+   */
+  async flush({ snapshot = false } = {}) {
+    if (!this.storage.chatBacked) {
+      return { written: null, version: null };
+    }
+    if (!(await redisClient.setnx(this.keys.lock, { at: new Date().toISOString() }, FLUSH_LOCK_TTL))) {
+      return { written: null, version: null };
+    }
+
+    try {
+      const state = await this.getState();
+      const pending = await this.getPending();
+      const folders = await this.storage.folders.getFolderMap();
+      const foldersChanged = JSON.stringify(folders) !== JSON.stringify(state?.folders || {});
+
+      if (snapshot || !state || state.deltaCount >= MAX_DELTAS_PER_SNAPSHOT) {
+        const written = await this.writeSnapshot(state);
+        await this.clearPending(pending);
+        return { written: 'snapshot', version: written.version };
+      }
+      if (pending.length === 0 && !foldersChanged) {
+        return { written: null, version: state.version };
+      }
+
+      await this.writeDelta(state, pending, folders);
+      await this.clearPending(pending);
+      return { written: 'delta', version: state.version };
+    } finally {
+      await redisClient.del(this.keys.lock);
+    }
+  }
+
+  /**
+   * 从待发送列表中移除已经写入聊天的修改
+   * flush 期间新记录的修改不受影响
+   * @param {Array<Object>} ops - 已写入的修改
+   * @returns {Promise<void>}
+   */
+  async clearPending(ops) {
+    for (const op of ops) {
+      await redisClient.lrem(this.keys.pending, op);
+    }
+  }
+
+  /**
+   * 以 JSON 文档的形式发送索引消息
+   * @param {Object} document - 文档内容
+   * @param {string} fileName - 文档文件名
+   * @param {Object} metadata - 写入消息说明的元数据
+   * @returns {Promise<{messageId: string, fileId: string, botId: string}>} 消息位置
+   */
+  async sendIndexDocument(document, fileName, metadata) {
+    const { response, botId } = await this.storage.retryOperation(async () => {
+      return await this.storage.sendDocument(Buffer.from(JSON.stringify(document)), {
+        caption: buildCaption(metadata),
+        disable_notification: true
+      }, {
+        filename: fileName,
+        contentType: 'application/json'
+      });
+    }, `发送索引文档 ${fileName}`, 'index');
+    return {
+      messageId: String(response.message_id),
+      fileId: response.document?.file_id || '',
+      botId
+    };
+  }
+
+  /**
+   * 生成快照消息的说明
+   * @param {Object} state - 索引状态
+   * @returns {string} 消息说明
+   */
+  buildSnapshotCaption(state) {
+    return buildCaption({
+      index: 'snapshot',
+      version: state.version,
+      deltas: state.deltaCount,
+      head: state.head?.fileId,
+      head_bot: state.head?.botId
+    });
+  }
+
+  /**
+   * 读取Redis中的完整索引
+   * 直接读取文件列表，不会在列表为空时触发从Telegram同步；回收站中的文件和历史版本同样保留消息，需要一起记录
+   * @returns {Promise<{files: Array, trash: Object, versions: Object, manifests: Object, blobs: Object, folders: Object}>} 索引内容
+   */
+  async readIndex() {
+    const files = await redisClient.lrange(this.storage.key(`files:${this.storage.chatId}`));
+    const trash = await redisClient.hgetall(this.storage.trash.trashKey());
+    const versions = await redisClient.hgetall(this.storage.versions.versionsKey());
+    const records = getIndexedRecords({ files, trash, versions });
+    return { files, trash, versions, ...(await this.readContent(records)), folders: await this.storage.folders.getFolderMap() };
+  }
+
+  /**
+   * 读取文件记录引用的去重记录和分片清单
+   * 存放内容的文件被删除后，引用同一内容的其他记录仍然需要它的去重记录和分片清单
+   * @param {Array<Object>} records - 文件记录
+   * @returns {Promise<{manifests: Object, blobs: Object}>} 按文件ID索引的分片清单和按内容哈希索引的去重记录
+   */
+  async readContent(records) {
+    const blobs = {};
+    const manifestIds = new Set();
+    for (const file of records) {
+      if (file.blob && !blobs[file.blob]) {
+        const blob = await this.storage.blobs.find(file.blob);
+        if (blob) {
+          blobs[file.blob] = blob;
+          if (blob.chunked) {
+            manifestIds.add(blob.fileId);
+          }
+        }
+      }
+      if (file.chunked) {
+        manifestIds.add(file.sourceFileId || file.fileId);
+      }
+    }
+
+    const manifests = {};
+    for (const fileId of manifestIds) {
+      const manifest = await redisClient.get(this.storage.key(`manifest:${fileId}`));
+      if (manifest) {
+        manifests[fileId] = manifest;
+      }
+    }
+    return { manifests, blobs };
+  }
+
+  /**
+   * 写入新的完整快照并置顶，取消置顶上一个快照
+   * @param {Object|null} previous - 之前的索引状态
+   * @returns {Promise<Object>} 新的索引状态
+   */
+  async writeSnapshot(previous) {
+    const version = (previous?.version || 0) + 1;
+    const index = await this.readIndex();
+    const snapshot = {
+      format: 'tgnb-index',
+      formatVersion: INDEX_FORMAT_VERSION,
+      version,
+      bucket: this.storage.bucket,
+      chatId: String(this.storage.chatId),
+      createdAt: new Date().toISOString(),
+      ...index
+    };
+
+    const message = await this.sendIndexDocument(snapshot, `tgnb-index-v${version}.json`, {
+      index: 'snapshot',
+      version,
+      deltas: 0
+    });
+
+    const { chatId } = this.storage;
+    await this.storage.bots.run(client => client.pinChatMessage(chatId, message.messageId, {
+      disable_notification: true
+    }), { botId: message.botId });
+    if (previous?.snapshotMessageId) {
+      try {
+        await this.storage.bots.run(client => client.unpinChatMessage(chatId, {
+          message_id: previous.snapshotMessageId
+        }), { botId: previous.snapshotBotId });
+      } catch (error) {
+        console.warn('取消置顶旧的索引快照失败:', error.message);
+      }
+    }
+
+    const state = {
+      version,
+      snapshotMessageId: message.messageId,
+      snapshotFileId: message.fileId,
+      snapshotBotId: message.botId,
+      head: null,
+      deltaCount: 0,
+      folders: index.folders,
+      updatedAt: snapshot.createdAt
+    };
+    await redisClient.set(this.keys.state, state);
+    console.log(`已写入索引快照 v${version}，共 ${index.files.length} 个文件`);
+    return state;
+  }
+
+  /**
+   * 写入一条增量消息，并把快照说明中的链表头指向它
+   * @param {Object} state - 当前的索引状态
+   * @param {Array<Object>} ops - 待发送的修改
+   * @param {Object} folders - 当前的文件夹记录
+   * @returns {Promise<Object>} 新的索引状态
+   */
+  async writeDelta(state, ops, folders) {
+    const sequence = state.deltaCount + 1;
+    const delta = {
+      format: 'tgnb-index-delta',
+      formatVersion: INDEX_FORMAT_VERSION,
+      version: state.version,
+      sequence,
+      createdAt: new Date().toISOString(),
+      prev: state.head,
+      // 记录时间只用于区分待发送列表中相同的修改，不写入文档
+      ops: ops.map(op => ({ ...op, at: undefined })),
+      folders
+    };
+
+    const message = await this.sendIndexDocument(delta, `tgnb-index-v${state.version}-${sequence}.json`, {
+      index: 'delta',
+      version: state.version,
+      sequence
+    });
+
+    const updated = {
+      ...state,
+      head: { fileId: message.fileId, botId: message.botId, messageId: message.messageId },
+      deltaCount: sequence,
+      folders,
+      updatedAt: delta.createdAt
+    };
+
+    // 增量消息已经发出，说明更新失败时链表头仍保存在Redis中，下一次写入会再次尝试
+    try {
+      await this.storage.retryOperation(async () => {
+        await this.storage.bots.run(client => client.editMessageCaption(this.buildSnapshotCaption(updated), {
+          chat_id: this.storage.chatId,
+          message_id: state.snapshotMessageId
+        }), { botId: state.snapshotBotId });
+      }, '更新索引快照说明', 'index');
+    } catch (error) {
+      console.warn('更新索引快照说明失败:', error.message);
+    }
+
+    await redisClient.set(this.keys.state, updated);
+    return updated;
+  }
+
+  /**
+   * 下载并解析索引文档
+   * @param {string} fileId - Telegram文件ID
+   * @param {string} [botId] - 发送该文档的机器人ID
+   * @returns {Promise<Object>} 文档内容
+   */
+  async fetchDocument(fileId, botId) {
+    // 通过驱动读取，--local 模式的自建 Bot API 服务器上的文档从本地磁盘读取
+    const stream = await this.storage.provider.getStream({ fileId, ...(botId ? { botId } : {}) });
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  }
+
+  /**
+   * 找到置顶的索引快照
+   * @returns {Promise<{fileId: string, botId: string|null, messageId: string, head: Object|null}>} 快照位置和链表头
+   */
+  async findPinnedSnapshot() {
+    const chat = await this.storage.bots.run(client => client.getChat(this.storage.chatId));
+    const pinned = chat.pinned_message;
+    const metadata = parseCaption(pinned?.caption);
+    if (!pinned?.document || metadata.index !== 'snapshot') {
+      const error = new Error('聊天中没有置顶的索引快照');
+      error.status = 404;
+      throw error;
+    }
+    return {
+      fileId: pinned.document.file_id,
+      botId: null,
+      messageId: String(pinned.message_id),
+      head: metadata.head ? { fileId: metadata.head, botId: metadata.head_bot || null } : null
+    };
+  }
+
+  /**
+   * 按顺序重放增量
+   * @param {Object} snapshot - 快照文档
+   * @param {Array<Object>} deltas - 增量文档，从旧到新
+   * @returns {{files: Array, trash: Object, versions: Object, manifests: Object, blobs: Object, folders: Object}} 重放后的索引
+   */
+  applyDeltas(snapshot, deltas) {
+    // 文件列表按写入顺序排列，最新写入的在前，与 lpush 的结果一致
+    const files = [...snapshot.files];
+    const trash = { ...snapshot.trash };
+    const versions = { ...snapshot.versions };
+    const manifests = { ...snapshot.manifests };
+    const blobs = { ...snapshot.blobs };
+    let folders = snapshot.folders || {};
+
+    const removeFile = fileId => {
+      const index = files.findIndex(file => file.fileId === fileId);
+      if (index !== -1) {
+        files.splice(index, 1);
+      }
+    };
+
+    for (const delta of deltas) {
+      for (const op of delta.ops) {
+        if (op.type === 'put') {
+          // 从回收站恢复的文件重新写入文件列表
+          removeFile(op.file.fileId);
+          delete trash[op.file.fileId];
+          files.unshift(op.file);
+        } else if (op.type === 'manifest') {
+          manifests[op.manifest.fileId] = op.manifest;
+        } else if (op.type === 'trash') {
+          removeFile(op.entry.file.fileId);
+          trash[op.entry.file.fileId] = op.entry;
+        } else if (op.type === 'versions') {
+          if (op.versions.length > 0) {
+            versions[op.lineageId] = op.versions;
+          } else {
+            delete versions[op.lineageId];
+          }
+        } else if (op.type === 'delete') {
+          removeFile(op.fileId);
+          delete trash[op.fileId];
+          if (op.manifestId) {
+            delete manifests[op.manifestId];
+          }
+        } else if (op.type === 'blob') {
+          if (op.blob) {
+            blobs[op.sha256] = op.blob;
+          } else {
+            delete blobs[op.sha256];
+          }
+        }
+      }
+      folders = delta.folders || folders;
+    }
+    return { files, trash, versions, manifests, blobs, folders };
+  }
+
+  /**
+   * 从聊天中的快照和增量恢复Redis索引
+   * 文件列表、文件记录、回收站、版本历史、分片清单、文件夹、去重记录和排序索引都会重建
+   * @param {Object} [options] - 选项
+   * @param {string} [options.snapshotFileId] - 快照文档的文件ID，置顶消息被替换时手动指定
+   * @returns {Promise<{version: number, files: number, deltas: number}>} 恢复结果
+   */
+  async recover({ snapshotFileId } = {}) {
+    if (!this.storage.chatBacked) {
+      const error = new Error('只有 Telegram 存储桶有聊天内的索引');
+      error.status = 400;
+      throw error;
+    }
+    const pinned = snapshotFileId ? { fileId: snapshotFileId, botId: null, messageId: null, head: null } : await this.findPinnedSnapshot();
+    const snapshot = await this.fetchDocument(pinned.fileId, pinned.botId);
+    if (snapshot.format !== 'tgnb-index' || snapshot.formatVersion > INDEX_FORMAT_VERSION) {
+      throw new Error('不支持的索引快照格式');
+    }
+
+    // 沿链表从最新的增量往前取回，直到快照之后的第一条
+    const deltas = [];
+    let cursor = pinned.head;
+    while (cursor && deltas.length < MAX_DELTAS_PER_SNAPSHOT * 2) {
+      const delta = await this.fetchDocument(cursor.fileId, cursor.botId);
+      if (delta.format !== 'tgnb-index-delta' || delta.version !== snapshot.version) {
+        break;
+      }
+      deltas.unshift(delta);
+      cursor = delta.prev;
+    }
+
+    const index = this.applyDeltas(snapshot, deltas);
+    await this.restore(index);
+
+    const last = deltas[deltas.length - 1];
+    await redisClient.del(this.keys.pending);
+    await redisClient.set(this.keys.state, {
+      version: snapshot.version,
+      snapshotMessageId: pinned.messageId,
+      snapshotFileId: pinned.fileId,
+      snapshotBotId: pinned.botId,
+      head: pinned.head ? { ...pinned.head, messageId: null } : null,
+      deltaCount: last ? last.sequence : 0,
+      folders: index.folders,
+      updatedAt: new Date().toISOString()
+    });
+
+    console.log(`已从索引快照 v${snapshot.version} 和 ${deltas.length} 条增量恢复 ${index.files.length} 个文件`);
+    return { version: snapshot.version, files: index.files.length, deltas: deltas.length };
+  }
+
+  /**
+   * 把索引写回Redis
+   * @param {{files: Array, trash: Object, versions: Object, manifests: Object, blobs: Object, folders: Object}} index - 索引内容
+   * @returns {Promise<void>}
+   */
+  async restore({ files, trash = {}, versions = {}, manifests, blobs, folders }) {
+    const { storage } = this;
+    const fileListKey = storage.key(`files:${storage.chatId}`);
+    const indexKeys = storage.index.keys;
+
+    await redisClient.del(fileListKey);
+    await redisClient.del(storage.trash.trashKey());
+    await redisClient.del(storage.versions.versionsKey());
+    for (const key of Object.values(indexKeys)) {
+      await redisClient.del(key);
+    }
+
+    // 倒序写入，使列表顺序与原来一致
+    for (const file of [...files].reverse()) {
+      await redisClient.lpush(fileListKey, file);
+      await redisClient.set(storage.key(`file:${file.fileId}`), file, FILE_KEY_TTL);
+      await storage.index.add(file);
+    }
+    await redisClient.set(indexKeys.ready, { builtAt: new Date().toISOString(), count: files.length });
+    for (const entry of Object.values(trash)) {
+      await storage.trash.add(entry);
+    }
+    for (const [lineageId, entries] of Object.entries(versions)) {
+      await redisClient.hset(storage.versions.versionsKey(), lineageId, entries);
+    }
+
+    for (const [fileId, manifest] of Object.entries(manifests)) {
+      await redisClient.set(storage.key(`manifest:${fileId}`), manifest);
+    }
+    await redisClient.set(storage.folders.folderKey, folders);
+
+    // 去重记录：使用快照和增量中保存的记录，旧版本的快照中没有时由存放内容的文件推导；
+    // 引用数为指向同一内容的记录数（包括回收站中的文件和历史版本），没有记录引用的内容不再恢复
+    const refs = new Map();
+    const owners = new Map();
+    for (const file of getIndexedRecords({ files, trash, versions }).filter(item => item.blob)) {
+      refs.set(file.blob, (refs.get(file.blob) || 0) + 1);
+      if (!file.sourceFileId) {
+        owners.set(file.blob, file);
+      }
+    }
+    for (const [sha256, count] of refs) {
+      const blob = blobs?.[sha256] || this.toBlobRecord(sha256, owners.get(sha256), manifests);
+      if (!blob) {
+        continue;
+      }
+      await redisClient.set(storage.blobs.blobKey(sha256), blob);
+      await redisClient.del(storage.blobs.refKey(sha256));
+      await redisClient.incrby(storage.blobs.refKey(sha256), count);
+    }
+  }
+
+  /**
+   * 由存放内容的文件推导去重记录
+   * @param {string} sha256 - 文件内容的SHA-256
+   * @param {Object|undefined} owner - 存放内容的文件
+   * @param {Object} manifests - 分片清单
+   * @returns {Object|null} 去重记录，没有存放内容的文件时为 null
+   */
+  toBlobRecord(sha256, owner, manifests) {
+    if (!owner) {
+      return null;
+    }
+    return {
+      sha256,
+      fileId: owner.fileId,
+      chunked: Boolean(owner.chunked),
+      messageIds: owner.chunked
+        ? (manifests[owner.fileId]?.parts || []).map(part => part.messageId)
+        : [owner.messageId],
+      ...(owner.botId ? { botId: owner.botId } : {}),
+      createdAt: owner.uploadTime
+    };
+  }
+}
+
+export { ChatIndex, MAX_DELTAS_PER_SNAPSHOT };
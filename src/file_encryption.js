@@ -0,0 +1,134 @@
+/**
+ * 端到端加密文件的参数校验
+ * 文件在浏览器中加密（见 utils/fileEncryption.js），服务端只保存密文和以下公开参数，
+ * 从不接触口令、密钥或明文
+ */
+
+// 支持的加密格式版本
+const ENCRYPTION_VERSION = 1;
+
+// 口令派生迭代次数的允许范围
+const MIN_ITERATIONS = 100000;
+const MAX_ITERATIONS = 10000000;
+
+// 加密块大小的允许范围
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+// 加密文件名密文的长度上限（base64）
+const MAX_ENCRYPTED_NAME_LENGTH = 1024;
+
+/**
+ * 创建带HTTP状态码的加密参数错误
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createEncryptionError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * 校验 base64 编码的字节串
+ * @param {any} value - 待校验的值
+ * @param {string} name - 字段名
+ * @param {number} [byteLength] - 要求的字节长度
+ * @returns {string} 原值
+ */
+function validateBase64(value, name, byteLength) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+    throw createEncryptionError(`无效的加密参数 ${name}`);
+  }
+  if (byteLength !== undefined && Buffer.from(value, 'base64').length !== byteLength) {
+    throw createEncryptionError(`加密参数 ${name} 的长度不正确`);
+  }
+  return value;
+}
+
+/**
+ * 校验整数字段
+ * @param {any} value - 待校验的值
+ * @param {string} name - 字段名
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {number} 原值
+ */
+function validateInteger(value, name, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw createEncryptionError(`无效的加密参数 ${name}`);
+  }
+  return value;
+}
+
+/**
+ * 解析并校验客户端提交的加密参数
+ * 只保留已知字段，避免把任意内容写入文件记录
+ * @param {string|Object} input - JSON 字符串或对象
+ * @returns {Object|null} 规范化后的加密参数，未提供时为null
+ */
+function normalizeEncryptionInfo(input) {
+  if (input === undefined || input === null || input === '') {
+    return null;
+  }
+
+  let info = input;
+  if (typeof input === 'string') {
+    try {
+      info = JSON.parse(input);
+    } catch {
+      throw createEncryptionError('加密参数不是有效的JSON');
+    }
+  }
+  if (!info || typeof info !== 'object' || Array.isArray(info)) {
+    throw createEncryptionError('无效的加密参数');
+  }
+
+  if (info.version !== ENCRYPTION_VERSION) {
+    throw createEncryptionError(`不支持的加密格式版本: ${info.version}`);
+  }
+  if (info.algorithm !== 'AES-GCM' || info.kdf !== 'PBKDF2-SHA256') {
+    throw createEncryptionError('不支持的加密算法');
+  }
+
+  const normalized = {
+    version: ENCRYPTION_VERSION,
+    algorithm: info.algorithm,
+    kdf: info.kdf,
+    iterations: validateInteger(info.iterations, 'iterations', MIN_ITERATIONS, MAX_ITERATIONS),
+    salt: validateBase64(info.salt, 'salt', 16),
+    noncePrefix: validateBase64(info.noncePrefix, 'noncePrefix', 8),
+    chunkSize: validateInteger(info.chunkSize, 'chunkSize', MIN_CHUNK_SIZE, MAX_CHUNK_SIZE),
+    plainSize: validateInteger(info.plainSize, 'plainSize', 0, Number.MAX_SAFE_INTEGER)
+  };
+
+  if (info.name !== undefined && info.name !== null) {
+    if (typeof info.name !== 'object' || typeof info.name.data !== 'string' ||
+        info.name.data.length > MAX_ENCRYPTED_NAME_LENGTH) {
+      throw createEncryptionError('无效的加密文件名');
+    }
+    normalized.name = {
+      iv: validateBase64(info.name.iv, 'name.iv', 12),
+      data: validateBase64(info.name.data, 'name.data')
+    };
+  }
+
+  return normalized;
+}
+
+/**
+ * 计算加密后的文件大小
+ * 每个加密块在明文之后附带16字节的认证标签，空文件也有一个加密块
+ * @param {Object} encryption - 加密参数
+ * @returns {number} 密文大小
+ */
+function getEncryptedSize(encryption) {
+  const chunkCount = Math.max(1, Math.ceil(encryption.plainSize / encryption.chunkSize));
+  return encryption.plainSize + chunkCount * 16;
+}
+
+export {
+  normalizeEncryptionInfo,
+  getEncryptedSize,
+  ENCRYPTION_VERSION
+};
@@ -0,0 +1,463 @@
+import { redisClient } from './redis_client.js';
+import { ROOT_FOLDER, normalizeFolderPath } from './folder_store.js';
+import { hasTag } from './file_tags.js';
+
+// 支持的排序字段
+const SORT_FIELDS = ['uploadTime', 'fileSize', 'fileName'];
+
+// 每页数量的默认值和上限
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// 遍历索引时每批读取的成员数量
+const SCAN_BATCH_SIZE = 100;
+
+// 单次查询最多检查的文件数量，筛选条件很少命中时分多次请求继续查找
+const MAX_SCAN_PER_REQUEST = 1000;
+
+// 文件名索引成员中文件名与文件ID之间的分隔符
+const NAME_SEPARATOR = '\u0000';
+
+// 搜索接口接受的查询参数，出现任意一个即使用索引查询
+const SEARCH_PARAMS = ['q', 'type', 'minSize', 'maxSize', 'from', 'to', 'sort', 'order', 'limit', 'cursor'];
+
+// 文件类型对应的扩展名，与前端的类型筛选保持一致
+const FILE_TYPE_EXTENSIONS = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'],
+  document: ['pdf', 'doc', 'docx', 'txt', 'rtf'],
+  video: ['mp4', 'avi', 'mov', 'wmv', 'flv'],
+  audio: ['mp3', 'wav', 'flac', 'aac']
+};
+
+/**
+ * 创建带HTTP状态码的查询参数错误
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createQueryError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * 根据文件名获取文件类型
+ * @param {string} fileName - 文件名
+ * @returns {string} image、document、video、audio 或 other
+ */
+function getFileType(fileName) {
+  const ext = String(fileName || '').split('.').pop().toLowerCase();
+  const type = Object.keys(FILE_TYPE_EXTENSIONS).find(key => FILE_TYPE_EXTENSIONS[key].includes(ext));
+  return type || 'other';
+}
+
+/**
+ * 解析非负整数参数
+ * @param {string} value - 参数值
+ * @param {string} name - 参数名
+ * @returns {number|null} 解析结果，未提供时为null
+ */
+function parseInteger(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (!/^\d+$/.test(String(value))) {
+    throw createQueryError(`无效的参数 ${name}: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * 解析日期参数
+ * 只有日期部分（YYYY-MM-DD）的结束日期包含当天全天
+ * @param {string} value - 日期字符串或毫秒时间戳
+ * @param {string} name - 参数名
+ * @param {boolean} [isEnd=false] - 是否为范围的结束日期
+ * @returns {number|null} 毫秒时间戳，未提供时为null
+ */
+function parseDate(value, name, isEnd = false) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw createQueryError(`无效的日期 ${name}: ${value}`);
+  }
+  return isEnd && /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? time + 86400000 - 1 : time;
+}
+
+/**
+ * 生成不透明的分页游标
+ * @param {Object} position - 上一页最后一个文件在索引中的位置
+ * @returns {string} base64url 编码的游标
+ */
+function encodeCursor({ sort, order, value, fileId }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id: fileId })).toString('base64url');
+}
+
+/**
+ * 解析分页游标
+ * 游标只能用于生成它时的排序方式
+ * @param {string} cursor - 游标
+ * @param {string} sort - 当前排序字段
+ * @param {string} order - 当前排序方向
+ * @returns {{value: number|string, fileId: string}} 上一页最后一个文件的位置
+ */
+function decodeCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw createQueryError('无效的分页游标');
+  }
+  if (!decoded || typeof decoded.id !== 'string' ||
+      (typeof decoded.v !== 'number' && typeof decoded.v !== 'string')) {
+    throw createQueryError('无效的分页游标');
+  }
+  if (decoded.s !== sort || decoded.o !== order) {
+    throw createQueryError('分页游标与当前排序方式不一致');
+  }
+  return { value: decoded.v, fileId: decoded.id };
+}
+
+/**
+ * 判断请求是否使用了搜索参数
+ * @param {Object} query - 请求查询参数
+ * @returns {boolean} 是否需要走索引查询
+ */
+function hasSearchParams(query) {
+  return SEARCH_PARAMS.some(name => query[name] !== undefined);
+}
+
+/**
+ * 解析并校验文件查询参数
+ * @param {Object} query - 请求查询参数
+ * @returns {Object} 规范化后的查询条件
+ */
+function parseFileQuery(query = {}) {
+  const sort = query.sort || 'uploadTime';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw createQueryError(`不支持的排序字段: ${sort}`);
+  }
+
+  const order = query.order || (sort === 'fileName' ? 'asc' : 'desc');
+  if (order !== 'asc' && order !== 'desc') {
+    throw createQueryError(`无效的排序方向: ${order}`);
+  }
+
+  const type = query.type && query.type !== 'all' ? query.type : null;
+  if (type && type !== 'other' && !FILE_TYPE_EXTENSIONS[type]) {
+    throw createQueryError(`不支持的文件类型: ${type}`);
+  }
+
+  const limit = parseInteger(query.limit, 'limit') ?? DEFAULT_LIMIT;
+  if (limit < 1 || limit > MAX_LIMIT) {
+    throw createQueryError(`limit 必须在 1 到 ${MAX_LIMIT} 之间`);
+  }
+
+  const minSize = parseInteger(query.minSize, 'minSize');
+  const maxSize = parseInteger(query.maxSize, 'maxSize');
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to', true);
+
+  return {
+    q: query.q ? String(query.q).trim().toLowerCase() : '',
+    type,
+    minSize,
+    maxSize,
+    from,
+    to,
+    sort,
+    order,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor, sort, order) : null,
+    folder: query.path !== undefined ? normalizeFolderPath(query.path) : null,
+    tag: query.tag || null
+  };
+}
+
+/**
+ * 获取文件上传时间的毫秒时间戳
+ * @param {Object} fileInfo - 文件信息
+ * @returns {number} 时间戳，缺失时为0
+ */
+function getUploadTimestamp(fileInfo) {
+  const time = Date.parse(fileInfo.uploadTime);
+  return Number.isFinite(time) ? time : 0;
+}
+
+/**
+ * 判断文件是否满足查询条件
+ * @param {Object} file - 文件信息
+ * @param {Object} query - parseFileQuery 的结果
+ * @returns {boolean} 是否匹配
+ */
+function matchesQuery(file, query) {
+  const size = file.fileSize || 0;
+  const time = getUploadTimestamp(file);
+  return (!query.q || String(file.fileName || '').toLowerCase().includes(query.q)) &&
+    (!query.type || getFileType(file.fileName) === query.type) &&
+    (query.minSize === null || size >= query.minSize) &&
+    (query.maxSize === null || size <= query.maxSize) &&
+    (query.from === null || time >= query.from) &&
+    (query.to === null || time <= query.to) &&
+    (query.folder === null || (file.folder || ROOT_FOLDER) === query.folder) &&
+    (!query.tag || hasTag(file, query.tag));
+}
+
+/**
+ * 文件二级索引
+ * 按上传时间和文件大小各维护一个有序集合（分数为时间戳/字节数，成员为文件ID），
+ * 文件名索引是分数全为0的有序集合，成员为 "小写文件名\0文件ID"，按字典序排列。
+ * 查询时沿排序字段的索引分批读取，只加载需要的文件记录，不再读取整个文件列表
+ */
+class FileIndex {
+  /**
+   * @param {TelegramStorage} storage - 所属的存储实例
+   * @param {Object} [options] - 索引选项
+   * @param {number} [options.maxScan] - 单次查询最多检查的文件数量
+   */
+  constructor(storage, { maxScan = MAX_SCAN_PER_REQUEST } = {}) {
+    this.storage = storage;
+    this.maxScan = maxScan;
+  }
+
+  /**
+   * 各索引在Redis中的键
+   * @returns {{uploadTime: string, fileSize: string, fileName: string, ready: string}} 键名
+   */
+  get keys() {
+    const prefix = this.storage.key(`idx:${this.storage.chatId}`);
+    return {
+      uploadTime: `${prefix}:time`,
+      fileSize: `${prefix}:size`,
+      fileName: `${prefix}:name`,
+      ready: `${prefix}:ready`
+    };
+  }
+
+  /**
+   * 文件名索引中的成员
+   * @param {Object} fileInfo - 文件信息
+   * @returns {string} 成员字符串
+   */
+  getNameMember(fileInfo) {
+    return `${String(fileInfo.fileName || '').toLowerCase()}${NAME_SEPARATOR}${fileInfo.fileId}`;
+  }
+
+  /**
+   * 生成把文件加入索引的事务命令
+   * @param {Object} fileInfo - 文件信息
+   * @returns {Array<Array>} 事务命令
+   */
+  getAddCommands(fileInfo) {
+    const { keys } = this;
+    return [
+      ['zadd', keys.uploadTime, getUploadTimestamp(fileInfo), fileInfo.fileId],
+      ['zadd', keys.fileSize, fileInfo.fileSize || 0, fileInfo.fileId],
+      ['zadd', keys.fileName, 0, this.getNameMember(fileInfo)]
+    ];
+  }
+
+  /**
+   * 生成把文件移出索引的事务命令
+   * @param {Object} fileInfo - 文件信息
+   * @returns {Array<Array>} 事务命令
+   */
+  getRemoveCommands(fileInfo) {
+    const { keys } = this;
+    return [
+      ['zrem', keys.uploadTime, fileInfo.fileId],
+      ['zrem', keys.fileSize, fileInfo.fileId],
+      ['zrem', keys.fileName, this.getNameMember(fileInfo)]
+    ];
+  }
+
+  /**
+   * 把文件加入索引
+   * @param {Object} fileInfo - 文件信息
+   * @returns {Promise<boolean>} 操作结果
+   */
+  async add(fileInfo) {
+    return await redisClient.transaction(this.getAddCommands(fileInfo));
+  }
+
+  /**
+   * 把文件移出索引
+   * @param {Object} fileInfo - 文件信息
+   * @returns {Promise<boolean>} 操作结果
+   */
+  async remove(fileInfo) {
+    return await redisClient.transaction(this.getRemoveCommands(fileInfo));
+  }
+
+  /**
+   * 确保索引已经建立
+   * 引入索引之前上传的文件只存在于文件列表中，第一次查询时从文件列表回填一次
+   * @returns {Promise<void>}
+   */
+  async ensureBuilt() {
+    if (await redisClient.get(this.keys.ready)) {
+      return;
+    }
+
+    const files = await this.storage.listFiles();
+    for (const file of files) {
+      await this.add(file);
+    }
+    await redisClient.set(this.keys.ready, { builtAt: new Date().toISOString(), count: files.length });
+    console.log(`文件索引已建立，共 ${files.length} 个文件`);
+  }
+
+  /**
+   * 批量加载文件记录
+   * file:${fileId} 键过期时从文件列表补回（每次查询最多读取一次文件列表）
+   * @param {Array<string>} fileIds - 文件ID列表
+   * @param {Object} context - 单次查询内共享的状态
+   * @returns {Promise<Array<Object|null>>} 与文件ID一一对应的文件信息，已不存在的文件为null
+   */
+  async loadRecords(fileIds, context) {
+    const records = (await redisClient.mget(fileIds.map(fileId => this.storage.key(`file:${fileId}`)))).map(record => {
+      if (typeof record !== 'string') {
+        return record;
+      }
+      try {
+        return JSON.parse(record);
+      } catch {
+        return null;
+      }
+    });
+
+    const missing = fileIds.filter((fileId, index) => !records[index]);
+    if (missing.length === 0) {
+      return records;
+    }
+
+    if (!context.fileList) {
+      context.fileList = new Map((await this.storage.listFiles()).map(file => [file.fileId, file]));
+    }
+    return await Promise.all(fileIds.map(async (fileId, index) => {
+      if (records[index]) {
+        return records[index];
+      }
+      const file = context.fileList.get(fileId);
+      if (file) {
+        await redisClient.set(this.storage.key(`file:${fileId}`), file, 86400 * 30); // 30天过期
+      }
+      return file || null;
+    }));
+  }
+
+  /**
+   * 读取排序索引中的一批成员
+   * @param {Object} query - parseFileQuery 的结果
+   * @param {number} offset - 已读取的成员数量
+   * @returns {Promise<{items: Array<{fileId: string, value: number|string}>, scanned: number}>} 文件ID和排序值，以及实际读取的成员数量
+   */
+  async readBatch(query, offset) {
+    const { sort, order, cursor } = query;
+    const rev = order === 'desc';
+    const options = { offset, count: SCAN_BATCH_SIZE, rev };
+
+    if (sort === 'fileName') {
+      // 成员各不相同，游标之后的成员用开区间取得
+      const after = cursor ? `(${cursor.value}` : null;
+      const min = !rev && after ? after : '-';
+      const max = rev && after ? after : '+';
+      const members = await redisClient.zrangeByLex(this.keys.fileName, min, max, options);
+      return {
+        items: members.map(member => ({ fileId: member.slice(member.indexOf(NAME_SEPARATOR) + 1), value: member })),
+        scanned: members.length
+      };
+    }
+
+    // 能够用分数范围表达的条件直接限定在索引范围内
+    let min = sort === 'fileSize' ? query.minSize : query.from;
+    let max = sort === 'fileSize' ? query.maxSize : query.to;
+    if (cursor) {
+      if (rev) {
+        max = max === null ? cursor.value : Math.min(max, cursor.value);
+      } else {
+        min = min === null ? cursor.value : Math.max(min, cursor.value);
+      }
+    }
+
+    const entries = await redisClient.zrangeByScore(this.keys[sort], min ?? '-inf', max ?? '+inf', options);
+    return {
+      items: entries
+        // 分数与游标相同的成员按文件ID排序，跳过上一页已经返回的部分
+        .filter(({ member, score }) => !cursor || score !== cursor.value ||
+          (rev ? member < cursor.fileId : member > cursor.fileId))
+        .map(({ member, score }) => ({ fileId: member, value: score })),
+      scanned: entries.length
+    };
+  }
+
+  /**
+   * 搜索文件
+   * 文件名、类型和标签等条件不能用索引范围表达，需要逐个检查文件记录；每次查询最多检查 maxScan 个文件，
+   * 达到上限时返回已找到的文件和从最后检查的位置继续的游标，因此一页可能少于 limit 个甚至没有文件
+   * @param {Object} query - parseFileQuery 的结果
+   * @returns {Promise<{files: Array<Object>, nextCursor: string|null}>} 当前页的文件和下一页游标
+   */
+  async search(query) {
+    await this.ensureBuilt();
+
+    const matches = [];
+    const context = {};
+    let offset = 0;
+    let examined = 0;
+    let lastExamined = null;
+    let truncated = false;
+
+    // 多取一个匹配项，用来判断是否还有下一页
+    while (matches.length <= query.limit) {
+      const { items, scanned } = await this.readBatch(query, offset);
+      offset += scanned;
+
+      const batch = items.slice(0, this.maxScan - examined);
+      examined += batch.length;
+      const records = batch.length > 0 ? await this.loadRecords(batch.map(item => item.fileId), context) : [];
+      for (const [index, item] of batch.entries()) {
+        if (matches.length > query.limit) {
+          break;
+        }
+        lastExamined = item;
+        const record = records[index];
+        if (record && matchesQuery(record, query)) {
+          matches.push({ ...item, record });
+        }
+      }
+
+      if (examined >= this.maxScan) {
+        truncated = batch.length < items.length || scanned === SCAN_BATCH_SIZE;
+        break;
+      }
+      if (scanned < SCAN_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    const page = matches.slice(0, query.limit);
+    // 找到下一页的第一个文件时从本页最后一个文件继续，检查数量达到上限时从最后检查的文件继续
+    const next = matches.length > query.limit ? page[page.length - 1] : (truncated ? lastExamined : null);
+    return {
+      files: page.map(item => item.record),
+      nextCursor: next
+        ? encodeCursor({ sort: query.sort, order: query.order, value: next.value, fileId: next.fileId })
+        : null
+    };
+  }
+}
+
+export {
+  FileIndex,
+  parseFileQuery,
+  hasSearchParams,
+  matchesQuery,
+  getFileType,
+  encodeCursor,
+  decodeCursor,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
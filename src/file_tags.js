@@ -0,0 +1,95 @@
+// 单个文件的标签数量和单个标签的长度限制
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+
+/**
+ * 创建带HTTP状态码的标签校验错误
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function createTagError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * 规范化标签列表
+ * 接受数组或逗号分隔的字符串，去除空白和重复项（不区分大小写，保留第一次出现的写法）
+ * @param {Array<string>|string} input - 标签
+ * @returns {Array<string>} 规范化后的标签列表
+ */
+function normalizeTags(input) {
+  if (input === undefined || input === null || input === '') {
+    return [];
+  }
+
+  const rawTags = typeof input === 'string' ? input.split(',') : input;
+  if (!Array.isArray(rawTags)) {
+    throw createTagError('标签必须是数组或逗号分隔的字符串');
+  }
+
+  const tags = [];
+  const seen = new Set();
+  for (const rawTag of rawTags) {
+    if (typeof rawTag !== 'string') {
+      throw createTagError('标签必须是字符串');
+    }
+
+    const tag = rawTag.trim().replace(/^#/, '');
+    if (!tag) {
+      continue;
+    }
+    if (tag.length > MAX_TAG_LENGTH || /[,\n\r\x00-\x1f]/.test(tag)) {
+      throw createTagError(`无效的标签: ${tag}`);
+    }
+
+    const key = tag.toLowerCase();
+    if (!seen.has(key)) {
+      seen.add(key);
+      tags.push(tag);
+    }
+  }
+
+  if (tags.length > MAX_TAGS) {
+    throw createTagError(`每个文件最多 ${MAX_TAGS} 个标签`);
+  }
+  return tags;
+}
+
+/**
+ * 判断文件是否带有指定标签（不区分大小写）
+ * @param {Object} file - 文件信息
+ * @param {string} tag - 标签
+ * @returns {boolean} 是否匹配
+ */
+function hasTag(file, tag) {
+  const target = String(tag).trim().replace(/^#/, '').toLowerCase();
+  return Array.isArray(file.tags) && file.tags.some(fileTag => fileTag.toLowerCase() === target);
+}
+
+/**
+ * 统计所有文件的标签使用次数
+ * @param {Array<Object>} files - 文件列表
+ * @returns {Array<{tag: string, count: number}>} 按使用次数降序排列的标签
+ */
+function collectTags(files) {
+  const counts = new Map();
+  for (const file of files) {
+    for (const tag of file.tags || []) {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { tag, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+export {
+  normalizeTags,
+  hasTag,
+  collectTags,
+  MAX_TAGS,
+  MAX_TAG_LENGTH
+};
@@ -0,0 +1,348 @@
+import { redisClient } from './redis_client.js';
+
+// 根目录路径
+const ROOT_FOLDER = '/';
+
+// 单级文件夹名称的最大长度
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+/**
+ * 创建带HTTP状态码的文件夹操作错误
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP状态码
+ * @returns {Error} 错误对象
+ */
+function createFolderError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 校验单级文件夹名称
+ * @param {string} name - 文件夹名称
+ * @returns {string} 去除首尾空白后的名称
+ */
+function validateFolderName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed === '.' || trimmed === '..' || trimmed.includes('/') ||
+      trimmed.length > MAX_FOLDER_NAME_LENGTH || /[\x00-\x1f]/.test(trimmed)) {
+    throw createFolderError(`无效的文件夹名称: ${name}`, 400);
+  }
+  return trimmed;
+}
+
+/**
+ * 规范化文件夹路径
+ * 去除多余的斜杠和空白，结果总是以 / 开头且不以 / 结尾（根目录除外）
+ * @param {string} [folderPath] - 文件夹路径，为空时表示根目录
+ * @returns {string} 规范化后的路径
+ */
+function normalizeFolderPath(folderPath) {
+  if (folderPath === undefined || folderPath === null || folderPath === '') {
+    return ROOT_FOLDER;
+  }
+  if (typeof folderPath !== 'string') {
+    throw createFolderError('无效的文件夹路径', 400);
+  }
+
+  const segments = folderPath.split('/').filter(segment => segment.trim() !== '');
+  return ROOT_FOLDER + segments.map(validateFolderName).join('/');
+}
+
+/**
+ * 获取上级文件夹路径
+ * @param {string} folderPath - 规范化的文件夹路径
+ * @returns {string|null} 上级路径，根目录返回 null
+ */
+function getParentPath(folderPath) {
+  if (folderPath === ROOT_FOLDER) {
+    return null;
+  }
+  const index = folderPath.lastIndexOf('/');
+  return index === 0 ? ROOT_FOLDER : folderPath.slice(0, index);
+}
+
+/**
+ * 拼接文件夹路径
+ * @param {string} parentPath - 上级路径
+ * @param {string} name - 文件夹名称
+ * @returns {string} 完整路径
+ */
+function joinFolderPath(parentPath, name) {
+  return parentPath === ROOT_FOLDER ? `/${name}` : `${parentPath}/${name}`;
+}
+
+/**
+ * 判断路径是否等于某个文件夹或位于其内部
+ * @param {string} folderPath - 要判断的路径
+ * @param {string} ancestorPath - 上级文件夹路径
+ * @returns {boolean} 是否在文件夹内
+ */
+function isWithinFolder(folderPath, ancestorPath) {
+  return ancestorPath === ROOT_FOLDER ||
+    folderPath === ancestorPath ||
+    folderPath.startsWith(`${ancestorPath}/`);
+}
+
+/**
+ * 虚拟文件夹管理
+ * 文件夹只存在于索引中：文件通过 folder 字段记录所在路径，
+ * 文件夹列表保存在 folders:${chatId} 中，空文件夹也能保留
+ */
+class FolderStore {
+  /**
+   * @param {TelegramStorage} storage - 所属的存储实例
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * 文件夹列表在Redis中的键
+   * @returns {string} 键名
+   */
+  get folderKey() {
+    return this.storage.key(`folders:${this.storage.chatId}`);
+  }
+
+  /**
+   * 读取文件夹记录
+   * @returns {Promise<Object>} 路径到文件夹记录的映射
+   */
+  async getFolderMap() {
+    return (await redisClient.get(this.folderKey)) || {};
+  }
+
+  /**
+   * 列出所有文件夹
+   * 写入文件记录时会确保其所在文件夹已登记（包括从Telegram同步恢复的文件），
+   * 因此只需读取文件夹记录，不必遍历文件列表
+   * @returns {Promise<Array<{path: string, name: string, parentPath: string, createdAt: string, versioning: Object|null}>>}
+   *   按路径排序的文件夹列表，versioning 为文件夹自己设置的版本控制规则
+   */
+  async listFolders() {
+    const folderMap = await this.getFolderMap();
+
+    return Object.keys(folderMap).sort().map(folderPath => ({
+      path: folderPath,
+      name: folderPath.slice(folderPath.lastIndexOf('/') + 1),
+      parentPath: getParentPath(folderPath),
+      createdAt: folderMap[folderPath].createdAt || null,
+      versioning: folderMap[folderPath].versioning || null
+    }));
+  }
+
+  /**
+   * 确保文件夹及其所有上级文件夹存在
+   * @param {string} folderPath - 文件夹路径
+   * @returns {Promise<string>} 规范化后的路径
+   */
+  async ensureFolder(folderPath) {
+    const normalized = normalizeFolderPath(folderPath);
+    const folderMap = await this.getFolderMap();
+    let changed = false;
+
+    for (let current = normalized; current && current !== ROOT_FOLDER; current = getParentPath(current)) {
+      if (!folderMap[current]) {
+        folderMap[current] = { path: current, createdAt: new Date().toISOString() };
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await redisClient.set(this.folderKey, folderMap);
+    }
+    return normalized;
+  }
+
+  /**
+   * 判断文件夹是否存在
+   * @param {string} folderPath - 规范化的文件夹路径
+   * @returns {Promise<boolean>} 是否存在
+   */
+  async exists(folderPath) {
+    if (folderPath === ROOT_FOLDER) {
+      return true;
+    }
+    const folders = await this.listFolders();
+    return folders.some(folder => folder.path === folderPath);
+  }
+
+  /**
+   * 创建文件夹，缺少的上级文件夹会一并创建
+   * @param {string} folderPath - 文件夹路径
+   * @returns {Promise<string>} 创建的文件夹路径
+   */
+  async createFolder(folderPath) {
+    const normalized = normalizeFolderPath(folderPath);
+    if (normalized === ROOT_FOLDER) {
+      throw createFolderError('不能创建根目录', 400);
+    }
+    if (await this.exists(normalized)) {
+      throw createFolderError(`文件夹已存在: ${normalized}`, 409);
+    }
+    return await this.ensureFolder(normalized);
+  }
+
+  /**
+   * 列出一个文件夹的直接子文件夹
+   * @param {string} folderPath - 文件夹路径
+   * @returns {Promise<Array>} 子文件夹列表
+   */
+  async listSubfolders(folderPath) {
+    const normalized = normalizeFolderPath(folderPath);
+    const folders = await this.listFolders();
+
+    if (normalized !== ROOT_FOLDER && !folders.some(folder => folder.path === normalized)) {
+      throw createFolderError(`文件夹不存在: ${normalized}`, 404);
+    }
+    return folders.filter(folder => folder.parentPath === normalized);
+  }
+
+  /**
+   * 列出一个文件夹的直接内容
+   * @param {string} folderPath - 文件夹路径
+   * @returns {Promise<{path: string, folders: Array, files: Array}>} 子文件夹和文件
+   */
+  async listDirectory(folderPath) {
+    const normalized = normalizeFolderPath(folderPath);
+    const folders = await this.listSubfolders(normalized);
+    const files = await this.storage.listFiles();
+    return {
+      path: normalized,
+      folders,
+      files: files.filter(file => (file.folder || ROOT_FOLDER) === normalized)
+    };
+  }
+
+  /**
+   * 移动文件夹（重命名也是移动）
+   * 子文件夹和其中所有文件的路径会一并更新
+   * @param {string} folderPath - 原路径
+   * @param {string} targetPath - 新路径
+   * @returns {Promise<{path: string, movedFiles: number}>} 新路径和受影响的文件数
+   */
+  async moveFolder(folderPath, targetPath) {
+    const source = normalizeFolderPath(folderPath);
+    const target = normalizeFolderPath(targetPath);
+
+    if (source === ROOT_FOLDER || target === ROOT_FOLDER) {
+      throw createFolderError('不能移动根目录', 400);
+    }
+    if (source === target) {
+      return { path: target, movedFiles: 0 };
+    }
+    if (isWithinFolder(target, source)) {
+      throw createFolderError('不能把文件夹移动到它自己的子文件夹中', 400);
+    }
+    if (!(await this.exists(source))) {
+      throw createFolderError(`文件夹不存在: ${source}`, 404);
+    }
+    if (await this.exists(target)) {
+      throw createFolderError(`文件夹已存在: ${target}`, 409);
+    }
+
+    const rebase = current => target + current.slice(source.length);
+
+    // 更新文件夹记录
+    await this.ensureFolder(getParentPath(target));
+    const folderMap = await this.getFolderMap();
+    const updatedMap = {};
+    for (const [current, folder] of Object.entries(folderMap)) {
+      const newPath = isWithinFolder(current, source) ? rebase(current) : current;
+      updatedMap[newPath] = { ...folder, path: newPath };
+    }
+    if (!updatedMap[target]) {
+      updatedMap[target] = { path: target, createdAt: new Date().toISOString() };
+    }
+    await redisClient.set(this.folderKey, updatedMap);
+
+    // 更新文件所在路径
+    const files = await this.storage.listFiles();
+    const affected = files.filter(file => isWithinFolder(file.folder || ROOT_FOLDER, source));
+    for (const file of affected) {
+      await this.storage.updateFileMetadata(file.fileId, { folder: rebase(file.folder) });
+    }
+
+    console.log(`文件夹已移动: ${source} -> ${target}，更新了 ${affected.length} 个文件`);
+    return { path: target, movedFiles: affected.length };
+  }
+
+  /**
+   * 重命名文件夹
+   * @param {string} folderPath - 文件夹路径
+   * @param {string} newName - 新名称
+   * @returns {Promise<{path: string, movedFiles: number}>} 新路径和受影响的文件数
+   */
+  async renameFolder(folderPath, newName) {
+    const source = normalizeFolderPath(folderPath);
+    const parentPath = getParentPath(source);
+    if (parentPath === null) {
+      throw createFolderError('不能重命名根目录', 400);
+    }
+    return await this.moveFolder(source, joinFolderPath(parentPath, validateFolderName(newName)));
+  }
+
+  /**
+   * 删除文件夹
+   * @param {string} folderPath - 文件夹路径
+   * @param {Object} [options] - 删除选项
+   * @param {boolean} [options.recursive=false] - 是否连同子文件夹和文件一起删除，否则只删除空文件夹；文件会移到回收站
+   * @param {string} [options.deletedBy] - 删除文件的用户名或IP，记录在回收站中
+   * @returns {Promise<{deletedFolders: number, deletedFiles: number}>} 删除结果
+   */
+  async deleteFolder(folderPath, options = {}) {
+    const normalized = normalizeFolderPath(folderPath);
+    if (normalized === ROOT_FOLDER) {
+      throw createFolderError('不能删除根目录', 400);
+    }
+
+    const folders = await this.listFolders();
+    if (!folders.some(folder => folder.path === normalized)) {
+      throw createFolderError(`文件夹不存在: ${normalized}`, 404);
+    }
+
+    const files = await this.storage.listFiles();
+    const nestedFolders = folders.filter(folder => isWithinFolder(folder.path, normalized));
+    const nestedFiles = files.filter(file => isWithinFolder(file.folder || ROOT_FOLDER, normalized));
+
+    if (!options.recursive && (nestedFolders.length > 1 || nestedFiles.length > 0)) {
+      throw createFolderError(`文件夹不为空: ${normalized}`, 409);
+    }
+
+    for (const file of nestedFiles) {
+      await this.storage.trashFile(file.messageId, { deletedBy: options.deletedBy });
+    }
+
+    const folderMap = await this.getFolderMap();
+    for (const folder of nestedFolders) {
+      delete folderMap[folder.path];
+    }
+    await redisClient.set(this.folderKey, folderMap);
+
+    console.log(`文件夹已删除: ${normalized}，包含 ${nestedFolders.length - 1} 个子文件夹和 ${nestedFiles.length} 个文件`);
+    return { deletedFolders: nestedFolders.length, deletedFiles: nestedFiles.length };
+  }
+
+  /**
+   * 把文件移动到指定文件夹
+   * @param {string} fileId - 文件ID
+   * @param {string} folderPath - 目标文件夹路径，不存在时自动创建
+   * @returns {Promise<Object>} 更新后的文件信息
+   */
+  async moveFile(fileId, folderPath) {
+    const target = await this.ensureFolder(folderPath);
+    return await this.storage.updateFileMetadata(fileId, { folder: target });
+  }
+}
+
+export {
+  FolderStore,
+  ROOT_FOLDER,
+  normalizeFolderPath,
+  validateFolderName,
+  getParentPath,
+  joinFolderPath,
+  isWithinFolder
+};
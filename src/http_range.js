@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+
+// 单个请求允许的最大区间数，防止大量细碎区间放大对 Telegram 的请求
+const MAX_RANGES = 16;
+
+/**
+ * 解析 Range 请求头
+ * 支持 bytes=0-99、bytes=100-、bytes=-500 以及逗号分隔的多个区间，
+ * 重叠或相邻的区间会被合并。
+ * @see https://www.rfc-editor.org/rfc/rfc9110#section-14.2
+ * @param {string} header - Range 请求头内容
+ * @param {number} size - 文件总大小
+ * @returns {Array<{start: number, end: number}>|null|-1} 区间列表（end 包含在内）；
+ *   请求头无法识别时返回 null（按完整文件响应），区间均无法满足时返回 -1
+ */
+function parseRangeHeader(header, size) {
+  if (typeof header !== 'string' || !Number.isSafeInteger(size) || size < 0) {
+    return null;
+  }
+
+  const match = header.trim().match(/^bytes\s*=\s*(.+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) {
+    return null;
+  }
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = spec.match(/^(\d*)\s*-\s*(\d*)$/);
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+      return null;
+    }
+
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // 后缀区间：最后 N 个字节
+      const suffixLength = parseInt(parts[2], 10);
+      if (suffixLength === 0) {
+        continue;
+      }
+      start = Math.max(0, size - suffixLength);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+      if (parts[2] !== '' && parseInt(parts[2], 10) < start) {
+        return null;
+      }
+    }
+
+    if (start < size && start <= end) {
+      ranges.push({ start, end });
+    }
+  }
+
+  if (ranges.length === 0) {
+    return -1;
+  }
+
+  return combineRanges(ranges);
+}
+
+/**
+ * 合并重叠或相邻的区间，并按起始位置排序
+ * @param {Array<{start: number, end: number}>} ranges - 区间列表
+ * @returns {Array<{start: number, end: number}>} 合并后的区间列表
+ */
+function combineRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const combined = [{ ...sorted[0] }];
+
+  for (const range of sorted.slice(1)) {
+    const last = combined[combined.length - 1];
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      combined.push({ ...range });
+    }
+  }
+  return combined;
+}
+
+/**
+ * 判断 If-Range 条件是否成立
+ * If-Range 可以是强 ETag 或 HTTP 日期，条件不成立时应忽略 Range 返回完整文件
+ * @param {string} ifRange - If-Range 请求头内容
+ * @param {Object} validators - 当前资源的校验值
+ * @param {string} validators.etag - 当前 ETag
+ * @param {string} [validators.lastModified] - 当前 Last-Modified
+ * @returns {boolean} 是否可以按 Range 响应
+ */
+function isRangeFresh(ifRange, { etag, lastModified }) {
+  if (!ifRange) {
+    return true;
+  }
+
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    // 弱 ETag 不能用于区间请求
+    return !value.startsWith('W/') && value === etag;
+  }
+
+  const since = Date.parse(value);
+  const modified = Date.parse(lastModified || '');
+  if (Number.isNaN(since) || Number.isNaN(modified)) {
+    return false;
+  }
+  // HTTP 日期精确到秒
+  return Math.floor(modified / 1000) <= Math.floor(since / 1000);
+}
+
+/**
+ * 生成 Content-Range 响应头
+ * @param {{start: number, end: number}|null} range - 区间，为 null 时生成 416 使用的格式
+ * @param {number} size - 文件总大小
+ * @returns {string} Content-Range 内容
+ */
+function formatContentRange(range, size) {
+  return range ? `bytes ${range.start}-${range.end}/${size}` : `bytes */${size}`;
+}
+
+/**
+ * 构造 multipart/byteranges 响应的各部分
+ * @param {Array<{start: number, end: number}>} ranges - 区间列表
+ * @param {number} size - 文件总大小
+ * @param {string} contentType - 文件的 MIME 类型
+ * @returns {{boundary: string, contentType: string, contentLength: number, parts: Array, trailer: string}}
+ *   parts 中每项包含区间和该部分的头部
+ */
+function createMultipartRanges(ranges, size, contentType) {
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const parts = ranges.map((range, index) => ({
+    range,
+    header: `${index === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: ${formatContentRange(range, size)}\r\n\r\n`
+  }));
+  const trailer = `\r\n--${boundary}--\r\n`;
+
+  const contentLength = parts.reduce(
+    (total, part) => total + Buffer.byteLength(part.header) + (part.range.end - part.range.start + 1),
+    Buffer.byteLength(trailer)
+  );
+
+  return {
+    boundary,
+    contentType: `multipart/byteranges; boundary=${boundary}`,
+    contentLength,
+    parts,
+    trailer
+  };
+}
+
+export {
+  parseRangeHeader,
+  combineRanges,
+  isRangeFresh,
+  formatContentRange,
+  createMultipartRanges,
+  MAX_RANGES
+};
@@ -0,0 +1,544 @@
+import fs from 'fs';
+import path from 'path';
+
+// 日志中的操作数超过此数量且远多于现有键数时压缩日志
+const COMPACT_MIN_OPS = 10000;
+
+// 压缩前日志操作数与键数的最大比例
+const COMPACT_RATIO = 4;
+
+/**
+ * 生成与Redis相同语义的错误
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误
+ */
+function storeError(message) {
+  const error = new Error(message);
+  error.code = 'EMETADATA';
+  return error;
+}
+
+/**
+ * 把Redis的 glob 模式转换为正则表达式
+ * 支持 *、?、[abc] 和反斜杠转义
+ * @param {string} pattern - 模式
+ * @returns {RegExp} 正则表达式
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        source += `[${body[0] === '^' ? `^${body.slice(1)}` : body}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * 把Redis风格的起止下标（可为负数）转换为 slice 参数
+ * @param {number} length - 列表长度
+ * @param {number} start - 起始下标
+ * @param {number} stop - 结束下标（包含）
+ * @returns {[number, number]} slice 的起止位置
+ */
+function toSliceRange(length, start, stop) {
+  const from = start < 0 ? Math.max(length + start, 0) : start;
+  const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+  return [from, Math.max(to + 1, from)];
+}
+
+/**
+ * 进程内元数据存储
+ * 按Redis的数据类型和命令语义实现，值均为字符串（由 RedisClient 负责序列化）。
+ * 所有命令都同步完成，事务中的命令依次执行即可保证原子性。
+ * 进程退出后数据丢失，仅用于开发和测试
+ */
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.durable = false;
+    // 键 -> {type, value, expiresAt}
+    this.store = new Map();
+  }
+
+  /**
+   * 读取未过期的键
+   * @param {string} key - 键
+   * @param {string} [type] - 期望的类型，类型不符时抛出错误
+   * @returns {Object|null} 键记录
+   */
+  entry(key, type) {
+    const item = this.store.get(key);
+    if (!item) {
+      return null;
+    }
+    if (item.expiresAt !== null && item.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    if (type && item.type !== type) {
+      throw storeError('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return item;
+  }
+
+  /**
+   * 读取或创建指定类型的键
+   * @param {string} key - 键
+   * @param {string} type - 类型
+   * @param {Function} create - 创建空值
+   * @returns {Object} 键记录
+   */
+  ensure(key, type, create) {
+    let item = this.entry(key, type);
+    if (!item) {
+      item = { type, value: create(), expiresAt: null };
+      this.store.set(key, item);
+    }
+    return item;
+  }
+
+  /**
+   * 删除已经为空的集合类型键，与Redis一致
+   * @param {string} key - 键
+   * @param {Object} item - 键记录
+   */
+  dropIfEmpty(key, item) {
+    const size = Array.isArray(item.value) ? item.value.length : item.value.size;
+    if (size === 0) {
+      this.store.delete(key);
+    }
+  }
+
+  /**
+   * 执行写命令并持久化
+   * 写入日志的参数均为确定值（过期时间为绝对时间），重放时结果一致
+   * @param {string} command - 写命令
+   * @param {Array} args - 参数
+   * @returns {any} 命令结果
+   */
+  write(command, ...args) {
+    const result = this.apply(command, args);
+    this.persist([command, ...args]);
+    return result;
+  }
+
+  /**
+   * 持久化一条写命令（参数为命令和参数组成的数组），内存存储不需要持久化
+   */
+  persist() {}
+
+  /**
+   * 在内存中执行写命令
+   * @param {string} command - 写命令
+   * @param {Array} args - 参数
+   * @returns {any} 命令结果
+   */
+  apply(command, args) {
+    const [key] = args;
+    switch (command) {
+      case 'set': {
+        const [, value, expiresAt] = args;
+        this.store.set(key, { type: 'string', value, expiresAt });
+        return true;
+      }
+      case 'del':
+        return this.entry(key) !== null && this.store.delete(key);
+      case 'expireat': {
+        const item = this.entry(key);
+        if (item) {
+          item.expiresAt = args[1];
+        }
+        return item !== null;
+      }
+      case 'incrby': {
+        const item = this.entry(key, 'string');
+        const current = item ? Number(item.value) : 0;
+        if (!Number.isInteger(current)) {
+          throw storeError('ERR value is not an integer or out of range');
+        }
+        const value = current + args[1];
+        this.store.set(key, { type: 'string', value: String(value), expiresAt: item ? item.expiresAt : null });
+        return value;
+      }
+      case 'lpush': {
+        const item = this.ensure(key, 'list', () => []);
+        item.value.unshift(args[1]);
+        return item.value.length;
+      }
+      case 'lrem': {
+        const [, count, value] = args;
+        const item = this.entry(key, 'list');
+        if (!item) {
+          return 0;
+        }
+        const limit = count === 0 ? Infinity : Math.abs(count);
+        const indexes = item.value.map((element, index) => (element === value ? index : -1)).filter(index => index !== -1);
+        const removed = new Set(count < 0 ? indexes.reverse().slice(0, limit) : indexes.slice(0, limit));
+        item.value = item.value.filter((element, index) => !removed.has(index));
+        this.dropIfEmpty(key, item);
+        return removed.size;
+      }
+      case 'ltrim': {
+        const item = this.entry(key, 'list');
+        if (item) {
+          item.value = item.value.slice(...toSliceRange(item.value.length, args[1], args[2]));
+          this.dropIfEmpty(key, item);
+        }
+        return true;
+      }
+      case 'hset': {
+        const item = this.ensure(key, 'hash', () => new Map());
+        const created = !item.value.has(args[1]);
+        item.value.set(args[1], args[2]);
+        return created ? 1 : 0;
+      }
+      case 'hdel': {
+        const item = this.entry(key, 'hash');
+        const removed = item ? item.value.delete(args[1]) : false;
+        if (item) {
+          this.dropIfEmpty(key, item);
+        }
+        return removed ? 1 : 0;
+      }
+      case 'hincrby': {
+        const item = this.ensure(key, 'hash', () => new Map());
+        const value = Number(item.value.get(args[1]) || 0) + args[2];
+        item.value.set(args[1], String(value));
+        return value;
+      }
+      case 'zadd': {
+        const item = this.ensure(key, 'zset', () => new Map());
+        const created = !item.value.has(args[2]);
+        item.value.set(args[2], args[1]);
+        return created ? 1 : 0;
+      }
+      case 'zrem': {
+        const item = this.entry(key, 'zset');
+        const removed = item ? item.value.delete(args[1]) : false;
+        if (item) {
+          this.dropIfEmpty(key, item);
+        }
+        return removed ? 1 : 0;
+      }
+      case 'restore': {
+        // 压缩后的日志：直接写入完整的键记录
+        const [, type, value, expiresAt] = args;
+        const restored = type === 'hash' || type === 'zset' ? new Map(value) : value;
+        this.store.set(key, { type, value: restored, expiresAt });
+        return true;
+      }
+      default:
+        throw storeError(`不支持的写命令: ${command}`);
+    }
+  }
+
+  /**
+   * 同步执行一条命令，供事务使用
+   * @param {string} command - 命令
+   * @param {Array} args - 参数
+   * @returns {any} 命令结果
+   */
+  run(command, args) {
+    const [key] = args;
+    switch (command) {
+      case 'set': {
+        const [, value, { ttl = null, nx = false } = {}] = args;
+        if (nx && this.entry(key) !== null) {
+          return false;
+        }
+        return this.write('set', key, value, ttl ? Date.now() + ttl * 1000 : null);
+      }
+      case 'expire':
+        return this.write('expireat', key, Date.now() + args[1] * 1000);
+      case 'del':
+      case 'incrby':
+      case 'lpush':
+      case 'lrem':
+      case 'ltrim':
+      case 'hset':
+      case 'hdel':
+      case 'hincrby':
+      case 'zadd':
+      case 'zrem':
+        return this.write(command, ...args);
+      default:
+        throw storeError(`事务不支持的命令: ${command}`);
+    }
+  }
+
+  // 以下命令的参数和返回值见 metadata_store.js 中的 MetadataAdapter
+
+  async get(key) {
+    return this.entry(key, 'string')?.value ?? null;
+  }
+
+  async mget(keys) {
+    return keys.map(key => {
+      const item = this.entry(key);
+      return item && item.type === 'string' ? item.value : null;
+    });
+  }
+
+  async set(key, value, options = {}) {
+    return this.run('set', [key, value, options]);
+  }
+
+  async del(key) {
+    return this.run('del', [key]);
+  }
+
+  async incrby(key, increment) {
+    return this.run('incrby', [key, increment]);
+  }
+
+  async expire(key, ttl) {
+    return this.run('expire', [key, ttl]);
+  }
+
+  async ttl(key) {
+    const item = this.entry(key);
+    if (!item) {
+      return -2;
+    }
+    return item.expiresAt === null ? -1 : Math.ceil((item.expiresAt - Date.now()) / 1000);
+  }
+
+  async type(key) {
+    return this.entry(key)?.type || 'none';
+  }
+
+  async lpush(key, value) {
+    return this.run('lpush', [key, value]);
+  }
+
+  async lrange(key, start, stop) {
+    const list = this.entry(key, 'list')?.value || [];
+    return list.slice(...toSliceRange(list.length, start, stop));
+  }
+
+  async lrem(key, count, value) {
+    return this.run('lrem', [key, count, value]);
+  }
+
+  async ltrim(key, start, stop) {
+    return this.run('ltrim', [key, start, stop]);
+  }
+
+  async llen(key) {
+    return this.entry(key, 'list')?.value.length || 0;
+  }
+
+  async hset(key, field, value) {
+    return this.run('hset', [key, field, value]);
+  }
+
+  async hget(key, field) {
+    return this.entry(key, 'hash')?.value.get(field) ?? null;
+  }
+
+  async hgetall(key) {
+    return Object.fromEntries(this.entry(key, 'hash')?.value || []);
+  }
+
+  async hdel(key, field) {
+    return this.run('hdel', [key, field]);
+  }
+
+  async hincrby(key, field, increment) {
+    return this.run('hincrby', [key, field, increment]);
+  }
+
+  async zadd(key, score, member) {
+    return this.run('zadd', [key, score, member]);
+  }
+
+  async zrem(key, member) {
+    return this.run('zrem', [key, member]);
+  }
+
+  async zcard(key) {
+    return this.entry(key, 'zset')?.value.size || 0;
+  }
+
+  async zrangeByScore(key, min, max, { offset = 0, count, rev = false } = {}) {
+    const toScore = bound => (bound === '-inf' ? -Infinity : bound === '+inf' ? Infinity : Number(bound));
+    const lower = toScore(min);
+    const upper = toScore(max);
+    // 分数相同的成员按成员字符串排序，与Redis一致
+    const entries = [...(this.entry(key, 'zset')?.value || [])]
+      .filter(([, score]) => score >= lower && score <= upper)
+      .sort(([memberA, scoreA], [memberB, scoreB]) => scoreA - scoreB || (memberA < memberB ? -1 : memberA > memberB ? 1 : 0))
+      .map(([member, score]) => ({ member, score }));
+    if (rev) {
+      entries.reverse();
+    }
+    return entries.slice(offset, count === undefined ? undefined : offset + count);
+  }
+
+  async zrangeByLex(key, min, max, { offset = 0, count, rev = false } = {}) {
+    const inRange = (member, bound, isLower) => {
+      if (bound === '-' || bound === '+') {
+        return (bound === '-') === isLower;
+      }
+      const value = bound.slice(1);
+      const exclusive = bound[0] === '(';
+      if (isLower) {
+        return exclusive ? member > value : member >= value;
+      }
+      return exclusive ? member < value : member <= value;
+    };
+    const members = [...(this.entry(key, 'zset')?.value.keys() || [])]
+      .filter(member => inRange(member, min, true) && inRange(member, max, false))
+      .sort();
+    if (rev) {
+      members.reverse();
+    }
+    return members.slice(offset, count === undefined ? undefined : offset + count);
+  }
+
+  async scan(cursor, { match = '*', count = 100 } = {}) {
+    const pattern = globToRegExp(match);
+    const keys = [...this.store.keys()].sort();
+    const start = Number(cursor) || 0;
+    const page = keys.slice(start, start + count);
+    const next = start + count >= keys.length ? '0' : String(start + count);
+    return [next, page.filter(key => pattern.test(key) && this.entry(key) !== null)];
+  }
+
+  async multi(commands) {
+    return commands.map(([command, ...args]) => this.run(command, args));
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  /**
+   * 清空全部数据（测试用）
+   */
+  clear() {
+    this.store.clear();
+  }
+}
+
+/**
+ * 本地文件元数据存储
+ * 在内存存储的基础上把每条写命令追加到日志文件（每行一条JSON），启动时重放日志恢复数据，
+ * 适用于没有Redis的自建部署。日志增长到远多于现有键数时改写为只包含现有键的紧凑日志。
+ * 写入使用同步追加，进程崩溃不会丢失已完成的写入；只支持单个进程访问同一个文件
+ */
+class LocalFileAdapter extends MemoryAdapter {
+  /**
+   * @param {string} filePath - 日志文件路径
+   */
+  constructor(filePath) {
+    super();
+    this.name = 'local';
+    this.durable = true;
+    this.filePath = path.resolve(filePath);
+    this.opCount = 0;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.load();
+    this.fd = fs.openSync(this.filePath, 'a');
+  }
+
+  /**
+   * 重放日志文件
+   * 最后一行可能因进程中途退出而不完整，其他解析失败的行直接跳过
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    // 截掉不完整的最后一行，否则之后追加的命令会接在它后面
+    const complete = content.lastIndexOf('\n') + 1;
+    if (complete < content.length) {
+      fs.truncateSync(this.filePath, Buffer.byteLength(content.slice(0, complete)));
+      console.warn('元数据日志的最后一行不完整，已截掉');
+    }
+
+    const lines = content.slice(0, complete).split('\n');
+    let skipped = 0;
+    for (const line of lines) {
+      if (!line) {
+        continue;
+      }
+      try {
+        const [command, ...args] = JSON.parse(line);
+        this.apply(command, args);
+        this.opCount++;
+      } catch {
+        skipped++;
+      }
+    }
+    if (skipped > 0) {
+      console.warn(`元数据日志中有 ${skipped} 行无法解析，已跳过`);
+    }
+    console.log(`已从 ${this.filePath} 载入 ${this.store.size} 个键`);
+  }
+
+  persist(op) {
+    fs.writeSync(this.fd, `${JSON.stringify(op)}\n`);
+    this.opCount++;
+    if (this.opCount > COMPACT_MIN_OPS && this.opCount > this.store.size * COMPACT_RATIO) {
+      this.compact();
+    }
+  }
+
+  /**
+   * 把日志改写为每个现有键一条 restore 命令
+   * 先写入临时文件再替换，替换前崩溃时原日志仍然完整
+   */
+  compact() {
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = [];
+    for (const key of [...this.store.keys()]) {
+      const item = this.entry(key);
+      if (!item) {
+        continue;
+      }
+      const value = item.value instanceof Map ? [...item.value] : item.value;
+      lines.push(JSON.stringify(['restore', key, item.type, value, item.expiresAt]));
+    }
+
+    const tempFd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(tempFd, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+      fs.fsyncSync(tempFd);
+    } finally {
+      fs.closeSync(tempFd);
+    }
+    fs.closeSync(this.fd);
+    fs.renameSync(tempPath, this.filePath);
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.opCount = lines.length;
+  }
+
+  /**
+   * 关闭日志文件
+   */
+  close() {
+    fs.closeSync(this.fd);
+  }
+}
+
+export { MemoryAdapter, LocalFileAdapter, globToRegExp };
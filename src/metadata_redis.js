@@ -0,0 +1,392 @@
+import net from 'net';
+import tls from 'tls';
+
+// 默认的命令超时时间（毫秒）
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * 把命令编码为 RESP 数组
+ * @param {Array<string|number>} args - 命令和参数
+ * @returns {Buffer} 编码结果
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * 从缓冲区解析一条 RESP 回复
+ * 错误回复解析为 Error 实例（不抛出），数据不完整时返回 null
+ * @param {Buffer} buffer - 缓冲区
+ * @param {number} [offset] - 起始位置
+ * @returns {{value: any, offset: number}|null} 回复和下一条回复的位置
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-': {
+      const error = new Error(line);
+      error.code = 'EREDIS';
+      return { value: error, offset: next };
+    }
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < length; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`无法解析的Redis回复类型: ${type}`);
+  }
+}
+
+/**
+ * Redis 协议连接
+ * 单个连接上按顺序发送命令和接收回复，连接断开后在下一条命令时自动重连
+ */
+class RespConnection {
+  /**
+   * @param {string} url - redis:// 或 rediss://（TLS）地址，可包含用户名、密码和数据库编号
+   * @param {Object} [options] - 选项
+   * @param {number} [options.timeout] - 命令超时时间（毫秒）
+   */
+  constructor(url, { timeout = DEFAULT_TIMEOUT } = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname;
+    this.port = Number(parsed.port) || 6379;
+    this.tls = parsed.protocol === 'rediss:';
+    this.username = decodeURIComponent(parsed.username || '');
+    this.password = decodeURIComponent(parsed.password || '');
+    this.db = Number(parsed.pathname.slice(1)) || 0;
+    this.timeout = timeout;
+    this.socket = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * 建立连接，连接后先发送 AUTH 和 SELECT
+   */
+  connect() {
+    const options = { host: this.host, port: this.port };
+    const socket = this.tls
+      ? tls.connect({ ...options, servername: this.host })
+      : net.connect(options);
+    socket.setNoDelay(true);
+    // 旧连接关闭时可能已经建立了新连接，只处理当前连接的事件
+    socket.on('data', chunk => this.socket === socket && this.receive(chunk));
+    socket.on('error', error => this.socket === socket && this.fail(error));
+    socket.on('close', () => this.socket === socket && this.fail(new Error('Redis连接已关闭')));
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    const setup = [];
+    if (this.password) {
+      setup.push(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+    }
+    if (this.db) {
+      setup.push(['SELECT', this.db]);
+    }
+    if (setup.length > 0) {
+      // 认证失败时关闭连接，后续命令全部以同样的错误失败
+      this.send(setup).catch(error => this.fail(error));
+    }
+  }
+
+  /**
+   * 处理收到的数据
+   * @param {Buffer} chunk - 数据
+   */
+  receive(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let offset = 0;
+    while (offset < this.buffer.length && this.pending.length > 0) {
+      const reply = parseReply(this.buffer, offset);
+      if (!reply) {
+        break;
+      }
+      ({ offset } = reply);
+      const { resolve, reject, timer } = this.pending.shift();
+      clearTimeout(timer);
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  /**
+   * 连接出错时让所有等待中的命令失败，下一条命令重新连接
+   * @param {Error} error - 错误
+   */
+  fail(error) {
+    const { socket } = this;
+    this.socket = null;
+    for (const { reject, timer } of this.pending.splice(0)) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    if (socket && !socket.destroyed) {
+      socket.destroy();
+    }
+  }
+
+  /**
+   * 一次性写入多条命令，回复按顺序返回
+   * 同一批命令之间不会插入其他命令，MULTI/EXEC 因此可以一起发送
+   * @param {Array<Array>} commands - 命令列表
+   * @returns {Promise<Array>} 各条命令的回复
+   */
+  send(commands) {
+    if (!this.socket) {
+      this.connect();
+    }
+    const replies = commands.map(() => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => this.fail(new Error('Redis命令超时')), this.timeout);
+      this.pending.push({ resolve, reject, timer });
+    }));
+    this.socket.write(Buffer.concat(commands.map(encodeCommand)));
+    return Promise.all(replies);
+  }
+
+  /**
+   * 执行一条命令
+   * @param {...(string|number)} args - 命令和参数
+   * @returns {Promise<any>} 回复
+   */
+  async call(...args) {
+    const [reply] = await this.send([args]);
+    return reply;
+  }
+
+  /**
+   * 关闭连接
+   */
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * 标准 Redis 协议元数据存储
+ * 直接通过 TCP 连接 Redis、Valkey、KeyDB 等兼容服务，适用于自建部署
+ */
+class RedisProtocolAdapter {
+  /**
+   * @param {string} url - REDIS_URL，如 redis://:password@localhost:6379/0
+   * @param {Object} [options] - 连接选项
+   */
+  constructor(url, options = {}) {
+    this.name = 'redis';
+    this.durable = true;
+    this.connection = new RespConnection(url, options);
+  }
+
+  /**
+   * 把命令转换为 Redis 协议参数
+   * @param {string} command - 命令
+   * @param {Array} args - 参数
+   * @returns {Array<string|number>} 协议参数
+   */
+  static toArgs(command, args) {
+    const [key, ...rest] = args;
+    if (command === 'set') {
+      const [value, { ttl = null, nx = false } = {}] = rest;
+      return ['SET', key, value, ...(ttl ? ['EX', ttl] : []), ...(nx ? ['NX'] : [])];
+    }
+    if (command === 'zadd') {
+      return ['ZADD', key, rest[0], rest[1]];
+    }
+    if (['del', 'incrby', 'expire', 'lpush', 'lrem', 'ltrim', 'hset', 'hdel', 'hincrby', 'zrem'].includes(command)) {
+      return [command.toUpperCase(), key, ...rest];
+    }
+    throw new Error(`事务不支持的命令: ${command}`);
+  }
+
+  // 以下命令的参数和返回值见 metadata_store.js 中的 MetadataAdapter
+
+  async get(key) {
+    return await this.connection.call('GET', key);
+  }
+
+  async mget(keys) {
+    return await this.connection.call('MGET', ...keys);
+  }
+
+  async set(key, value, options = {}) {
+    return (await this.connection.call(...RedisProtocolAdapter.toArgs('set', [key, value, options]))) === 'OK';
+  }
+
+  async del(key) {
+    return (await this.connection.call('DEL', key)) > 0;
+  }
+
+  async incrby(key, increment) {
+    return await this.connection.call('INCRBY', key, increment);
+  }
+
+  async expire(key, ttl) {
+    return (await this.connection.call('EXPIRE', key, ttl)) === 1;
+  }
+
+  async ttl(key) {
+    return await this.connection.call('TTL', key);
+  }
+
+  async type(key) {
+    return await this.connection.call('TYPE', key);
+  }
+
+  async lpush(key, value) {
+    return await this.connection.call('LPUSH', key, value);
+  }
+
+  async lrange(key, start, stop) {
+    return await this.connection.call('LRANGE', key, start, stop);
+  }
+
+  async lrem(key, count, value) {
+    return await this.connection.call('LREM', key, count, value);
+  }
+
+  async ltrim(key, start, stop) {
+    return (await this.connection.call('LTRIM', key, start, stop)) === 'OK';
+  }
+
+  async llen(key) {
+    return await this.connection.call('LLEN', key);
+  }
+
+  async hset(key, field, value) {
+    return await this.connection.call('HSET', key, field, value);
+  }
+
+  async hget(key, field) {
+    return await this.connection.call('HGET', key, field);
+  }
+
+  async hgetall(key) {
+    const items = await this.connection.call('HGETALL', key);
+    const result = {};
+    for (let i = 0; i < items.length; i += 2) {
+      result[items[i]] = items[i + 1];
+    }
+    return result;
+  }
+
+  async hdel(key, field) {
+    return await this.connection.call('HDEL', key, field);
+  }
+
+  async hincrby(key, field, increment) {
+    return await this.connection.call('HINCRBY', key, field, increment);
+  }
+
+  async zadd(key, score, member) {
+    return await this.connection.call('ZADD', key, score, member);
+  }
+
+  async zrem(key, member) {
+    return await this.connection.call('ZREM', key, member);
+  }
+
+  async zcard(key) {
+    return await this.connection.call('ZCARD', key);
+  }
+
+  async zrangeByScore(key, min, max, { offset = 0, count, rev = false } = {}) {
+    // 使用 ZRANGEBYSCORE/ZREVRANGEBYSCORE 兼容 6.2 之前的 Redis
+    const limit = count === undefined ? [] : ['LIMIT', offset, count];
+    const items = rev
+      ? await this.connection.call('ZREVRANGEBYSCORE', key, max, min, 'WITHSCORES', ...limit)
+      : await this.connection.call('ZRANGEBYSCORE', key, min, max, 'WITHSCORES', ...limit);
+    const result = [];
+    for (let i = 0; i < items.length; i += 2) {
+      result.push({ member: items[i], score: Number(items[i + 1]) });
+    }
+    return result;
+  }
+
+  async zrangeByLex(key, min, max, { offset = 0, count, rev = false } = {}) {
+    const limit = count === undefined ? [] : ['LIMIT', offset, count];
+    return rev
+      ? await this.connection.call('ZREVRANGEBYLEX', key, max, min, ...limit)
+      : await this.connection.call('ZRANGEBYLEX', key, min, max, ...limit);
+  }
+
+  async scan(cursor, { match = '*', count = 100 } = {}) {
+    const [next, keys] = await this.connection.call('SCAN', cursor, 'MATCH', match, 'COUNT', count);
+    return [String(next), keys];
+  }
+
+  async multi(commands) {
+    const replies = await this.connection.send([
+      ['MULTI'],
+      ...commands.map(([command, ...args]) => RedisProtocolAdapter.toArgs(command, args)),
+      ['EXEC']
+    ]);
+    const results = replies[replies.length - 1];
+    if (results === null) {
+      throw new Error('Redis事务被中止');
+    }
+    const failed = results.find(result => result instanceof Error);
+    if (failed) {
+      throw failed;
+    }
+    return results;
+  }
+
+  async ping() {
+    return await this.connection.call('PING');
+  }
+
+  /**
+   * 关闭连接
+   */
+  close() {
+    this.connection.close();
+  }
+}
+
+export { RedisProtocolAdapter, RespConnection, encodeCommand, parseReply };
@@ -0,0 +1,116 @@
+import path from 'path';
+import { MemoryAdapter, LocalFileAdapter } from './metadata_local.js';
+import { UpstashAdapter } from './metadata_upstash.js';
+import { RedisProtocolAdapter } from './metadata_redis.js';
+
+/**
+ * 元数据存储接口
+ * 各实现按Redis的数据类型和命令语义工作，值均为字符串，序列化由 RedisClient 负责。
+ * 只有 RedisClient 直接使用此接口，其他模块和API路由都通过 redisClient 访问元数据
+ *
+ * @typedef {Object} MetadataAdapter
+ * @property {string} name - 实现名称：memory、local、upstash 或 redis
+ * @property {boolean} durable - 进程重启后数据是否保留
+ *
+ * 键值：
+ * @property {(key: string) => Promise<string|null>} get
+ * @property {(keys: Array<string>) => Promise<Array<string|null>>} mget
+ * @property {(key: string, value: string, options?: {ttl?: number, nx?: boolean}) => Promise<boolean>} set
+ *   设置值，ttl 为过期秒数；nx 为 true 且键已存在时不写入并返回 false
+ * @property {(key: string) => Promise<boolean>} del - 删除键，返回键是否存在
+ * @property {(key: string, increment: number) => Promise<number>} incrby
+ * @property {(key: string, ttl: number) => Promise<boolean>} expire
+ * @property {(key: string) => Promise<number>} ttl - 剩余秒数，没有过期时间时为 -1，键不存在时为 -2
+ * @property {(key: string) => Promise<string>} type - string、list、hash、zset 或 none
+ *
+ * 列表：
+ * @property {(key: string, value: string) => Promise<number>} lpush
+ * @property {(key: string, start: number, stop: number) => Promise<Array<string>>} lrange
+ * @property {(key: string, count: number, value: string) => Promise<number>} lrem
+ * @property {(key: string, start: number, stop: number) => Promise<boolean>} ltrim
+ * @property {(key: string) => Promise<number>} llen
+ *
+ * 哈希：
+ * @property {(key: string, field: string, value: string) => Promise<number>} hset
+ * @property {(key: string, field: string) => Promise<string|null>} hget
+ * @property {(key: string) => Promise<Object<string, string>>} hgetall
+ * @property {(key: string, field: string) => Promise<number>} hdel
+ * @property {(key: string, field: string, increment: number) => Promise<number>} hincrby
+ *
+ * 有序集合：
+ * @property {(key: string, score: number, member: string) => Promise<number>} zadd
+ * @property {(key: string, member: string) => Promise<number>} zrem
+ * @property {(key: string) => Promise<number>} zcard
+ * @property {(key: string, min: number|string, max: number|string, options?: Object) => Promise<Array<{member: string, score: number}>>} zrangeByScore
+ * @property {(key: string, min: string, max: string, options?: Object) => Promise<Array<string>>} zrangeByLex
+ *
+ * 遍历和事务：
+ * @property {(cursor: string|number, options?: {match?: string, count?: number}) => Promise<[string, Array<string>]>} scan
+ *   游标为 '0' 时遍历结束
+ * @property {(commands: Array<Array>) => Promise<Array>} multi
+ *   以事务方式执行写命令，命令格式与对应方法的参数相同，如 ['set', key, value, {ttl}]、['lrem', key, 0, value]；
+ *   支持 set、del、incrby、expire、lpush、lrem、ltrim、hset、hdel、hincrby、zadd、zrem
+ * @property {() => Promise<string>} ping
+ */
+
+// 本地文件存储的默认路径
+const DEFAULT_LOCAL_PATH = path.join('data', 'metadata.log');
+
+/**
+ * 根据环境变量选择元数据存储
+ * METADATA_STORE 可以指定 upstash、redis、local 或 memory；未指定时依次使用：
+ * - 配置了 UPSTASH_REDIS_REST_URL 和 UPSTASH_REDIS_REST_TOKEN 时使用 Upstash
+ * - 配置了 REDIS_URL 时使用标准 Redis 协议
+ * - 生产环境使用本地文件（METADATA_STORE_PATH，默认 data/metadata.log）
+ * - 开发环境使用内存存储
+ * @param {Object} [env] - 环境变量
+ * @returns {MetadataAdapter} 元数据存储
+ */
+function createMetadataAdapter(env = process.env) {
+  const upstashConfigured = Boolean(env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN);
+  let type = (env.METADATA_STORE || '').trim().toLowerCase();
+  if (!type) {
+    if (upstashConfigured) {
+      type = 'upstash';
+    } else if (env.REDIS_URL) {
+      type = 'redis';
+    } else {
+      type = env.NODE_ENV === 'production' ? 'local' : 'memory';
+    }
+  }
+
+  switch (type) {
+    case 'upstash':
+      if (!upstashConfigured) {
+        throw new Error('METADATA_STORE=upstash 需要配置 UPSTASH_REDIS_REST_URL 和 UPSTASH_REDIS_REST_TOKEN');
+      }
+      return new UpstashAdapter({ url: env.UPSTASH_REDIS_REST_URL, token: env.UPSTASH_REDIS_REST_TOKEN });
+    case 'redis':
+      if (!env.REDIS_URL) {
+        throw new Error('METADATA_STORE=redis 需要配置 REDIS_URL');
+      }
+      return new RedisProtocolAdapter(env.REDIS_URL, {
+        timeout: Number(env.REDIS_TIMEOUT) || undefined
+      });
+    case 'local': {
+      const filePath = env.METADATA_STORE_PATH || DEFAULT_LOCAL_PATH;
+      try {
+        return new LocalFileAdapter(filePath);
+      } catch (error) {
+        // 只读文件系统（如未配置 Upstash 的 Vercel 部署）无法写入本地文件
+        if (env.METADATA_STORE) {
+          throw error;
+        }
+        console.warn(`无法打开本地元数据文件 ${filePath}，将使用内存存储: ${error.message}`);
+        return new MemoryAdapter();
+      }
+    }
+    case 'memory':
+      console.warn('未配置持久化的元数据存储，将使用内存存储（仅用于开发环境）');
+      return new MemoryAdapter();
+    default:
+      throw new Error(`未知的元数据存储类型: ${type}`);
+  }
+}
+
+export { createMetadataAdapter, MemoryAdapter, LocalFileAdapter, UpstashAdapter, RedisProtocolAdapter };
@@ -0,0 +1,184 @@
+import { Redis } from '@upstash/redis';
+
+/**
+ * Upstash Redis 元数据存储
+ * 通过 REST 接口访问，适用于 Vercel 等无状态部署。
+ * 关闭自动反序列化，值以字符串原样返回，由 RedisClient 统一解析
+ */
+class UpstashAdapter {
+  /**
+   * @param {Object} options - 连接配置
+   * @param {string} options.url - UPSTASH_REDIS_REST_URL
+   * @param {string} options.token - UPSTASH_REDIS_REST_TOKEN
+   */
+  constructor({ url, token }) {
+    this.name = 'upstash';
+    this.durable = true;
+    this.redis = new Redis({ url, token, automaticDeserialization: false });
+  }
+
+  /**
+   * 把一条命令加入 Upstash 客户端或事务
+   * @param {Object} target - Redis 客户端或 multi() 返回的事务
+   * @param {string} command - 命令
+   * @param {Array} args - 参数
+   * @returns {any} 客户端的返回值
+   */
+  static queue(target, command, args) {
+    const [key, ...rest] = args;
+    switch (command) {
+      case 'set': {
+        const [value, { ttl = null, nx = false } = {}] = rest;
+        const options = { ...(ttl ? { ex: ttl } : {}), ...(nx ? { nx: true } : {}) };
+        return Object.keys(options).length > 0 ? target.set(key, value, options) : target.set(key, value);
+      }
+      case 'hset':
+        return target.hset(key, { [rest[0]]: rest[1] });
+      case 'zadd':
+        return target.zadd(key, { score: rest[0], member: rest[1] });
+      case 'del':
+      case 'incrby':
+      case 'expire':
+      case 'lpush':
+      case 'lrem':
+      case 'ltrim':
+      case 'hdel':
+      case 'hincrby':
+      case 'zrem':
+        return target[command](key, ...rest);
+      default:
+        throw new Error(`事务不支持的命令: ${command}`);
+    }
+  }
+
+  // 以下命令的参数和返回值见 metadata_store.js 中的 MetadataAdapter
+
+  async get(key) {
+    return await this.redis.get(key);
+  }
+
+  async mget(keys) {
+    return await this.redis.mget(...keys);
+  }
+
+  async set(key, value, options = {}) {
+    return (await UpstashAdapter.queue(this.redis, 'set', [key, value, options])) === 'OK';
+  }
+
+  async del(key) {
+    return (await this.redis.del(key)) > 0;
+  }
+
+  async incrby(key, increment) {
+    return await this.redis.incrby(key, increment);
+  }
+
+  async expire(key, ttl) {
+    return (await this.redis.expire(key, ttl)) === 1;
+  }
+
+  async ttl(key) {
+    return await this.redis.ttl(key);
+  }
+
+  async type(key) {
+    return await this.redis.type(key);
+  }
+
+  async lpush(key, value) {
+    return await this.redis.lpush(key, value);
+  }
+
+  async lrange(key, start, stop) {
+    return await this.redis.lrange(key, start, stop);
+  }
+
+  async lrem(key, count, value) {
+    return await this.redis.lrem(key, count, value);
+  }
+
+  async ltrim(key, start, stop) {
+    return (await this.redis.ltrim(key, start, stop)) === 'OK';
+  }
+
+  async llen(key) {
+    return await this.redis.llen(key);
+  }
+
+  async hset(key, field, value) {
+    return await UpstashAdapter.queue(this.redis, 'hset', [key, field, value]);
+  }
+
+  async hget(key, field) {
+    return await this.redis.hget(key, field);
+  }
+
+  async hgetall(key) {
+    return (await this.redis.hgetall(key)) || {};
+  }
+
+  async hdel(key, field) {
+    return await this.redis.hdel(key, field);
+  }
+
+  async hincrby(key, field, increment) {
+    return await this.redis.hincrby(key, field, increment);
+  }
+
+  async zadd(key, score, member) {
+    return await UpstashAdapter.queue(this.redis, 'zadd', [key, score, member]);
+  }
+
+  async zrem(key, member) {
+    return await this.redis.zrem(key, member);
+  }
+
+  async zcard(key) {
+    return await this.redis.zcard(key);
+  }
+
+  async zrangeByScore(key, min, max, { offset = 0, count, rev = false } = {}) {
+    const limit = count === undefined ? {} : { offset, count };
+    // REV 模式下Redis要求先传最大值
+    const items = await this.redis.zrange(key, rev ? max : min, rev ? min : max, {
+      byScore: true,
+      rev,
+      withScores: true,
+      ...limit
+    });
+    const result = [];
+    for (let i = 0; i < items.length; i += 2) {
+      result.push({ member: String(items[i]), score: Number(items[i + 1]) });
+    }
+    return result;
+  }
+
+  async zrangeByLex(key, min, max, { offset = 0, count, rev = false } = {}) {
+    const limit = count === undefined ? {} : { offset, count };
+    const items = await this.redis.zrange(key, rev ? max : min, rev ? min : max, {
+      byLex: true,
+      rev,
+      ...limit
+    });
+    return items.map(String);
+  }
+
+  async scan(cursor, { match = '*', count = 100 } = {}) {
+    const [next, keys] = await this.redis.scan(cursor, { match, count });
+    return [String(next), keys];
+  }
+
+  async multi(commands) {
+    const tx = this.redis.multi();
+    for (const [command, ...args] of commands) {
+      UpstashAdapter.queue(tx, command, args);
+    }
+    return await tx.exec();
+  }
+
+  async ping() {
+    return await this.redis.ping();
+  }
+}
+
+export { UpstashAdapter };
@@ -193,9 +193,10 @@ function sanitizeFileName(fileName) {
 /**
  * 为 Content-Disposition 头部生成安全的文件名
  * @param {string} fileName - 原始文件名
+ * @param {string} [type] - attachment（下载）或 inline（在浏览器中直接显示）
  * @returns {string} 格式化的 Content-Disposition 值
  */
-function createContentDisposition(fileName) {
+function createContentDisposition(fileName, type = 'attachment') {
   const safeName = sanitizeFileName(fileName);
   
   // 使用 ASCII 安全的文件名作为 filename
@@ -204,7 +205,7 @@ function createContentDisposition(fileName) {
   // 使用 RFC 5987 编码的文件名作为 filename*
   const encodedName = encodeURIComponent(safeName);
   
-  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+  return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
 }
 
 export {
@@ -1,42 +1,61 @@
-import { Redis } from '@upstash/redis';
+import { createMetadataAdapter } from './metadata_store.js';
 
 /**
- * Redis客户端配置和连接管理
- * 使用Upstash Redis作为持久化存储
+ * 解析存储中的字符串值
+ * 值以JSON写入；计数器等由存储直接生成的值也是合法的JSON
+ * @param {string|null} value - 原始值
+ * @returns {any} 解析结果，无法解析时原样返回
+ */
+function deserialize(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * 元数据客户端
+ * 所有模块和API路由都通过它读写元数据，底层存储由 metadata_store.js 按配置选择
+ * （Upstash、标准Redis、本地文件或内存）。值在这里统一做JSON序列化，
+ * 读取失败时记录错误并返回空值，计数器和事务失败时抛出或返回false
  */
 class RedisClient {
-  constructor() {
-    // 从环境变量获取Upstash Redis配置
-    this.redisUrl = process.env.UPSTASH_REDIS_REST_URL;
-    this.redisToken = process.env.UPSTASH_REDIS_REST_TOKEN;
-    
-    if (!this.redisUrl || !this.redisToken) {
-      console.warn('Upstash Redis配置未找到，将使用内存存储（仅用于开发环境）');
-      this.redis = null;
-      this.memoryStore = new Map(); // 开发环境的内存存储
-    } else {
-      // 初始化Upstash Redis客户端
-      this.redis = new Redis({
-        url: this.redisUrl,
-        token: this.redisToken,
-      });
-    }
+  /**
+   * @param {MetadataAdapter} [adapter] - 元数据存储，默认按环境变量选择
+   */
+  constructor(adapter = createMetadataAdapter()) {
+    this.adapter = adapter;
   }
 
   /**
-   * 获取Redis客户端实例
-   * @returns {Redis|null} Redis客户端实例或null（如果未配置）
+   * 当前使用的存储类型
+   * @returns {string} memory、local、upstash 或 redis
    */
-  getClient() {
-    return this.redis;
+  get backend() {
+    return this.adapter.name;
   }
 
   /**
-   * 检查Redis连接是否可用
-   * @returns {boolean} 连接状态
+   * 进程重启后数据是否保留
+   * @returns {boolean} 是否为持久化存储
    */
-  isConnected() {
-    return this.redis !== null;
+  isDurable() {
+    return this.adapter.durable;
+  }
+
+  /**
+   * 检查存储是否可用
+   * @returns {Promise<boolean>} 是否可用，失败时抛出异常
+   */
+  async ping() {
+    return (await this.adapter.ping()) === 'PONG';
   }
 
   /**
@@ -48,18 +67,7 @@ class RedisClient {
    */
   async set(key, value, ttl = null) {
     try {
-      if (this.redis) {
-        const serializedValue = JSON.stringify(value);
-        if (ttl) {
-          await this.redis.setex(key, ttl, serializedValue);
-        } else {
-          await this.redis.set(key, serializedValue);
-        }
-        return true;
-      }
-      
-      // 使用内存存储作为后备
-      this.memoryStore.set(key, { value, timestamp: Date.now(), ttl });
+      await this.adapter.set(key, JSON.stringify(value), { ttl });
       return true;
     } catch (error) {
       console.error('Redis设置失败:', error);
@@ -74,40 +82,19 @@ class RedisClient {
    */
   async get(key) {
     try {
-      if (this.redis) {
-        const value = await this.redis.get(key);
-        if (!value) {
-          return null;
-        }
-        
-        // 安全的 JSON 解析
-        try {
-          // 如果值已经是对象且不为null，直接返回
-          if (typeof value === 'object' && value !== null) {
-            return value;
-          }
-          // 如果是字符串，尝试解析
-          return JSON.parse(value);
-        } catch (parseError) {
-          console.error(`JSON解析失败，key: ${key}, value:`, value, parseError);
-          // 如果解析失败，删除无效数据
-          await this.del(key);
-          return null;
-        }
-      } else {
-        // 使用内存存储作为后备
-        const item = this.memoryStore.get(key);
-        if (!item) {
-          return null;
-        }
-        
-        // 检查是否过期
-        if (item.ttl && (Date.now() - item.timestamp) > item.ttl * 1000) {
-          this.memoryStore.delete(key);
-          return null;
-        }
-        
-        return item.value;
+      const value = await this.adapter.get(key);
+      if (value === null || value === undefined) {
+        return null;
+      }
+
+      // 安全的 JSON 解析
+      try {
+        return JSON.parse(value);
+      } catch (parseError) {
+        console.error(`JSON解析失败，key: ${key}, value:`, value, parseError);
+        // 如果解析失败，删除无效数据
+        await this.del(key);
+        return null;
       }
     } catch (error) {
       console.error('Redis获取失败:', error);
@@ -115,6 +102,76 @@ class RedisClient {
     }
   }
 
+  /**
+   * 仅在键不存在时设置值
+   * @param {string} key - 键
+   * @param {any} value - 值
+   * @param {number} [ttl] - 过期时间（秒），用作锁时防止持有者异常退出后永远不释放
+   * @returns {Promise<boolean>} 是否设置成功，键已存在或操作失败时为false
+   */
+  async setnx(key, value, ttl = null) {
+    try {
+      return await this.adapter.set(key, JSON.stringify(value), { ttl, nx: true });
+    } catch (error) {
+      console.error('Redis条件设置失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 原子地增减整数值，键不存在时从0开始
+   * 计数器用于引用计数等不能静默出错的场景，失败时直接抛出异常
+   * @param {string} key - 键
+   * @param {number} increment - 增量，可以为负数
+   * @returns {Promise<number>} 操作后的值
+   */
+  async incrby(key, increment) {
+    return Number(await this.adapter.incrby(key, increment));
+  }
+
+  /**
+   * 设置键的过期时间
+   * @param {string} key - 键
+   * @param {number} ttl - 过期时间（秒）
+   * @returns {Promise<boolean>} 键是否存在
+   */
+  async expire(key, ttl) {
+    try {
+      return await this.adapter.expire(key, ttl);
+    } catch (error) {
+      console.error('Redis设置过期时间失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 获取键的剩余过期时间
+   * @param {string} key - 键
+   * @returns {Promise<number>} 剩余秒数，没有过期时间时为 -1，键不存在时为 -2
+   */
+  async ttl(key) {
+    try {
+      return await this.adapter.ttl(key);
+    } catch (error) {
+      console.error('Redis获取过期时间失败:', error);
+      return -2;
+    }
+  }
+
+  /**
+   * 获取键的类型
+   * @param {string} key - 键
+   * @returns {Promise<string>} string、list、hash、zset 或 none
+   */
+  async type(key) {
+    try {
+      return await this.adapter.type(key);
+    } catch (error) {
+      console.error('Redis获取键类型失败:', error);
+      return 'none';
+    }
+  }
+
   /**
    * 删除键
    * @param {string} key - 键
@@ -122,13 +179,8 @@ class RedisClient {
    */
   async del(key) {
     try {
-      if (this.redis) {
-        await this.redis.del(key);
-        return true;
-      }
-      
-      // 使用内存存储作为后备
-      return this.memoryStore.delete(key);
+      await this.adapter.del(key);
+      return true;
     } catch (error) {
       console.error('Redis删除失败:', error);
       return false;
@@ -143,15 +195,7 @@ class RedisClient {
    */
   async lpush(key, value) {
     try {
-      if (this.redis) {
-        await this.redis.lpush(key, JSON.stringify(value));
-        return true;
-      }
-      
-      // 使用内存存储作为后备
-      const list = this.memoryStore.get(key)?.value || [];
-      list.unshift(value);
-      this.memoryStore.set(key, { value: list, timestamp: Date.now() });
+      await this.adapter.lpush(key, JSON.stringify(value));
       return true;
     } catch (error) {
       console.error('Redis列表添加失败:', error);
@@ -160,39 +204,16 @@ class RedisClient {
   }
 
   /**
-   * 获取列表所有元素
+   * 获取列表元素
    * @param {string} key - 列表键
+   * @param {number} [start] - 起始下标
+   * @param {number} [end] - 结束下标（包含），-1 表示到末尾
    * @returns {Promise<Array>} 列表元素
    */
   async lrange(key, start = 0, end = -1) {
     try {
-      if (this.redis) {
-        const items = await this.redis.lrange(key, start, end);
-        return items.map(item => {
-          try {
-            // 如果item已经是对象，直接返回
-            if (typeof item === 'object' && item !== null) {
-              return item;
-            }
-            // 如果是字符串，尝试解析JSON
-            if (typeof item === 'string') {
-              return JSON.parse(item);
-            }
-            // 其他情况直接返回
-            return item;
-          } catch (parseError) {
-            console.warn(`JSON解析失败，返回原始值: ${item}`, parseError);
-            return item;
-          }
-        });
-      }
-      
-      // 使用内存存储作为后备
-      const list = this.memoryStore.get(key)?.value || [];
-      if (end === -1) {
-        end = list.length - 1;
-      }
-      return list.slice(start, end + 1);
+      const items = await this.adapter.lrange(key, start, end);
+      return items.map(deserialize);
     } catch (error) {
       console.error('Redis列表获取失败:', error);
       return [];
@@ -207,27 +228,297 @@ class RedisClient {
    */
   async lrem(key, value) {
     try {
-      if (this.redis) {
-        await this.redis.lrem(key, 0, JSON.stringify(value));
-        return true;
-      }
-      
-      // 使用内存存储作为后备
-      const list = this.memoryStore.get(key)?.value || [];
-      const index = list.findIndex(item => JSON.stringify(item) === JSON.stringify(value));
-      if (index !== -1) {
-        list.splice(index, 1);
-        this.memoryStore.set(key, { value: list, timestamp: Date.now() });
-      }
+      await this.adapter.lrem(key, 0, JSON.stringify(value));
       return true;
     } catch (error) {
       console.error('Redis列表移除失败:', error);
       return false;
     }
   }
+
+  /**
+   * 只保留列表指定范围内的元素
+   * @param {string} key - 列表键
+   * @param {number} start - 起始下标
+   * @param {number} end - 结束下标（包含）
+   * @returns {Promise<boolean>} 操作结果
+   */
+  async ltrim(key, start, end) {
+    try {
+      await this.adapter.ltrim(key, start, end);
+      return true;
+    } catch (error) {
+      console.error('Redis列表裁剪失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 获取列表长度
+   * @param {string} key - 列表键
+   * @returns {Promise<number>} 元素数量
+   */
+  async llen(key) {
+    try {
+      return await this.adapter.llen(key);
+    } catch (error) {
+      console.error('Redis列表计数失败:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 设置哈希字段
+   * @param {string} key - 哈希键
+   * @param {string} field - 字段
+   * @param {any} value - 值
+   * @returns {Promise<boolean>} 操作结果
+   */
+  async hset(key, field, value) {
+    try {
+      await this.adapter.hset(key, field, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.error('Redis哈希设置失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 获取哈希字段
+   * @param {string} key - 哈希键
+   * @param {string} field - 字段
+   * @returns {Promise<any|null>} 值或null
+   */
+  async hget(key, field) {
+    try {
+      return deserialize(await this.adapter.hget(key, field));
+    } catch (error) {
+      console.error('Redis哈希获取失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 获取哈希的全部字段
+   * @param {string} key - 哈希键
+   * @returns {Promise<Object>} 字段到值的映射，键不存在时为空对象
+   */
+  async hgetall(key) {
+    try {
+      const hash = await this.adapter.hgetall(key);
+      return Object.fromEntries(Object.entries(hash).map(([field, value]) => [field, deserialize(value)]));
+    } catch (error) {
+      console.error('Redis哈希获取失败:', error);
+      return {};
+    }
+  }
+
+  /**
+   * 删除哈希字段
+   * @param {string} key - 哈希键
+   * @param {string} field - 字段
+   * @returns {Promise<boolean>} 操作结果
+   */
+  async hdel(key, field) {
+    try {
+      await this.adapter.hdel(key, field);
+      return true;
+    } catch (error) {
+      console.error('Redis哈希删除失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 原子地增减哈希字段中的整数值
+   * @param {string} key - 哈希键
+   * @param {string} field - 字段
+   * @param {number} increment - 增量
+   * @returns {Promise<number>} 操作后的值
+   */
+  async hincrby(key, field, increment) {
+    return Number(await this.adapter.hincrby(key, field, increment));
+  }
+
+  /**
+   * 向有序集合添加成员，成员已存在时更新分数
+   * @param {string} key - 有序集合键
+   * @param {number} score - 分数
+   * @param {string} member - 成员
+   * @returns {Promise<boolean>} 操作结果
+   */
+  async zadd(key, score, member) {
+    try {
+      await this.adapter.zadd(key, score, member);
+      return true;
+    } catch (error) {
+      console.error('Redis有序集合添加失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 从有序集合移除成员
+   * @param {string} key - 有序集合键
+   * @param {string} member - 成员
+   * @returns {Promise<boolean>} 操作结果
+   */
+  async zrem(key, member) {
+    try {
+      await this.adapter.zrem(key, member);
+      return true;
+    } catch (error) {
+      console.error('Redis有序集合移除失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 获取有序集合的成员数量
+   * @param {string} key - 有序集合键
+   * @returns {Promise<number>} 成员数量
+   */
+  async zcard(key) {
+    try {
+      return await this.adapter.zcard(key);
+    } catch (error) {
+      console.error('Redis有序集合计数失败:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 按分数范围获取有序集合成员
+   * 分数相同的成员按成员字符串排序，与Redis一致
+   * @param {string} key - 有序集合键
+   * @param {number|string} min - 最小分数，可用 '-inf'
+   * @param {number|string} max - 最大分数，可用 '+inf'
+   * @param {Object} [options] - 查询选项
+   * @param {number} [options.offset=0] - 跳过的成员数量
+   * @param {number} [options.count] - 最多返回的成员数量
+   * @param {boolean} [options.rev=false] - 是否按分数从大到小返回
+   * @returns {Promise<Array<{member: string, score: number}>>} 成员和分数
+   */
+  async zrangeByScore(key, min, max, options = {}) {
+    try {
+      return await this.adapter.zrangeByScore(key, min, max, options);
+    } catch (error) {
+      console.error('Redis有序集合范围查询失败:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 按字典序范围获取有序集合成员（所有成员的分数应相同）
+   * @param {string} key - 有序集合键
+   * @param {string} min - 下界，格式同Redis：'-'、'[value' 或 '(value'
+   * @param {string} max - 上界，格式同Redis：'+'、'[value' 或 '(value'
+   * @param {Object} [options] - 查询选项
+   * @param {number} [options.offset=0] - 跳过的成员数量
+   * @param {number} [options.count] - 最多返回的成员数量
+   * @param {boolean} [options.rev=false] - 是否按字典序倒序返回
+   * @returns {Promise<Array<string>>} 成员列表
+   */
+  async zrangeByLex(key, min, max, options = {}) {
+    try {
+      return await this.adapter.zrangeByLex(key, min, max, options);
+    } catch (error) {
+      console.error('Redis有序集合字典序查询失败:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 批量获取值
+   * @param {Array<string>} keys - 键列表
+   * @returns {Promise<Array<any|null>>} 与键一一对应的值，不存在时为null
+   */
+  async mget(keys) {
+    if (keys.length === 0) {
+      return [];
+    }
+    try {
+      const values = await this.adapter.mget(keys);
+      return values.map(value => {
+        try {
+          return value === null || value === undefined ? null : JSON.parse(value);
+        } catch {
+          return null;
+        }
+      });
+    } catch (error) {
+      console.error('Redis批量获取失败:', error);
+      return keys.map(() => null);
+    }
+  }
+
+  /**
+   * 遍历匹配模式的全部键
+   * 使用 SCAN 分批读取，不会像 KEYS 一样阻塞存储
+   * @param {string} pattern - glob 模式，如 'short:*'
+   * @param {number} [batchSize] - 每批读取的数量
+   * @returns {Promise<Array<string>>} 键列表
+   */
+  async scanKeys(pattern, batchSize = 500) {
+    const keys = new Set();
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.adapter.scan(cursor, { match: pattern, count: batchSize });
+      batch.forEach(key => keys.add(key));
+      cursor = next;
+    } while (cursor !== '0');
+    return [...keys];
+  }
+
+  /**
+   * 以事务方式执行多条写命令
+   * 各存储都保证事务中的命令之间不会插入其他请求的命令
+   * @param {Array<Array>} commands - 命令列表，如 ['set', key, value, ttl]、['lpush', key, value]、['lrem', key, value]、['del', key]、
+   *   ['zadd', key, score, member]、['zrem', key, member]
+   * @returns {Promise<boolean>} 操作结果
+   */
+  async transaction(commands) {
+    return (await this.execTransaction(commands)) !== null;
+  }
+
+  /**
+   * 以事务方式执行多条写命令，并返回每条命令的结果
+   * lrem 的结果为删除的元素数量，可以据此判断事务执行时列表中是否还有读取到的元素；
+   * lrem 可以额外指定删除的数量，如 ['lrem', key, value, 1] 只删除一个相同的元素
+   * @param {Array<Array>} commands - 命令列表，格式同 transaction
+   * @returns {Promise<Array|null>} 各命令的结果，执行失败时为 null
+   */
+  async execTransaction(commands) {
+    try {
+      const serialized = commands.map(([command, key, ...args]) => {
+        const [value, ttl] = args;
+        switch (command) {
+          case 'set':
+            return ['set', key, JSON.stringify(value), { ttl }];
+          case 'lpush':
+            return ['lpush', key, JSON.stringify(value)];
+          case 'lrem':
+            return ['lrem', key, args[1] || 0, JSON.stringify(value)];
+          case 'del':
+            return ['del', key];
+          case 'zadd':
+            return ['zadd', key, args[0], args[1]];
+          case 'zrem':
+            return ['zrem', key, value];
+          default:
+            throw new Error(`事务不支持的命令: ${command}`);
+        }
+      });
+      return await this.adapter.multi(serialized);
+    } catch (error) {
+      console.error('Redis事务执行失败:', error);
+      return null;
+    }
+  }
 }
 
 // 创建单例实例
 const redisClient = new RedisClient();
 
-export { redisClient, RedisClient };
\ No newline at end of file
+export { redisClient, RedisClient };
@@ -0,0 +1,273 @@
+import { classifyTelegramError } from './bot_pool.js';
+
+/**
+ * 默认重试规则
+ * - maxRetries：最多尝试次数（包括第一次）
+ * - retryDelay / backoffMultiplier / maxDelay：网络错误的指数退避
+ * - jitter：退避时间随机缩短的比例，避免多个请求同时重试
+ * - maxRateLimitWait：429 的 retry_after 超过此时间时不再等待，直接失败
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 5,
+  retryDelay: 3000,
+  backoffMultiplier: 1.5,
+  maxDelay: 30000,
+  jitter: 0.5,
+  maxRateLimitWait: 60000
+};
+
+// 各类操作的重试规则，未列出的字段沿用默认规则；说明和索引不影响文件本身，少重试几次
+const OPERATION_RETRY_POLICIES = {
+  upload: {},
+  delete: {},
+  caption: { maxRetries: 3 },
+  sync: { maxRetries: 3 },
+  index: { maxRetries: 3 }
+};
+
+// 状态页面保留的最近限流事件数
+const MAX_RATE_LIMIT_EVENTS = 50;
+
+/**
+ * 重试后仍然失败的操作错误
+ * kind 为 permanent（重试也不会成功）或 rate_limited（限流等待时间过长或重试次数用完）
+ */
+class TelegramOperationError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} details - 错误详情
+   * @param {string} details.kind - 错误类型
+   * @param {string} details.operation - 操作名称
+   * @param {Error} details.cause - 原始错误
+   * @param {number} [details.status] - HTTP状态码
+   */
+  constructor(message, { kind, operation, cause, status }) {
+    super(message);
+    this.name = 'TelegramOperationError';
+    this.kind = kind;
+    this.operation = operation;
+    this.cause = cause;
+    this.retryable = kind !== 'permanent';
+    if (status) {
+      this.status = status;
+    }
+  }
+}
+
+/**
+ * 永久错误：消息不存在、没有权限、Token失效等，重试也不会成功
+ */
+class PermanentError extends TelegramOperationError {
+  constructor(message, { operation, cause, status }) {
+    super(message, { kind: 'permanent', operation, cause, status });
+    this.name = 'PermanentError';
+  }
+}
+
+/**
+ * 限流错误：Telegram 要求等待的时间超过了重试规则允许的时间
+ */
+class RateLimitError extends TelegramOperationError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} details - 错误详情
+   * @param {number|null} details.retryAfter - Telegram 要求等待的秒数
+   */
+  constructor(message, { operation, cause, retryAfter }) {
+    super(message, { kind: 'rate_limited', operation, cause, status: 429 });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 判断操作失败后是否值得重试
+ * 本地驱动等自身带有4xx状态码的错误、标记为不可重试的错误，以及 Telegram 的 401、403 和其他4xx都是永久错误
+ * @param {Error} error - 操作错误
+ * @returns {{kind: string, retryAfter: number|null}} kind 为 rate_limited、transient 或 permanent
+ */
+function classifyRetryError(error) {
+  if (error instanceof TelegramOperationError) {
+    return { kind: error.kind, retryAfter: error.retryAfter ?? null };
+  }
+  if (error?.retryable === false || (!error?.response && error?.status >= 400 && error.status < 500)) {
+    return { kind: 'permanent', retryAfter: null };
+  }
+
+  const { type, retryAfter } = classifyTelegramError(error);
+  if (type === 'rate_limited') {
+    return { kind: 'rate_limited', retryAfter };
+  }
+  if (type === 'transient') {
+    return { kind: 'transient', retryAfter: null };
+  }
+  return { kind: 'permanent', retryAfter: null };
+}
+
+/**
+ * 计算第 attempt 次失败后的退避时间
+ * @param {Object} policy - 重试规则
+ * @param {number} attempt - 已失败的次数，从1开始
+ * @param {Function} [random] - 随机数函数
+ * @returns {number} 等待时间（毫秒）
+ */
+function getBackoffDelay(policy, attempt, random = Math.random) {
+  const delay = Math.min(policy.retryDelay * Math.pow(policy.backoffMultiplier, attempt - 1), policy.maxDelay);
+  return Math.round(delay * (1 - policy.jitter * random()));
+}
+
+/**
+ * 合并各层的重试规则
+ * @param {...Object} layers - 操作类型到规则的映射，靠后的优先
+ * @returns {Object} 合并后的映射
+ */
+function mergeRetryPolicies(...layers) {
+  const merged = {};
+  for (const layer of layers.filter(Boolean)) {
+    for (const [operationType, policy] of Object.entries(layer)) {
+      merged[operationType] = { ...merged[operationType], ...policy };
+    }
+  }
+  return merged;
+}
+
+/**
+ * 从环境变量读取各类操作的重试规则
+ * TELEGRAM_RETRY_POLICIES 为JSON，如 {"delete": {"maxRetries": 3}, "upload": {"maxRateLimitWait": 120000}}
+ * @param {Object} [env] - 环境变量
+ * @returns {Object|null} 操作类型到规则的映射，未配置或格式错误时为 null
+ */
+function getRetryPoliciesFromEnv(env = process.env) {
+  if (!env.TELEGRAM_RETRY_POLICIES) {
+    return null;
+  }
+  try {
+    const policies = JSON.parse(env.TELEGRAM_RETRY_POLICIES);
+    if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+      throw new Error('必须是操作类型到重试规则的映射');
+    }
+    return policies;
+  } catch (error) {
+    console.warn(`TELEGRAM_RETRY_POLICIES 配置错误，已忽略: ${error.message}`);
+    return null;
+  }
+}
+
+// 进程内的限流记录，在状态页面显示
+const rateLimitLog = {
+  total: 0,
+  events: []
+};
+
+/**
+ * 记录一次限流
+ * @param {Object} event - 限流事件
+ * @param {string} event.operation - 操作名称
+ * @param {string} [event.operationType] - 操作类型
+ * @param {string} [event.bucket] - 存储桶
+ * @param {number|null} event.retryAfter - Telegram 要求等待的秒数
+ */
+function recordRateLimit(event) {
+  rateLimitLog.total++;
+  rateLimitLog.events.unshift({ ...event, at: new Date().toISOString() });
+  rateLimitLog.events.length = Math.min(rateLimitLog.events.length, MAX_RATE_LIMIT_EVENTS);
+}
+
+/**
+ * 限流统计
+ * @param {number} [now] - 当前时间戳
+ * @returns {{total: number, lastHour: number, lastAt: string|null, recent: Array<Object>}} 统计结果，recent 最近的在前
+ */
+function getRateLimitStats(now = Date.now()) {
+  const hourAgo = now - 3600 * 1000;
+  return {
+    total: rateLimitLog.total,
+    lastHour: rateLimitLog.events.filter(event => new Date(event.at).getTime() >= hourAgo).length,
+    lastAt: rateLimitLog.events[0]?.at || null,
+    recent: rateLimitLog.events.slice()
+  };
+}
+
+/**
+ * 按重试规则执行操作
+ * 429 按 retry_after 等待后重试，网络错误按带随机抖动的指数退避重试，永久错误立即以 PermanentError 失败
+ * @param {Function} operation - 要执行的操作
+ * @param {Object} options - 选项
+ * @param {Object} options.policy - 重试规则
+ * @param {string} [options.operationName] - 操作名称，用于日志和错误信息
+ * @param {string} [options.operationType] - 操作类型，记录在限流事件中
+ * @param {string} [options.bucket] - 存储桶，记录在限流事件中
+ * @param {Function} [options.sleep] - 等待函数，参数为毫秒
+ * @param {Function} [options.random] - 随机数函数
+ * @returns {Promise<any>} 操作结果
+ */
+async function retryWithPolicy(operation, {
+  policy,
+  operationName = 'operation',
+  operationType,
+  bucket,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  random = Math.random
+}) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= policy.maxRetries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      lastError = error;
+      const { kind, retryAfter } = classifyRetryError(error);
+      console.warn(`${operationName} 第 ${attempt} 次尝试失败:`, error.message);
+
+      if (kind === 'permanent') {
+        if (error instanceof PermanentError) {
+          throw error;
+        }
+        throw new PermanentError(`${operationName} 失败: ${error.message}`, {
+          operation: operationName,
+          cause: error,
+          status: error.status
+        });
+      }
+
+      let delay;
+      if (kind === 'rate_limited') {
+        recordRateLimit({ operation: operationName, operationType, bucket, retryAfter });
+        delay = retryAfter !== null ? retryAfter * 1000 : getBackoffDelay(policy, attempt, random);
+        if (delay > policy.maxRateLimitWait || attempt === policy.maxRetries) {
+          throw new RateLimitError(`${operationName} 被Telegram限流${retryAfter !== null ? `，请在 ${retryAfter} 秒后重试` : ''}`, {
+            operation: operationName,
+            cause: error,
+            retryAfter
+          });
+        }
+      } else {
+        // 如果是最后一次尝试，直接抛出错误
+        if (attempt === policy.maxRetries) {
+          break;
+        }
+        delay = getBackoffDelay(policy, attempt, random);
+      }
+
+      console.log(`等待 ${delay}ms 后重试...`);
+      await sleep(delay);
+    }
+  }
+
+  throw lastError;
+}
+
+export {
+  DEFAULT_RETRY_POLICY,
+  OPERATION_RETRY_POLICIES,
+  TelegramOperationError,
+  PermanentError,
+  RateLimitError,
+  classifyRetryError,
+  getBackoffDelay,
+  mergeRetryPolicies,
+  getRetryPoliciesFromEnv,
+  recordRateLimit,
+  getRateLimitStats,
+  retryWithPolicy
+};
@@ -0,0 +1,741 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { redisClient } from './redis_client.js';
+import { getBucketKeyPrefix, normalizeBucketName } from './bucket_store.js';
+
+// 短链接索引在Redis中的键，哈希表的字段为短链接ID；短链接ID全局唯一，不区分存储桶
+const SHORT_LINKS_KEY = 'short-links';
+
+// 短链接的下载次数，单独保存以便原子地递增和检查下载次数上限
+const SHORT_LINK_HITS_KEY = 'short-link-hits';
+
+// 解析结果在进程内缓存的时间（毫秒），撤销的短链接最多在这段时间内仍可在其他实例上访问
+const RESOLVE_CACHE_TTL = 60 * 1000;
+
+// 解析缓存的最大条目数
+const RESOLVE_CACHE_SIZE = 1000;
+
+// 短链接ID：字母、数字、连字符和下划线
+const SHORT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// 自定义短链接ID的占用标记有效期（秒），防止两个请求同时写入同一个ID
+const SHORT_ID_CLAIM_TTL = 30;
+
+// 迁移时每批读取的文件记录数量
+const MIGRATE_BATCH_SIZE = 100;
+
+// 分享密码的长度范围
+const SHARE_PASSWORD_MIN_LENGTH = 4;
+const SHARE_PASSWORD_MAX_LENGTH = 128;
+
+// 每个短链接在计数窗口（秒）内允许的解锁次数，超过后拒绝解锁直到窗口结束
+const MAX_UNLOCK_ATTEMPTS = 5;
+const UNLOCK_WINDOW = 15 * 60;
+
+// 解锁 Cookie 的有效期（秒），不超过短链接本身的过期时间
+const UNLOCK_COOKIE_MAX_AGE = 12 * 3600;
+
+// 下载次数上限的最大值
+const MAX_DOWNLOAD_LIMIT = 1000000;
+
+// 下载令牌的有效期（秒），同一次下载的后续区间请求在此期间内不再占用下载次数
+const DOWNLOAD_TOKEN_TTL = 6 * 3600;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * 创建带HTTP状态码的短链接错误
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP状态码
+ * @returns {Error} 错误对象
+ */
+function shortLinkError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 规范化下载次数上限
+ * @param {any} value - 请求中的值
+ * @returns {number|null} 正整数，为空或0时表示不限次数
+ * @throws {Error} 不是正整数时状态码为 400
+ */
+function normalizeMaxDownloads(value) {
+  if (value === undefined || value === null || value === '' || value === 0) {
+    return null;
+  }
+  const maxDownloads = Number(value);
+  if (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > MAX_DOWNLOAD_LIMIT) {
+    throw shortLinkError(`下载次数上限应为 1-${MAX_DOWNLOAD_LIMIT} 之间的整数`, 400);
+  }
+  return maxDownloads;
+}
+
+/**
+ * 创建下载次数用完的错误，说明短链接失效的原因
+ * @param {Object} link - 短链接记录
+ * @returns {Error} 状态码为 410 的错误，reason 为 download-limit
+ */
+function downloadLimitError(link) {
+  const error = shortLinkError(link.maxDownloads === 1
+    ? '这是一次性分享链接，文件已被下载过，链接已失效'
+    : `分享链接已达到 ${link.maxDownloads} 次下载上限，链接已失效`, 410);
+  error.reason = 'download-limit';
+  return error;
+}
+
+/**
+ * 短链接是否已过期
+ * @param {Object} link - 短链接记录
+ * @param {Date} [now] - 当前时间
+ * @returns {boolean} 是否过期，没有过期时间的短链接永不过期
+ */
+function isShortLinkExpired(link, now = new Date()) {
+  return Boolean(link.expiresAt) && new Date(link.expiresAt) <= now;
+}
+
+/**
+ * 规范化过期时间
+ * @param {any} value - 请求中的值，ISO 时间字符串或时间戳
+ * @param {Date} [now] - 当前时间
+ * @returns {string|null} ISO 时间字符串，为 null 时表示永不过期
+ * @throws {Error} 时间无效或早于当前时间时状态码为 400
+ */
+function normalizeExpiresAt(value, now = new Date()) {
+  if (value === null) {
+    return null;
+  }
+  const expiresAt = new Date(value);
+  if (Number.isNaN(expiresAt.getTime()) || expiresAt <= now) {
+    throw shortLinkError('过期时间无效或早于当前时间', 400);
+  }
+  return expiresAt.toISOString();
+}
+
+/**
+ * 生成短链接地址
+ * 短链接ID全局唯一，地址中不需要存储桶参数
+ * @param {Object} req - 请求对象
+ * @param {string} shortId - 短链接ID
+ * @returns {string} 短链接地址
+ */
+function buildShortUrl(req, shortId) {
+  const baseUrl = req.headers.host ? `https://${req.headers.host}` : 'http://localhost:3000';
+  return `${baseUrl}/s/${shortId}`;
+}
+
+/**
+ * 计算分享密码的加盐哈希
+ * @param {string} password - 密码
+ * @returns {Promise<{algorithm: string, salt: string, hash: string}>} 哈希结果，salt 和 hash 为 base64
+ * @throws {Error} 密码长度无效时状态码为 400
+ */
+async function hashSharePassword(password) {
+  if (typeof password !== 'string' ||
+      password.length < SHARE_PASSWORD_MIN_LENGTH || password.length > SHARE_PASSWORD_MAX_LENGTH) {
+    throw shortLinkError(`分享密码长度应为 ${SHARE_PASSWORD_MIN_LENGTH}-${SHARE_PASSWORD_MAX_LENGTH} 个字符`, 400);
+  }
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return { algorithm: 'scrypt', salt: salt.toString('base64'), hash: hash.toString('base64') };
+}
+
+/**
+ * 校验分享密码
+ * @param {string} password - 输入的密码
+ * @param {Object} stored - hashSharePassword 的结果
+ * @returns {Promise<boolean>} 是否匹配
+ */
+async function verifySharePassword(password, stored) {
+  if (typeof password !== 'string' || !stored?.salt || !stored?.hash) {
+    return false;
+  }
+  const expected = Buffer.from(stored.hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(stored.salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * 短链接解锁 Cookie 的名称，每个短链接单独一个
+ * @param {string} shortId - 短链接ID
+ * @returns {string} Cookie 名称
+ */
+function getUnlockCookieName(shortId) {
+  return `tgnb_share_${shortId}`;
+}
+
+/**
+ * 短链接下载令牌 Cookie 的名称，每个短链接单独一个
+ * @param {string} shortId - 短链接ID
+ * @returns {string} Cookie 名称
+ */
+function getDownloadCookieName(shortId) {
+  return `tgnb_dl_${shortId}`;
+}
+
+/**
+ * 计算解锁令牌的签名
+ * 以密码哈希为密钥，修改或移除密码后旧的令牌自动失效
+ * @param {Object} link - 带有密码的短链接记录
+ * @param {number} expires - 令牌过期时间（Unix 秒）
+ * @returns {string} base64url 签名
+ */
+function signUnlockToken(link, expires) {
+  return crypto.createHmac('sha256', Buffer.from(link.password.hash, 'base64'))
+    .update(`${link.shortId}.${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * 返回给客户端的短链接信息，不包含密码哈希
+ * @param {Object} link - 短链接记录
+ * @returns {Object} 短链接信息，hasPassword 表示是否设置了密码
+ */
+function toPublicLink(link) {
+  const { password, ...rest } = link;
+  return { ...rest, hasPassword: Boolean(password) };
+}
+
+/**
+ * 短链接索引
+ * 短链接ID到 {存储桶, 文件ID} 的映射，访问短链接时一次查询即可找到文件；
+ * 文件记录中的 shortLink 字段保留短链接ID和过期时间，用于生成时复用未过期的短链接
+ */
+class ShortLinkStore {
+  constructor() {
+    // 短链接ID -> { link, cachedAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * 创建短链接并写入索引
+   * @param {Object} options - 短链接参数
+   * @param {string} options.bucket - 文件所在的存储桶
+   * @param {string} options.fileId - 文件ID
+   * @param {string|null} options.expiresAt - 过期时间，null 表示永不过期
+   * @param {string} [options.shortId] - 自定义短链接ID，默认随机生成8位十六进制字符
+   * @param {string} [options.createdAt] - 创建时间，默认为当前时间
+   * @param {string} [options.password] - 分享密码，设置后需要先在短链接页面解锁
+   * @param {number} [options.maxDownloads] - 下载次数上限，用完后链接失效；为 1 时是一次性链接
+   * @returns {Promise<Object>} 短链接记录
+   * @throws {Error} 短链接ID格式、密码或下载次数无效时状态码为 400，短链接ID已被占用时为 409
+   */
+  async create({ bucket, fileId, expiresAt, shortId, createdAt = new Date().toISOString(), password, maxDownloads }) {
+    const custom = shortId !== undefined;
+    if (custom) {
+      await this.claimId(shortId);
+    } else {
+      shortId = await this.generateId();
+    }
+    try {
+      const link = { shortId, bucket: normalizeBucketName(bucket), fileId, createdAt, expiresAt: expiresAt || null };
+      if (password) {
+        link.password = await hashSharePassword(password);
+      }
+      const limit = normalizeMaxDownloads(maxDownloads);
+      if (limit) {
+        link.maxDownloads = limit;
+      }
+      await this.save(link);
+      return link;
+    } finally {
+      if (custom) {
+        await this.releaseId(shortId);
+      }
+    }
+  }
+
+  /**
+   * 占用自定义短链接ID
+   * 索引中已有该ID或另一个请求正在写入该ID时拒绝，写入完成后调用 releaseId
+   * @param {string} shortId - 短链接ID
+   * @throws {Error} 格式无效时状态码为 400，已被占用时为 409
+   */
+  async claimId(shortId) {
+    if (!SHORT_ID_PATTERN.test(String(shortId))) {
+      throw shortLinkError('短链接ID只能包含字母、数字、连字符和下划线，最长64个字符', 400);
+    }
+    if (await this.get(shortId) || !await redisClient.setnx(this.claimKey(shortId), 1, SHORT_ID_CLAIM_TTL)) {
+      throw shortLinkError(`短链接ID ${shortId} 已被占用`, 409);
+    }
+  }
+
+  /**
+   * 释放自定义短链接ID的占用标记，之后由索引中的记录防止重复
+   * @param {string} shortId - 短链接ID
+   */
+  async releaseId(shortId) {
+    await redisClient.del(this.claimKey(shortId));
+  }
+
+  /**
+   * 自定义短链接ID占用标记的键
+   * @param {string} shortId - 短链接ID
+   * @returns {string} 键名
+   */
+  claimKey(shortId) {
+    return `short-link-claim:${shortId}`;
+  }
+
+  /**
+   * 写入短链接记录
+   * @param {Object} link - 短链接记录
+   */
+  async save(link) {
+    if (!await redisClient.hset(SHORT_LINKS_KEY, link.shortId, link)) {
+      throw new Error('写入短链接索引失败');
+    }
+    this.cache.delete(link.shortId);
+  }
+
+  /**
+   * 修改短链接的分享密码、下载次数上限或过期时间
+   * 修改密码后已解锁的访问者需要重新输入密码；已下载的次数保留，新上限不大于已下载次数时链接立即失效
+   * @param {string} shortId - 短链接ID
+   * @param {Object} changes - 要修改的字段，未提供的字段保持不变
+   * @param {string|null} [changes.password] - 新密码，为空时移除密码
+   * @param {number|null} [changes.maxDownloads] - 新的下载次数上限，为空时不限次数
+   * @param {string|null} [changes.expiresAt] - 新的过期时间，为 null 时永不过期
+   * @returns {Promise<Object>} 更新后的短链接记录
+   * @throws {Error} 短链接不存在时状态码为 404，密码、下载次数或过期时间无效时为 400
+   */
+  async update(shortId, { password, maxDownloads, expiresAt } = {}) {
+    const link = await this.get(shortId);
+    if (!link || isShortLinkExpired(link)) {
+      throw shortLinkError('短链接不存在或已过期', 404);
+    }
+    if (expiresAt !== undefined) {
+      link.expiresAt = normalizeExpiresAt(expiresAt);
+    }
+    if (password !== undefined) {
+      if (password) {
+        link.password = await hashSharePassword(password);
+      } else {
+        delete link.password;
+      }
+    }
+    if (maxDownloads !== undefined) {
+      const limit = normalizeMaxDownloads(maxDownloads);
+      if (limit) {
+        link.maxDownloads = limit;
+      } else {
+        delete link.maxDownloads;
+      }
+    }
+    await this.save(link);
+    if (password !== undefined) {
+      await redisClient.del(this.unlockAttemptsKey(shortId));
+    }
+    return link;
+  }
+
+  /**
+   * 修改短链接ID
+   * 下载次数随之转移；旧地址立即失效，有密码时访问者需要在新地址重新解锁
+   * @param {string} shortId - 当前短链接ID
+   * @param {string} nextId - 新的短链接ID
+   * @returns {Promise<Object>} 更新后的短链接记录
+   * @throws {Error} 短链接不存在时状态码为 404，新ID格式无效时为 400，已被占用时为 409
+   */
+  async rename(shortId, nextId) {
+    const link = await this.get(shortId);
+    if (!link || isShortLinkExpired(link)) {
+      throw shortLinkError('短链接不存在或已过期', 404);
+    }
+    if (nextId === shortId) {
+      return link;
+    }
+    await this.claimId(nextId);
+    try {
+      const renamed = { ...link, shortId: nextId };
+      await this.save(renamed);
+      const downloads = await this.getAccessCount(shortId);
+      if (downloads > 0) {
+        await redisClient.hincrby(SHORT_LINK_HITS_KEY, nextId, downloads);
+      }
+      await this.remove(shortId);
+      return renamed;
+    } finally {
+      await this.releaseId(nextId);
+    }
+  }
+
+  /**
+   * 解锁次数计数器的键
+   * @param {string} shortId - 短链接ID
+   * @returns {string} 键名
+   */
+  unlockAttemptsKey(shortId) {
+    return `short-link-unlock:${shortId}`;
+  }
+
+  /**
+   * 用密码解锁短链接
+   * 先原子地递增尝试次数再校验密码，并发请求也不能超过次数限制；解锁成功后清零
+   * @param {Object} link - 短链接记录
+   * @param {string} password - 输入的密码
+   * @returns {Promise<{name: string, value: string, maxAge: number}|null>} 解锁 Cookie，短链接没有密码时为 null
+   * @throws {Error} 密码错误时状态码为 401，尝试次数过多时为 429（带有 retryAfter 秒数）
+   */
+  async unlock(link, password) {
+    if (!link.password) {
+      return null;
+    }
+
+    const attemptsKey = this.unlockAttemptsKey(link.shortId);
+    const attempts = await redisClient.incrby(attemptsKey, 1);
+    if (attempts === 1) {
+      await redisClient.expire(attemptsKey, UNLOCK_WINDOW);
+    }
+    if (attempts > MAX_UNLOCK_ATTEMPTS) {
+      const ttl = await redisClient.ttl(attemptsKey);
+      const error = shortLinkError('密码错误次数过多，请稍后再试', 429);
+      error.retryAfter = ttl > 0 ? ttl : UNLOCK_WINDOW;
+      throw error;
+    }
+
+    if (!await verifySharePassword(password, link.password)) {
+      throw shortLinkError(`密码错误，还可以尝试 ${MAX_UNLOCK_ATTEMPTS - attempts} 次`, 401);
+    }
+    await redisClient.del(attemptsKey);
+    return this.createUnlockCookie(link);
+  }
+
+  /**
+   * 生成解锁 Cookie
+   * @param {Object} link - 带有密码的短链接记录
+   * @returns {{name: string, value: string, maxAge: number}} Cookie 名称、值和有效期（秒）
+   */
+  createUnlockCookie(link) {
+    const now = Math.floor(Date.now() / 1000);
+    const linkExpires = link.expiresAt ? Math.floor(new Date(link.expiresAt).getTime() / 1000) : Infinity;
+    const expires = Math.min(now + UNLOCK_COOKIE_MAX_AGE, linkExpires);
+    return {
+      name: getUnlockCookieName(link.shortId),
+      value: `${expires}.${signUnlockToken(link, expires)}`,
+      maxAge: Math.max(0, expires - now)
+    };
+  }
+
+  /**
+   * 请求是否可以访问短链接
+   * 没有密码的短链接总是可以访问，有密码时需要带有有效的解锁 Cookie
+   * @param {Object} link - 短链接记录
+   * @param {Object} [cookies] - 请求的 Cookie
+   * @returns {boolean} 是否已解锁
+   */
+  isUnlocked(link, cookies = {}) {
+    if (!link.password) {
+      return true;
+    }
+    const [expires, signature] = String(cookies[getUnlockCookieName(link.shortId)] || '').split('.');
+    if (!signature || !(Number(expires) > Date.now() / 1000)) {
+      return false;
+    }
+    const expected = Buffer.from(signUnlockToken(link, Number(expires)));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * 生成未被占用的随机短链接ID
+   * @returns {Promise<string>} 8位十六进制字符
+   */
+  async generateId() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const shortId = crypto.randomBytes(4).toString('hex');
+      if (!await this.get(shortId)) {
+        return shortId;
+      }
+    }
+    throw new Error('生成短链接ID失败，请重试');
+  }
+
+  /**
+   * 获取短链接记录
+   * @param {string} shortId - 短链接ID
+   * @returns {Promise<Object|null>} 短链接记录
+   */
+  async get(shortId) {
+    if (!SHORT_ID_PATTERN.test(String(shortId))) {
+      return null;
+    }
+    return await redisClient.hget(SHORT_LINKS_KEY, shortId);
+  }
+
+  /**
+   * 解析短链接
+   * 结果在进程内缓存一段时间，过期的短链接从索引中移除；
+   * 索引中没有时查找旧版本的 short:* 键并加入索引
+   * @param {string} shortId - 短链接ID
+   * @param {Object} [options] - 解析选项
+   * @param {string} [options.bucket] - 旧版本短链接所在的存储桶（旧链接带有 bucket 参数）
+   * @param {boolean} [options.resumed] - 是否为已经占用过下载次数的下载的后续请求，下载次数用完后仍然可以访问
+   * @returns {Promise<Object>} 短链接记录
+   * @throws {Error} 短链接不存在时状态码为 404，已过期时为 410
+   */
+  async resolve(shortId, { bucket, resumed = false } = {}) {
+    const cached = this.cache.get(shortId);
+    let link = cached && Date.now() - cached.cachedAt < RESOLVE_CACHE_TTL ? cached.link : null;
+
+    if (!link) {
+      link = await this.get(shortId) || await this.importLegacy(shortId, bucket);
+      if (!link) {
+        throw shortLinkError('短链接不存在或已过期', 404);
+      }
+      this.cacheLink(link);
+    }
+
+    if (isShortLinkExpired(link)) {
+      await this.remove(shortId);
+      const error = shortLinkError('短链接已过期', 410);
+      error.reason = 'expired';
+      throw error;
+    }
+    // 下载次数不缓存，每次都从计数器读取
+    if (!resumed && await this.isExhausted(link)) {
+      throw downloadLimitError(link);
+    }
+    return link;
+  }
+
+  /**
+   * 下载次数是否已经用完
+   * @param {Object} link - 短链接记录
+   * @returns {Promise<boolean>} 是否用完，不限次数的短链接总是 false
+   */
+  async isExhausted(link) {
+    return Boolean(link.maxDownloads) && await this.getAccessCount(link.shortId) >= link.maxDownloads;
+  }
+
+  /**
+   * 列出未过期的短链接
+   * @param {Object} [options] - 查询选项
+   * @param {string} [options.bucket] - 只列出该存储桶的短链接
+   * @returns {Promise<Array<Object>>} 短链接记录，最近创建的在前
+   */
+  async list({ bucket } = {}) {
+    const now = new Date();
+    return Object.values(await redisClient.hgetall(SHORT_LINKS_KEY))
+      .filter(link => (!bucket || link.bucket === bucket) && !isShortLinkExpired(link, now))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * 获取所有短链接的下载次数
+   * @returns {Promise<Object<string, number>>} 短链接ID到下载次数的映射
+   */
+  async getAccessCounts() {
+    const hits = await redisClient.hgetall(SHORT_LINK_HITS_KEY);
+    return Object.fromEntries(Object.entries(hits).map(([shortId, count]) => [shortId, Number(count) || 0]));
+  }
+
+  /**
+   * 缓存解析结果，超过上限时淘汰最早的条目
+   * @param {Object} link - 短链接记录
+   */
+  cacheLink(link) {
+    this.cache.delete(link.shortId);
+    if (this.cache.size >= RESOLVE_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(link.shortId, { link, cachedAt: Date.now() });
+  }
+
+  /**
+   * 占用一次下载次数
+   * 先原子地递增计数再与上限比较，并发请求也不会超过上限；超过时撤回这次递增
+   * @param {Object} link - 短链接记录
+   * @returns {Promise<number>} 包括这次在内的下载次数
+   * @throws {Error} 下载次数已用完时状态码为 410
+   */
+  async reserveDownload(link) {
+    const downloads = await redisClient.hincrby(SHORT_LINK_HITS_KEY, link.shortId, 1);
+    if (link.maxDownloads && downloads > link.maxDownloads) {
+      await redisClient.hincrby(SHORT_LINK_HITS_KEY, link.shortId, -1);
+      throw downloadLimitError(link);
+    }
+    return downloads;
+  }
+
+  /**
+   * 下载令牌在Redis中的键
+   * @param {string} shortId - 短链接ID
+   * @param {string} token - 下载令牌
+   * @returns {string} 键名
+   */
+  downloadTokenKey(shortId, token) {
+    return `short-link-download:${shortId}:${token}`;
+  }
+
+  /**
+   * 生成下载令牌 Cookie
+   * 占用了下载次数的请求同时下发令牌，同一客户端之后从文件中间开始的区间请求（断点续传、拖动进度、分段并行下载）
+   * 带着令牌访问时不再占用下载次数，下载次数用完后也可以继续；令牌绑定文件的 ETag，文件变化后失效
+   * @param {Object} link - 短链接记录
+   * @param {string} etag - 下载的文件的 ETag
+   * @returns {Promise<{name: string, value: string, maxAge: number}>} Cookie 名称、值和有效期（秒）
+   */
+  async createDownloadToken(link, etag) {
+    const now = Math.floor(Date.now() / 1000);
+    const linkExpires = link.expiresAt ? Math.floor(new Date(link.expiresAt).getTime() / 1000) : Infinity;
+    const maxAge = Math.max(1, Math.min(DOWNLOAD_TOKEN_TTL, linkExpires - now));
+    const token = crypto.randomBytes(16).toString('hex');
+    await redisClient.set(this.downloadTokenKey(link.shortId, token), { etag }, maxAge);
+    return { name: getDownloadCookieName(link.shortId), value: token, maxAge };
+  }
+
+  /**
+   * 读取请求带着的短链接下载令牌
+   * 令牌只说明这个客户端已经占用过一次下载次数，是否按后续区间请求处理还要检查 Range 和 ETag
+   * @param {string} shortId - 短链接ID
+   * @param {Object} [cookies] - 请求的 Cookie
+   * @returns {Promise<{etag: string}|null>} 令牌绑定的文件 ETag，没有有效令牌时为 null
+   */
+  async getDownloadToken(shortId, cookies = {}) {
+    const token = String(cookies[getDownloadCookieName(shortId)] || '');
+    if (!/^[a-f0-9]{32}$/.test(token)) {
+      return null;
+    }
+    const stored = await redisClient.get(this.downloadTokenKey(shortId, token));
+    return stored && typeof stored.etag === 'string' ? stored : null;
+  }
+
+  /**
+   * 归还占用的下载次数，用于开始传输之前就失败的下载
+   * @param {Object} link - 短链接记录
+   */
+  async releaseDownload(link) {
+    await redisClient.hincrby(SHORT_LINK_HITS_KEY, link.shortId, -1);
+  }
+
+  /**
+   * 获取下载次数
+   * @param {string} shortId - 短链接ID
+   * @returns {Promise<number>} 成功开始的下载次数
+   */
+  async getAccessCount(shortId) {
+    return Number(await redisClient.hget(SHORT_LINK_HITS_KEY, shortId)) || 0;
+  }
+
+  /**
+   * 从索引中删除短链接
+   * @param {string} shortId - 短链接ID
+   */
+  async remove(shortId) {
+    this.cache.delete(shortId);
+    await redisClient.hdel(SHORT_LINKS_KEY, shortId);
+    await redisClient.hdel(SHORT_LINK_HITS_KEY, shortId);
+    await redisClient.del(this.unlockAttemptsKey(shortId));
+  }
+
+  /**
+   * 把旧版本的 short:${shortId} 键加入索引
+   * @param {string} shortId - 短链接ID
+   * @param {string} [bucket] - 旧链接所在的存储桶
+   * @returns {Promise<Object|null>} 短链接记录，没有旧键时为 null
+   */
+  async importLegacy(shortId, bucket) {
+    if (!SHORT_ID_PATTERN.test(String(shortId))) {
+      return null;
+    }
+    const bucketName = normalizeBucketName(bucket);
+    const legacyKey = `${getBucketKeyPrefix(bucketName)}short:${shortId}`;
+    const legacy = await redisClient.get(legacyKey);
+    if (!legacy || typeof legacy !== 'object' || !legacy.fileId) {
+      return null;
+    }
+    return await this.importLink({ ...legacy, shortId, bucket: bucketName });
+  }
+
+  /**
+   * 写入迁移来的短链接，并保留原来的访问次数
+   * @param {Object} legacy - 旧的短链接数据，带有 shortId、bucket、fileId、createdAt、expiresAt 和 accessCount
+   * @returns {Promise<Object>} 短链接记录
+   */
+  async importLink(legacy) {
+    const link = await this.create({
+      shortId: legacy.shortId,
+      bucket: legacy.bucket,
+      fileId: legacy.fileId,
+      createdAt: legacy.createdAt || new Date().toISOString(),
+      expiresAt: legacy.expiresAt
+    });
+    if (legacy.accessCount > 0) {
+      await redisClient.hincrby(SHORT_LINK_HITS_KEY, link.shortId, legacy.accessCount);
+    }
+    return link;
+  }
+
+  /**
+   * 迁移一个存储桶的短链接
+   * 把文件记录中的 shortLink 和旧版本的 short:* 键加入索引；已在索引中和已过期的短链接跳过，可以重复执行
+   * @param {TelegramStorage} storage - 存储桶的存储实例
+   * @param {string} bucket - 存储桶名称
+   * @returns {Promise<{indexed: number, legacy: number, skipped: number, expired: number}>} 迁移结果
+   */
+  async migrate(storage, bucket) {
+    const result = { indexed: 0, legacy: 0, skipped: 0, expired: 0 };
+    const indexed = await redisClient.hgetall(SHORT_LINKS_KEY);
+    const now = new Date();
+
+    /**
+     * 迁移一条短链接，返回是否写入了索引
+     */
+    const migrateLink = async (legacy) => {
+      if (indexed[legacy.shortId] || !SHORT_ID_PATTERN.test(legacy.shortId)) {
+        result.skipped++;
+        return false;
+      }
+      if (isShortLinkExpired(legacy, now)) {
+        result.expired++;
+        return false;
+      }
+      indexed[legacy.shortId] = await this.importLink({ ...legacy, bucket });
+      return true;
+    };
+
+    const files = await storage.listFiles();
+    for (let start = 0; start < files.length; start += MIGRATE_BATCH_SIZE) {
+      const batch = files.slice(start, start + MIGRATE_BATCH_SIZE);
+      const records = await redisClient.mget(batch.map(file => storage.key(`file:${file.fileId}`)));
+      for (const [index, record] of records.entries()) {
+        const shortLink = record?.shortLink;
+        if (shortLink?.shortId && await migrateLink({ ...shortLink, fileId: batch[index].fileId })) {
+          result.indexed++;
+        }
+      }
+    }
+
+    const legacyPrefix = storage.key('short:');
+    for (const key of await redisClient.scanKeys(`${legacyPrefix}*`)) {
+      const legacy = await redisClient.get(key);
+      if (legacy && typeof legacy === 'object' && legacy.fileId &&
+          await migrateLink({ ...legacy, shortId: key.slice(legacyPrefix.length) })) {
+        result.legacy++;
+      }
+    }
+
+    return result;
+  }
+}
+
+// 创建单例实例
+const shortLinks = new ShortLinkStore();
+
+export {
+  shortLinks,
+  ShortLinkStore,
+  SHORT_LINKS_KEY,
+  MAX_UNLOCK_ATTEMPTS,
+  isShortLinkExpired,
+  normalizeMaxDownloads,
+  normalizeExpiresAt,
+  buildShortUrl,
+  hashSharePassword,
+  verifySharePassword,
+  getUnlockCookieName,
+  getDownloadCookieName,
+  toPublicLink
+};
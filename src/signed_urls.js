@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import { normalizeBucketName } from './bucket_store.js';
+
+// 签名格式版本，写入签名内容，格式变化后旧链接自动失效
+const SIGNATURE_VERSION = 'v1';
+
+// 签名链接的默认和最长有效期（秒）
+const DEFAULT_SIGNED_URL_TTL = 3600;
+const MAX_SIGNED_URL_TTL = 365 * 86400;
+
+// 签名密钥ID：字母、数字、点、连字符和下划线
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+
+// 签名密钥的最短长度，太短的密钥可以被暴力猜出
+const MIN_SIGNING_KEY_LENGTH = 32;
+
+// IP前缀：IPv4 或 IPv6 地址的开头部分
+const IP_PREFIX_PATTERN = /^[0-9A-Fa-f.:]{1,45}$/;
+
+// 响应方式
+const DISPOSITIONS = ['attachment', 'inline'];
+
+// 最近一次解析的密钥配置，每次下载都要读取，避免重复解析和重复输出警告
+let parsedKeys = { raw: null, value: null };
+
+/**
+ * 创建带HTTP状态码的签名链接错误
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP状态码
+ * @returns {Error} 错误对象
+ */
+function signedUrlError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 从环境变量读取签名密钥
+ * DOWNLOAD_SIGNING_KEYS 为逗号分隔的 密钥ID:密钥，第一个用于签名，全部用于验证；
+ * 轮换时把新密钥放在最前面，旧链接全部过期后再删除旧密钥
+ * @param {Object} [env] - 环境变量
+ * @returns {{activeKeyId: string|null, keys: Map<string, string>}} 签名用的密钥ID和全部有效密钥
+ */
+function getSigningKeys(env = process.env) {
+  const raw = env.DOWNLOAD_SIGNING_KEYS || '';
+  if (parsedKeys.raw === raw) {
+    return parsedKeys.value;
+  }
+  const keys = new Map();
+  for (const entry of raw.split(',')) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+    if (!entry.trim()) {
+      continue;
+    }
+    if (separator <= 0 || !KEY_ID_PATTERN.test(keyId) || secret.length < MIN_SIGNING_KEY_LENGTH) {
+      console.warn(`DOWNLOAD_SIGNING_KEYS 中的密钥 ${keyId || entry.slice(0, 8)} 格式错误或长度不足 ${MIN_SIGNING_KEY_LENGTH} 个字符，已忽略`);
+      continue;
+    }
+    if (!keys.has(keyId)) {
+      keys.set(keyId, secret);
+    }
+  }
+  parsedKeys = { raw, value: { activeKeyId: keys.keys().next().value || null, keys } };
+  return parsedKeys.value;
+}
+
+/**
+ * 生成签名内容
+ * 所有约束都写入签名内容，修改链接中的任何参数都会使签名失效
+ * @param {Object} params - 链接参数
+ * @returns {string} 签名内容
+ */
+function getSignaturePayload({ keyId, fileId, bucket, expires, disposition, ipPrefix, maxBytes }) {
+  return [
+    SIGNATURE_VERSION,
+    keyId,
+    fileId,
+    bucket,
+    expires,
+    disposition,
+    ipPrefix || '',
+    maxBytes || ''
+  ].join('\n');
+}
+
+/**
+ * 计算签名
+ * @param {string} secret - 签名密钥
+ * @param {Object} params - 链接参数
+ * @returns {string} base64url 签名
+ */
+function computeSignature(secret, params) {
+  return crypto.createHmac('sha256', secret).update(getSignaturePayload(params)).digest('base64url');
+}
+
+/**
+ * 生成签名下载链接的查询参数
+ * 下载时只需校验签名，不读写任何记录；签名链接在过期前不能撤销，只能通过删除签名密钥使其全部失效
+ * @param {Object} options - 链接选项
+ * @param {string} options.fileId - 文件ID
+ * @param {string} [options.bucket] - 文件所在的存储桶
+ * @param {number} [options.expiresIn] - 有效期（秒），默认1小时，最长365天
+ * @param {string} [options.disposition] - attachment（下载，默认）或 inline（在浏览器中直接显示）
+ * @param {string} [options.ipPrefix] - 只允许IP以此开头的客户端下载，如 10.20.
+ * @param {number} [options.maxBytes] - 单次响应的最大字节数，文件或请求的区间超过时拒绝
+ * @param {Object} [env] - 环境变量
+ * @param {Date} [now] - 当前时间
+ * @returns {{query: Object, expiresAt: string, keyId: string}} 查询参数、过期时间和签名用的密钥ID
+ * @throws {Error} 参数无效时状态码为 400，没有配置签名密钥时为 501
+ */
+function signDownloadParams({ fileId, bucket, expiresIn = DEFAULT_SIGNED_URL_TTL, disposition = 'attachment', ipPrefix, maxBytes }, env = process.env, now = new Date()) {
+  const { activeKeyId, keys } = getSigningKeys(env);
+  if (!activeKeyId) {
+    throw signedUrlError('没有配置签名密钥（DOWNLOAD_SIGNING_KEYS），不能生成签名链接', 501);
+  }
+  if (typeof fileId !== 'string' || !fileId) {
+    throw signedUrlError('没有提供文件ID', 400);
+  }
+  const ttl = Number(expiresIn);
+  if (!Number.isInteger(ttl) || ttl <= 0 || ttl > MAX_SIGNED_URL_TTL) {
+    throw signedUrlError(`有效期应为 1-${MAX_SIGNED_URL_TTL} 秒`, 400);
+  }
+  if (!DISPOSITIONS.includes(disposition)) {
+    throw signedUrlError('disposition 只能是 attachment 或 inline', 400);
+  }
+  if (ipPrefix && !IP_PREFIX_PATTERN.test(ipPrefix)) {
+    throw signedUrlError('IP前缀格式无效', 400);
+  }
+  if (maxBytes !== undefined && maxBytes !== null && (!Number.isSafeInteger(Number(maxBytes)) || Number(maxBytes) <= 0)) {
+    throw signedUrlError('maxBytes 应为正整数', 400);
+  }
+
+  const params = {
+    keyId: activeKeyId,
+    fileId,
+    bucket: normalizeBucketName(bucket),
+    expires: String(Math.floor(now.getTime() / 1000) + ttl),
+    disposition,
+    ipPrefix: ipPrefix || '',
+    maxBytes: maxBytes ? String(Number(maxBytes)) : ''
+  };
+  const query = {
+    fileId: params.fileId,
+    bucket: params.bucket,
+    expires: params.expires,
+    disposition: params.disposition
+  };
+  if (params.ipPrefix) {
+    query.ip = params.ipPrefix;
+  }
+  if (params.maxBytes) {
+    query.maxBytes = params.maxBytes;
+  }
+  query.kid = params.keyId;
+  query.sig = computeSignature(keys.get(activeKeyId), params);
+
+  return {
+    query,
+    expiresAt: new Date(Number(params.expires) * 1000).toISOString(),
+    keyId: activeKeyId
+  };
+}
+
+/**
+ * 规范化IP地址，IPv4 映射的 IPv6 地址转为 IPv4
+ * @param {string} [ip] - IP地址
+ * @returns {string} 规范化后的地址
+ */
+function normalizeIp(ip) {
+  return (ip || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+/**
+ * 判断地址是否为受信任的反向代理
+ * TRUSTED_PROXIES 为逗号分隔的代理地址，以 . 或 : 结尾的项按前缀匹配（如 10.0.），其余项需要完全相同
+ * @param {string} ip - 规范化后的地址
+ * @param {Object} [env] - 环境变量
+ * @returns {boolean} 是否受信任
+ */
+function isTrustedProxy(ip, env = process.env) {
+  return (env.TRUSTED_PROXIES || '').split(',')
+    .map(proxy => proxy.trim())
+    .some(proxy => proxy && (/[.:]$/.test(proxy) ? ip.startsWith(proxy) : ip === proxy));
+}
+
+/**
+ * 获取客户端IP
+ * 默认使用连接的对端地址；只有对端是受信任的反向代理时才读取 X-Forwarded-For，
+ * 从右往左跳过受信任的代理，第一个不受信任的地址即为客户端，更左边的地址可以由客户端任意填写
+ * @param {Object} req - 请求对象
+ * @param {Object} [env] - 环境变量
+ * @returns {string} 客户端IP，无法获取时为空字符串
+ */
+function getClientIp(req, env = process.env) {
+  let ip = normalizeIp(req.socket?.remoteAddress);
+  const forwardedFor = req.headers['x-forwarded-for'];
+  if (!forwardedFor) {
+    return ip;
+  }
+
+  const hops = forwardedFor.split(',').map(normalizeIp).filter(Boolean);
+  while (hops.length > 0 && isTrustedProxy(ip, env)) {
+    ip = hops.pop();
+  }
+  return ip;
+}
+
+/**
+ * 校验签名下载链接
+ * @param {Object} query - 请求的查询参数
+ * @param {Object} [options] - 校验选项
+ * @param {string} [options.clientIp] - 客户端IP，链接限制了IP前缀时校验
+ * @param {Object} [options.env] - 环境变量
+ * @param {Date} [options.now] - 当前时间
+ * @returns {{fileId: string, bucket: string, expires: number, disposition: string, maxBytes: number|null}} 签名的参数
+ * @throws {Error} 参数缺失时状态码为 400，签名无效或IP不符时为 403，已过期时为 410
+ */
+function verifyDownloadParams(query, { clientIp = '', env = process.env, now = new Date() } = {}) {
+  const { fileId, bucket, expires, disposition = 'attachment', ip: ipPrefix = '', maxBytes = '', kid, sig } = query;
+  if (![fileId, bucket, expires, kid, sig].every(value => typeof value === 'string' && value)) {
+    throw signedUrlError('签名链接缺少参数', 400);
+  }
+
+  const secret = getSigningKeys(env).keys.get(kid);
+  const expected = secret
+    ? Buffer.from(computeSignature(secret, { keyId: kid, fileId, bucket, expires, disposition, ipPrefix, maxBytes }))
+    : null;
+  const actual = Buffer.from(String(sig));
+  // 未知的密钥ID（如已轮换掉的密钥）和签名不符返回同样的错误
+  if (!expected || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw signedUrlError('签名链接无效', 403);
+  }
+
+  if (Number(expires) * 1000 <= now.getTime()) {
+    const error = signedUrlError('签名链接已过期', 410);
+    error.reason = 'expired';
+    throw error;
+  }
+  if (ipPrefix && !clientIp.startsWith(ipPrefix)) {
+    throw signedUrlError('此签名链接不允许从当前网络访问', 403);
+  }
+
+  return {
+    fileId,
+    bucket,
+    expires: Number(expires),
+    disposition: DISPOSITIONS.includes(disposition) ? disposition : 'attachment',
+    maxBytes: maxBytes ? Number(maxBytes) : null
+  };
+}
+
+export {
+  DEFAULT_SIGNED_URL_TTL,
+  MAX_SIGNED_URL_TTL,
+  getSigningKeys,
+  signDownloadParams,
+  verifyDownloadParams,
+  getClientIp
+};
@@ -0,0 +1,282 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// 对象ID格式：驱动前缀加16位十六进制，校验后才拼接到磁盘路径中
+const OBJECT_ID_PATTERN = /^(mem|local)_[0-9a-f]{16}$/;
+
+// 诊断检查项的图标
+const DIAGNOSTIC_ICONS = {
+  success: 'fas fa-check-circle',
+  warning: 'fas fa-exclamation-triangle',
+  error: 'fas fa-times-circle'
+};
+
+/**
+ * 创建带HTTP状态码的存储错误
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP状态码
+ * @returns {Error} 错误对象
+ */
+function storageError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 生成对象ID
+ * 对象没有消息，文件ID和消息ID都使用同一个ID
+ * @param {string} prefix - 驱动前缀
+ * @returns {string} 对象ID
+ */
+function createObjectId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * 校验对象ID
+ * @param {string} id - 对象ID
+ * @returns {string} 对象ID
+ */
+function checkObjectId(id) {
+  if (!OBJECT_ID_PATTERN.test(String(id))) {
+    throw storageError('无效的文件ID', 400);
+  }
+  return id;
+}
+
+/**
+ * 读取全部内容
+ * @param {Buffer|Readable} content - 内容
+ * @returns {Promise<Buffer>} 内容
+ */
+async function readContent(content) {
+  if (!(content instanceof Readable)) {
+    return Buffer.from(content);
+  }
+  const chunks = [];
+  for await (const chunk of content) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 生成诊断结果
+ * 与 Telegram 驱动的结果格式一致，网络诊断页面可以直接显示
+ * @param {string} provider - 驱动名称
+ * @param {Array<Object>} details - 检查项
+ * @returns {Object} 诊断结果
+ */
+function createDiagnostics(provider, details) {
+  return {
+    timestamp: new Date().toISOString(),
+    provider,
+    healthy: details.every(detail => detail.status !== 'error'),
+    details: details.map(detail => ({ ...detail, icon: DIAGNOSTIC_ICONS[detail.status] })),
+    icons: {
+      success: 'fas fa-check-circle',
+      error: 'fas fa-times-circle'
+    }
+  };
+}
+
+/**
+ * 内存存储驱动
+ * 内容只保存在当前进程中，重启后丢失，用于演示和测试
+ */
+class MemoryProvider {
+  constructor() {
+    this.name = 'memory';
+    this.objects = new Map();
+  }
+
+  /**
+   * 读取对象
+   * @param {string} id - 对象ID
+   * @returns {Object} 对象
+   */
+  getObject(id) {
+    const object = this.objects.get(id);
+    if (!object) {
+      throw storageError('文件内容不存在', 404);
+    }
+    return object;
+  }
+
+  // 以下方法的参数和返回值见 storage_provider.js 中的 StorageProvider
+
+  async put(content, { fileName, caption, thumbnail }) {
+    const data = await readContent(content);
+    const id = createObjectId('mem');
+    this.objects.set(id, {
+      data,
+      fileName,
+      caption: caption || '',
+      ...(thumbnail ? { thumbnail: Buffer.from(thumbnail) } : {}),
+      createdAt: new Date().toISOString()
+    });
+    // 缩略图和对象保存在一起，缩略图ID就是对象ID
+    return { fileId: id, messageId: id, ...(thumbnail ? { thumbFileId: id } : {}) };
+  }
+
+  async getStream(ref, range = null) {
+    const { data } = this.getObject(ref.fileId);
+    return Readable.from([range ? data.subarray(range.start, range.end + 1) : data]);
+  }
+
+  async getThumbnailStream(ref) {
+    const object = this.objects.get(ref.thumbFileId);
+    if (!object?.thumbnail) {
+      throw storageError('缩略图不存在', 404);
+    }
+    return Readable.from([object.thumbnail]);
+  }
+
+  async delete(ref) {
+    this.objects.delete(ref.messageId);
+  }
+
+  async stat(ref) {
+    const object = this.objects.get(ref.fileId);
+    return object ? { size: object.data.length, fileName: object.fileName, caption: object.caption } : null;
+  }
+
+  async setCaption(ref, caption) {
+    this.getObject(ref.messageId).caption = caption || '';
+  }
+
+  async diagnose() {
+    const bytes = [...this.objects.values()].reduce((total, object) => total + object.data.length, 0);
+    return createDiagnostics(this.name, [{
+      status: 'warning',
+      message: `内存存储：${this.objects.size} 个对象，共 ${bytes} 字节，重启后丢失`
+    }]);
+  }
+
+  /**
+   * 清空全部对象（用于测试）
+   */
+  clear() {
+    this.objects.clear();
+  }
+}
+
+/**
+ * 本地磁盘存储驱动
+ * 每个对象保存为目录下的一个文件，文件名、说明等信息写在同名的 .json 文件中，缩略图写在同名的 .thumb.jpg 文件中。
+ * 内容先写入临时文件再重命名，中途失败不会留下不完整的对象
+ */
+class LocalDiskProvider {
+  /**
+   * @param {string} root - 存储目录
+   */
+  constructor(root) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+    fs.mkdirSync(this.root, { recursive: true });
+  }
+
+  /**
+   * 对象内容和信息文件的路径
+   * @param {string} id - 对象ID
+   * @returns {{data: string, meta: string, thumb: string}} 路径
+   */
+  paths(id) {
+    const data = path.join(this.root, checkObjectId(id));
+    return { data, meta: `${data}.json`, thumb: `${data}.thumb.jpg` };
+  }
+
+  // 以下方法的参数和返回值见 storage_provider.js 中的 StorageProvider
+
+  async put(content, { fileName, caption, thumbnail }) {
+    const id = createObjectId('local');
+    const { data, meta, thumb } = this.paths(id);
+    const temp = `${data}.tmp`;
+    try {
+      await pipeline(content instanceof Readable ? content : Readable.from([Buffer.from(content)]), fs.createWriteStream(temp));
+      const { size } = await fs.promises.stat(temp);
+      await fs.promises.writeFile(meta, JSON.stringify({ fileName, caption: caption || '', size, createdAt: new Date().toISOString() }));
+      if (thumbnail) {
+        await fs.promises.writeFile(thumb, thumbnail);
+      }
+      await fs.promises.rename(temp, data);
+    } catch (error) {
+      await fs.promises.rm(temp, { force: true });
+      await fs.promises.rm(meta, { force: true });
+      await fs.promises.rm(thumb, { force: true });
+      throw error;
+    }
+    return { fileId: id, messageId: id, ...(thumbnail ? { thumbFileId: id } : {}) };
+  }
+
+  async getStream(ref, range = null) {
+    const { data } = this.paths(ref.fileId);
+    const stream = fs.createReadStream(data, range ? { start: range.start, end: range.end } : {});
+    // 等待文件打开，让文件不存在的错误在开始响应之前抛出
+    await new Promise((resolve, reject) => {
+      stream.once('open', resolve);
+      stream.once('error', error => reject(error.code === 'ENOENT' ? storageError('文件内容不存在', 404) : error));
+    });
+    return stream;
+  }
+
+  async getThumbnailStream(ref) {
+    const { thumb } = this.paths(ref.thumbFileId);
+    try {
+      return Readable.from([await fs.promises.readFile(thumb)]);
+    } catch (error) {
+      throw error.code === 'ENOENT' ? storageError('缩略图不存在', 404) : error;
+    }
+  }
+
+  async delete(ref) {
+    const { data, meta, thumb } = this.paths(ref.messageId);
+    await fs.promises.rm(data, { force: true });
+    await fs.promises.rm(meta, { force: true });
+    await fs.promises.rm(thumb, { force: true });
+  }
+
+  async stat(ref) {
+    const { data, meta } = this.paths(ref.fileId);
+    try {
+      const { size } = await fs.promises.stat(data);
+      const info = JSON.parse(await fs.promises.readFile(meta, 'utf8'));
+      return { size, fileName: info.fileName, caption: info.caption };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async setCaption(ref, caption) {
+    const { meta } = this.paths(ref.messageId);
+    const info = JSON.parse(await fs.promises.readFile(meta, 'utf8'));
+    await fs.promises.writeFile(meta, JSON.stringify({ ...info, caption: caption || '' }));
+  }
+
+  async diagnose() {
+    const details = [];
+    try {
+      await fs.promises.access(this.root, fs.constants.R_OK | fs.constants.W_OK);
+      details.push({ status: 'success', message: `存储目录可读写: ${this.root}` });
+    } catch (error) {
+      details.push({ status: 'error', message: `存储目录不可读写: ${error.message}` });
+    }
+    try {
+      const { bavail, bsize } = await fs.promises.statfs(this.root);
+      const freeMB = Math.floor((bavail * bsize) / 1024 / 1024);
+      details.push({ status: freeMB < 100 ? 'error' : 'success', message: `可用磁盘空间: ${freeMB} MB` });
+    } catch (error) {
+      details.push({ status: 'warning', message: `无法读取磁盘空间: ${error.message}` });
+    }
+    return createDiagnostics(this.name, details);
+  }
+}
+
+export { MemoryProvider, LocalDiskProvider };
@@ -0,0 +1,99 @@
+import path from 'path';
+import { TelegramStorage } from './telegram_storage.js';
+import { TelegramProvider } from './storage_telegram.js';
+import { MemoryProvider, LocalDiskProvider } from './storage_local.js';
+import { getSharedBotPool } from './bot_pool.js';
+import { normalizeStorageDriver } from './bucket_store.js';
+
+/**
+ * 存储驱动接口
+ * 驱动只负责保存和取回文件内容，文件列表、分片清单、去重和文件夹等元数据由 TelegramStorage 保存在元数据存储中。
+ * 一个对象对应一次 put，超过分片大小的文件由 TelegramStorage 拆分为多个对象。
+ * 对象引用（ref）即分片记录 {fileId, messageId, botId}：读取内容用 fileId，删除和修改说明用 messageId
+ *
+ * @typedef {Object} StorageProvider
+ * @property {string} name - 驱动名称：telegram、local 或 memory
+ * @property {(content: Buffer|Readable, options: {fileName: string, caption?: string, contentType?: string, thumbnail?: Buffer}) => Promise<{fileId: string, messageId: string, botId?: string, thumbFileId?: string}>} put
+ *   保存一个对象；caption 是写入消息说明的元数据，用于从存储本身重建索引；
+ *   thumbnail 为随对象保存的 JPEG 缩略图，对象有缩略图时返回 thumbFileId
+ * @property {(ref: Object, range?: {start: number, end: number}) => Promise<Readable>} getStream
+ *   读取对象内容，指定区间时只返回区间内的字节（end 包含在内）；对象不存在时抛出错误
+ * @property {(ref: {thumbFileId: string, botId?: string}) => Promise<Readable>} getThumbnailStream
+ *   读取 put 返回的缩略图；缩略图不存在时抛出状态码为 404 的错误
+ * @property {(ref: Object) => Promise<void>} delete - 删除对象，对象不存在时不报错
+ * @property {(ref: Object) => Promise<{size: number}|null>} stat - 对象信息，对象不存在时为 null
+ * @property {(ref: Object, caption: string) => Promise<void>} setCaption - 修改对象的说明
+ * @property {() => Promise<Object>} diagnose
+ *   检查存储是否可用，返回 {timestamp, provider, healthy, details}，details 为 {status, icon, message} 列表
+ */
+
+// 本地磁盘驱动的默认根目录，每个存储桶使用其中以存储桶名称命名的子目录
+const DEFAULT_LOCAL_ROOT = path.join('data', 'files');
+
+// 内存驱动按存储桶共享，API请求之间的内容才不会丢失
+const memoryProviders = new Map();
+
+/**
+ * 创建带HTTP状态码的配置错误
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+function configError(message) {
+  const error = new Error(`配置错误: ${message}`);
+  error.status = 500;
+  return error;
+}
+
+/**
+ * 根据存储桶配置创建存储驱动
+ * @param {Object} bucket - 存储桶记录
+ * @param {Object} [env] - 环境变量
+ * @returns {StorageProvider} 存储驱动
+ */
+function createStorageProvider(bucket, env = process.env) {
+  let driver;
+  try {
+    driver = normalizeStorageDriver(bucket.driver);
+  } catch (error) {
+    // 存储桶记录中的驱动在创建时已校验，出错只可能是 STORAGE_DRIVER 配置错误
+    throw configError(error.message);
+  }
+  switch (driver) {
+    case 'telegram':
+      if (!env.TELEGRAM_BOT_TOKEN) {
+        throw configError('缺少环境变量 TELEGRAM_BOT_TOKEN');
+      }
+      if (!bucket.chatId) {
+        throw configError('缺少环境变量 TELEGRAM_CHAT_ID');
+      }
+      return new TelegramProvider({ chatId: bucket.chatId, bots: getSharedBotPool(env.TELEGRAM_BOT_TOKEN) });
+    case 'local':
+      return new LocalDiskProvider(path.join(env.STORAGE_LOCAL_PATH || DEFAULT_LOCAL_ROOT, bucket.name));
+    case 'memory':
+      if (!memoryProviders.has(bucket.name)) {
+        memoryProviders.set(bucket.name, new MemoryProvider());
+      }
+      return memoryProviders.get(bucket.name);
+    default:
+      throw configError(`未实现的存储驱动: ${driver}`);
+  }
+}
+
+/**
+ * 创建存储桶的存储实例
+ * API路由都通过此函数获取存储实例，不直接依赖具体的驱动
+ * @param {Object} bucket - 存储桶记录
+ * @param {Object} [env] - 环境变量
+ * @returns {TelegramStorage} 存储实例
+ */
+function createBucketStorage(bucket, env = process.env) {
+  return new TelegramStorage({
+    botToken: env.TELEGRAM_BOT_TOKEN,
+    chatId: bucket.chatId,
+    bucket: bucket.name,
+    versioning: bucket.versioning,
+    provider: createStorageProvider(bucket, env)
+  });
+}
+
+export { createStorageProvider, createBucketStorage, TelegramProvider, MemoryProvider, LocalDiskProvider };
@@ -0,0 +1,321 @@
+import { promises as dns } from 'dns';
+import { promises as fs } from 'fs';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import axios from 'axios';
+import { classifyTelegramError } from './bot_pool.js';
+import { getTelegramApiConfig, toLocalFileLink, openLocalFile } from './telegram_api.js';
+
+/**
+ * 文档消息中缩略图的文件ID
+ * Bot API 6.6 起字段名为 thumbnail，旧版本的服务器返回 thumb
+ * @param {Object} document - Telegram 文档对象
+ * @returns {string|null} 缩略图文件ID
+ */
+function getDocumentThumbId(document) {
+  const thumbnail = document?.thumbnail || document?.thumb;
+  return thumbnail?.file_id || null;
+}
+
+/**
+ * Telegram 存储驱动
+ * 每个对象是存储聊天中的一条文档消息，请求通过机器人池发送。
+ * 文档的 file_id 只对发送它的机器人有效，因此 put 返回的引用带有机器人ID；
+ * 使用 --local 模式的自建 Bot API 服务器时，文档直接从服务器的本地磁盘读取
+ */
+class TelegramProvider {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.chatId - 存储聊天ID
+   * @param {BotPool} options.bots - 机器人池
+   */
+  constructor({ chatId, bots }) {
+    this.name = 'telegram';
+    this.chatId = chatId;
+    this.bots = bots;
+  }
+
+  /**
+   * 通过机器人池发送文档
+   * @param {Buffer|Readable} content - 文档内容
+   * @param {Object} messageOptions - 消息选项（说明等）
+   * @param {Object} fileOptions - 文件名和类型
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.failover] - 失败时是否换用其他机器人，内容为流时必须为false
+   * @returns {Promise<{response: Object, botId: string}>} Telegram 消息和机器人ID
+   */
+  async sendDocument(content, messageOptions, fileOptions, { failover = true } = {}) {
+    let botId = null;
+    const response = await this.bots.run((client, bot) => {
+      botId = bot.id;
+      return client.sendDocument(this.chatId, content, messageOptions, fileOptions);
+    }, { failover });
+    return { response, botId };
+  }
+
+  // 以下方法的参数和返回值见 storage_provider.js 中的 StorageProvider
+
+  async put(content, { fileName, caption, contentType = 'application/octet-stream', thumbnail }) {
+    const messageOptions = caption ? { caption } : {};
+    // node-telegram-bot-api 只能从文件路径读取缩略图，先写入临时文件
+    const thumbPath = thumbnail ? path.join(os.tmpdir(), `tgnb-thumb-${crypto.randomBytes(8).toString('hex')}.jpg`) : null;
+    try {
+      if (thumbPath) {
+        await fs.writeFile(thumbPath, thumbnail);
+        messageOptions.thumb = thumbPath;
+      }
+      // 流只能被消费一次，失败时不能换用其他机器人重发
+      const { response, botId } = await this.sendDocument(content, messageOptions, {
+        filename: fileName,
+        contentType
+      }, { failover: !(content instanceof Readable) });
+      const thumbFileId = getDocumentThumbId(response.document);
+      return {
+        fileId: response.document?.file_id || '',
+        messageId: response.message_id.toString(),
+        botId,
+        ...(thumbFileId ? { thumbFileId } : {})
+      };
+    } finally {
+      if (thumbPath) {
+        await fs.rm(thumbPath, { force: true });
+      }
+    }
+  }
+
+  async getStream(ref, range = null) {
+    const fileUrl = await this.getFileLink(ref.fileId, ref.botId);
+    if (fileUrl.startsWith('file://')) {
+      return await openLocalFile(fileUrl, range);
+    }
+    const response = await axios.get(fileUrl, {
+      responseType: 'stream',
+      timeout: 30000, // 30秒超时
+      headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {}
+    });
+
+    // 文件服务器忽略了 Range 时在本地截取
+    if (range && response.status !== 206) {
+      return Readable.from(this.sliceStream(response.data, range.start, range.end - range.start + 1));
+    }
+    return response.data;
+  }
+
+  async getThumbnailStream(ref) {
+    // 缩略图的 file_id 同样只对发送文档的机器人有效
+    return await this.getStream({ fileId: ref.thumbFileId, botId: ref.botId });
+  }
+
+  async delete(ref) {
+    await this.bots.run(client => client.deleteMessage(this.chatId, ref.messageId), { botId: ref.botId });
+  }
+
+  async stat(ref) {
+    try {
+      const file = await this.bots.run(client => client.getFile(ref.fileId), { botId: ref.botId });
+      return { size: file.file_size ?? null };
+    } catch (error) {
+      // file_id 无效时 Telegram 返回 400
+      if (classifyTelegramError(error).type === 'client') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async setCaption(ref, caption) {
+    try {
+      await this.bots.run(client => client.editMessageCaption(caption, {
+        chat_id: this.chatId,
+        message_id: ref.messageId
+      }), { botId: ref.botId });
+    } catch (error) {
+      // 说明没有变化不算失败
+      if (!(error.message && error.message.includes('message is not modified'))) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 获取文档的下载地址
+   * @param {string} fileId - Telegram文件ID
+   * @param {string} [botId] - 上传该文档的机器人ID
+   * @returns {Promise<string>} 下载地址，--local 模式下为服务器本地文件的 file:// 地址
+   */
+  async getFileLink(fileId, botId = null) {
+    // file_id 只对上传它的机器人有效，优先交给该机器人处理
+    return await this.bots.run(async (client) => {
+      const file = await client.getFile(fileId);
+      return toLocalFileLink(file.file_path) || await client.getFileLink(file.file_id);
+    }, { botId });
+  }
+
+  /**
+   * 从流中截取指定位置的字节
+   * @param {Readable} stream - 完整内容流
+   * @param {number} start - 起始位置
+   * @param {number} length - 截取长度
+   */
+  async *sliceStream(stream, start, length) {
+    let position = 0;
+    let remaining = length;
+
+    for await (const chunk of stream) {
+      const chunkStart = Math.max(0, start - position);
+      position += chunk.length;
+      if (chunkStart >= chunk.length) {
+        continue;
+      }
+
+      const slice = chunk.subarray(chunkStart, chunkStart + remaining);
+      remaining -= slice.length;
+      yield slice;
+
+      if (remaining <= 0) {
+        stream.destroy();
+        return;
+      }
+    }
+  }
+
+  /**
+   * 网络连接诊断
+   * 依次检查 DNS 解析、基本网络连接和 Telegram API
+   * @returns {Promise<Object>} 诊断结果
+   */
+  async diagnose() {
+    const diagnostics = {
+      timestamp: new Date().toISOString(),
+      provider: this.name,
+      healthy: false,
+      telegramApiReachable: false,
+      dnsResolution: false,
+      internetConnection: false,
+      details: [],
+      icons: {
+        success: 'fas fa-check-circle',
+        error: 'fas fa-times-circle',
+        search: 'fas fa-search',
+        chart: 'fas fa-chart-line'
+      }
+    };
+
+    try {
+      // 1. 检查基本网络连接
+      console.log('[诊断] 开始网络连接诊断...');
+
+      // 2. 测试 DNS 解析（自建 Bot API 服务器时解析其地址）
+      const apiHost = new URL(getTelegramApiConfig().baseApiUrl).hostname;
+      try {
+        await dns.lookup(apiHost);
+        diagnostics.dnsResolution = true;
+        diagnostics.details.push({
+          status: 'success',
+          icon: 'fas fa-check-circle',
+          message: `DNS 解析正常 (${apiHost})`
+        });
+      } catch (error) {
+        diagnostics.details.push({
+          status: 'error',
+          icon: 'fas fa-times-circle',
+          message: `DNS 解析失败: ${error.message}`
+        });
+      }
+
+      // 3. 测试基本网络连接
+      try {
+        const startTime = Date.now();
+        const connectionInfo = await new Promise((resolve, reject) => {
+          const req = https.request({
+            hostname: 'www.google.com',
+            port: 443,
+            path: '/',
+            method: 'HEAD',
+            timeout: 10000
+          }, (res) => {
+            const responseTime = Date.now() - startTime;
+            diagnostics.internetConnection = true;
+            resolve({
+              statusCode: res.statusCode,
+              statusMessage: res.statusMessage,
+              responseTime,
+              headers: res.headers
+            });
+          });
+
+          req.on('error', reject);
+          req.on('timeout', () => reject(new Error('连接超时')));
+          req.end();
+        });
+
+        diagnostics.details.push({
+          status: 'success',
+          icon: 'fas fa-check-circle',
+          message: `基本网络连接正常 (状态码: ${connectionInfo.statusCode}, 响应时间: ${connectionInfo.responseTime}ms)`
+        });
+      } catch (error) {
+        diagnostics.details.push({
+          status: 'error',
+          icon: 'fas fa-times-circle',
+          message: `基本网络连接失败: ${error.message}`
+        });
+      }
+
+      // 4. 测试 Telegram API 连接
+      try {
+        await this.bots.primary.client.getMe();
+        diagnostics.telegramApiReachable = true;
+        diagnostics.details.push({
+          status: 'success',
+          icon: 'fas fa-check-circle',
+          message: `Telegram API 连接正常 (${apiHost})`
+        });
+      } catch (error) {
+        diagnostics.details.push({
+          status: 'error',
+          icon: 'fas fa-times-circle',
+          message: `Telegram API 连接失败: ${error.message}`
+        });
+
+        // 分析具体错误类型
+        if (error.message.includes('ETIMEDOUT')) {
+          diagnostics.details.push({
+            status: 'warning',
+            icon: 'fas fa-exclamation-triangle',
+            message: '可能原因: 网络超时，建议检查防火墙或代理设置'
+          });
+        } else if (error.message.includes('ECONNREFUSED')) {
+          diagnostics.details.push({
+            status: 'warning',
+            icon: 'fas fa-exclamation-triangle',
+            message: '可能原因: 连接被拒绝，可能是网络限制'
+          });
+        } else if (error.message.includes('ENOTFOUND')) {
+          diagnostics.details.push({
+            status: 'warning',
+            icon: 'fas fa-exclamation-triangle',
+            message: '可能原因: DNS 解析失败或网络不可达'
+          });
+        }
+      }
+
+      diagnostics.healthy = diagnostics.telegramApiReachable;
+      console.log('[诊断] 网络诊断结果:', diagnostics);
+      return diagnostics;
+
+    } catch (error) {
+      diagnostics.details.push({
+        status: 'error',
+        icon: 'fas fa-times-circle',
+        message: `诊断过程出错: ${error.message}`
+      });
+      return diagnostics;
+    }
+  }
+}
+
+export { TelegramProvider, getDocumentThumbId };
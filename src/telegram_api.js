@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// 官方 Bot API 服务器地址
+const DEFAULT_API_URL = 'https://api.telegram.org';
+
+const MB = 1024 * 1024;
+
+/**
+ * 官方 Bot API 的文件大小限制
+ * 上传上限为 50MB，但 getFile 只能下载不超过 20MB 的文件，
+ * 因此分片大小以下载上限为准并留出余量，保证每个分片都能被取回
+ */
+const HOSTED_LIMITS = {
+  MAX_UPLOAD_SIZE: 50 * MB,
+  MAX_DOWNLOAD_SIZE: 20 * MB,
+  CHUNK_SIZE: 19 * MB
+};
+
+/**
+ * 自建 telegram-bot-api 服务器以 --local 模式运行时的限制
+ * 上传和下载上限都是 2000MB，文件由服务器保存在本地磁盘，getFile 返回绝对路径；
+ * 分片大小比上限小一些，给 multipart 请求体留出余量
+ */
+const LOCAL_LIMITS = {
+  MAX_UPLOAD_SIZE: 2000 * MB,
+  MAX_DOWNLOAD_SIZE: 2000 * MB,
+  CHUNK_SIZE: 1950 * MB
+};
+
+/**
+ * 读取 Bot API 服务器配置
+ * TELEGRAM_API_URL 为自建服务器地址，TELEGRAM_API_LOCAL=true 表示服务器以 --local 模式运行
+ * @param {Object} [env] - 环境变量
+ * @returns {{baseApiUrl: string, local: boolean, selfHosted: boolean}} 服务器配置
+ */
+function getTelegramApiConfig(env = process.env) {
+  const baseApiUrl = (env.TELEGRAM_API_URL || '').trim().replace(/\/+$/, '') || DEFAULT_API_URL;
+  return {
+    baseApiUrl,
+    local: env.TELEGRAM_API_LOCAL === 'true',
+    selfHosted: baseApiUrl !== DEFAULT_API_URL
+  };
+}
+
+/**
+ * 当前 Bot API 服务器的文件大小限制
+ * @param {Object} [config] - getTelegramApiConfig 的结果
+ * @returns {{MAX_UPLOAD_SIZE: number, MAX_DOWNLOAD_SIZE: number, CHUNK_SIZE: number}} 大小限制（字节）
+ */
+function getTelegramLimits(config = getTelegramApiConfig()) {
+  return config.local ? LOCAL_LIMITS : HOSTED_LIMITS;
+}
+
+/**
+ * --local 模式下 getFile 返回的 file_path 是服务器磁盘上的绝对路径，转换为 file:// 地址
+ * @param {string} filePath - getFile 返回的 file_path
+ * @returns {string|null} file:// 地址；官方服务器返回的相对路径为 null
+ */
+function toLocalFileLink(filePath) {
+  if (!filePath) {
+    return null;
+  }
+  if (filePath.startsWith('file://')) {
+    return filePath;
+  }
+  return path.isAbsolute(filePath) ? pathToFileURL(filePath).href : null;
+}
+
+/**
+ * 打开 --local 模式下服务器保存在本地磁盘上的文件
+ * 本应用需要能以相同路径访问服务器的 --dir 目录（同一台机器，或容器挂载到相同路径）
+ * @param {string} fileLink - file:// 地址
+ * @param {{start: number, end: number}} [range] - 字节区间（end 包含在内）
+ * @returns {Promise<Readable>} 文件内容流
+ */
+async function openLocalFile(fileLink, range = null) {
+  const stream = fs.createReadStream(fileURLToPath(fileLink), range ? { start: range.start, end: range.end } : {});
+  // 等待文件打开，让文件不存在的错误在开始响应之前抛出
+  await new Promise((resolve, reject) => {
+    stream.once('open', resolve);
+    stream.once('error', (error) => {
+      if (error.code === 'ENOENT') {
+        const notFound = new Error('Bot API 服务器的本地文件不存在，请确认本应用可以访问服务器的 --dir 目录');
+        notFound.status = 404;
+        reject(notFound);
+      } else {
+        reject(error);
+      }
+    });
+  });
+  return stream;
+}
+
+export {
+  DEFAULT_API_URL,
+  HOSTED_LIMITS,
+  LOCAL_LIMITS,
+  getTelegramApiConfig,
+  getTelegramLimits,
+  toLocalFileLink,
+  openLocalFile
+};
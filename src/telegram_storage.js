@@ -1,249 +1,977 @@
-import TelegramBot from 'node-telegram-bot-api';
 import { redisClient } from './redis_client.js';
-import { promises as dns } from 'dns';
-import https from 'https';
+import { buildCaption, parseCaption } from './caption_meta.js';
+import { FolderStore, ROOT_FOLDER, normalizeFolderPath } from './folder_store.js';
+import { normalizeTags } from './file_tags.js';
+import { FileIndex } from './file_index.js';
+import { BlobStore } from './blob_store.js';
+import { normalizeEncryptionInfo } from './file_encryption.js';
+import { DEFAULT_BUCKET, getBucketKeyPrefix } from './bucket_store.js';
+import { BotPool, getSharedBotPool } from './bot_pool.js';
+import { ChatIndex } from './chat_index.js';
+import { TelegramProvider, getDocumentThumbId } from './storage_telegram.js';
+import { TrashStore, getTrashRetentionDays } from './trash_store.js';
+import { VersionStore, selectExpiredVersions } from './version_store.js';
+import { getTelegramLimits } from './telegram_api.js';
+import {
+  DEFAULT_RETRY_POLICY,
+  OPERATION_RETRY_POLICIES,
+  TelegramOperationError,
+  mergeRetryPolicies,
+  getRetryPoliciesFromEnv,
+  retryWithPolicy
+} from './retry_policy.js';
+import crypto from 'crypto';
+import { Readable, PassThrough } from 'stream';
+import { once } from 'events';
 
+/**
+ * 当前 Bot API 服务器的文件大小限制
+ * 官方服务器下载上限为 20MB、分片大小 19MB；--local 模式的自建服务器上限为 2000MB，见 telegram_api.js
+ */
+const TELEGRAM_LIMITS = getTelegramLimits();
+
+// 分片文件名格式: <原文件名>.part001of003
+const PART_NAME_PATTERN = /^(.+)\.part(\d+)of(\d+)$/;
+
+// 文件记录被并发修改时的最多尝试次数
+const RECORD_UPDATE_ATTEMPTS = 5;
+
+// 删除文件时顺带彻底删除的过期回收站文件数，避免拖慢删除请求
+const EXPIRED_PURGE_LIMIT = 3;
+
+/**
+ * 文件存储
+ * 文件列表、分片清单、去重、文件夹和索引保存在元数据存储中，文件内容通过存储驱动保存，
+ * 默认使用 Telegram 驱动，也可以通过 options.provider 使用本地磁盘或内存驱动（见 storage_provider.js）
+ */
 class TelegramStorage {
   constructor(options) {
     this.botToken = options.botToken;
     this.chatId = options.chatId;
     
-    // 允许注入客户端用于测试
-    this.telegramClient = options.telegramClient || new TelegramBot(this.botToken, { 
-      polling: false,
-      request: {
-        agentOptions: {
-          timeout: 60000, // 增加到60秒超时
-          keepAlive: true,
-          keepAliveMsecs: 30000
-        }
+    // 所属存储桶，非默认存储桶的Redis键带有存储桶前缀
+    this.bucket = options.bucket || DEFAULT_BUCKET;
+    this.keyPrefix = getBucketKeyPrefix(this.bucket);
+    
+    // 存储驱动；未指定时使用 Telegram 驱动，请求分散到机器人池中，允许注入客户端或机器人池用于测试
+    if (options.provider) {
+      this.provider = options.provider;
+    } else {
+      let bots;
+      if (options.botPool) {
+        bots = options.botPool;
+      } else if (options.telegramClient) {
+        bots = new BotPool([{ token: this.botToken, client: options.telegramClient }]);
+      } else {
+        bots = getSharedBotPool(this.botToken);
       }
-    });
+      this.provider = new TelegramProvider({ chatId: this.chatId, bots });
+    }
+    // 机器人池和主机器人的客户端，用于 getUpdates、置顶消息等与聊天绑定的请求；其他驱动没有
+    this.bots = this.provider.bots || null;
+    this.telegramClient = this.bots ? this.bots.primary.client : null;
+    
+    // 默认重试规则，以及按操作类型覆盖的规则（内置规则 < TELEGRAM_RETRY_POLICIES < options.retryPolicies）
+    this.retryConfig = { ...DEFAULT_RETRY_POLICY };
+    this.retryPolicies = mergeRetryPolicies(OPERATION_RETRY_POLICIES, getRetryPoliciesFromEnv(), options.retryPolicies);
     
-    // 重试配置 - 针对删除操作增加更多重试
-    this.retryConfig = {
-      maxRetries: 5, // 增加到5次重试
-      retryDelay: 3000, // 增加到3秒
-      backoffMultiplier: 1.5 // 降低退避倍数，避免等待时间过长
+    // 分片配置 - 超过分片大小的文件会被拆分为多条消息存储
+    this.limits = options.limits || TELEGRAM_LIMITS;
+    this.chunkConfig = {
+      chunkSize: options.chunkSize || this.limits.CHUNK_SIZE
     };
+    
+    // 虚拟文件夹
+    this.folders = new FolderStore(this);
+    this.index = new FileIndex(this);
+    
+    // 内容去重
+    this.blobs = new BlobStore(this);
+    
+    // 保存在聊天中的索引，用于Redis数据丢失后恢复
+    this.chatIndex = new ChatIndex(this);
+    
+    // 回收站
+    this.trash = new TrashStore(this);
+    
+    // 版本历史；存储桶的版本控制规则，文件夹上的规则优先
+    this.versions = new VersionStore(this);
+    this.versioning = options.versioning || null;
+  }
+
+  /**
+   * 当前存储桶下的Redis键名
+   * @param {string} name - 不带存储桶前缀的键名
+   * @returns {string} 键名
+   */
+  key(name) {
+    return `${this.keyPrefix}${name}`;
+  }
+
+  /**
+   * 文件内容是否保存在Telegram聊天中
+   * 只有这种情况才能从聊天同步文件列表和写入聊天内的索引
+   * @returns {boolean} 是否使用 Telegram 驱动
+   */
+  get chatBacked() {
+    return this.provider.name === 'telegram';
   }
 
   /**
-   * 网络连接诊断功能
+   * 存储诊断
+   * Telegram 驱动检查网络连接和 Telegram API，其他驱动检查各自的存储
    * @returns {Promise<Object>} 诊断结果
    */
   async diagnoseNetworkConnection() {
-    const diagnostics = {
-      timestamp: new Date().toISOString(),
-      telegramApiReachable: false,
-      dnsResolution: false,
-      internetConnection: false,
-      details: [],
-      icons: {
-        success: 'fas fa-check-circle',
-        error: 'fas fa-times-circle',
-        search: 'fas fa-search',
-        chart: 'fas fa-chart-line'
-      }
+    return await this.provider.diagnose();
+  }
+
+  /**
+   * 按操作类型的重试规则执行操作
+   * 限流时按 retry_after 等待，网络错误退避重试，永久错误立即失败，见 retry_policy.js
+   * @param {Function} operation - 要执行的操作
+   * @param {string} operationName - 操作名称，用于日志
+   * @param {string} [operationType] - 操作类型：upload、delete、caption、sync 或 index
+   * @returns {Promise} 操作结果
+   * @throws {PermanentError|RateLimitError} 重试也不会成功或限流等待时间过长时
+   */
+  async retryOperation(operation, operationName = 'operation', operationType = 'default') {
+    return await retryWithPolicy(operation, {
+      policy: { ...this.retryConfig, ...this.retryPolicies[operationType] },
+      operationName,
+      operationType,
+      bucket: this.bucket
+    });
+  }
+
+  /**
+   * 通过机器人池发送文档（只有 Telegram 驱动支持）
+   * @param {Buffer|Readable} content - 文档内容
+   * @param {Object} messageOptions - 消息选项（说明等）
+   * @param {Object} fileOptions - 文件名和类型
+   * @param {Object} [options] - 选项
+   * @returns {Promise<{response: Object, botId: string}>} Telegram 消息和机器人ID
+   */
+  async sendDocument(content, messageOptions, fileOptions, options) {
+    return await this.provider.sendDocument(content, messageOptions, fileOptions, options);
+  }
+
+  /**
+   * 把驱动返回的对象引用转换为分片记录
+   * @param {number} index - 分片序号
+   * @param {{fileId: string, messageId: string, botId?: string, thumbFileId?: string}} ref - 对象引用
+   * @param {number} size - 分片大小
+   * @returns {Object} 分片记录
+   */
+  toPart(index, ref, size) {
+    return {
+      index,
+      fileId: ref.fileId,
+      messageId: ref.messageId,
+      size,
+      ...(ref.botId ? { botId: ref.botId } : {}),
+      ...(ref.thumbFileId ? { thumbFileId: ref.thumbFileId } : {})
     };
+  }
 
+  /**
+   * 上传文件到Telegram
+   * 超过分片大小的文件会自动拆分为多个分片上传
+   * @param {Buffer|Readable} input - 文件内容的Buffer或可读流
+   * @param {string} fileName - 文件名
+   * @param {Object} [options] - 上传选项
+   * @param {number} [options.fileSize] - 文件大小，流式上传时用于计算分片数量
+   * @param {string} [options.folder] - 所在文件夹路径，默认为根目录
+   * @param {Object} [options.encryption] - 客户端加密参数（已校验），内容为密文时提供
+   * @param {Buffer} [options.thumbnail] - JPEG 缩略图（已校验），随第一条消息发送
+   * @returns {Promise<{fileId: string, messageId: string, fileSize: number, sha256: string}>} - 上传结果
+   */
+  async uploadFile(input, fileName, options = {}) {
+    const uploadOptions = {
+      ...options,
+      folder: normalizeFolderPath(options.folder),
+      // 缩略图会暴露端到端加密文件的内容，不随密文发送
+      thumbnail: options.encryption ? undefined : options.thumbnail
+    };
+    
+    if (input instanceof Readable) {
+      return await this.uploadStream(input, fileName, uploadOptions);
+    }
+    
+    const fileBuffer = input;
+    const sha256 = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+    
+    // 相同内容已经上传过时只创建引用，不再发送
+    const reference = await this.saveReference(sha256, {
+      fileName,
+      fileSize: fileBuffer.length,
+      uploadTime: new Date().toISOString(),
+      folder: uploadOptions.folder,
+      encryption: uploadOptions.encryption
+    });
+    if (reference) {
+      return this.toUploadResult(await this.addVersion(reference));
+    }
+    
+    // 超过单个文档限制的文件走分片上传
+    if (fileBuffer.length > this.chunkConfig.chunkSize) {
+      return await this.uploadChunkedFile(fileBuffer, fileName, uploadOptions);
+    }
+    
     try {
-      // 1. 检查基本网络连接
-      console.log('[诊断] 开始网络连接诊断...');
-      
-      // 2. 测试 DNS 解析
-      try {
-        await dns.lookup('api.telegram.org');
-        diagnostics.dnsResolution = true;
-        diagnostics.details.push({
-          status: 'success',
-          icon: 'fas fa-check-circle',
-          message: 'DNS 解析正常'
-        });
-      } catch (error) {
-        diagnostics.details.push({
-          status: 'error',
-          icon: 'fas fa-times-circle',
-          message: `DNS 解析失败: ${error.message}`
+      // 使用重试机制上传文件
+      const ref = await this.retryOperation(async () => {
+        return await this.provider.put(fileBuffer, {
+          fileName,
+          caption: this.getCaption(uploadOptions),
+          thumbnail: uploadOptions.thumbnail
         });
-      }
+      }, `上传文件 ${fileName}`, 'upload');
+      
+      const fileInfo = await this.saveUploadedFile({
+        parts: [this.toPart(0, ref, fileBuffer.length)],
+        fileName,
+        fileSize: fileBuffer.length,
+        sha256,
+        uploadTime: new Date().toISOString(),
+        folder: uploadOptions.folder,
+        encryption: uploadOptions.encryption
+      });
+      
+      return this.toUploadResult(await this.addVersion(fileInfo));
+    } catch (error) {
+      console.error('上传文件失败:', error);
+      throw this.createUploadError(error);
+    }
+  }
 
-      // 3. 测试基本网络连接
-      try {
-        const startTime = Date.now();
-        const connectionInfo = await new Promise((resolve, reject) => {
-          const req = https.request({
-            hostname: 'www.google.com',
-            port: 443,
-            path: '/',
-            method: 'HEAD',
-            timeout: 10000
-          }, (res) => {
-            const responseTime = Date.now() - startTime;
-            diagnostics.internetConnection = true;
-            resolve({
-              statusCode: res.statusCode,
-              statusMessage: res.statusMessage,
-              responseTime,
-              headers: res.headers
-            });
-          });
-          
-          req.on('error', reject);
-          req.on('timeout', () => reject(new Error('连接超时')));
-          req.end();
-        });
+  /**
+   * 流式上传文件
+   * 数据从输入流直接写入 Telegram 的 multipart 请求，途中统计字节数并计算 SHA-256，
+   * 不会把整个文件缓存在磁盘或内存中。已知文件大小且超过分片大小时按分片依次发送，
+   * 未声明文件大小时内容不能超过分片大小。
+   * 注意：流只能被消费一次，因此流式上传的分片不会自动重试。
+   * @param {Readable} stream - 文件内容流
+   * @param {string} fileName - 文件名
+   * @param {Object} [options] - 上传选项
+   * @param {number} [options.fileSize] - 声明的文件大小
+   * @param {string} [options.folder] - 所在文件夹路径
+   * @param {Object} [options.encryption] - 客户端加密参数
+   * @param {Buffer} [options.thumbnail] - 缩略图
+   * @returns {Promise<{fileId: string, messageId: string, fileSize: number, sha256: string}>} - 上传结果
+   */
+  async uploadStream(stream, fileName, options = {}) {
+    const { chunkSize } = this.chunkConfig;
+    const declaredSize = Number.isFinite(options.fileSize) ? options.fileSize : null;
+    const folder = normalizeFolderPath(options.folder);
+    const { encryption } = options;
+    const totalParts = declaredSize && declaredSize > chunkSize ? Math.ceil(declaredSize / chunkSize) : 1;
+    const hash = crypto.createHash('sha256');
+    const parts = [];
+    let bytesReceived = 0;
+    let currentPart = null;
+    
+    // 开始发送一个新的分片，分片内容通过 PassThrough 边读边发
+    const startPart = (index) => {
+      const partStream = new PassThrough();
+      const partFileName = totalParts > 1 ? this.getPartFileName(fileName, index, totalParts) : fileName;
+      // 元数据说明和缩略图只放在第一个分片上
+      const caption = index === 0 ? this.getCaption({ folder, encryption }) : '';
+      const thumbnail = index === 0 ? options.thumbnail : undefined;
+      const request = this.provider.put(partStream, { fileName: partFileName, caption, thumbnail });
+      // 防止请求在写入期间失败时产生未处理的拒绝
+      request.catch(() => {});
+      return { index, stream: partStream, request, written: 0 };
+    };
+    
+    // 结束当前分片并等待驱动保存完成
+    const finishPart = async () => {
+      currentPart.stream.end();
+      parts.push(this.toPart(currentPart.index, await currentPart.request, currentPart.written));
+      currentPart = null;
+    };
+    
+    try {
+      for await (const chunk of stream) {
+        hash.update(chunk);
+        bytesReceived += chunk.length;
         
-        diagnostics.details.push({
-          status: 'success',
-          icon: 'fas fa-check-circle',
-          message: `基本网络连接正常 (状态码: ${connectionInfo.statusCode}, 响应时间: ${connectionInfo.responseTime}ms)`
-        });
-      } catch (error) {
-        diagnostics.details.push({
-          status: 'error',
-          icon: 'fas fa-times-circle',
-          message: `基本网络连接失败: ${error.message}`
-        });
-      }
-
-      // 4. 测试 Telegram API 连接
-      try {
-        await this.telegramClient.getMe();
-        diagnostics.telegramApiReachable = true;
-        diagnostics.details.push({
-          status: 'success',
-          icon: 'fas fa-check-circle',
-          message: 'Telegram API 连接正常'
-        });
-      } catch (error) {
-        diagnostics.details.push({
-          status: 'error',
-          icon: 'fas fa-times-circle',
-          message: `Telegram API 连接失败: ${error.message}`
-        });
+        if (declaredSize !== null && bytesReceived > declaredSize) {
+          throw new Error(`文件大小超过声明的 ${declaredSize} 字节`);
+        }
+        // 分片文件名中包含分片总数，未声明大小时无法分片，超过单个文档的上限后拒绝
+        if (declaredSize === null && bytesReceived > chunkSize) {
+          const error = new Error(`未声明文件大小时最多上传 ${chunkSize} 字节，请在文件之前提交 fileSize`);
+          error.status = 413;
+          throw error;
+        }
         
-        // 分析具体错误类型
-        if (error.message.includes('ETIMEDOUT')) {
-          diagnostics.details.push({
-            status: 'warning',
-            icon: 'fas fa-exclamation-triangle',
-            message: '可能原因: 网络超时，建议检查防火墙或代理设置'
-          });
-        } else if (error.message.includes('ECONNREFUSED')) {
-          diagnostics.details.push({
-            status: 'warning',
-            icon: 'fas fa-exclamation-triangle',
-            message: '可能原因: 连接被拒绝，可能是网络限制'
-          });
-        } else if (error.message.includes('ENOTFOUND')) {
-          diagnostics.details.push({
-            status: 'warning',
-            icon: 'fas fa-exclamation-triangle',
-            message: '可能原因: DNS 解析失败或网络不可达'
-          });
+        let offset = 0;
+        while (offset < chunk.length) {
+          if (!currentPart) {
+            currentPart = startPart(parts.length);
+          }
+          
+          // 多分片时每个分片最多写入 chunkSize 字节
+          const capacity = totalParts > 1 ? chunkSize - currentPart.written : chunk.length - offset;
+          const slice = chunk.subarray(offset, offset + capacity);
+          offset += slice.length;
+          currentPart.written += slice.length;
+          
+          if (!currentPart.stream.write(slice)) {
+            // 等待驱动消费数据（背压），请求失败时立即中断
+            await Promise.race([once(currentPart.stream, 'drain'), currentPart.request]);
+          }
+          
+          if (totalParts > 1 && currentPart.written === chunkSize) {
+            await finishPart();
+          }
         }
       }
-
-      console.log('[诊断] 网络诊断结果:', diagnostics);
-      return diagnostics;
       
+      if (currentPart) {
+        await finishPart();
+      }
+      
+      if (declaredSize !== null && bytesReceived !== declaredSize) {
+        throw new Error(`文件大小不匹配: 声明 ${declaredSize} 字节，实际接收 ${bytesReceived} 字节`);
+      }
+      if (parts.length === 0) {
+        throw new Error('文件内容为空');
+      }
     } catch (error) {
-      diagnostics.details.push({
-        status: 'error',
-        icon: 'fas fa-times-circle',
-        message: `诊断过程出错: ${error.message}`
+      console.error('流式上传失败:', error);
+      
+      if (currentPart) {
+        currentPart.stream.destroy();
+      }
+      stream.destroy();
+      await this.cleanupParts(parts);
+      
+      throw this.createUploadError(error);
+    }
+    
+    // 流式上传只有在发送完成后才知道哈希，内容重复时删除刚发送的消息并改为引用
+    const fileInfo = await this.saveUploadedFile({
+      parts,
+      fileName,
+      fileSize: bytesReceived,
+      sha256: hash.digest('hex'),
+      uploadTime: new Date().toISOString(),
+      folder,
+      encryption
+    });
+    
+    return this.toUploadResult(await this.addVersion(fileInfo));
+  }
+
+  /**
+   * 生成上传接口返回的结果
+   * @param {Object} fileInfo - 文件信息对象
+   * @returns {{fileId: string, messageId: string, fileSize: number, sha256: string, deduplicated: boolean}} 上传结果
+   */
+  toUploadResult(fileInfo) {
+    return {
+      fileId: fileInfo.fileId,
+      messageId: fileInfo.messageId,
+      fileSize: fileInfo.fileSize,
+      sha256: fileInfo.sha256,
+      deduplicated: Boolean(fileInfo.sourceFileId),
+      version: fileInfo.version || 1
+    };
+  }
+
+  /**
+   * 为已有的相同内容创建引用记录
+   * 引用记录有自己的文件ID和消息ID（不对应真实消息），通过 sourceFileId 指向存放内容的文件
+   * @param {string} sha256 - 文件内容的SHA-256
+   * @param {Object} details - 新记录的文件名、大小、上传时间、文件夹和加密参数
+   * @returns {Promise<Object|null>} 引用记录，没有可引用的内容时为null
+   */
+  async saveReference(sha256, { fileName, fileSize, uploadTime, folder, encryption }) {
+    const blob = await this.blobs.find(sha256);
+    if (!blob || !(await this.blobs.addReference(sha256))) {
+      return null;
+    }
+    
+    const referenceId = `ref_${crypto.randomBytes(8).toString('hex')}`;
+    console.log(`文件内容已存在，创建引用: ${fileName} -> ${blob.fileId}`);
+    
+    return await this.saveFileInfo({
+      fileId: referenceId,
+      messageId: referenceId,
+      fileName,
+      fileSize,
+      sha256,
+      uploadTime,
+      chatId: this.chatId,
+      folder,
+      blob: sha256,
+      sourceFileId: blob.fileId,
+      ...(blob.botId ? { botId: blob.botId } : {}),
+      ...(blob.thumbFileId ? { thumbFileId: blob.thumbFileId } : {}),
+      ...(blob.chunked ? { chunked: true, partCount: blob.messageIds.length } : {}),
+      ...(encryption ? { encryption } : {})
+    });
+  }
+
+  /**
+   * 保存已经发送到Telegram的文件
+   * 先按内容哈希登记 blob；相同内容已被其他上传登记时删除本次发送的消息，改为引用已有内容
+   * @param {Object} upload - 上传结果
+   * @param {Array} upload.parts - 已发送的分片（单个文档时只有一项）
+   * @param {string} upload.fileName - 文件名
+   * @param {number} upload.fileSize - 文件大小
+   * @param {string} upload.sha256 - 文件内容的SHA-256
+   * @param {string} upload.uploadTime - 上传时间
+   * @param {string} upload.folder - 所在文件夹路径
+   * @param {Object} [upload.encryption] - 客户端加密参数
+   * @returns {Promise<Object>} 文件列表中的记录
+   */
+  async saveUploadedFile({ parts, fileName, fileSize, sha256, uploadTime, folder, encryption }) {
+    const chunked = parts.length > 1;
+    const fileId = chunked ? `chunked_${crypto.randomBytes(8).toString('hex')}` : parts[0].fileId;
+    const claimed = await this.blobs.claim(sha256, {
+      fileId,
+      chunked,
+      messageIds: parts.map(part => part.messageId),
+      botId: parts[0].botId,
+      thumbFileId: parts[0].thumbFileId
+    });
+    
+    if (!claimed) {
+      const reference = await this.saveReference(sha256, { fileName, fileSize, uploadTime, folder, encryption });
+      if (reference) {
+        await this.cleanupParts(parts);
+        return reference;
+      }
+      // 已有内容恰好在此期间被删除，保留本次发送的消息，但不参与去重
+    }
+    
+    const details = {
+      ...(claimed ? { blob: sha256 } : {}),
+      ...(encryption ? { encryption } : {}),
+      // 发送第一条消息的机器人，下载单个文档和修改说明时优先使用
+      ...(parts[0].botId ? { botId: parts[0].botId } : {}),
+      // 第一条消息的缩略图
+      ...(parts[0].thumbFileId ? { thumbFileId: parts[0].thumbFileId } : {})
+    };
+    return chunked
+      ? await this.saveChunkManifest({ fileId, fileName, fileSize, sha256, parts, uploadTime, folder, ...details })
+      : await this.saveFileInfo({
+        fileId,
+        messageId: parts[0].messageId,
+        fileName,
+        fileSize,
+        sha256,
+        uploadTime,
+        chatId: this.chatId,
+        folder,
+        ...details
       });
-      return diagnostics;
+  }
+
+  /**
+   * 将文件信息写入文件列表和单独的文件键
+   * @param {Object} fileInfo - 文件信息对象
+   * @returns {Promise<Object>} 写入的文件信息
+   */
+  async saveFileInfo(fileInfo) {
+    if (fileInfo.folder && fileInfo.folder !== ROOT_FOLDER) {
+      await this.folders.ensureFolder(fileInfo.folder);
+    }
+    
+    // 将文件信息存储到Redis中
+    const fileListKey = this.key(`files:${this.chatId}`);
+    await redisClient.lpush(fileListKey, fileInfo);
+    
+    // 设置文件信息的单独键，方便快速查找
+    const fileKey = this.key(`file:${fileInfo.fileId}`);
+    await redisClient.set(fileKey, fileInfo, 86400 * 30); // 30天过期
+    
+    // 加入按时间、大小和文件名排序的二级索引
+    await this.index.add(fileInfo);
+    
+    await this.chatIndex.record({ type: 'put', file: fileInfo });
+    
+    return fileInfo;
+  }
+
+  /**
+   * 把待发送的修改写入聊天内的索引
+   * 索引只用于灾难恢复，写入失败时只记录警告，未发送的修改会在下一次写入时补发
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.snapshot] - 是否写入新的完整快照
+   * @returns {Promise<Object|null>} 写入结果
+   */
+  async flushChatIndex(options = {}) {
+    try {
+      return await this.chatIndex.flush(options);
+    } catch (error) {
+      console.warn('写入聊天索引失败:', error.message);
+      return null;
     }
   }
 
   /**
-   * 重试机制辅助函数
-   * @param {Function} operation - 要执行的操作
-   * @param {string} operationName - 操作名称，用于日志
-   * @returns {Promise} 操作结果
+   * 获取写入消息说明的元数据
+   * @param {Object} fileInfo - 文件信息对象
+   * @returns {Object} 元数据键值对
    */
-  async retryOperation(operation, operationName = 'operation') {
-    let lastError;
+  getCaptionMetadata(fileInfo) {
+    return {
+      // 文档本身的文件名无法修改，重命名后的名称记录在说明中
+      name: fileInfo.originalFileName && fileInfo.originalFileName !== fileInfo.fileName ? fileInfo.fileName : undefined,
+      folder: fileInfo.folder && fileInfo.folder !== ROOT_FOLDER ? fileInfo.folder : undefined,
+      // 加密参数不含任何秘密，写入说明以便从Telegram重新同步后仍能解密；放在标签和描述之前，避免被长度上限截断
+      encryption: fileInfo.encryption ? JSON.stringify(fileInfo.encryption) : undefined,
+      tags: fileInfo.tags && fileInfo.tags.length > 0 ? fileInfo.tags.join(', ') : undefined,
+      description: fileInfo.description || undefined
+    };
+  }
+
+  /**
+   * 生成保存对象时的说明
+   * @param {Object} fileInfo - 文件信息（至少包含元数据字段）
+   * @returns {string} 说明，没有元数据时为空字符串
+   */
+  getCaption(fileInfo) {
+    return buildCaption(this.getCaptionMetadata(fileInfo));
+  }
+
+  /**
+   * 根据消息ID查找文件列表中的记录
+   * @param {string} messageId - 消息ID
+   * @returns {Promise<Object|null>} 文件信息
+   */
+  async findFileByMessageId(messageId) {
+    const files = await this.listFiles();
+    return files.find(file => file.messageId === String(messageId)) || null;
+  }
+
+  /**
+   * 更新Redis中的文件记录
+   * 文件列表中的条目、file:${fileId} 键和二级索引在同一个事务中更新；
+   * 事务先删除读取到的条目，没有删除任何条目说明条目已被其他请求修改，撤销本次写入的条目后重新读取再合并，
+   * 避免并发的修改互相覆盖
+   * @param {string} fileId - 文件ID
+   * @param {Object} updates - 要更新的字段
+   * @returns {Promise<Object>} 更新后的文件信息
+   */
+  async updateFileRecord(fileId, updates) {
+    const fileListKey = this.key(`files:${this.chatId}`);
+    const fileKey = this.key(`file:${fileId}`);
+    // 冲突时写入过的条目，它们的索引成员在之后的写入中一并删除
+    const staleEntries = [];
     
-    for (let attempt = 1; attempt <= this.retryConfig.maxRetries; attempt++) {
-      try {
-        return await operation();
-      } catch (error) {
-        lastError = error;
-        console.warn(`${operationName} 第 ${attempt} 次尝试失败:`, error.message);
-        
-        // 如果是最后一次尝试，直接抛出错误
-        if (attempt === this.retryConfig.maxRetries) {
-          break;
-        }
-        
-        // 计算延迟时间（指数退避）
-        const delay = this.retryConfig.retryDelay * Math.pow(this.retryConfig.backoffMultiplier, attempt - 1);
-        console.log(`等待 ${delay}ms 后重试...`);
-        
-        // 等待后重试
-        await new Promise(resolve => setTimeout(resolve, delay));
+    for (let attempt = 1; ; attempt++) {
+      const entries = await redisClient.lrange(fileListKey);
+      const entry = entries.find(item => item && item.fileId === fileId);
+      if (!entry) {
+        await this.repairFileRecord(fileId, staleEntries);
+        throw new Error('文件信息未找到');
+      }
+      
+      const updatedEntry = { ...entry, ...updates };
+      
+      // 单独的文件键可能带有短链接等额外字段，需要保留
+      const storedInfo = await redisClient.get(fileKey);
+      const currentInfo = storedInfo && typeof storedInfo === 'object' ? storedInfo : entry;
+      
+      const results = await redisClient.execTransaction([
+        ['lrem', fileListKey, entry],
+        ['lpush', fileListKey, updatedEntry],
+        ['set', fileKey, { ...currentInfo, ...updatedEntry }, 86400 * 30], // 30天过期
+        ...this.index.getRemoveCommands(entry),
+        ...staleEntries.flatMap(stale => this.index.getRemoveCommands(stale)),
+        ...this.index.getAddCommands(updatedEntry)
+      ]);
+      if (!results) {
+        throw new Error('更新文件记录失败');
+      }
+      
+      if (Number(results[0]) > 0) {
+        await this.chatIndex.record({ type: 'put', file: updatedEntry });
+        return updatedEntry;
+      }
+      
+      // 条目已被修改：只删除一个本次写入的条目，内容相同的条目可以互换，不会误删其他请求写入的条目
+      await redisClient.transaction([['lrem', fileListKey, updatedEntry, 1]]);
+      staleEntries.push(updatedEntry);
+      if (attempt >= RECORD_UPDATE_ATTEMPTS) {
+        await this.repairFileRecord(fileId, staleEntries);
+        const error = new Error('文件正在被其他请求修改，请稍后重试');
+        error.status = 409;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 放弃更新后，按文件列表中的当前条目恢复文件键和索引
+   * 冲突的写入可能已经覆盖了文件键，并留下了旧文件名的索引成员
+   * @param {string} fileId - 文件ID
+   * @param {Array<Object>} staleEntries - 冲突时写入过的条目
+   */
+  async repairFileRecord(fileId, staleEntries) {
+    if (staleEntries.length === 0) {
+      return;
+    }
+    const fileKey = this.key(`file:${fileId}`);
+    const entries = await redisClient.lrange(this.key(`files:${this.chatId}`));
+    const entry = entries.find(item => item && item.fileId === fileId);
+    const storedInfo = entry ? await redisClient.get(fileKey) : null;
+    const committed = await redisClient.transaction([
+      ...staleEntries.flatMap(stale => this.index.getRemoveCommands(stale)),
+      ...(entry
+        ? [['set', fileKey, { ...(storedInfo && typeof storedInfo === 'object' ? storedInfo : {}), ...entry }, 86400 * 30], ...this.index.getAddCommands(entry)]
+        : [['del', fileKey]])
+    ]);
+    if (!committed) {
+      console.warn(`恢复文件 ${fileId} 的索引失败`);
+    }
+  }
+
+  /**
+   * 重命名文件或修改描述、标签
+   * @param {string} fileId - 文件ID
+   * @param {Object} changes - 修改内容
+   * @param {string} [changes.fileName] - 新文件名
+   * @param {string} [changes.description] - 新描述，空字符串表示清除
+   * @param {Array<string>} [changes.tags] - 新的标签列表，会替换原有标签
+   * @returns {Promise<Object>} 更新后的文件信息
+   */
+  async updateFileDetails(fileId, { fileName, description, tags }) {
+    const fileInfo = await this.getFileInfo(fileId);
+    const updates = {};
+    
+    if (fileName !== undefined && fileName !== fileInfo.fileName) {
+      updates.fileName = fileName;
+      // 记录上传时的文件名，用于判断说明中是否需要保存新名称
+      updates.originalFileName = fileInfo.originalFileName || fileInfo.fileName;
+    }
+    if (description !== undefined && description !== (fileInfo.description || '')) {
+      updates.description = description;
+    }
+    if (tags !== undefined) {
+      const normalizedTags = normalizeTags(tags);
+      if (normalizedTags.join(',') !== (fileInfo.tags || []).join(',')) {
+        updates.tags = normalizedTags;
       }
     }
     
-    throw lastError;
+    if (Object.keys(updates).length === 0) {
+      return fileInfo;
+    }
+    
+    console.log(`更新文件信息: ${fileInfo.fileName} (${fileId})`, updates);
+    return await this.updateFileMetadata(fileId, updates);
   }
 
   /**
-   * 上传文件到Telegram
+   * 把文件的元数据同步到消息说明中
+   * 失败时只记录警告，索引仍以Redis为准；去重产生的引用记录只保存在Redis中
+   * @param {Object} fileInfo - 文件信息对象
+   * @returns {Promise<boolean>} 是否更新成功
+   */
+  async updateCaption(fileInfo) {
+    // 引用记录没有自己的消息
+    if (fileInfo.sourceFileId) {
+      return true;
+    }
+    
+    try {
+      await this.retryOperation(async () => {
+        await this.provider.setCaption(fileInfo, this.getCaption(fileInfo));
+      }, `更新消息说明 ${fileInfo.messageId}`, 'caption');
+      return true;
+    } catch (error) {
+      console.warn(`更新文件 ${fileInfo.fileName} 的消息说明失败:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 更新文件元数据（文件夹等）
+   * 先更新Redis索引，再同步到Telegram消息说明
+   * @param {string} fileId - 文件ID
+   * @param {Object} updates - 要更新的字段
+   * @returns {Promise<Object>} 更新后的文件信息
+   */
+  async updateFileMetadata(fileId, updates) {
+    const updated = await this.updateFileRecord(fileId, updates);
+    await this.updateCaption(updated);
+    return updated;
+  }
+
+  /**
+   * 删除已经上传的分片消息
+   * 用于上传中途失败时的清理，避免在聊天中留下孤立的消息
+   * @param {Array} parts - 已上传的分片列表
+   */
+  async cleanupParts(parts) {
+    for (const part of parts) {
+      try {
+        await this.provider.delete(part);
+      } catch (cleanupError) {
+        console.warn(`清理分片消息 ${part.messageId} 失败:`, cleanupError.message);
+      }
+    }
+  }
+
+  /**
+   * 生成分片文件名
+   * @param {string} fileName - 原文件名
+   * @param {number} index - 分片序号（从0开始）
+   * @param {number} total - 分片总数
+   * @returns {string} 分片文件名
+   */
+  getPartFileName(fileName, index, total) {
+    const width = Math.max(3, String(total).length);
+    const pad = value => String(value).padStart(width, '0');
+    return `${fileName}.part${pad(index + 1)}of${pad(total)}`;
+  }
+
+  /**
+   * 分片上传大文件
+   * 每个分片作为单独的消息发送，并在Redis中写入清单记录将分片关联起来
    * @param {Buffer} fileBuffer - 文件内容的Buffer
    * @param {string} fileName - 文件名
-   * @returns {Promise<{fileId: string, messageId: string}>} - 上传结果
+   * @param {Object} [options] - 上传选项
+   * @param {string} [options.folder] - 所在文件夹路径
+   * @param {Object} [options.encryption] - 客户端加密参数
+   * @param {Buffer} [options.thumbnail] - 缩略图
+   * @returns {Promise<{fileId: string, messageId: string, fileSize: number, sha256: string}>} - 上传结果
    */
-  async uploadFile(fileBuffer, fileName) {
+  async uploadChunkedFile(fileBuffer, fileName, options = {}) {
+    const folder = normalizeFolderPath(options.folder);
+    const { encryption } = options;
+    const { chunkSize } = this.chunkConfig;
+    const totalParts = Math.ceil(fileBuffer.length / chunkSize);
+    const parts = [];
+    
     try {
-      // 使用重试机制上传文件
-      const response = await this.retryOperation(async () => {
-        return await this.telegramClient.sendDocument(this.chatId, fileBuffer, {}, {
-          filename: fileName,
-          contentType: 'application/octet-stream'
-        });
-      }, `上传文件 ${fileName}`);
-      
-      const fileInfo = {
-        fileId: response.document?.file_id || '',
-        messageId: response.message_id.toString(),
-        fileName,
-        fileSize: response.document?.file_size || fileBuffer.length,
-        uploadTime: new Date().toISOString(),
-        chatId: this.chatId
-      };
+      for (let index = 0; index < totalParts; index++) {
+        const partBuffer = fileBuffer.subarray(index * chunkSize, (index + 1) * chunkSize);
+        const partFileName = this.getPartFileName(fileName, index, totalParts);
+        
+        const ref = await this.retryOperation(async () => {
+          const caption = index === 0 ? this.getCaption({ folder, encryption }) : '';
+          const thumbnail = index === 0 ? options.thumbnail : undefined;
+          return await this.provider.put(partBuffer, { fileName: partFileName, caption, thumbnail });
+        }, `上传分片 ${partFileName}`, 'upload');
+        
+        parts.push(this.toPart(index, ref, partBuffer.length));
+      }
+    } catch (error) {
+      console.error(`分片上传失败，已上传 ${parts.length}/${totalParts} 个分片:`, error);
       
-      // 将文件信息存储到Redis中
-      const fileListKey = `files:${this.chatId}`;
-      await redisClient.lpush(fileListKey, fileInfo);
+      // 清理已经上传的分片，避免在聊天中留下孤立的消息
+      await this.cleanupParts(parts);
       
-      // 设置文件信息的单独键，方便快速查找
-      const fileKey = `file:${fileInfo.fileId}`;
-      await redisClient.set(fileKey, fileInfo, 86400 * 30); // 30天过期
+      throw this.createUploadError(error);
+    }
+    
+    const fileInfo = await this.saveUploadedFile({
+      parts,
+      fileName,
+      fileSize: fileBuffer.length,
+      sha256: crypto.createHash('sha256').update(fileBuffer).digest('hex'),
+      uploadTime: new Date().toISOString(),
+      folder,
+      encryption
+    });
+    
+    return this.toUploadResult(await this.addVersion(fileInfo));
+  }
+
+  /**
+   * 保存分片清单并写入文件列表
+   * 文件列表中只保存一条逻辑记录，分片详情保存在 manifest:${fileId} 中
+   * @param {Object} manifestData - 清单数据
+   * @param {string} [manifestData.fileId] - 逻辑文件ID，默认自动生成
+   * @param {string} manifestData.fileName - 原文件名
+   * @param {number} manifestData.fileSize - 文件总大小
+   * @param {string} [manifestData.sha256] - 文件内容的SHA-256
+   * @param {Array} manifestData.parts - 分片列表
+   * @param {string} manifestData.uploadTime - 上传时间
+   * @param {string} [manifestData.folder] - 所在文件夹路径
+   * @param {Object} [manifestData.details] - 其余写入文件记录的字段（描述等）
+   * @returns {Promise<Object>} 文件列表中的逻辑记录
+   */
+  async saveChunkManifest({
+    fileId = `chunked_${crypto.randomBytes(8).toString('hex')}`,
+    fileName,
+    fileSize,
+    sha256,
+    parts,
+    uploadTime,
+    folder = ROOT_FOLDER,
+    ...details
+  }) {
+    const sortedParts = [...parts].sort((a, b) => a.index - b.index);
+    
+    const manifest = {
+      fileId,
+      fileName,
+      fileSize,
+      chunkSize: this.chunkConfig.chunkSize,
+      parts: sortedParts,
+      uploadTime,
+      chatId: this.chatId
+    };
+    
+    const fileInfo = {
+      fileId,
+      // 使用第一个分片的消息ID作为逻辑文件的消息ID
+      messageId: sortedParts[0].messageId,
+      fileName,
+      fileSize,
+      uploadTime,
+      chatId: this.chatId,
+      chunked: true,
+      partCount: sortedParts.length,
+      folder,
+      ...details
+    };
+    
+    if (sha256) {
+      fileInfo.sha256 = sha256;
+    }
+    
+    // 清单是还原文件的唯一依据，不设置过期时间
+    await redisClient.set(this.key(`manifest:${fileId}`), manifest);
+    await this.chatIndex.record({ type: 'manifest', manifest });
+    
+    return await this.saveFileInfo(fileInfo);
+  }
+
+  /**
+   * 获取分片文件的清单
+   * @param {string} fileId - 逻辑文件ID
+   * @returns {Promise<Object>} 分片清单
+   */
+  async getChunkManifest(fileId) {
+    const manifest = await redisClient.get(this.key(`manifest:${fileId}`));
+    if (!manifest) {
+      throw new Error('分片清单未找到');
+    }
+    return manifest;
+  }
+
+  /**
+   * 按顺序读取各个分片的内容
+   * @param {Array<{fileId: string, range: Object|null}>} segments - 要读取的分片及分片内区间
+   * @param {Readable} firstStream - 已经打开的第一个分片流
+   */
+  async *readParts(segments, firstStream) {
+    for (let index = 0; index < segments.length; index++) {
+      const partStream = index === 0 && firstStream
+        ? firstStream
+        : await this.provider.getStream(segments[index], segments[index].range);
       
-      return {
-        fileId: fileInfo.fileId,
-        messageId: fileInfo.messageId
-      };
-    } catch (error) {
-      console.error('上传文件到Telegram失败:', error);
-      throw new Error(`上传文件失败: ${error.message}`);
+      for await (const chunk of partStream) {
+        yield chunk;
+      }
     }
   }
 
   /**
-   * 从Telegram下载文件
+   * 计算区间覆盖的分片以及每个分片内的区间
+   * @param {Array} parts - 清单中的分片列表
+   * @param {{start: number, end: number}} [range] - 文件内的字节区间
+   * @returns {Array<{fileId: string, botId: string, range: Object|null}>} 需要读取的分片
+   */
+  getPartSegments(parts, range = null) {
+    if (!range) {
+      return parts.map(part => ({ fileId: part.fileId, ...(part.botId ? { botId: part.botId } : {}), range: null }));
+    }
+    
+    const segments = [];
+    let partStart = 0;
+    for (const part of parts) {
+      const partEnd = partStart + part.size - 1;
+      if (partEnd >= range.start && partStart <= range.end) {
+        const start = Math.max(range.start, partStart) - partStart;
+        const end = Math.min(range.end, partEnd) - partStart;
+        segments.push({
+          fileId: part.fileId,
+          ...(part.botId ? { botId: part.botId } : {}),
+          range: start === 0 && end === part.size - 1 ? null : { start, end }
+        });
+      }
+      partStart += part.size;
+    }
+    return segments;
+  }
+
+  /**
+   * 创建文件内容的可读流
+   * 普通文件直接读取单个文档，分片文件按顺序拼接所有分片；
+   * 指定区间时只读取区间覆盖的分片
+   * @param {Object} fileInfo - 文件信息对象
+   * @param {{start: number, end: number}} [range] - 字节区间（end 包含在内）
+   * @returns {Promise<Readable>} 文件内容流
+   */
+  async createDownloadStream(fileInfo, range = null) {
+    // 去重产生的引用记录从被引用的文件读取内容
+    const sourceFileId = fileInfo.sourceFileId || fileInfo.fileId;
+    if (!fileInfo.chunked) {
+      this.checkDownloadSize(fileInfo.fileSize);
+      return await this.provider.getStream({ fileId: sourceFileId, botId: fileInfo.botId }, range);
+    }
+    
+    const manifest = await this.getChunkManifest(sourceFileId);
+    this.checkDownloadSize(Math.max(...manifest.parts.map(part => part.size || 0)));
+    const segments = this.getPartSegments(manifest.parts, range);
+    
+    // 预先打开第一个分片，让文件不存在等错误在开始响应之前抛出
+    const firstStream = await this.provider.getStream(segments[0], segments[0].range);
+    return Readable.from(this.readParts(segments, firstStream));
+  }
+
+  /**
+   * 读取文件的缩略图
+   * 缩略图随文件的第一条消息保存，去重产生的引用记录使用被引用内容的缩略图
+   * @param {Object} fileInfo - 文件信息对象
+   * @returns {Promise<Readable>} JPEG 缩略图内容流
+   * @throws {Error} 文件没有缩略图时，状态码为 404
+   */
+  async createThumbnailStream(fileInfo) {
+    if (!fileInfo.thumbFileId) {
+      const error = new Error('文件没有缩略图');
+      error.status = 404;
+      throw error;
+    }
+    return await this.provider.getThumbnailStream({
+      thumbFileId: fileInfo.thumbFileId,
+      ...(fileInfo.botId ? { botId: fileInfo.botId } : {})
+    });
+  }
+
+  /**
+   * 检查单条消息能否通过当前的 Bot API 服务器下载
+   * 在 --local 模式下上传的大文档，切换回官方服务器后超过 20MB 的下载上限
+   * @param {number} size - 消息中文档的大小
+   * @throws {Error} 超过下载上限时，状态码为 413
+   */
+  checkDownloadSize(size) {
+    if (this.chatBacked && Number.isFinite(size) && size > this.limits.MAX_DOWNLOAD_SIZE) {
+      const error = new Error(`文件超过 Bot API 服务器的下载上限 (${this.limits.MAX_DOWNLOAD_SIZE} bytes)，需要使用 --local 模式的自建服务器`);
+      error.status = 413;
+      throw error;
+    }
+  }
+
+  /**
+   * 获取Telegram文档的下载链接（只有 Telegram 驱动支持）
    * @param {string} fileId - 文件ID
-   * @returns {Promise<string>} - 文件下载链接
+   * @param {string} [botId] - 上传该文件的机器人ID
+   * @returns {Promise<string>} - 文件下载链接，--local 模式的自建 Bot API 服务器上为 file:// 地址
    */
-  async downloadFile(fileId) {
+  async downloadFile(fileId, botId = null) {
     try {
-      const file = await this.telegramClient.getFile(fileId);
-      const fileLink = await this.telegramClient.getFileLink(file.file_id);
-      return fileLink;
+      return await this.provider.getFileLink(fileId, botId);
     } catch (error) {
       console.error('从Telegram下载文件失败:', error);
       throw new Error(`下载文件失败: ${error.message}`);
@@ -258,7 +986,7 @@ class TelegramStorage {
   async getFileInfo(fileId) {
     try {
       // 首先尝试从Redis获取文件信息
-      const fileKey = `file:${fileId}`;
+      const fileKey = this.key(`file:${fileId}`);
       let fileInfo = await redisClient.get(fileKey);
       
       if (fileInfo) {
@@ -303,18 +1031,18 @@ class TelegramStorage {
    */
   async listFiles() {
     try {
-      const fileListKey = `files:${this.chatId}`;
+      const fileListKey = this.key(`files:${this.chatId}`);
       
       // 首先尝试从Redis获取文件列表
       let files = await redisClient.lrange(fileListKey);
       
-      // 如果Redis中没有数据，从Telegram同步
-      if (!files || files.length === 0) {
+      // 如果Redis中没有数据，从Telegram同步；其他驱动没有可同步的消息
+      if ((!files || files.length === 0) && this.chatBacked) {
         console.log('Redis中无文件列表，从Telegram同步...');
         files = await this.syncFilesFromTelegram();
       } else {
         // 解析JSON字符串
-        files = files.map(fileStr => {
+        files = (files || []).map(fileStr => {
           try {
             return typeof fileStr === 'string' ? JSON.parse(fileStr) : fileStr;
           } catch (parseError) {
@@ -334,11 +1062,60 @@ class TelegramStorage {
     }
   }
 
+  /**
+   * 从消息说明的元数据中取出文件夹路径
+   * @param {Object} [metadata] - 解析后的元数据
+   * @returns {string} 文件夹路径，无效或缺失时为根目录
+   */
+  getSyncedFolder(metadata) {
+    try {
+      return normalizeFolderPath(metadata?.folder);
+    } catch {
+      return ROOT_FOLDER;
+    }
+  }
+
+  /**
+   * 从消息说明的元数据中取出重命名后的文件名、描述和标签
+   * @param {Object} [metadata] - 解析后的元数据
+   * @param {string} documentName - 文档本身的文件名
+   * @returns {Object} 需要合并到文件信息中的字段
+   */
+  getSyncedDetails(metadata, documentName) {
+    const details = {};
+    if (metadata?.name && metadata.name !== documentName) {
+      details.fileName = metadata.name;
+      details.originalFileName = documentName;
+    }
+    if (metadata?.description) {
+      details.description = metadata.description;
+    }
+    if (metadata?.tags) {
+      try {
+        details.tags = normalizeTags(metadata.tags);
+      } catch (error) {
+        console.warn('消息说明中的标签无效，已忽略:', error.message);
+      }
+    }
+    if (metadata?.encryption) {
+      try {
+        details.encryption = normalizeEncryptionInfo(metadata.encryption);
+      } catch (error) {
+        console.warn('消息说明中的加密参数无效，已忽略:', error.message);
+      }
+    }
+    return details;
+  }
+
   /**
    * 从Telegram同步文件列表到Redis
    * @returns {Promise<Array>} 同步的文件列表
    */
   async syncFilesFromTelegram() {
+    if (!this.chatBacked) {
+      return [];
+    }
+    
     try {
       // 使用重试机制获取最近的消息（包含文档的消息）
       const updates = await this.retryOperation(async () => {
@@ -346,10 +1123,14 @@ class TelegramStorage {
           limit: 100, // 获取最近100条更新
           allowed_updates: ['message'] // 只获取消息更新
         });
-      }, '从Telegram同步文件');
+      }, '从Telegram同步文件', 'sync');
       
       const files = [];
-      const fileListKey = `files:${this.chatId}`;
+      const partGroups = new Map();
+      // 更新由主机器人获取，其中的 file_id 只对主机器人有效
+      const botId = this.bots.primary.id;
+      // 回收站中的文件和历史版本的消息仍在聊天中，不能重新加入文件列表
+      const hiddenMessageIds = new Set([...await this.trash.getMessageIds(), ...await this.versions.getMessageIds()]);
       
       // 遍历更新，查找包含文档的消息
       for (const update of updates) {
@@ -358,24 +1139,88 @@ class TelegramStorage {
             update.message.document) {
           
           const doc = update.message.document;
+          const thumbFileId = getDocumentThumbId(doc);
+          const uploadTime = new Date(update.message.date * 1000).toISOString();
+          const metadata = parseCaption(update.message.caption);
+          
+          // 聊天内索引的快照和增量文档不是用户文件
+          if (metadata.index) {
+            continue;
+          }
+          
+          // 分片消息先收集起来，全部分片到齐后再合并为一条逻辑记录
+          const partMatch = doc.file_name && doc.file_name.match(PART_NAME_PATTERN);
+          if (partMatch) {
+            const [, originalName, partNumber, totalParts] = partMatch;
+            const groupKey = `${originalName}:${totalParts}`;
+            if (!partGroups.has(groupKey)) {
+              partGroups.set(groupKey, {
+                fileName: originalName,
+                totalParts: parseInt(totalParts, 10),
+                uploadTime,
+                parts: []
+              });
+            }
+            // 元数据说明写在第一个分片上
+            if (parseInt(partNumber, 10) === 1) {
+              partGroups.get(groupKey).metadata = metadata;
+            }
+            partGroups.get(groupKey).parts.push({
+              index: parseInt(partNumber, 10) - 1,
+              fileId: doc.file_id,
+              messageId: update.message.message_id.toString(),
+              size: doc.file_size,
+              botId,
+              ...(thumbFileId ? { thumbFileId } : {})
+            });
+            continue;
+          }
+          
+          if (hiddenMessageIds.has(update.message.message_id.toString())) {
+            continue;
+          }
+          
+          const documentName = doc.file_name || `document_${doc.file_id.slice(-8)}`;
           const fileInfo = {
             fileId: doc.file_id,
-            fileName: doc.file_name || `document_${doc.file_id.slice(-8)}`,
+            fileName: documentName,
             messageId: update.message.message_id.toString(),
             fileSize: doc.file_size,
-            uploadTime: new Date(update.message.date * 1000).toISOString(),
-            chatId: this.chatId
+            uploadTime,
+            chatId: this.chatId,
+            botId,
+            ...(thumbFileId ? { thumbFileId } : {}),
+            folder: this.getSyncedFolder(metadata),
+            ...this.getSyncedDetails(metadata, documentName)
           };
           
-          files.push(fileInfo);
-          
           // 将文件信息存储到Redis
-          await redisClient.lpush(fileListKey, JSON.stringify(fileInfo));
-          
-          // 设置文件信息的单独键
-          const fileKey = `file:${fileInfo.fileId}`;
-          await redisClient.set(fileKey, JSON.stringify(fileInfo), 86400 * 30); // 30天过期
+          files.push(await this.saveFileInfo(fileInfo));
+        }
+      }
+      
+      // 合并分片文件
+      for (const group of partGroups.values()) {
+        if (group.parts.some(part => hiddenMessageIds.has(part.messageId))) {
+          continue;
         }
+        if (group.parts.length !== group.totalParts) {
+          console.warn(`分片文件 ${group.fileName} 不完整 (${group.parts.length}/${group.totalParts})，跳过同步`);
+          continue;
+        }
+        
+        const firstPart = group.parts.find(part => part.index === 0);
+        const fileInfo = await this.saveChunkManifest({
+          fileName: group.fileName,
+          fileSize: group.parts.reduce((total, part) => total + (part.size || 0), 0),
+          parts: group.parts,
+          uploadTime: group.uploadTime,
+          botId,
+          ...(firstPart?.thumbFileId ? { thumbFileId: firstPart.thumbFileId } : {}),
+          folder: this.getSyncedFolder(group.metadata),
+          ...this.getSyncedDetails(group.metadata, group.fileName)
+        });
+        files.push(fileInfo);
       }
       
       console.log(`从Telegram同步了 ${files.length} 个文件到Redis`);
@@ -386,8 +1231,454 @@ class TelegramStorage {
     }
   }
 
+  /**
+   * 删除文件内容占用的消息
+   * 去重的内容由多条记录共享，只有最后一个引用被删除时才删除消息；删除失败时恢复释放的引用
+   * @param {Object|null} fileInfo - 文件列表中的记录，找不到记录时为 null
+   * @param {string} [messageId] - 消息ID，默认为记录的消息ID
+   * @returns {Promise<{manifestId: string|null}>} 同时删除的分片清单对应的文件ID
+   */
+  async deleteContent(fileInfo, messageId = fileInfo?.messageId) {
+    let messageIds = [messageId];
+    // 存放内容的文件ID，内容被删除时一并删除其分片清单
+    let contentFileId = fileInfo?.fileId;
+    let chunked = Boolean(fileInfo?.chunked);
+    
+    // 去重的内容：释放一个引用，还有其他引用时只删除这条逻辑记录
+    const released = fileInfo?.blob ? await this.blobs.release(fileInfo.blob) : null;
+    if (released?.blob) {
+      messageIds = released.remaining > 0 ? [] : released.blob.messageIds;
+      ({ fileId: contentFileId, chunked } = released.blob);
+    } else if (fileInfo?.sourceFileId) {
+      // 被引用的内容已经不存在，引用记录没有自己的消息
+      messageIds = [];
+    } else if (chunked) {
+      // 分片文件需要删除所有分片消息
+      const manifest = await this.getChunkManifest(fileInfo.fileId);
+      messageIds = manifest.parts.map(part => part.messageId);
+    }
+    
+    // 使用重试机制从Telegram删除消息
+    try {
+      for (const id of messageIds) {
+        await this.retryOperation(async () => {
+          await this.provider.delete({ messageId: id, botId: fileInfo?.botId });
+        }, `删除Telegram消息 ${id}${fileInfo ? ` (${fileInfo.fileName})` : ''}`, 'delete');
+      }
+    } catch (deleteError) {
+      // 文件记录仍然保留，恢复刚才释放的引用
+      if (released?.blob) {
+        await this.blobs.restore(fileInfo.blob);
+      }
+      throw deleteError;
+    }
+    
+    if (released?.blob && released.remaining === 0) {
+      await this.blobs.remove(fileInfo.blob);
+    }
+    
+    const manifestId = fileInfo && chunked && messageIds.length > 0 ? contentFileId : null;
+    if (manifestId) {
+      await redisClient.del(this.key(`manifest:${manifestId}`));
+    }
+    return { manifestId };
+  }
+
+  /**
+   * 把文件移到回收站
+   * 消息和分片清单都保留，文件从文件列表和索引中移除，之后可以恢复或彻底删除
+   * @param {string} messageId - 消息ID
+   * @param {Object} [options] - 选项
+   * @param {string} [options.deletedBy] - 删除文件的用户名或IP
+   * @returns {Promise<Object>} 回收站条目
+   */
+  async trashFile(messageId, { deletedBy = 'unknown' } = {}) {
+    const fileListKey = this.key(`files:${this.chatId}`);
+    const files = await redisClient.lrange(fileListKey);
+    const entry = files.find(file => file.messageId === String(messageId));
+    if (!entry) {
+      const error = new Error('文件不存在或已被删除');
+      error.status = 404;
+      throw error;
+    }
+    
+    const fileKey = this.key(`file:${entry.fileId}`);
+    const storedInfo = await redisClient.get(fileKey);
+    const trashed = await this.trash.add({
+      file: entry,
+      record: storedInfo && typeof storedInfo === 'object' ? storedInfo : null,
+      deletedAt: new Date().toISOString(),
+      deletedBy
+    });
+    
+    const committed = await redisClient.transaction([
+      ['lrem', fileListKey, entry],
+      ['del', fileKey],
+      ...this.index.getRemoveCommands(entry)
+    ]);
+    if (!committed) {
+      await this.trash.remove(entry.fileId);
+      throw new Error('移动文件到回收站失败');
+    }
+    
+    await this.chatIndex.record({ type: 'trash', entry: trashed });
+    
+    console.log(`文件已移到回收站: ${entry.fileName} (删除者: ${deletedBy})`);
+    return trashed;
+  }
+
+  /**
+   * 删除文件API使用的删除操作：把文件移到回收站，再顺带清理少量过期的回收站文件并写入聊天内的索引
+   * 文件已经移到回收站后，清理失败只记录日志，否则客户端会误以为删除失败，重试时得到 404
+   * @param {string} messageId - 消息ID
+   * @param {Object} [options] - 选项，同 trashFile
+   * @returns {Promise<Object>} 回收站条目
+   */
+  async trashAndPurge(messageId, options = {}) {
+    const trashed = await this.trashFile(messageId, options);
+    try {
+      await this.purgeExpiredTrash({ limit: EXPIRED_PURGE_LIMIT });
+      await this.flushChatIndex();
+    } catch (housekeepingError) {
+      console.warn(`删除文件后的清理失败 (消息ID: ${messageId}):`, housekeepingError.message);
+    }
+    return trashed;
+  }
+
+  /**
+   * 从回收站恢复文件
+   * 原文件夹已被删除时重新创建
+   * @param {string} fileId - 文件ID
+   * @returns {Promise<Object>} 恢复后的文件记录
+   */
+  async restoreFile(fileId) {
+    const trashed = await this.trash.get(fileId);
+    if (!trashed) {
+      const error = new Error('回收站中没有这个文件');
+      error.status = 404;
+      throw error;
+    }
+    
+    const { file } = trashed;
+    if (file.folder && file.folder !== ROOT_FOLDER) {
+      await this.folders.ensureFolder(file.folder);
+    }
+    
+    const committed = await redisClient.transaction([
+      ['lpush', this.key(`files:${this.chatId}`), file],
+      ['set', this.key(`file:${fileId}`), trashed.record || file, 86400 * 30], // 30天过期
+      ...this.index.getAddCommands(file)
+    ]);
+    if (!committed) {
+      throw new Error('恢复文件失败');
+    }
+    await this.trash.remove(fileId);
+    
+    await this.chatIndex.record({ type: 'put', file });
+    
+    console.log(`文件已从回收站恢复: ${file.fileName}`);
+    return file;
+  }
+
+  /**
+   * 彻底删除回收站中的文件
+   * 删除文件占用的消息，去重的内容还有其他引用时保留消息
+   * @param {string} fileId - 文件ID
+   * @returns {Promise<boolean>} 删除结果
+   */
+  async purgeFile(fileId) {
+    const trashed = await this.trash.get(fileId);
+    if (!trashed) {
+      const error = new Error('回收站中没有这个文件');
+      error.status = 404;
+      throw error;
+    }
+    
+    try {
+      const { manifestId } = await this.deleteContent(trashed.file);
+      await this.trash.remove(fileId);
+      await this.chatIndex.record({ type: 'delete', fileId, manifestId });
+      if (trashed.file.lineageId) {
+        await this.purgeVersions(trashed.file.lineageId);
+      }
+      console.log(`已彻底删除文件: ${trashed.file.fileName}`);
+      return true;
+    } catch (error) {
+      console.error('彻底删除文件失败:', error);
+      throw await this.createDeleteError(error, trashed.file);
+    }
+  }
+
+  /**
+   * 彻底删除回收站中的文件
+   * 单个文件删除失败时跳过，留在回收站中等待下一次清理
+   * @param {Object} [options] - 选项
+   * @param {string} [options.before] - 只删除在此时间及之前移入回收站的文件，默认删除全部
+   * @param {number} [options.limit] - 最多删除的文件数
+   * @returns {Promise<{purged: number, failed: number}>} 删除结果
+   */
+  async purgeTrash({ before, limit = Infinity } = {}) {
+    let entries = await this.trash.list();
+    if (before) {
+      entries = entries.filter(entry => new Date(entry.deletedAt) <= new Date(before));
+    }
+    
+    // 最早删除的先清理
+    const result = { purged: 0, failed: 0 };
+    for (const entry of entries.reverse().slice(0, limit)) {
+      try {
+        await this.purgeFile(entry.file.fileId);
+        result.purged++;
+      } catch (error) {
+        console.warn(`清理回收站文件 ${entry.file.fileName} 失败:`, error.message);
+        result.failed++;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 彻底删除超过保留期限的回收站文件
+   * @param {Object} [options] - 选项
+   * @param {number} [options.retentionDays] - 保留天数，默认读取 TRASH_RETENTION_DAYS
+   * @param {number} [options.limit] - 最多删除的文件数
+   * @returns {Promise<{purged: number, failed: number}>} 删除结果
+   */
+  async purgeExpiredTrash({ retentionDays = getTrashRetentionDays(), limit } = {}) {
+    const before = new Date(Date.now() - retentionDays * 86400 * 1000).toISOString();
+    return await this.purgeTrash({ before, limit });
+  }
+
+  /**
+   * 把新上传的文件登记为同一路径下已有文件的新版本
+   * 只在所在文件夹（或存储桶）开启版本控制时生效：已有文件移到版本历史中，新文件沿用它的 lineageId、标签和描述
+   * @param {Object} fileInfo - 刚写入文件列表的记录
+   * @returns {Promise<Object>} 当前版本的记录
+   */
+  async addVersion(fileInfo) {
+    const folder = fileInfo.folder || ROOT_FOLDER;
+    const policy = await this.versions.getPolicy(folder);
+    if (!policy?.enabled) {
+      return fileInfo;
+    }
+    
+    const files = await this.listFiles();
+    const previous = files.find(file => file.fileId !== fileInfo.fileId &&
+      file.fileName === fileInfo.fileName && (file.folder || ROOT_FOLDER) === folder);
+    if (!previous) {
+      return fileInfo;
+    }
+    
+    const lineageId = previous.lineageId || previous.fileId;
+    const version = previous.version || 1;
+    const versions = await this.versions.list(lineageId);
+    await this.versions.save(lineageId, [await this.toVersionEntry(previous, { lineageId, version }), ...versions]);
+    
+    const committed = await redisClient.transaction([
+      ['lrem', this.key(`files:${this.chatId}`), previous],
+      ['del', this.key(`file:${previous.fileId}`)],
+      ...this.index.getRemoveCommands(previous)
+    ]);
+    if (!committed) {
+      // 旧文件仍在文件列表中，新文件作为独立的文件保留
+      await this.versions.save(lineageId, versions);
+      console.warn(`登记新版本失败，${fileInfo.fileName} 保存为独立的文件`);
+      return fileInfo;
+    }
+    await this.chatIndex.record({ type: 'delete', fileId: previous.fileId });
+    
+    const updates = { lineageId, version: version + 1 };
+    const inherited = {
+      ...(previous.tags?.length ? { tags: previous.tags } : {}),
+      ...(previous.description ? { description: previous.description } : {})
+    };
+    const current = Object.keys(inherited).length > 0
+      ? await this.updateFileMetadata(fileInfo.fileId, { ...updates, ...inherited })
+      : await this.updateFileRecord(fileInfo.fileId, updates);
+    
+    console.log(`${fileInfo.fileName} 已保存为第 ${current.version} 个版本`);
+    await this.pruneVersions(lineageId, policy);
+    return current;
+  }
+
+  /**
+   * 生成版本历史中的条目
+   * @param {Object} file - 文件列表中的记录
+   * @param {Object} lineage - lineageId 和版本号
+   * @returns {Promise<{file: Object, record: Object|null, archivedAt: string}>} 版本历史条目
+   */
+  async toVersionEntry(file, lineage) {
+    const storedInfo = await redisClient.get(this.key(`file:${file.fileId}`));
+    return {
+      file: { ...file, ...lineage },
+      record: storedInfo && typeof storedInfo === 'object' ? { ...storedInfo, ...lineage } : null,
+      archivedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * 列出文件的所有版本
+   * 同时按生效的规则清理过期的历史版本
+   * @param {string} fileId - 当前版本的文件ID
+   * @returns {Promise<{current: Object, versions: Array<Object>, policy: Object|null}>} 当前版本和历史版本（最近替换的在前）
+   */
+  async listVersions(fileId) {
+    const current = await this.getFileInfo(fileId);
+    const policy = await this.versions.getPolicy(current.folder || ROOT_FOLDER);
+    if (!current.lineageId) {
+      return { current, versions: [], policy };
+    }
+    
+    await this.pruneVersions(current.lineageId, policy);
+    const versions = await this.versions.list(current.lineageId);
+    return {
+      current,
+      versions: versions.map(entry => ({ ...entry.file, archivedAt: entry.archivedAt })),
+      policy
+    };
+  }
+
+  /**
+   * 获取文件某个版本的完整记录，用于下载历史版本
+   * @param {string} fileId - 当前版本的文件ID
+   * @param {string} versionFileId - 要获取的版本的文件ID
+   * @returns {Promise<Object>} 文件记录
+   */
+  async getVersionInfo(fileId, versionFileId) {
+    const current = await this.getFileInfo(fileId);
+    if (versionFileId === current.fileId) {
+      return current;
+    }
+    
+    const versions = current.lineageId ? await this.versions.list(current.lineageId) : [];
+    const entry = versions.find(item => item.file.fileId === versionFileId);
+    if (!entry) {
+      const error = new Error('文件版本不存在');
+      error.status = 404;
+      throw error;
+    }
+    return entry.record || entry.file;
+  }
+
+  /**
+   * 把历史版本恢复为当前版本
+   * 当前版本移到版本历史中；恢复的版本沿用当前的路径、标签和描述
+   * @param {string} fileId - 当前版本的文件ID
+   * @param {string} versionFileId - 要恢复的版本的文件ID
+   * @returns {Promise<Object>} 新的当前版本
+   */
+  async restoreVersion(fileId, versionFileId) {
+    const fileListKey = this.key(`files:${this.chatId}`);
+    const files = await redisClient.lrange(fileListKey);
+    const current = files.find(file => file && file.fileId === fileId);
+    if (!current) {
+      const error = new Error('文件信息未找到');
+      error.status = 404;
+      throw error;
+    }
+    
+    const lineageId = current.lineageId || current.fileId;
+    const versions = await this.versions.list(lineageId);
+    const target = versions.find(entry => entry.file.fileId === versionFileId);
+    if (!target) {
+      const error = new Error('文件版本不存在');
+      error.status = 404;
+      throw error;
+    }
+    
+    // 恢复的版本留在当前文件的位置，文件名不同时按重命名处理
+    const placement = {
+      folder: current.folder || ROOT_FOLDER,
+      tags: current.tags || [],
+      description: current.description || '',
+      ...(target.file.fileName !== current.fileName ? {
+        fileName: current.fileName,
+        originalFileName: target.file.originalFileName || target.file.fileName
+      } : {})
+    };
+    const promoted = { ...target.file, ...placement };
+    const archivedCurrent = await this.toVersionEntry(current, { lineageId, version: current.version || 1 });
+    
+    await this.versions.save(lineageId, [
+      archivedCurrent,
+      ...versions.filter(entry => entry.file.fileId !== versionFileId)
+    ]);
+    const committed = await redisClient.transaction([
+      ['lrem', fileListKey, current],
+      ['del', this.key(`file:${current.fileId}`)],
+      ...this.index.getRemoveCommands(current),
+      ['lpush', fileListKey, promoted],
+      ['set', this.key(`file:${promoted.fileId}`), { ...(target.record || target.file), ...placement }, 86400 * 30], // 30天过期
+      ...this.index.getAddCommands(promoted)
+    ]);
+    if (!committed) {
+      await this.versions.save(lineageId, versions);
+      throw new Error('恢复文件版本失败');
+    }
+    
+    await this.chatIndex.record({ type: 'delete', fileId: current.fileId });
+    await this.chatIndex.record({ type: 'put', file: promoted });
+    await this.updateCaption(promoted);
+    
+    console.log(`${current.fileName} 已恢复为第 ${promoted.version} 个版本`);
+    return promoted;
+  }
+
+  /**
+   * 按规则删除过期的历史版本
+   * @param {string} lineageId - 逻辑文件ID
+   * @param {Object|null} policy - 版本控制规则
+   * @returns {Promise<number>} 删除的版本数
+   */
+  async pruneVersions(lineageId, policy) {
+    return await this.deleteVersions(lineageId, versions => selectExpiredVersions(versions, policy));
+  }
+
+  /**
+   * 删除逻辑文件的全部历史版本，用于彻底删除文件
+   * @param {string} lineageId - 逻辑文件ID
+   * @returns {Promise<number>} 删除的版本数
+   */
+  async purgeVersions(lineageId) {
+    return await this.deleteVersions(lineageId, versions => versions);
+  }
+
+  /**
+   * 删除选中的历史版本及其消息
+   * 单个版本删除失败时保留，等待下一次清理
+   * @param {string} lineageId - 逻辑文件ID
+   * @param {(versions: Array<Object>) => Array<Object>} select - 从历史版本中选出要删除的版本
+   * @returns {Promise<number>} 删除的版本数
+   */
+  async deleteVersions(lineageId, select) {
+    const selected = select(await this.versions.list(lineageId));
+    if (selected.length === 0) {
+      return 0;
+    }
+    
+    const removed = new Set();
+    for (const entry of selected) {
+      try {
+        const { manifestId } = await this.deleteContent(entry.file);
+        if (manifestId) {
+          await this.chatIndex.record({ type: 'delete', fileId: entry.file.fileId, manifestId });
+        }
+        removed.add(entry.file.fileId);
+      } catch (error) {
+        console.warn(`删除 ${entry.file.fileName} 的第 ${entry.file.version} 个版本失败:`, error.message);
+      }
+    }
+    
+    // 删除消息期间可能有新版本写入，重新读取后再移除
+    const latest = await this.versions.list(lineageId);
+    await this.versions.save(lineageId, latest.filter(entry => !removed.has(entry.file.fileId)));
+    console.log(`已删除 ${removed.size} 个历史版本`);
+    return removed.size;
+  }
+
   /**
    * 从Telegram删除文件
+   * 直接删除，不经过回收站；去重的内容由多条记录共享，只有最后一个引用被删除时才删除Telegram消息
    * @param {string} messageId - 消息ID
    * @returns {Promise<boolean>} - 删除结果
    */
@@ -396,14 +1687,11 @@ class TelegramStorage {
     
     try {
       // 先获取文件信息，用于更好的错误提示
-      const fileListKey = `files:${this.chatId}`;
+      const fileListKey = this.key(`files:${this.chatId}`);
       const files = await redisClient.lrange(fileListKey);
       fileToDelete = files.find(file => file.messageId === messageId);
       
-      // 使用重试机制从Telegram删除消息
-      await this.retryOperation(async () => {
-        await this.telegramClient.deleteMessage(this.chatId, messageId);
-      }, `删除Telegram消息 ${messageId}${fileToDelete ? ` (${fileToDelete.fileName})` : ''}`);
+      const { manifestId } = await this.deleteContent(fileToDelete, messageId);
       
       // 从Redis中删除文件信息
       if (fileToDelete) {
@@ -411,68 +1699,114 @@ class TelegramStorage {
         await redisClient.lrem(fileListKey, fileToDelete);
         
         // 删除文件的单独键
-        const fileKey = `file:${fileToDelete.fileId}`;
+        const fileKey = this.key(`file:${fileToDelete.fileId}`);
         await redisClient.del(fileKey);
         
+        await this.index.remove(fileToDelete);
+        
+        await this.chatIndex.record({
+          type: 'delete',
+          fileId: fileToDelete.fileId,
+          ...(manifestId ? { manifestId } : {})
+        });
+        
+        if (fileToDelete.lineageId) {
+          await this.purgeVersions(fileToDelete.lineageId);
+        }
+        
         console.log(`已从Redis删除文件: ${fileToDelete.fileName}`);
       }
       
       return true;
     } catch (error) {
       console.error('从Telegram删除文件失败:', error);
+      throw await this.createDeleteError(error, fileToDelete);
+    }
+  }
+
+  /**
+   * 包装上传失败的错误
+   * 永久错误和限流错误原样抛出，保留错误类型、状态码和 retry_after；其他错误保留状态码
+   * @param {Error} error - 原始错误
+   * @returns {Error} 上传错误
+   */
+  createUploadError(error) {
+    if (error instanceof TelegramOperationError) {
+      return error;
+    }
+    const uploadError = new Error(`上传文件失败: ${error.message}`);
+    if (error.status) {
+      uploadError.status = error.status;
+    }
+    return uploadError;
+  }
+
+  /**
+   * 把删除消息时的错误转换为带有类型和诊断信息的错误
+   * @param {Error} error - 原始错误
+   * @param {Object|null} fileInfo - 正在删除的文件
+   * @returns {Promise<Error>} 增强的错误对象
+   */
+  async createDeleteError(error, fileInfo) {
+    // 在网络错误时自动进行诊断
+    let diagnostics = null;
+    if (error.message.includes('ETIMEDOUT') || 
+        error.message.includes('ECONNREFUSED') || 
+        error.message.includes('ENOTFOUND') ||
+        error.message.includes('ECONNRESET') ||
+        error.code === 'EFATAL') {
       
-      // 在网络错误时自动进行诊断
-      let diagnostics = null;
-      if (error.message.includes('ETIMEDOUT') || 
-          error.message.includes('ECONNREFUSED') || 
-          error.message.includes('ENOTFOUND') ||
-          error.message.includes('ECONNRESET') ||
-          error.code === 'EFATAL') {
-        
-        console.log('[错误处理] 检测到网络错误，开始自动诊断...');
-        try {
-          diagnostics = await this.diagnoseNetworkConnection();
-        } catch (diagError) {
-          console.error('[错误处理] 网络诊断失败:', diagError);
-        }
-      }
-      
-      // 根据错误类型提供更具体的错误信息
-      let errorMessage = '';
-      let errorType = 'UNKNOWN_ERROR';
-      
-      if (error.message.includes('ETIMEDOUT') || error.message.includes('timeout')) {
-        const fileName = fileToDelete ? fileToDelete.fileName : '文件';
-        errorMessage = `删除 ${fileName} 时网络连接超时，已尝试多次重试。请检查网络连接后重试，或稍后再试。`;
-        errorType = 'NETWORK_TIMEOUT';
-      } else if (error.message.includes('ECONNREFUSED')) {
-        errorMessage = '无法连接到Telegram服务器，服务器可能暂时不可用。请稍后重试。';
-        errorType = 'SERVICE_UNAVAILABLE';
-      } else if (error.message.includes('ENOTFOUND')) {
-        errorMessage = '网络连接失败，无法解析服务器地址。请检查网络设置和DNS配置。';
-        errorType = 'NETWORK_ERROR';
-      } else if (error.message.includes('ECONNRESET')) {
-        errorMessage = '网络连接被重置，可能是网络不稳定。请稍后重试。';
-        errorType = 'CONNECTION_RESET';
-      } else if (error.code === 'EFATAL') {
-        errorMessage = 'Telegram API连接失败，请检查网络连接或稍后重试。';
-        errorType = 'API_CONNECTION_ERROR';
-      } else {
-        const fileName = fileToDelete ? fileToDelete.fileName : '文件';
-        errorMessage = `删除 ${fileName} 失败: ${error.message}`;
-        errorType = 'UNKNOWN_ERROR';
+      console.log('[错误处理] 检测到网络错误，开始自动诊断...');
+      try {
+        diagnostics = await this.diagnoseNetworkConnection();
+      } catch (diagError) {
+        console.error('[错误处理] 网络诊断失败:', diagError);
       }
-      
-      // 创建增强的错误对象
-      const enhancedError = new Error(errorMessage);
-      enhancedError.type = errorType;
-      enhancedError.originalError = error;
-      enhancedError.diagnostics = diagnostics;
-      enhancedError.timestamp = new Date().toISOString();
-      
-      throw enhancedError;
     }
+    
+    // 根据错误类型提供更具体的错误信息
+    let errorMessage = '';
+    let errorType = 'UNKNOWN_ERROR';
+    
+    if (error.message.includes('ETIMEDOUT') || error.message.includes('timeout')) {
+      const fileName = fileInfo ? fileInfo.fileName : '文件';
+      errorMessage = `删除 ${fileName} 时网络连接超时，已尝试多次重试。请检查网络连接后重试，或稍后再试。`;
+      errorType = 'NETWORK_TIMEOUT';
+    } else if (error.message.includes('ECONNREFUSED')) {
+      errorMessage = '无法连接到Telegram服务器，服务器可能暂时不可用。请稍后重试。';
+      errorType = 'SERVICE_UNAVAILABLE';
+    } else if (error.message.includes('ENOTFOUND')) {
+      errorMessage = '网络连接失败，无法解析服务器地址。请检查网络设置和DNS配置。';
+      errorType = 'NETWORK_ERROR';
+    } else if (error.message.includes('ECONNRESET')) {
+      errorMessage = '网络连接被重置，可能是网络不稳定。请稍后重试。';
+      errorType = 'CONNECTION_RESET';
+    } else if (error.code === 'EFATAL') {
+      errorMessage = 'Telegram API连接失败，请检查网络连接或稍后重试。';
+      errorType = 'API_CONNECTION_ERROR';
+    } else if (error instanceof TelegramOperationError && error.kind === 'rate_limited') {
+      errorMessage = error.message;
+      errorType = 'RATE_LIMITED';
+    } else {
+      const fileName = fileInfo ? fileInfo.fileName : '文件';
+      errorMessage = `删除 ${fileName} 失败: ${error.message}`;
+      errorType = 'UNKNOWN_ERROR';
+    }
+    
+    // 创建增强的错误对象
+    const enhancedError = new Error(errorMessage);
+    enhancedError.type = errorType;
+    enhancedError.originalError = error;
+    enhancedError.diagnostics = diagnostics;
+    if (error instanceof TelegramOperationError) {
+      enhancedError.kind = error.kind;
+      enhancedError.status = error.status;
+      enhancedError.retryAfter = error.retryAfter;
+    }
+    enhancedError.timestamp = new Date().toISOString();
+    
+    return enhancedError;
   }
 }
 
-export { TelegramStorage };
\ No newline at end of file
+export { TelegramStorage, TELEGRAM_LIMITS };
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * 文档缩略图
+ * Telegram 要求随文档发送的缩略图为 JPEG，不超过 200KB，宽高不超过 320 像素。
+ * 缩略图由浏览器在上传前生成（图片和视频的首帧），随文档一起发送；
+ * Telegram 自己为文档生成的缩略图（如部分 PDF）同样会被记录
+ */
+
+// 缩略图大小上限
+const MAX_THUMBNAIL_SIZE = 200 * 1024;
+
+// 缩略图的内容类型
+const THUMBNAIL_CONTENT_TYPE = 'image/jpeg';
+
+/**
+ * 创建带HTTP状态码的缩略图错误
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP状态码
+ * @returns {Error} 错误对象
+ */
+function thumbnailError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 校验缩略图内容
+ * @param {Buffer} data - 缩略图内容
+ * @returns {Buffer} 缩略图内容
+ * @throws {Error} 不是 JPEG 或超过大小上限时，状态码为 400 或 413
+ */
+function validateThumbnail(data) {
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw thumbnailError('缩略图内容为空', 400);
+  }
+  if (data.length > MAX_THUMBNAIL_SIZE) {
+    throw thumbnailError(`缩略图不能超过 ${MAX_THUMBNAIL_SIZE / 1024}KB`, 413);
+  }
+  // JPEG 文件以 FF D8 FF 开头
+  if (data[0] !== 0xff || data[1] !== 0xd8 || data[2] !== 0xff) {
+    throw thumbnailError('缩略图必须是 JPEG 图片', 400);
+  }
+  return data;
+}
+
+/**
+ * 读取缩略图内容
+ * 超过大小上限后继续读完剩余数据但不再保存，调用方不需要处理未读完的流
+ * @param {Readable} stream - 缩略图内容流
+ * @returns {Promise<Buffer>} 校验后的缩略图内容
+ */
+function readThumbnail(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_THUMBNAIL_SIZE) {
+        chunks.push(chunk);
+      }
+    });
+    stream.once('error', reject);
+    stream.once('end', () => {
+      try {
+        if (size > MAX_THUMBNAIL_SIZE) {
+          throw thumbnailError(`缩略图不能超过 ${MAX_THUMBNAIL_SIZE / 1024}KB`, 413);
+        }
+        resolve(validateThumbnail(Buffer.concat(chunks)));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+export { MAX_THUMBNAIL_SIZE, THUMBNAIL_CONTENT_TYPE, validateThumbnail, readThumbnail };
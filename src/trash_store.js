@@ -0,0 +1,125 @@
+import { redisClient } from './redis_client.js';
+
+// 回收站中的文件默认保留的天数
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * 读取回收站保留天数
+ * @param {Object} [env] - 环境变量
+ * @returns {number} 保留天数，TRASH_RETENTION_DAYS 未设置或无效时使用默认值
+ */
+function getTrashRetentionDays(env = process.env) {
+  const days = Number(env.TRASH_RETENTION_DAYS);
+  return env.TRASH_RETENTION_DAYS && Number.isFinite(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * 获取发起请求的用户，记录在回收站条目中
+ * 带有登录令牌时使用令牌中的用户名，否则使用客户端IP
+ * @param {Object} req - 请求对象
+ * @returns {string} 用户名或IP
+ */
+function getRequestActor(req) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (token) {
+    try {
+      const { username } = JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+      if (typeof username === 'string' && username) {
+        return username;
+      }
+    } catch {
+      // 无效的令牌按匿名请求处理
+    }
+  }
+  const forwardedFor = req.headers['x-forwarded-for'];
+  return (forwardedFor ? forwardedFor.split(',')[0].trim() : req.socket?.remoteAddress) || 'unknown';
+}
+
+/**
+ * 回收站
+ * 删除的文件先移到回收站，Telegram消息和分片清单都保留，可以随时恢复；
+ * 超过保留期限或被管理员清除时才真正删除消息（见 TelegramStorage.purgeFile）
+ */
+class TrashStore {
+  /**
+   * @param {TelegramStorage} storage - 所属的存储实例
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * 回收站在Redis中的键，哈希表的字段为文件ID
+   * @returns {string} 键名
+   */
+  trashKey() {
+    return this.storage.key(`trash:${this.storage.chatId}`);
+  }
+
+  /**
+   * 计算条目的到期时间
+   * @param {Object} entry - 回收站条目
+   * @param {number} [retentionDays] - 保留天数
+   * @returns {string} ISO 格式的到期时间
+   */
+  getExpiresAt(entry, retentionDays = getTrashRetentionDays()) {
+    return new Date(new Date(entry.deletedAt).getTime() + retentionDays * 86400 * 1000).toISOString();
+  }
+
+  /**
+   * 列出回收站中的文件，最近删除的在前
+   * @param {number} [retentionDays] - 保留天数，用于计算到期时间
+   * @returns {Promise<Array<Object>>} 回收站条目，带有 expiresAt
+   */
+  async list(retentionDays = getTrashRetentionDays()) {
+    const entries = Object.values(await redisClient.hgetall(this.trashKey()));
+    return entries
+      .map(entry => ({ ...entry, expiresAt: this.getExpiresAt(entry, retentionDays) }))
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  }
+
+  /**
+   * 获取回收站条目
+   * @param {string} fileId - 文件ID
+   * @returns {Promise<Object|null>} 回收站条目
+   */
+  async get(fileId) {
+    return await redisClient.hget(this.trashKey(), fileId);
+  }
+
+  /**
+   * 写入回收站条目
+   * @param {Object} entry - 回收站条目
+   * @param {Object} entry.file - 文件列表中的记录
+   * @param {Object} [entry.record] - file:${fileId} 键中的完整记录（带有短链接等额外字段）
+   * @param {string} entry.deletedAt - 删除时间
+   * @param {string} entry.deletedBy - 删除文件的用户名或IP
+   * @returns {Promise<Object>} 写入的条目
+   */
+  async add(entry) {
+    if (!await redisClient.hset(this.trashKey(), entry.file.fileId, entry)) {
+      throw new Error('写入回收站失败');
+    }
+    return entry;
+  }
+
+  /**
+   * 删除回收站条目
+   * @param {string} fileId - 文件ID
+   */
+  async remove(fileId) {
+    await redisClient.hdel(this.trashKey(), fileId);
+  }
+
+  /**
+   * 回收站中文件占用的所有消息ID
+   * 从Telegram同步文件列表时跳过这些消息，避免删除的文件重新出现
+   * @returns {Promise<Set<string>>} 消息ID集合
+   */
+  async getMessageIds() {
+    const entries = Object.values(await redisClient.hgetall(this.trashKey()));
+    return new Set(entries.map(entry => String(entry.file.messageId)));
+  }
+}
+
+export { TrashStore, DEFAULT_TRASH_RETENTION_DAYS, getTrashRetentionDays, getRequestActor };
@@ -0,0 +1,331 @@
+import { redisClient } from './redis_client.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+/**
+ * tus 协议版本和支持的扩展
+ * @see https://tus.io/protocols/resumable-upload
+ */
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination'];
+
+// 未完成的上传会话保留24小时，已完成的会话同样保留24小时，用于回应重发的最后一块数据
+const SESSION_TTL = 86400;
+
+// 写入数据和完成上传时持有的锁，持有者崩溃后锁在此时间（秒）后自动释放
+const LOCK_TTL = 3600;
+
+// 清理过期临时文件的最短间隔（毫秒），清理在创建会话时顺带进行
+const SWEEP_INTERVAL = 3600 * 1000;
+
+/**
+ * 可续传上传会话管理
+ * 会话状态（偏移量、总大小、元数据）保存在Redis中，已接收的数据写入临时文件，
+ * 最后一个字节到达后由调用方通过 TelegramStorage 完成上传。
+ * 会话状态依次为 uploading（接收数据）、finalizing（数据已收齐，正在或等待写入存储桶）
+ * 和 completed（已写入存储桶，记录上传结果）
+ */
+class UploadSessionStore {
+  constructor(options = {}) {
+    this.tempDir = options.tempDir || path.join(os.tmpdir(), 'tgnb-uploads');
+    this.lastSweepAt = 0;
+  }
+
+  /**
+   * 解析 Upload-Metadata 请求头
+   * 格式为逗号分隔的 "key base64value" 对
+   * @param {string} header - 请求头内容
+   * @returns {Object} 元数据对象
+   */
+  static parseMetadata(header) {
+    const metadata = {};
+    if (!header) {
+      return metadata;
+    }
+
+    for (const pair of header.split(',')) {
+      const [key, value] = pair.trim().split(' ');
+      if (key) {
+        metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+      }
+    }
+    return metadata;
+  }
+
+  /**
+   * 获取会话的临时文件路径
+   * @param {string} uploadId - 上传ID
+   * @returns {string} 临时文件路径
+   */
+  getTempPath(uploadId) {
+    return path.join(this.tempDir, uploadId);
+  }
+
+  /**
+   * 获取会话缩略图的临时文件路径
+   * @param {string} uploadId - 上传ID
+   * @returns {string} 临时文件路径
+   */
+  getThumbnailPath(uploadId) {
+    return `${this.getTempPath(uploadId)}.thumb.jpg`;
+  }
+
+  /**
+   * 保存随文件一起发送的缩略图，重复上传时覆盖
+   * @param {Object} session - 会话对象
+   * @param {Buffer} thumbnail - 已校验的 JPEG 缩略图
+   */
+  async saveThumbnail(session, thumbnail) {
+    await fs.promises.writeFile(this.getThumbnailPath(session.uploadId), thumbnail);
+  }
+
+  /**
+   * 读取会话的缩略图
+   * @param {Object} session - 会话对象
+   * @returns {Promise<Buffer|null>} 缩略图，没有上传缩略图时为 null
+   */
+  async readThumbnail(session) {
+    try {
+      return await fs.promises.readFile(this.getThumbnailPath(session.uploadId));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 创建上传会话
+   * @param {Object} params - 会话参数
+   * @param {number} params.length - 文件总大小
+   * @param {Object} params.metadata - 上传元数据（filename 等）
+   * @returns {Promise<Object>} 会话对象
+   */
+  async create({ length, metadata }) {
+    const uploadId = crypto.randomBytes(16).toString('hex');
+
+    await fs.promises.mkdir(this.tempDir, { recursive: true });
+    if (Date.now() - this.lastSweepAt >= SWEEP_INTERVAL) {
+      this.lastSweepAt = Date.now();
+      await this.sweepTempFiles().catch((error) => {
+        console.warn('清理过期的上传临时文件失败:', error.message);
+      });
+    }
+    await fs.promises.writeFile(this.getTempPath(uploadId), Buffer.alloc(0));
+
+    const session = {
+      uploadId,
+      length,
+      offset: 0,
+      status: 'uploading',
+      metadata,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await redisClient.set(`upload:${uploadId}`, session, SESSION_TTL);
+    return session;
+  }
+
+  /**
+   * 删除放弃的上传留下的临时文件
+   * 会话在 SESSION_TTL 内没有写入就会过期，之后再没有请求会引用它的临时文件和缩略图；
+   * 只删除超过 SESSION_TTL 没有修改、且会话已经不存在的文件
+   * @param {number} [now] - 当前时间（毫秒）
+   * @returns {Promise<number>} 删除的上传数量
+   */
+  async sweepTempFiles(now = Date.now()) {
+    const uploadIds = new Set();
+    for (const name of await fs.promises.readdir(this.tempDir)) {
+      const uploadId = name.slice(0, 32);
+      if (!/^[a-f0-9]{32}$/.test(uploadId) || uploadIds.has(uploadId)) {
+        continue;
+      }
+      const { mtimeMs } = await fs.promises.stat(path.join(this.tempDir, name));
+      if (now - mtimeMs >= SESSION_TTL * 1000 && !(await redisClient.get(`upload:${uploadId}`))) {
+        uploadIds.add(uploadId);
+      }
+    }
+
+    for (const uploadId of uploadIds) {
+      await this.removeTempFiles(uploadId);
+    }
+    if (uploadIds.size > 0) {
+      console.log(`已删除 ${uploadIds.size} 个放弃的上传留下的临时文件`);
+    }
+    return uploadIds.size;
+  }
+
+  /**
+   * 获取上传会话
+   * 临时文件已丢失（例如实例被回收）的未完成会话视为不存在
+   * @param {string} uploadId - 上传ID
+   * @returns {Promise<Object|null>} 会话对象
+   */
+  async get(uploadId) {
+    if (!/^[a-f0-9]{32}$/.test(uploadId || '')) {
+      return null;
+    }
+
+    const session = await redisClient.get(`upload:${uploadId}`);
+    if (!session) {
+      return null;
+    }
+
+    if (session.status !== 'completed' && !fs.existsSync(this.getTempPath(uploadId))) {
+      console.warn(`上传会话 ${uploadId} 的临时文件已丢失`);
+      await redisClient.del(`upload:${uploadId}`);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * 锁定上传会话
+   * 同一个会话同时只能有一个请求追加数据、提交缩略图或完成上传，否则临时文件会被并发截断和写入
+   * @param {string} uploadId - 上传ID
+   * @returns {Promise<string|null>} 持有者的令牌，用于释放锁；锁已被占用时为 null
+   */
+  async lock(uploadId) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const locked = await redisClient.setnx(`upload-lock:${uploadId}`, { token, at: new Date().toISOString() }, LOCK_TTL);
+    return locked ? token : null;
+  }
+
+  /**
+   * 释放上传会话的锁
+   * 只有令牌相同时才删除：处理时间超过 LOCK_TTL 的请求，锁可能已经过期并被下一个请求获得
+   * @param {string} uploadId - 上传ID
+   * @param {string} token - lock 返回的令牌
+   */
+  async unlock(uploadId, token) {
+    const holder = await redisClient.get(`upload-lock:${uploadId}`);
+    if (holder && holder.token === token) {
+      await redisClient.del(`upload-lock:${uploadId}`);
+    }
+  }
+
+  /**
+   * 在指定偏移量追加数据
+   * 调用方需要先锁定会话；连接中断时已写入的部分同样会被记录，客户端可以从新的偏移量继续
+   * @param {Object} session - 会话对象
+   * @param {Readable} stream - 请求体数据流
+   * @returns {Promise<Object>} 更新后的会话对象
+   */
+  async append(session, stream) {
+    const tempPath = this.getTempPath(session.uploadId);
+    const remaining = session.length - session.offset;
+    let received = 0;
+
+    // 丢弃上次中断时可能残留的未确认数据
+    await fs.promises.truncate(tempPath, session.offset);
+
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          callback(new Error('上传数据超过了声明的文件大小'));
+          return;
+        }
+        callback(null, chunk);
+      }
+    });
+
+    let appendError = null;
+    try {
+      await pipeline(stream, limiter, fs.createWriteStream(tempPath, { flags: 'a' }));
+    } catch (error) {
+      appendError = error;
+    }
+
+    // 以临时文件的实际大小作为新的偏移量
+    const { size } = await fs.promises.stat(tempPath);
+    const offset = Math.min(size, session.length);
+    const updated = {
+      ...session,
+      offset,
+      status: offset === session.length ? 'finalizing' : 'uploading',
+      updatedAt: new Date().toISOString()
+    };
+    await redisClient.set(`upload:${session.uploadId}`, updated, SESSION_TTL);
+
+    if (appendError) {
+      appendError.session = updated;
+      throw appendError;
+    }
+    return updated;
+  }
+
+  /**
+   * 打开已完成上传的临时文件
+   * @param {Object} session - 会话对象
+   * @returns {fs.ReadStream} 文件读取流
+   */
+  createReadStream(session) {
+    return fs.createReadStream(this.getTempPath(session.uploadId));
+  }
+
+  /**
+   * 记录上传结果并删除临时文件
+   * 会话保留到过期，重发的最后一块数据（例如响应在途中丢失）直接得到同样的结果，不会重复保存文件
+   * @param {Object} session - 会话对象
+   * @param {Object} result - 上传结果
+   * @param {string} result.fileId - 文件ID
+   * @param {string} result.messageId - 消息ID
+   * @returns {Promise<Object>} 已完成的会话对象
+   */
+  async complete(session, { fileId, messageId }) {
+    const completed = {
+      ...session,
+      status: 'completed',
+      result: { fileId, messageId },
+      updatedAt: new Date().toISOString()
+    };
+    await redisClient.set(`upload:${session.uploadId}`, completed, SESSION_TTL);
+    await this.removeTempFiles(session.uploadId);
+    return completed;
+  }
+
+  /**
+   * 删除上传会话及其临时文件
+   * @param {string} uploadId - 上传ID
+   */
+  async remove(uploadId) {
+    await redisClient.del(`upload:${uploadId}`);
+    await this.removeTempFiles(uploadId);
+  }
+
+  /**
+   * 删除会话的临时文件和缩略图
+   * @param {string} uploadId - 上传ID
+   */
+  async removeTempFiles(uploadId) {
+    try {
+      await fs.promises.rm(this.getThumbnailPath(uploadId), { force: true });
+      await fs.promises.unlink(this.getTempPath(uploadId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`删除上传临时文件失败: ${uploadId}`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * 设置 tus 协议的通用响应头
+ * @param {Object} res - 响应对象
+ */
+function setTusHeaders(res) {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Cache-Control', 'no-store');
+}
+
+const uploadSessions = new UploadSessionStore();
+
+export { UploadSessionStore, uploadSessions, setTusHeaders, TUS_VERSION, TUS_EXTENSIONS };
@@ -0,0 +1,206 @@
+import { redisClient } from './redis_client.js';
+import { ROOT_FOLDER, getParentPath, normalizeFolderPath } from './folder_store.js';
+
+/**
+ * 创建带HTTP状态码的版本操作错误
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP状态码
+ * @returns {Error} 错误对象
+ */
+function createVersionError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 规范化版本保留规则中的正数
+ * @param {*} value - 输入值
+ * @param {string} field - 字段名，用于错误信息
+ * @param {boolean} integer - 是否必须为整数
+ * @returns {number|null} 正数，未设置时为 null
+ */
+function normalizeLimit(value, field, integer) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+    throw createVersionError(`${field} 必须是${integer ? '正整数' : '正数'}`);
+  }
+  return number;
+}
+
+/**
+ * 规范化版本控制规则
+ * 规则可以设置在存储桶或文件夹上；keepLast 保留最近的若干个历史版本，keepDays 保留最近若干天内被替换的历史版本，
+ * 两者都设置时满足其一即保留，都不设置时保留全部历史版本
+ * @param {boolean|Object|null} [policy] - 规则，布尔值表示只开启或关闭
+ * @returns {{enabled: boolean, keepLast: number|null, keepDays: number|null}|null} 规范化后的规则，null 表示沿用上级设置
+ */
+function normalizeVersioningPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return null;
+  }
+  if (typeof policy === 'boolean') {
+    return { enabled: policy, keepLast: null, keepDays: null };
+  }
+  if (typeof policy !== 'object') {
+    throw createVersionError('无效的版本控制设置');
+  }
+  return {
+    enabled: Boolean(policy.enabled),
+    keepLast: normalizeLimit(policy.keepLast, 'keepLast', true),
+    keepDays: normalizeLimit(policy.keepDays, 'keepDays', false)
+  };
+}
+
+/**
+ * 从环境变量读取默认存储桶的版本控制规则
+ * 配置错误时关闭版本控制并记录警告，不影响存储桶列表的读取
+ * @param {Object} [env] - 环境变量
+ * @returns {Object|null} 规范化后的规则
+ */
+function getVersioningFromEnv(env = process.env) {
+  if (env.FILE_VERSIONING !== 'true') {
+    return null;
+  }
+  try {
+    return normalizeVersioningPolicy({
+      enabled: true,
+      keepLast: env.FILE_VERSIONS_KEEP_LAST,
+      keepDays: env.FILE_VERSIONS_KEEP_DAYS
+    });
+  } catch (error) {
+    console.warn(`版本控制配置错误，已关闭: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 选出超出保留规则的历史版本
+ * @param {Array<Object>} versions - 历史版本，最近替换的在前
+ * @param {Object} policy - 版本控制规则
+ * @param {number} [now] - 当前时间戳
+ * @returns {Array<Object>} 应删除的历史版本
+ */
+function selectExpiredVersions(versions, policy, now = Date.now()) {
+  if (!policy || (!policy.keepLast && !policy.keepDays)) {
+    return [];
+  }
+  return versions.filter((entry, index) => {
+    const keptByCount = policy.keepLast ? index < policy.keepLast : false;
+    const keptByAge = policy.keepDays
+      ? now - new Date(entry.archivedAt).getTime() < policy.keepDays * 86400 * 1000
+      : false;
+    return !keptByCount && !keptByAge;
+  });
+}
+
+/**
+ * 文件版本历史
+ * 开启版本控制后，上传与已有文件同一路径的文件会成为它的新版本：旧版本从文件列表移到版本历史中，
+ * 消息仍然保留，可以下载或恢复为当前版本。同一个逻辑文件的所有版本共享 lineageId（第一个版本的文件ID）
+ */
+class VersionStore {
+  /**
+   * @param {TelegramStorage} storage - 所属的存储实例
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * 版本历史在Redis中的键，哈希表的字段为 lineageId
+   * @returns {string} 键名
+   */
+  versionsKey() {
+    return this.storage.key(`versions:${this.storage.chatId}`);
+  }
+
+  /**
+   * 获取文件夹生效的版本控制规则
+   * 从文件夹向上查找第一个设置了规则的文件夹，都没有设置时使用存储桶的规则
+   * @param {string} [folderPath] - 规范化的文件夹路径
+   * @returns {Promise<Object|null>} 版本控制规则
+   */
+  async getPolicy(folderPath = ROOT_FOLDER) {
+    const folderMap = await this.storage.folders.getFolderMap();
+    for (let current = folderPath; current && current !== ROOT_FOLDER; current = getParentPath(current)) {
+      if (folderMap[current]?.versioning) {
+        return folderMap[current].versioning;
+      }
+    }
+    return this.storage.versioning || null;
+  }
+
+  /**
+   * 设置文件夹的版本控制规则，对其中的文件和子文件夹生效
+   * @param {string} folderPath - 文件夹路径
+   * @param {boolean|Object|null} policy - 版本控制规则，null 表示沿用上级设置
+   * @returns {Promise<Object|null>} 规范化后的规则
+   */
+  async setFolderPolicy(folderPath, policy) {
+    const normalizedPath = normalizeFolderPath(folderPath);
+    if (normalizedPath === ROOT_FOLDER) {
+      throw createVersionError('根目录使用存储桶的版本控制设置');
+    }
+    const normalized = normalizeVersioningPolicy(policy);
+    const { folders } = this.storage;
+    const folderMap = await folders.getFolderMap();
+    if (!folderMap[normalizedPath]) {
+      throw createVersionError(`文件夹不存在: ${normalizedPath}`, 404);
+    }
+
+    const folder = { ...folderMap[normalizedPath] };
+    if (normalized) {
+      folder.versioning = normalized;
+    } else {
+      delete folder.versioning;
+    }
+    folderMap[normalizedPath] = folder;
+    await redisClient.set(folders.folderKey, folderMap);
+    return normalized;
+  }
+
+  /**
+   * 列出逻辑文件的历史版本，最近替换的在前
+   * @param {string} lineageId - 逻辑文件ID
+   * @returns {Promise<Array<{file: Object, record: Object|null, archivedAt: string}>>} 历史版本
+   */
+  async list(lineageId) {
+    return (await redisClient.hget(this.versionsKey(), lineageId)) || [];
+  }
+
+  /**
+   * 保存逻辑文件的历史版本
+   * 同时记录到聊天内的索引，恢复后历史版本及其消息仍然可以找到
+   * @param {string} lineageId - 逻辑文件ID
+   * @param {Array<Object>} versions - 历史版本，为空时删除
+   */
+  async save(lineageId, versions) {
+    if (versions.length === 0) {
+      await redisClient.hdel(this.versionsKey(), lineageId);
+    } else if (!await redisClient.hset(this.versionsKey(), lineageId, versions)) {
+      throw new Error('写入版本历史失败');
+    }
+    await this.storage.chatIndex.record({ type: 'versions', lineageId, versions });
+  }
+
+  /**
+   * 历史版本占用的所有消息ID
+   * 从Telegram同步文件列表时跳过这些消息，避免旧版本重新出现在文件列表中
+   * @returns {Promise<Set<string>>} 消息ID集合
+   */
+  async getMessageIds() {
+    const lineages = Object.values(await redisClient.hgetall(this.versionsKey()));
+    return new Set(lineages.flat().map(entry => String(entry.file.messageId)));
+  }
+}
+
+export {
+  VersionStore,
+  normalizeVersioningPolicy,
+  getVersioningFromEnv,
+  selectExpiredVersions
+};
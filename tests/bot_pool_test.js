@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { BotPool, parseBotTokens } = require('../src/bot_pool');
+const { TelegramStorage } = require('../src/telegram_storage');
+const { redisClient } = require('../src/redis_client');
+
+/**
+ * 构造 node-telegram-bot-api 风格的接口错误
+ */
+function telegramError(errorCode, description, parameters) {
+  const error = new Error(`ETELEGRAM: ${errorCode} ${description}`);
+  error.code = 'ETELEGRAM';
+  error.response = { statusCode: errorCode, body: { ok: false, error_code: errorCode, description, parameters } };
+  return error;
+}
+
+describe('BotPool', () => {
+  let now;
+  let clients;
+  let pool;
+
+  beforeEach(() => {
+    now = 1000000;
+    clients = [1, 2, 3].map(id => ({
+      id,
+      sendDocument: sinon.stub().resolves({ message_id: id }),
+      getMe: sinon.stub().resolves({ username: `bot${id}` })
+    }));
+    pool = new BotPool(clients.map(client => ({ token: `${client.id}00:secret`, client })), {
+      now: () => now
+    });
+  });
+
+  it('should read extra tokens from TELEGRAM_BOT_TOKENS', () => {
+    process.env.TELEGRAM_BOT_TOKENS = '200:b, 300:c\n100:a';
+    try {
+      expect(parseBotTokens('100:a')).to.deep.equal(['100:a', '200:b', '300:c']);
+    } finally {
+      delete process.env.TELEGRAM_BOT_TOKENS;
+    }
+  });
+
+  it('should spread requests across bots', async () => {
+    for (let i = 0; i < 6; i++) {
+      await pool.run(client => client.sendDocument());
+    }
+    expect(clients.map(client => client.sendDocument.callCount)).to.deep.equal([2, 2, 2]);
+  });
+
+  it('should prefer the requested bot', async () => {
+    const botIds = [];
+    for (let i = 0; i < 3; i++) {
+      botIds.push(await pool.run((client, bot) => bot.id, { botId: '300' }));
+    }
+    expect(botIds).to.deep.equal(['300', '300', '300']);
+  });
+
+  it('should fail over and cool down a rate-limited bot', async () => {
+    clients[0].sendDocument.rejects(telegramError(429, 'Too Many Requests', { retry_after: 10 }));
+
+    const result = await pool.run(client => client.sendDocument(), { botId: '100' });
+    expect(result.message_id).to.not.equal(1);
+
+    const [first] = pool.getHealth();
+    expect(first).to.include({ status: 'cooling_down', rateLimited: 1, errors: 1 });
+    expect(pool.getCandidates().map(bot => bot.id).pop()).to.equal('100');
+
+    now += 11000;
+    expect(pool.getHealth()[0].status).to.equal('healthy');
+  });
+
+  it('should stop using a revoked token', async () => {
+    clients[1].sendDocument.rejects(telegramError(401, 'Unauthorized'));
+    for (let i = 0; i < 6; i++) {
+      await pool.run(client => client.sendDocument());
+    }
+
+    expect(clients[1].sendDocument.callCount).to.equal(1);
+    expect(pool.getHealth()[1].status).to.equal('revoked');
+  });
+
+  it('should not fail over on request errors or when failover is disabled', async () => {
+    clients[0].sendDocument.rejects(telegramError(400, 'Bad Request: message to delete not found'));
+    await pool.run(client => client.sendDocument(), { botId: '100' }).then(
+      () => expect.fail('should reject'),
+      error => expect(error.message).to.include('not found')
+    );
+    expect(pool.getHealth()[0]).to.include({ status: 'healthy', errors: 0 });
+
+    clients[0].sendDocument.rejects(new Error('EFATAL: socket hang up'));
+    await pool.run(client => client.sendDocument(), { botId: '100', failover: false }).then(
+      () => expect.fail('should reject'),
+      error => expect(error.message).to.include('socket hang up')
+    );
+    expect(clients[1].sendDocument.called || clients[2].sendDocument.called).to.be.false;
+    expect(pool.getHealth()[0].status).to.equal('degraded');
+  });
+
+  it('should download through the bot that uploaded the file', async () => {
+    redisClient.adapter.clear();
+    clients.forEach(client => {
+      client.sendDocument = sinon.stub().resolves({ message_id: 10 + client.id, document: { file_id: `doc_${client.id}` } });
+      client.getFile = sinon.stub().resolves({ file_id: `doc_${client.id}` });
+      client.getFileLink = sinon.stub().resolves(`https://files.example/${client.id}`);
+    });
+    const telegramStorage = new TelegramStorage({ botToken: '100:secret', chatId: 'pool_chat', botPool: pool });
+
+    clients[0].sendDocument.rejects(telegramError(429, 'Too Many Requests', { retry_after: 1 }));
+    const result = await telegramStorage.uploadFile(Buffer.from('pool'), 'pool.txt');
+    const fileInfo = await telegramStorage.getFileInfo(result.fileId);
+    expect(fileInfo.botId).to.not.equal('100');
+
+    const uploader = clients.find(client => String(client.id * 100) === fileInfo.botId);
+    expect(await telegramStorage.downloadFile(fileInfo.fileId, fileInfo.botId)).to.equal(`https://files.example/${uploader.id}`);
+  });
+});
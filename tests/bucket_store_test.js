@@ -0,0 +1,121 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Readable } = require('stream');
+const { BucketStore, getBucketKeyPrefix, DEFAULT_BUCKET } = require('../src/bucket_store');
+const { TelegramStorage } = require('../src/telegram_storage');
+const { redisClient } = require('../src/redis_client');
+
+describe('BucketStore', () => {
+  let store;
+
+  beforeEach(() => {
+    redisClient.adapter.clear();
+    process.env.TELEGRAM_CHAT_ID = '-1000000000001';
+    store = new BucketStore();
+  });
+
+  /**
+   * 断言异步操作以指定状态码失败
+   */
+  async function expectStatus(promise, status) {
+    try {
+      await promise;
+      expect.fail(`should fail with ${status}`);
+    } catch (error) {
+      expect(error.status).to.equal(status);
+    }
+  }
+
+  it('should create buckets and list the default bucket first', async () => {
+    await store.create({ name: 'Photos', chatId: '-1000000000002', label: '照片' });
+
+    const list = await store.list();
+    expect(list.map(bucket => bucket.name)).to.deep.equal([DEFAULT_BUCKET, 'photos']);
+    expect(list[0].chatId).to.equal('-1000000000001');
+    expect(list[1].label).to.equal('照片');
+  });
+
+  it('should reject invalid names, duplicates and shared chats', async () => {
+    await store.create({ name: 'photos', chatId: '-1000000000002' });
+
+    await expectStatus(store.create({ name: 'bad name', chatId: '-1000000000003' }), 400);
+    await expectStatus(store.create({ name: 'photos', chatId: '-1000000000003' }), 409);
+    await expectStatus(store.create({ name: 'default', chatId: '-1000000000003' }), 409);
+    await expectStatus(store.create({ name: 'music', chatId: 'not-a-chat' }), 400);
+    await expectStatus(store.create({ name: 'music', chatId: '-1000000000002' }), 409);
+    await expectStatus(store.create({ name: 'music', chatId: '-1000000000001' }), 409);
+    await expectStatus(store.update('photos', { chatId: '-1000000000003' }), 400);
+    await expectStatus(store.setRetired(DEFAULT_BUCKET, true), 400);
+  });
+
+  it('should not lose buckets created or edited at the same time', async () => {
+    await store.create({ name: 'photos', chatId: '-1000000000002' });
+    await Promise.all([
+      store.create({ name: 'music', chatId: '-1000000000003' }),
+      store.create({ name: 'videos', chatId: '-1000000000004' }),
+      store.update('photos', { label: '照片' })
+    ]);
+    const results = await Promise.allSettled([
+      store.create({ name: 'docs', chatId: '-1000000000005' }),
+      store.create({ name: 'docs', chatId: '-1000000000006' }),
+      store.create({ name: 'notes', chatId: '-1000000000005' })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).to.have.lengthOf(1);
+    expect(results.filter(result => result.status === 'rejected').map(result => result.reason.status)).to.deep.equal([409, 409]);
+    const list = await store.list();
+    expect(list.map(bucket => bucket.name)).to.deep.equal([DEFAULT_BUCKET, 'docs', 'music', 'photos', 'videos']);
+    expect(list.find(bucket => bucket.name === 'photos').label).to.equal('照片');
+  });
+
+  it('should read buckets saved by older versions', async () => {
+    await redisClient.set('buckets', {
+      legacy: { name: 'legacy', label: 'Legacy', chatId: '-1000000000002', driver: 'telegram', retiredAt: null }
+    });
+
+    expect((await store.get('legacy')).chatId).to.equal('-1000000000002');
+    await store.create({ name: 'photos', chatId: '-1000000000003' });
+    await store.update('legacy', { label: '旧存储桶' });
+    expect((await store.list()).map(bucket => bucket.label)).to.deep.equal(['默认', '旧存储桶', 'photos']);
+    await expectStatus(store.create({ name: 'music', chatId: '-1000000000002' }), 409);
+  });
+
+  it('should keep retired buckets readable but reject writes', async () => {
+    await store.create({ name: 'archive', chatId: '@archive_channel' });
+    await store.setRetired('archive', true);
+
+    expect(await store.list()).to.have.lengthOf(1);
+    expect(await store.list({ includeRetired: true })).to.have.lengthOf(2);
+    expect((await store.resolve('archive')).name).to.equal('archive');
+    await expectStatus(store.resolve('archive', { write: true }), 409);
+    await expectStatus(store.resolve('missing'), 404);
+
+    await store.setRetired('archive', false);
+    expect((await store.resolve('archive', { write: true })).retiredAt).to.be.null;
+  });
+
+  it('should keep file lists of different buckets apart', async () => {
+    expect(getBucketKeyPrefix(DEFAULT_BUCKET)).to.equal('');
+    expect(getBucketKeyPrefix('photos')).to.equal('bucket:photos:');
+
+    const createStorage = (bucket, chatId, messageId) => new TelegramStorage({
+      botToken: 'test_token',
+      chatId,
+      bucket,
+      telegramClient: {
+        sendDocument: sinon.stub().resolves({ message_id: messageId, document: { file_id: `doc_${messageId}` } })
+      }
+    });
+    const defaultStorage = createStorage(undefined, '-1000000000001', 1);
+    const photoStorage = createStorage('photos', '-1000000000002', 1);
+
+    const { fileId } = await defaultStorage.uploadFile(Readable.from([Buffer.from('a')]), 'a.txt', { fileSize: 1 });
+    await photoStorage.uploadFile(Readable.from([Buffer.from('b')]), 'b.txt', { fileSize: 1 });
+
+    // 两个聊天中的消息ID相同，记录保存在各自的键前缀下
+    expect((await defaultStorage.getFileInfo(fileId)).fileName).to.equal('a.txt');
+    expect((await photoStorage.getFileInfo(fileId)).fileName).to.equal('b.txt');
+    expect(await redisClient.get(`bucket:photos:file:${fileId}`)).to.include({ fileName: 'b.txt' });
+  });
+});
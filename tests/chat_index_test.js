@@ -0,0 +1,146 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Readable } = require('stream');
+const { TelegramStorage } = require('../src/telegram_storage');
+const { redisClient } = require('../src/redis_client');
+
+describe('ChatIndex', () => {
+  let telegramClient;
+  let documents;
+  let pinned;
+  let storage;
+
+  beforeEach(() => {
+    redisClient.adapter.clear();
+    documents = new Map();
+    pinned = null;
+    let messageId = 100;
+
+    // 发送的文档按 file_id 保存，恢复时从这里取回内容
+    telegramClient = {
+      sendDocument: sinon.stub().callsFake(async (chatId, content, options) => {
+        messageId++;
+        const document = { file_id: `doc_${messageId}` };
+        documents.set(document.file_id, { content, caption: options.caption, message_id: messageId, document });
+        return { message_id: messageId, document };
+      }),
+      pinChatMessage: sinon.stub().callsFake(async (chatId, id) => {
+        pinned = [...documents.values()].find(message => String(message.message_id) === String(id));
+        return true;
+      }),
+      unpinChatMessage: sinon.stub().resolves(true),
+      editMessageCaption: sinon.stub().callsFake(async (caption) => {
+        pinned.caption = caption;
+        return true;
+      }),
+      deleteMessage: sinon.stub().resolves(true),
+      getChat: sinon.stub().callsFake(async () => ({ pinned_message: pinned }))
+    };
+
+    storage = new TelegramStorage({ botToken: 'test_token', chatId: 'index_chat', telegramClient });
+    sinon.stub(storage.chatIndex, 'fetchDocument').callsFake(async (fileId) => {
+      return JSON.parse(documents.get(fileId).content.toString('utf8'));
+    });
+  });
+
+  it('should pin a snapshot and chain deltas to it', async () => {
+    await storage.uploadFile(Buffer.from('a'), 'a.txt');
+    expect(await storage.chatIndex.flush()).to.deep.equal({ written: 'snapshot', version: 1 });
+    expect(telegramClient.pinChatMessage.calledOnce).to.be.true;
+
+    await storage.uploadFile(Buffer.from('b'), 'b.txt');
+    expect((await storage.chatIndex.flush()).written).to.equal('delta');
+    await storage.uploadFile(Buffer.from('c'), 'c.txt');
+    await storage.chatIndex.flush();
+
+    const state = await storage.chatIndex.getState();
+    expect(state.deltaCount).to.equal(2);
+    expect(pinned.caption).to.include(`head: ${state.head.fileId}`);
+    expect(await storage.chatIndex.getPending()).to.be.empty;
+    expect((await storage.chatIndex.flush()).written).to.be.null;
+  });
+
+  it('should rebuild Redis from the chat after data loss', async () => {
+    const first = await storage.uploadFile(Buffer.from('same'), 'a.txt');
+    await storage.folders.createFolder('/docs');
+    await storage.chatIndex.flush();
+
+    await storage.uploadFile(Buffer.from('same'), 'copy.txt', { folder: '/docs' });
+    const other = await storage.uploadFile(Buffer.from('other'), 'b.txt');
+    await storage.chatIndex.flush();
+    await storage.deleteFile(other.messageId);
+    await storage.chatIndex.flush();
+
+    const before = await storage.listFiles();
+    redisClient.adapter.clear();
+
+    const result = await storage.chatIndex.recover();
+    expect(result).to.deep.equal({ version: 1, files: 2, deltas: 2 });
+
+    const after = await storage.listFiles();
+    expect(after.map(file => file.fileName)).to.deep.equal(before.map(file => file.fileName));
+    expect(await storage.folders.getFolderMap()).to.have.property('/docs');
+    expect((await storage.getFileInfo(first.fileId)).fileName).to.equal('a.txt');
+    expect(await redisClient.get(storage.blobs.refKey(first.sha256))).to.equal(2);
+  });
+
+  it('should restore trashed files from the snapshot and deltas', async () => {
+    const first = await storage.uploadFile(Buffer.from('a'), 'a.txt');
+    const second = await storage.uploadFile(Buffer.from('b'), 'b.txt');
+    await storage.trashFile(first.messageId, { deletedBy: 'alice' });
+    await storage.chatIndex.flush();
+    await storage.trashFile(second.messageId, { deletedBy: 'bob' });
+    await storage.chatIndex.flush();
+
+    redisClient.adapter.clear();
+    expect(await storage.chatIndex.recover()).to.include({ files: 0, deltas: 1 });
+
+    const trash = await storage.trash.list();
+    expect(trash.map(entry => entry.deletedBy)).to.have.members(['alice', 'bob']);
+    expect((await storage.trash.getMessageIds()).has(first.messageId)).to.be.true;
+    await storage.restoreFile(first.fileId);
+    expect((await storage.listFiles()).map(file => file.fileName)).to.deep.equal(['a.txt']);
+  });
+
+  it('should restore version history and the content it owns', async () => {
+    storage.versioning = { enabled: true, keepLast: null, keepDays: null };
+    const first = await storage.uploadFile(Buffer.from('same'), 'a.txt');
+    await storage.uploadFile(Buffer.from('other'), 'a.txt');
+    await storage.chatIndex.flush();
+    // 第三个版本的内容与保存在版本历史中的第一个版本相同
+    const third = await storage.uploadFile(Buffer.from('same'), 'a.txt');
+    await storage.chatIndex.flush();
+
+    redisClient.adapter.clear();
+    expect(await storage.chatIndex.recover()).to.include({ files: 1, deltas: 1 });
+
+    const { current, versions } = await storage.listVersions(third.fileId);
+    expect(current.version).to.equal(3);
+    expect(versions.map(version => version.version)).to.deep.equal([2, 1]);
+    expect((await storage.versions.getMessageIds()).has(first.messageId)).to.be.true;
+    expect(await redisClient.get(storage.blobs.refKey(first.sha256))).to.equal(2);
+    expect((await storage.restoreVersion(third.fileId, first.fileId)).fileId).to.equal(first.fileId);
+  });
+
+  it('should keep the content of a deleted owner that other records still reference', async () => {
+    storage.chunkConfig.chunkSize = 4;
+    const first = await storage.uploadFile(Buffer.from('0123456789'), 'a.bin');
+    const second = await storage.uploadFile(Buffer.from('0123456789'), 'b.bin');
+    expect(second.deduplicated).to.be.true;
+
+    await storage.deleteFile(first.messageId);
+    await storage.chatIndex.flush({ snapshot: true });
+    redisClient.adapter.clear();
+    await storage.chatIndex.recover();
+
+    // 分片的内容从发送的文档中读取
+    sinon.stub(storage.provider, 'getStream').callsFake(async ({ fileId }) => Readable.from([documents.get(fileId).content]));
+    const chunks = [];
+    for await (const chunk of await storage.createDownloadStream(await storage.getFileInfo(second.fileId))) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).toString()).to.equal('0123456789');
+    expect(await redisClient.get(storage.blobs.refKey(second.sha256))).to.equal(1);
+  });
+});
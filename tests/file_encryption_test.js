@@ -0,0 +1,83 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Readable } = require('stream');
+const { normalizeEncryptionInfo, getEncryptedSize } = require('../src/file_encryption');
+const { TelegramStorage } = require('../src/telegram_storage');
+const { parseCaption } = require('../src/caption_meta');
+const { redisClient } = require('../src/redis_client');
+
+describe('file encryption', () => {
+  const validInfo = () => ({
+    version: 1,
+    algorithm: 'AES-GCM',
+    kdf: 'PBKDF2-SHA256',
+    iterations: 600000,
+    salt: Buffer.alloc(16, 1).toString('base64'),
+    noncePrefix: Buffer.alloc(8, 2).toString('base64'),
+    chunkSize: 1024 * 1024,
+    plainSize: 3 * 1024 * 1024 + 5,
+    name: { iv: Buffer.alloc(12, 3).toString('base64'), data: Buffer.from('ciphertext').toString('base64') }
+  });
+
+  it('should accept valid parameters and drop unknown fields', () => {
+    const info = normalizeEncryptionInfo(JSON.stringify({ ...validInfo(), passphrase: 'secret', key: 'k' }));
+    expect(info).to.deep.equal(validInfo());
+    expect(normalizeEncryptionInfo(undefined)).to.be.null;
+    expect(getEncryptedSize(info)).to.equal(info.plainSize + 4 * 16);
+    expect(getEncryptedSize({ ...info, plainSize: 0 })).to.equal(16);
+  });
+
+  it('should reject malformed parameters with status 400', () => {
+    const cases = [
+      ['not json', '有效的JSON'],
+      [{ ...validInfo(), version: 2 }, '不支持的加密格式版本'],
+      [{ ...validInfo(), algorithm: 'AES-CBC' }, '不支持的加密算法'],
+      [{ ...validInfo(), iterations: 1000 }, 'iterations'],
+      [{ ...validInfo(), salt: Buffer.alloc(8).toString('base64') }, 'salt'],
+      [{ ...validInfo(), noncePrefix: 'not base64!' }, 'noncePrefix'],
+      [{ ...validInfo(), name: { iv: Buffer.alloc(12).toString('base64') } }, '加密文件名']
+    ];
+
+    for (const [input, message] of cases) {
+      try {
+        normalizeEncryptionInfo(typeof input === 'string' ? input : JSON.stringify(input));
+        expect.fail(`should reject ${message}`);
+      } catch (error) {
+        expect(error.message).to.include(message);
+        expect(error.status).to.equal(400);
+      }
+    }
+  });
+
+  describe('storage', () => {
+    let telegramStorage;
+    let telegramClient;
+
+    beforeEach(() => {
+      redisClient.adapter.clear();
+      telegramClient = {
+        sendDocument: sinon.stub().resolves({ message_id: 700, document: { file_id: 'doc_700' } })
+      };
+      telegramStorage = new TelegramStorage({
+        botToken: 'test_token',
+        chatId: 'encryption_chat',
+        telegramClient
+      });
+    });
+
+    it('should keep the parameters in the record and the caption', async () => {
+      const encryption = validInfo();
+      const result = await telegramStorage.uploadFile(Readable.from([Buffer.from('ciphertext')]), 'a1b2c3.enc', {
+        fileSize: 10,
+        encryption
+      });
+
+      expect((await telegramStorage.getFileInfo(result.fileId)).encryption).to.deep.equal(encryption);
+
+      // 从消息说明同步时还原加密参数
+      const metadata = parseCaption(telegramClient.sendDocument.firstCall.args[2].caption);
+      expect(telegramStorage.getSyncedDetails(metadata, 'a1b2c3.enc').encryption).to.deep.equal(encryption);
+    });
+  });
+});
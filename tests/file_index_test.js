@@ -0,0 +1,126 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { FileIndex, parseFileQuery, hasSearchParams } = require('../src/file_index');
+const { redisClient } = require('../src/redis_client');
+
+describe('FileIndex', () => {
+  let storage;
+  let index;
+
+  beforeEach(async () => {
+    const baseTime = Date.parse('2026-01-01T00:00:00Z');
+    storage = {
+      chatId: `index_test_${Date.now()}_${Math.random()}`,
+      key: name => name,
+      files: Array.from({ length: 7 }, (_, i) => ({
+        fileId: `f${i}`,
+        messageId: String(i),
+        fileName: ['b.jpg', 'A.pdf', 'c.mp4', 'd.jpg', 'e.txt', 'f.jpg', 'g.mp3'][i],
+        fileSize: [300, 100, 500, 100, 200, 700, 100][i],
+        // f3 和 f4 的上传时间相同，用来检查分页不会漏掉或重复
+        uploadTime: new Date(baseTime + Math.min(i, 3) * 60000 + Math.max(i - 4, 0) * 60000).toISOString(),
+        folder: i === 5 ? '/photos' : '/'
+      }))
+    };
+    storage.listFiles = sinon.spy(async () => storage.files);
+    index = new FileIndex(storage);
+
+    for (const file of storage.files) {
+      await redisClient.set(`file:${file.fileId}`, file);
+    }
+  });
+
+  /**
+   * 沿游标读取所有页
+   * @param {Object} params - 查询参数
+   * @returns {Promise<Array<string>>} 按顺序返回的文件ID
+   */
+  const collectPages = async (params) => {
+    const ids = [];
+    let cursor;
+    do {
+      const page = await index.search(parseFileQuery({ ...params, cursor }));
+      ids.push(...page.files.map(file => file.fileId));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return ids;
+  };
+
+  it('should backfill the index once and page through upload times', async () => {
+    const ids = await collectPages({ limit: '2' });
+    expect(ids).to.deep.equal(['f6', 'f5', 'f4', 'f3', 'f2', 'f1', 'f0']);
+
+    await collectPages({ limit: '3', order: 'asc' });
+    expect(storage.listFiles.callCount).to.equal(1);
+  });
+
+  it('should keep ties in a stable order across pages when sorting by size', async () => {
+    expect(await collectPages({ sort: 'fileSize', order: 'asc', limit: '2' }))
+      .to.deep.equal(['f1', 'f3', 'f6', 'f4', 'f0', 'f2', 'f5']);
+    expect(await collectPages({ sort: 'fileSize', minSize: '150', maxSize: '500', limit: '1' }))
+      .to.deep.equal(['f2', 'f0', 'f4']);
+  });
+
+  it('should sort by file name case-insensitively', async () => {
+    expect(await collectPages({ sort: 'fileName', limit: '3' }))
+      .to.deep.equal(['f1', 'f0', 'f2', 'f3', 'f4', 'f5', 'f6']);
+    expect(await collectPages({ sort: 'fileName', order: 'desc', type: 'image', limit: '1' }))
+      .to.deep.equal(['f5', 'f3', 'f0']);
+  });
+
+  it('should combine search, folder and date filters', async () => {
+    const page = await index.search(parseFileQuery({ q: 'JPG', path: '/', limit: '10' }));
+    expect(page.files.map(file => file.fileId)).to.deep.equal(['f3', 'f0']);
+    expect(page.nextCursor).to.be.null;
+
+    const ranged = await index.search(parseFileQuery({
+      from: '2026-01-01T00:01:00Z',
+      to: '2026-01-01T00:03:00Z'
+    }));
+    expect(ranged.files.map(file => file.fileId)).to.deep.equal(['f4', 'f3', 'f2', 'f1']);
+  });
+
+  it('should stop after scanning the limit and continue from the last scanned file', async () => {
+    index = new FileIndex(storage, { maxScan: 2 });
+
+    // 每次只检查两个文件：f6、f5 中只有 f5 匹配，f2、f1 都不匹配时返回空页和继续查找的游标
+    const first = await index.search(parseFileQuery({ q: 'jpg', limit: '10' }));
+    expect(first.files.map(file => file.fileId)).to.deep.equal(['f5']);
+    expect(first.nextCursor).to.be.a('string');
+
+    const second = await index.search(parseFileQuery({ q: 'jpg', limit: '10', cursor: first.nextCursor }));
+    expect(second.files.map(file => file.fileId)).to.deep.equal(['f3']);
+    const third = await index.search(parseFileQuery({ q: 'jpg', limit: '10', cursor: second.nextCursor }));
+    expect(third.files).to.be.empty;
+    expect(third.nextCursor).to.be.a('string');
+
+    expect(await collectPages({ q: 'jpg', limit: '10' })).to.deep.equal(['f5', 'f3', 'f0']);
+  });
+
+  it('should follow renames and deletions', async () => {
+    await index.ensureBuilt();
+    const renamed = { ...storage.files[6], fileName: 'a0.mp3' };
+    await redisClient.transaction([
+      ['set', 'file:f6', renamed],
+      ...index.getRemoveCommands(storage.files[6]),
+      ...index.getAddCommands(renamed)
+    ]);
+    await index.remove(storage.files[1]);
+
+    expect(await collectPages({ sort: 'fileName' })).to.deep.equal(['f6', 'f0', 'f2', 'f3', 'f4', 'f5']);
+  });
+
+  it('should validate query parameters', () => {
+    expect(hasSearchParams({ path: '/' })).to.be.false;
+    expect(hasSearchParams({ path: '/', limit: '10' })).to.be.true;
+    expect(() => parseFileQuery({ sort: 'owner' })).to.throw('不支持的排序字段');
+    expect(() => parseFileQuery({ limit: '0' })).to.throw('limit');
+    expect(() => parseFileQuery({ minSize: '-1' })).to.throw('minSize');
+    expect(() => parseFileQuery({ cursor: 'not-a-cursor' })).to.throw('无效的分页游标');
+
+    const cursor = Buffer.from(JSON.stringify({ s: 'fileSize', o: 'asc', v: 1, id: 'f1' })).toString('base64url');
+    expect(() => parseFileQuery({ cursor })).to.throw('排序方式不一致');
+    expect(parseFileQuery({ to: '2026-01-01' }).to).to.equal(Date.parse('2026-01-02') - 1);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { FolderStore, normalizeFolderPath, isWithinFolder } = require('../src/folder_store');
+const { buildCaption, parseCaption } = require('../src/caption_meta');
+const { normalizeTags, hasTag, collectTags } = require('../src/file_tags');
+const { redisClient } = require('../src/redis_client');
+
+describe('FolderStore', () => {
+  let storage;
+  let folders;
+
+  beforeEach(() => {
+    storage = {
+      chatId: `folder_test_${Date.now()}_${Math.random()}`,
+      key: name => name,
+      files: [],
+      listFiles: sinon.spy(async () => storage.files),
+      updateFileMetadata: sinon.spy(async (fileId, updates) => {
+        const file = storage.files.find(item => item.fileId === fileId);
+        Object.assign(file, updates);
+        return file;
+      }),
+      trashFile: sinon.spy(async (messageId) => {
+        storage.files = storage.files.filter(file => file.messageId !== messageId);
+        return true;
+      })
+    };
+    folders = new FolderStore(storage);
+  });
+
+  it('should normalize folder paths', () => {
+    expect(normalizeFolderPath(undefined)).to.equal('/');
+    expect(normalizeFolderPath('a//b/ ')).to.equal('/a/b');
+    expect(() => normalizeFolderPath('/a/../b')).to.throw('无效的文件夹名称');
+    expect(isWithinFolder('/ab', '/a')).to.be.false;
+    expect(isWithinFolder('/a/b', '/a')).to.be.true;
+  });
+
+  it('should round-trip metadata through message captions', () => {
+    const caption = buildCaption({ folder: '/docs/2024', empty: '' });
+    expect(parseCaption(caption)).to.deep.equal({ folder: '/docs/2024' });
+    expect(parseCaption('folder: /not/ours')).to.deep.equal({});
+  });
+
+  it('should normalize and match tags', () => {
+    expect(normalizeTags(' invoice, #2026-Q3,Invoice,,design ')).to.deep.equal(['invoice', '2026-Q3', 'design']);
+    expect(() => normalizeTags(['a'.repeat(40)])).to.throw('无效的标签');
+    expect(hasTag({ tags: ['2026-Q3'] }, '#2026-q3')).to.be.true;
+    expect(hasTag({}, 'invoice')).to.be.false;
+    expect(collectTags([{ tags: ['a', 'b'] }, { tags: ['B'] }])).to.deep.equal([
+      { tag: 'b', count: 2 },
+      { tag: 'a', count: 1 }
+    ]);
+  });
+
+  it('should create parent folders and list one directory', async () => {
+    await folders.createFolder('/docs/2024');
+    storage.files = [
+      { fileId: 'f1', messageId: '1', folder: '/docs' },
+      { fileId: 'f2', messageId: '2' }
+    ];
+
+    const root = await folders.listDirectory('/');
+    expect(root.folders.map(folder => folder.path)).to.deep.equal(['/docs']);
+    expect(root.files.map(file => file.fileId)).to.deep.equal(['f2']);
+
+    const docs = await folders.listDirectory('/docs');
+    expect(docs.folders.map(folder => folder.path)).to.deep.equal(['/docs/2024']);
+    expect(docs.files.map(file => file.fileId)).to.deep.equal(['f1']);
+
+    try {
+      await folders.createFolder('/docs');
+      expect.fail('应该拒绝重复的文件夹');
+    } catch (error) {
+      expect(error.status).to.equal(409);
+    }
+  });
+
+  it('should move a folder together with its files', async () => {
+    await folders.createFolder('/a/b');
+    storage.files = [{ fileId: 'f1', messageId: '1', folder: '/a/b' }];
+
+    const result = await folders.renameFolder('/a', 'c');
+
+    expect(result).to.deep.equal({ path: '/c', movedFiles: 1 });
+    expect(storage.files[0].folder).to.equal('/c/b');
+    expect(Object.keys(await redisClient.get(folders.folderKey)).sort()).to.deep.equal(['/c', '/c/b']);
+
+    try {
+      await folders.moveFolder('/c', '/c/b/d');
+      expect.fail('不应允许移动到自己的子文件夹');
+    } catch (error) {
+      expect(error.status).to.equal(400);
+    }
+  });
+
+  it('should only delete non-empty folders recursively', async () => {
+    await folders.createFolder('/a');
+    storage.files = [{ fileId: 'f1', messageId: '1', folder: '/a' }];
+
+    try {
+      await folders.deleteFolder('/a');
+      expect.fail('非空文件夹不应被删除');
+    } catch (error) {
+      expect(error.status).to.equal(409);
+    }
+
+    const result = await folders.deleteFolder('/a', { recursive: true, deletedBy: 'admin' });
+    expect(result).to.deep.equal({ deletedFolders: 1, deletedFiles: 1 });
+    expect(storage.trashFile.calledWith('1', { deletedBy: 'admin' })).to.be.true;
+    expect(await folders.listFolders()).to.deep.equal([]);
+  });
+});
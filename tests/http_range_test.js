@@ -0,0 +1,79 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+const {
+  parseRangeHeader,
+  isRangeFresh,
+  formatContentRange,
+  createMultipartRanges
+} = require('../src/http_range');
+
+describe('HTTP Range', () => {
+  describe('parseRangeHeader', () => {
+    it('should parse a single closed range', () => {
+      expect(parseRangeHeader('bytes=0-99', 1000)).to.deep.equal([{ start: 0, end: 99 }]);
+    });
+
+    it('should parse open-ended and suffix ranges', () => {
+      expect(parseRangeHeader('bytes=900-', 1000)).to.deep.equal([{ start: 900, end: 999 }]);
+      expect(parseRangeHeader('bytes=-100', 1000)).to.deep.equal([{ start: 900, end: 999 }]);
+      expect(parseRangeHeader('bytes=-5000', 1000)).to.deep.equal([{ start: 0, end: 999 }]);
+    });
+
+    it('should clamp the end to the file size', () => {
+      expect(parseRangeHeader('bytes=500-5000', 1000)).to.deep.equal([{ start: 500, end: 999 }]);
+    });
+
+    it('should parse and combine multiple ranges', () => {
+      expect(parseRangeHeader('bytes=500-599, 0-99', 1000)).to.deep.equal([
+        { start: 0, end: 99 },
+        { start: 500, end: 599 }
+      ]);
+      expect(parseRangeHeader('bytes=0-99,100-199,150-300', 1000)).to.deep.equal([{ start: 0, end: 300 }]);
+    });
+
+    it('should return -1 when no range is satisfiable', () => {
+      expect(parseRangeHeader('bytes=1000-', 1000)).to.equal(-1);
+      expect(parseRangeHeader('bytes=-0', 1000)).to.equal(-1);
+      expect(parseRangeHeader('bytes=0-0', 0)).to.equal(-1);
+    });
+
+    it('should ignore malformed headers', () => {
+      expect(parseRangeHeader('items=0-1', 1000)).to.be.null;
+      expect(parseRangeHeader('bytes=abc', 1000)).to.be.null;
+      expect(parseRangeHeader('bytes=-', 1000)).to.be.null;
+      expect(parseRangeHeader('bytes=10-5', 1000)).to.be.null;
+      expect(parseRangeHeader(undefined, 1000)).to.be.null;
+    });
+  });
+
+  describe('isRangeFresh', () => {
+    const validators = { etag: '"abc"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' };
+
+    it('should accept a missing If-Range header', () => {
+      expect(isRangeFresh(undefined, validators)).to.be.true;
+    });
+
+    it('should compare strong ETags only', () => {
+      expect(isRangeFresh('"abc"', validators)).to.be.true;
+      expect(isRangeFresh('"other"', validators)).to.be.false;
+      expect(isRangeFresh('W/"abc"', validators)).to.be.false;
+    });
+
+    it('should compare HTTP dates against Last-Modified', () => {
+      expect(isRangeFresh('Mon, 01 Jan 2024 00:00:00 GMT', validators)).to.be.true;
+      expect(isRangeFresh('Sun, 31 Dec 2023 00:00:00 GMT', validators)).to.be.false;
+      expect(isRangeFresh('Mon, 01 Jan 2024 00:00:00 GMT', { etag: '"abc"' })).to.be.false;
+    });
+  });
+
+  it('should build multipart/byteranges with an exact length', () => {
+    const ranges = [{ start: 0, end: 9 }, { start: 20, end: 29 }];
+    const multipart = createMultipartRanges(ranges, 100, 'video/mp4');
+    const body = multipart.parts.map(part => part.header + 'x'.repeat(10)).join('') + multipart.trailer;
+
+    expect(multipart.contentType).to.equal(`multipart/byteranges; boundary=${multipart.boundary}`);
+    expect(multipart.contentLength).to.equal(Buffer.byteLength(body));
+    expect(multipart.parts[1].header).to.include('Content-Range: bytes 20-29/100');
+    expect(formatContentRange(null, 100)).to.equal('bytes */100');
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createMetadataAdapter,
+  MemoryAdapter,
+  LocalFileAdapter,
+  UpstashAdapter,
+  RedisProtocolAdapter
+} = require('../src/metadata_store');
+const { encodeCommand, parseReply } = require('../src/metadata_redis');
+const { RedisClient } = require('../src/redis_client');
+
+describe('MetadataStore', () => {
+  let clock;
+
+  afterEach(() => {
+    if (clock) {
+      clock.restore();
+      clock = null;
+    }
+  });
+
+  describe('MemoryAdapter', () => {
+    let client;
+
+    beforeEach(() => {
+      client = new RedisClient(new MemoryAdapter());
+    });
+
+    it('should expire keys and report their type and ttl', async () => {
+      clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+      await client.set('session', { user: 'a' }, 10);
+      await client.hincrby('stats', 'upload', 2);
+
+      expect(await client.get('session')).to.deep.equal({ user: 'a' });
+      expect(await client.ttl('session')).to.equal(10);
+      expect(await client.type('stats')).to.equal('hash');
+      expect(await client.setnx('session', {})).to.be.false;
+
+      clock.tick(10001);
+      expect(await client.get('session')).to.be.null;
+      expect(await client.type('session')).to.equal('none');
+      expect(await client.setnx('session', { user: 'b' })).to.be.true;
+    });
+
+    it('should follow Redis semantics for lists, hashes and scans', async () => {
+      for (const id of [1, 2, 3, 4]) {
+        await client.lpush('logs', { id });
+      }
+      expect((await client.lrange('logs', 1, -2)).map(log => log.id)).to.deep.equal([3, 2]);
+      await client.ltrim('logs', 0, 1);
+      expect(await client.llen('logs')).to.equal(2);
+
+      await client.hincrby('stats', 'total', 1);
+      await client.hincrby('stats', 'total', 1);
+      await client.hset('stats', 'last', { at: 'now' });
+      expect(await client.hgetall('stats')).to.deep.equal({ total: 2, last: { at: 'now' } });
+
+      await client.set('short:a', 1);
+      await client.set('short:b', 2);
+      await client.set('bucket:photos:short:c', 3);
+      expect((await client.scanKeys('short:*')).sort()).to.deep.equal(['short:a', 'short:b']);
+    });
+  });
+
+  describe('LocalFileAdapter', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tgnb-metadata-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep data across restarts and after compaction', async () => {
+      const filePath = path.join(dir, 'metadata.log');
+      const adapter = new LocalFileAdapter(filePath);
+      const client = new RedisClient(adapter);
+
+      await client.set('file:1', { fileName: 'a.txt' });
+      await client.transaction([
+        ['lpush', 'files', { fileId: '1' }],
+        ['zadd', 'index', 5, '1']
+      ]);
+      await client.incrby('refs', 3);
+      await client.del('missing');
+      adapter.close();
+
+      const reopened = new LocalFileAdapter(filePath);
+      reopened.compact();
+      reopened.close();
+      // 模拟进程在写入一行的中途退出
+      fs.appendFileSync(filePath, '["set","broken"');
+
+      const recovered = new LocalFileAdapter(filePath);
+      await recovered.set('after', '1');
+      recovered.close();
+
+      const restored = new RedisClient(new LocalFileAdapter(filePath));
+      expect(await restored.get('after')).to.equal(1);
+      expect(await restored.get('file:1')).to.deep.equal({ fileName: 'a.txt' });
+      expect(await restored.lrange('files')).to.deep.equal([{ fileId: '1' }]);
+      expect(await restored.zrangeByScore('index', '-inf', '+inf')).to.deep.equal([{ member: '1', score: 5 }]);
+      expect(await restored.get('refs')).to.equal(3);
+      restored.adapter.close();
+    });
+  });
+
+  describe('RedisProtocolAdapter', () => {
+    it('should encode commands and parse partial and nested replies', () => {
+      expect(encodeCommand(['SET', 'k', '值']).toString()).to.equal('*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$3\r\n值\r\n');
+
+      const reply = Buffer.from('*3\r\n$1\r\na\r\n:2\r\n*1\r\n-ERR boom\r\n+OK\r\n');
+      const parsed = parseReply(reply);
+      expect(parsed.value.slice(0, 2)).to.deep.equal(['a', 2]);
+      expect(parsed.value[2][0]).to.be.an('error').with.property('message', 'ERR boom');
+      expect(parseReply(reply, parsed.offset).value).to.equal('OK');
+      expect(parseReply(Buffer.from('$5\r\nab'))).to.be.null;
+    });
+
+    it('should send transactions as one MULTI/EXEC batch', async () => {
+      const adapter = new RedisProtocolAdapter('redis://:secret@localhost:6379/2');
+      const send = sinon.stub(adapter.connection, 'send').resolves(['OK', 'QUEUED', 'QUEUED', [1, 1]]);
+
+      await adapter.multi([['set', 'a', '"1"', { ttl: 60 }], ['zadd', 'z', 1, 'm']]);
+      expect(send.firstCall.args[0]).to.deep.equal([
+        ['MULTI'],
+        ['SET', 'a', '"1"', 'EX', 60],
+        ['ZADD', 'z', 1, 'm'],
+        ['EXEC']
+      ]);
+      expect(adapter.connection).to.include({ password: 'secret', db: 2 });
+    });
+  });
+
+  it('should pick the store from the environment', () => {
+    expect(createMetadataAdapter({})).to.be.instanceOf(MemoryAdapter);
+    expect(createMetadataAdapter({ UPSTASH_REDIS_REST_URL: 'https://example.upstash.io', UPSTASH_REDIS_REST_TOKEN: 't' }))
+      .to.be.instanceOf(UpstashAdapter);
+    expect(createMetadataAdapter({ REDIS_URL: 'redis://localhost:6379' })).to.be.instanceOf(RedisProtocolAdapter);
+    expect(() => createMetadataAdapter({ METADATA_STORE: 'redis' })).to.throw('REDIS_URL');
+    expect(() => createMetadataAdapter({ METADATA_STORE: 'sqlite' })).to.throw('未知');
+  });
+});
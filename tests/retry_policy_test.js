@@ -0,0 +1,120 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  PermanentError,
+  RateLimitError,
+  classifyRetryError,
+  getBackoffDelay,
+  mergeRetryPolicies,
+  getRetryPoliciesFromEnv,
+  getRateLimitStats,
+  retryWithPolicy
+} = require('../src/retry_policy');
+const { TelegramStorage } = require('../src/telegram_storage');
+
+/**
+ * 构造 node-telegram-bot-api 风格的接口错误
+ */
+function telegramError(errorCode, description, parameters) {
+  const error = new Error(`ETELEGRAM: ${errorCode} ${description}`);
+  error.code = 'ETELEGRAM';
+  error.response = { statusCode: errorCode, body: { ok: false, error_code: errorCode, description, parameters } };
+  return error;
+}
+
+const policy = {
+  maxRetries: 4,
+  retryDelay: 100,
+  backoffMultiplier: 2,
+  maxDelay: 300,
+  jitter: 0.5,
+  maxRateLimitWait: 10000
+};
+
+describe('RetryPolicy', () => {
+  it('should classify errors by kind', () => {
+    expect(classifyRetryError(telegramError(429, 'Too Many Requests', { retry_after: 7 })))
+      .to.deep.equal({ kind: 'rate_limited', retryAfter: 7 });
+    expect(classifyRetryError(telegramError(400, 'Bad Request: message to delete not found')).kind).to.equal('permanent');
+    expect(classifyRetryError(telegramError(403, 'Forbidden')).kind).to.equal('permanent');
+    expect(classifyRetryError(telegramError(502, 'Bad Gateway')).kind).to.equal('transient');
+    expect(classifyRetryError(Object.assign(new Error('socket hang up'), { code: 'EFATAL' })).kind).to.equal('transient');
+    expect(classifyRetryError(Object.assign(new Error('对象不存在'), { status: 404 })).kind).to.equal('permanent');
+  });
+
+  it('should wait exactly retry_after on 429 and record the event', async () => {
+    const sleep = sinon.stub().resolves();
+    const operation = sinon.stub()
+      .onFirstCall().rejects(telegramError(429, 'Too Many Requests', { retry_after: 3 }))
+      .onSecondCall().resolves('ok');
+    const before = getRateLimitStats().total;
+
+    const result = await retryWithPolicy(operation, { policy, operationName: '上传文件 a.txt', operationType: 'upload', sleep });
+
+    expect(result).to.equal('ok');
+    expect(sleep.args).to.deep.equal([[3000]]);
+    const stats = getRateLimitStats();
+    expect(stats.total).to.equal(before + 1);
+    expect(stats.recent[0]).to.include({ operation: '上传文件 a.txt', operationType: 'upload', retryAfter: 3 });
+  });
+
+  it('should fail fast on permanent errors and when retry_after is too long', async () => {
+    const sleep = sinon.stub().resolves();
+    const notFound = sinon.stub().rejects(telegramError(400, 'Bad Request: message to delete not found'));
+    try {
+      await retryWithPolicy(notFound, { policy, operationName: '删除Telegram消息 1', sleep });
+      expect.fail('permanent errors should not be retried');
+    } catch (error) {
+      expect(error).to.be.instanceOf(PermanentError);
+      expect(error.kind).to.equal('permanent');
+      expect(error.message).to.include('message to delete not found');
+    }
+    expect(notFound.calledOnce).to.be.true;
+
+    const throttled = sinon.stub().rejects(telegramError(429, 'Too Many Requests', { retry_after: 60 }));
+    try {
+      await retryWithPolicy(throttled, { policy, operationName: '上传文件 b.txt', sleep });
+      expect.fail('long waits should fail');
+    } catch (error) {
+      expect(error).to.be.instanceOf(RateLimitError);
+      expect(error).to.include({ status: 429, retryAfter: 60 });
+    }
+    expect(throttled.calledOnce).to.be.true;
+    expect(sleep.called).to.be.false;
+  });
+
+  it('should back off transient errors with jitter', async () => {
+    expect(getBackoffDelay(policy, 1, () => 0)).to.equal(100);
+    expect(getBackoffDelay(policy, 2, () => 1)).to.equal(100);
+    expect(getBackoffDelay(policy, 5, () => 0)).to.equal(300);
+
+    const sleep = sinon.stub().resolves();
+    const operation = sinon.stub().rejects(telegramError(502, 'Bad Gateway'));
+    try {
+      await retryWithPolicy(operation, { policy, sleep, random: () => 0 });
+      expect.fail('should give up');
+    } catch (error) {
+      expect(error.message).to.include('Bad Gateway');
+    }
+    expect(operation.callCount).to.equal(4);
+    expect(sleep.args.map(args => args[0])).to.deep.equal([100, 200, 300]);
+  });
+
+  it('should configure policies per operation', () => {
+    expect(mergeRetryPolicies({ delete: { maxRetries: 5 } }, null, { delete: { retryDelay: 1 }, upload: { maxRetries: 2 } }))
+      .to.deep.equal({ delete: { maxRetries: 5, retryDelay: 1 }, upload: { maxRetries: 2 } });
+    expect(getRetryPoliciesFromEnv({ TELEGRAM_RETRY_POLICIES: '{"delete":{"maxRetries":3}}' }))
+      .to.deep.equal({ delete: { maxRetries: 3 } });
+    expect(getRetryPoliciesFromEnv({ TELEGRAM_RETRY_POLICIES: 'nope' })).to.equal(null);
+
+    const storage = new TelegramStorage({
+      botToken: 'test_token',
+      chatId: 'retry_test',
+      telegramClient: {},
+      retryPolicies: { delete: { maxRetries: 2 } }
+    });
+    expect(storage.retryPolicies.delete.maxRetries).to.equal(2);
+    expect(storage.retryPolicies.caption.maxRetries).to.equal(3);
+  });
+});
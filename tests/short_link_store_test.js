@@ -0,0 +1,322 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { PassThrough } = require('stream');
+const { ShortLinkStore, MAX_UNLOCK_ATTEMPTS, toPublicLink, shortLinks: sharedShortLinks } = require('../src/short_link_store');
+const { createBucketStorage } = require('../src/storage_provider');
+const { buckets } = require('../src/bucket_store');
+const { redisClient } = require('../src/redis_client');
+const { TelegramStorage } = require('../src/telegram_storage');
+const downloadHandler = require('../pages/api/download.js').default;
+const manageHandler = require('../pages/api/short-links/index.js').default;
+
+/**
+ * 断言 Promise 以指定状态码失败
+ */
+async function expectStatus(promise, status) {
+  try {
+    await promise;
+    expect.fail(`should fail with ${status}`);
+  } catch (error) {
+    expect(error.status).to.equal(status);
+  }
+}
+
+describe('ShortLinkStore', () => {
+  let shortLinks;
+  const future = () => new Date(Date.now() + 3600 * 1000).toISOString();
+  const past = () => new Date(Date.now() - 1000).toISOString();
+
+  beforeEach(() => {
+    redisClient.adapter.clear();
+    shortLinks = new ShortLinkStore();
+  });
+
+  it('should resolve short links from the index and count downloads', async () => {
+    const link = await shortLinks.create({ bucket: 'photos', fileId: 'file_1', expiresAt: future() });
+    expect(link.shortId).to.match(/^[0-9a-f]{8}$/);
+    expect(await shortLinks.resolve(link.shortId)).to.include({ bucket: 'photos', fileId: 'file_1' });
+
+    expect(await shortLinks.reserveDownload(link)).to.equal(1);
+    expect(await shortLinks.reserveDownload(link)).to.equal(2);
+    expect(await shortLinks.getAccessCount(link.shortId)).to.equal(2);
+
+    await expectStatus(shortLinks.create({ bucket: 'photos', fileId: 'file_2', shortId: link.shortId }), 409);
+    await expectStatus(shortLinks.create({ bucket: 'photos', fileId: 'file_2', shortId: 'bad id' }), 400);
+    await expectStatus(shortLinks.resolve('missing'), 404);
+
+    await shortLinks.remove(link.shortId);
+    await expectStatus(shortLinks.resolve(link.shortId), 404);
+  });
+
+  it('should drop expired short links with a 410', async () => {
+    const link = await shortLinks.create({ bucket: 'default', fileId: 'file_1', expiresAt: past() });
+    await expectStatus(shortLinks.resolve(link.shortId), 410);
+    expect(await shortLinks.get(link.shortId)).to.be.null;
+
+    const permanent = await shortLinks.create({ bucket: 'default', fileId: 'file_2', expiresAt: null });
+    expect(await shortLinks.resolve(permanent.shortId)).to.include({ fileId: 'file_2' });
+    expect((await shortLinks.list()).map(item => item.shortId)).to.deep.equal([permanent.shortId]);
+  });
+
+  it('should require an unlock cookie for password-protected links', async () => {
+    const link = await shortLinks.create({ bucket: 'default', fileId: 'file_1', expiresAt: future(), password: 'contract' });
+    expect(link.password).to.include({ algorithm: 'scrypt' });
+    expect(JSON.stringify(link)).to.not.include('contract');
+    expect(toPublicLink(link)).to.not.have.property('password');
+    expect(toPublicLink(link).hasPassword).to.be.true;
+    expect(shortLinks.isUnlocked(link, {})).to.be.false;
+
+    await expectStatus(shortLinks.unlock(link, 'wrong'), 401);
+    const cookie = await shortLinks.unlock(link, 'contract');
+    expect(cookie.name).to.equal(`tgnb_share_${link.shortId}`);
+    expect(cookie.maxAge).to.be.within(1, 3600);
+    expect(shortLinks.isUnlocked(link, { [cookie.name]: cookie.value })).to.be.true;
+    expect(shortLinks.isUnlocked(link, { [cookie.name]: `${cookie.value}x` })).to.be.false;
+
+    // 修改密码后旧的 Cookie 失效，移除密码后不再需要 Cookie
+    const changed = await shortLinks.update(link.shortId, { password: 'new-password' });
+    expect(shortLinks.isUnlocked(changed, { [cookie.name]: cookie.value })).to.be.false;
+    expect(shortLinks.isUnlocked(await shortLinks.update(link.shortId, { password: null }), {})).to.be.true;
+    await expectStatus(shortLinks.update(link.shortId, { password: 'abc' }), 400);
+  });
+
+  it('should rename links to custom slugs and reject collisions', async () => {
+    const link = await shortLinks.create({ bucket: 'default', fileId: 'file_1', expiresAt: future() });
+    const other = await shortLinks.create({ bucket: 'default', fileId: 'file_2', expiresAt: future(), shortId: 'taken' });
+    await shortLinks.reserveDownload(link);
+
+    const renamed = await shortLinks.rename(link.shortId, 'quarterly-report');
+    expect(renamed).to.include({ shortId: 'quarterly-report', fileId: 'file_1' });
+    expect(await shortLinks.getAccessCount('quarterly-report')).to.equal(1);
+    await expectStatus(shortLinks.resolve(link.shortId), 404);
+
+    await expectStatus(shortLinks.rename('quarterly-report', other.shortId), 409);
+    await expectStatus(shortLinks.rename('quarterly-report', 'has space'), 400);
+    await expectStatus(shortLinks.rename('missing', 'whatever'), 404);
+
+    // 同时使用同一个自定义ID时只有一个成功
+    const results = await Promise.allSettled([
+      shortLinks.create({ bucket: 'default', fileId: 'file_3', shortId: 'launch' }),
+      shortLinks.create({ bucket: 'default', fileId: 'file_4', shortId: 'launch' })
+    ]);
+    expect(results.filter(result => result.status === 'fulfilled')).to.have.length(1);
+    expect(results.find(result => result.status === 'rejected').reason.status).to.equal(409);
+  });
+
+  it('should extend and revoke links', async () => {
+    const link = await shortLinks.create({ bucket: 'default', fileId: 'file_1', expiresAt: future() });
+    const later = new Date(Date.now() + 7 * 86400 * 1000).toISOString();
+    expect((await shortLinks.update(link.shortId, { expiresAt: later })).expiresAt).to.equal(later);
+    await expectStatus(shortLinks.update(link.shortId, { expiresAt: past() }), 400);
+    await expectStatus(shortLinks.update(link.shortId, { expiresAt: 'soon' }), 400);
+
+    await shortLinks.resolve(link.shortId);
+    await shortLinks.remove(link.shortId);
+    await expectStatus(shortLinks.resolve(link.shortId), 404);
+    await expectStatus(shortLinks.update(link.shortId, { expiresAt: later }), 404);
+  });
+
+  it('should revoke links after the download limit even with concurrent downloads', async () => {
+    const link = await shortLinks.create({ bucket: 'default', fileId: 'file_1', expiresAt: future(), maxDownloads: 3 });
+    const results = await Promise.allSettled(Array.from({ length: 8 }, () => shortLinks.reserveDownload(link)));
+    expect(results.filter(result => result.status === 'fulfilled')).to.have.length(3);
+    expect(results.find(result => result.status === 'rejected').reason).to.include({ status: 410, reason: 'download-limit' });
+    expect(await shortLinks.getAccessCount(link.shortId)).to.equal(3);
+
+    try {
+      await shortLinks.resolve(link.shortId);
+      expect.fail('should be exhausted');
+    } catch (error) {
+      expect(error.status).to.equal(410);
+      expect(error.message).to.include('3 次下载上限');
+    }
+
+    // 提高上限后可以继续下载，移除上限后不再限制
+    await shortLinks.update(link.shortId, { maxDownloads: 4 });
+    expect(await shortLinks.resolve(link.shortId)).to.include({ fileId: 'file_1' });
+    await shortLinks.update(link.shortId, { maxDownloads: null });
+    expect(await shortLinks.isExhausted(await shortLinks.get(link.shortId))).to.be.false;
+    await expectStatus(shortLinks.update(link.shortId, { maxDownloads: -1 }), 400);
+  });
+
+  it('should burn one-time links after the first download', async () => {
+    const link = await shortLinks.create({ bucket: 'default', fileId: 'file_1', expiresAt: future(), maxDownloads: 1 });
+
+    // 开始传输前失败的下载归还次数
+    await shortLinks.reserveDownload(link);
+    await shortLinks.releaseDownload(link);
+    expect(await shortLinks.resolve(link.shortId)).to.include({ fileId: 'file_1' });
+
+    await shortLinks.reserveDownload(link);
+    try {
+      await shortLinks.resolve(link.shortId);
+      expect.fail('should be burned');
+    } catch (error) {
+      expect(error).to.include({ status: 410, reason: 'download-limit' });
+      expect(error.message).to.include('一次性');
+    }
+  });
+
+  it('should let ranged requests of a started download through without using up a one-time link', async () => {
+    const link = await shortLinks.create({ bucket: 'default', fileId: 'file_1', expiresAt: future(), maxDownloads: 1 });
+    await shortLinks.reserveDownload(link);
+    const cookie = await shortLinks.createDownloadToken(link, '"file_1"');
+    const cookies = { [cookie.name]: cookie.value };
+
+    // 断点续传带着第一次请求下发的令牌，不占用下载次数，链接用完后也能继续
+    expect(await shortLinks.getDownloadToken(link.shortId, cookies)).to.deep.equal({ etag: '"file_1"' });
+    expect(await shortLinks.resolve(link.shortId, { resumed: true })).to.include({ fileId: 'file_1' });
+    expect(await shortLinks.getAccessCount(link.shortId)).to.equal(1);
+
+    // 没有令牌或令牌不属于这个短链接时按新的下载处理
+    const other = await shortLinks.create({ bucket: 'default', fileId: 'file_2', expiresAt: future() });
+    expect(await shortLinks.getDownloadToken(other.shortId, cookies)).to.be.null;
+    expect(await shortLinks.getDownloadToken(link.shortId, { [cookie.name]: 'f'.repeat(32) })).to.be.null;
+    await expectStatus(shortLinks.resolve(link.shortId), 410);
+  });
+
+  it('should throttle password attempts per link', async () => {
+    const link = await shortLinks.create({ bucket: 'default', fileId: 'file_1', expiresAt: future(), password: 'contract' });
+    const other = await shortLinks.create({ bucket: 'default', fileId: 'file_2', expiresAt: future(), password: 'contract' });
+
+    for (let attempt = 0; attempt < MAX_UNLOCK_ATTEMPTS; attempt++) {
+      await expectStatus(shortLinks.unlock(link, 'wrong'), 401);
+    }
+    try {
+      await shortLinks.unlock(link, 'contract');
+      expect.fail('should be throttled');
+    } catch (error) {
+      expect(error.status).to.equal(429);
+      expect(error.retryAfter).to.be.above(0);
+    }
+    expect(await shortLinks.unlock(other, 'contract')).to.have.property('value');
+  });
+
+  it('should import legacy short:* keys on first access', async () => {
+    await redisClient.set('bucket:photos:short:legacy1', { fileId: 'file_9', expiresAt: future(), accessCount: 4 });
+
+    await expectStatus(shortLinks.resolve('legacy1'), 404);
+    expect(await shortLinks.resolve('legacy1', { bucket: 'photos' })).to.include({ bucket: 'photos', fileId: 'file_9' });
+    expect(await shortLinks.get('legacy1')).to.include({ fileId: 'file_9' });
+    expect(await shortLinks.getAccessCount('legacy1')).to.equal(4);
+  });
+
+  it('should backfill the index from file records and legacy keys', async () => {
+    const storage = createBucketStorage({ name: 'links', driver: 'memory', chatId: 'memory:links' }, {});
+    const active = await storage.uploadFile(Buffer.from('a'), 'a.txt');
+    const expired = await storage.uploadFile(Buffer.from('b'), 'b.txt');
+    const setShortLink = async (fileId, shortLink) => {
+      const fileKey = storage.key(`file:${fileId}`);
+      await redisClient.set(fileKey, { ...await redisClient.get(fileKey), shortLink });
+    };
+    await setShortLink(active.fileId, { shortId: 'abcd1234', createdAt: new Date().toISOString(), expiresAt: future(), accessCount: 2 });
+    await setShortLink(expired.fileId, { shortId: 'dead0000', createdAt: new Date().toISOString(), expiresAt: past() });
+    await redisClient.set(storage.key('short:old00001'), { fileId: active.fileId, expiresAt: future() });
+
+    expect(await shortLinks.migrate(storage, 'links')).to.deep.equal({ indexed: 1, legacy: 1, skipped: 0, expired: 1 });
+    expect(await shortLinks.resolve('abcd1234')).to.include({ bucket: 'links', fileId: active.fileId });
+    expect(await shortLinks.resolve('old00001')).to.include({ bucket: 'links', fileId: active.fileId });
+    expect(await shortLinks.getAccessCount('abcd1234')).to.equal(2);
+    await expectStatus(shortLinks.resolve('dead0000'), 404);
+
+    // 重复执行不会重复写入
+    expect(await shortLinks.migrate(storage, 'links')).to.deep.equal({ indexed: 0, legacy: 0, skipped: 2, expired: 1 });
+    expect(await shortLinks.getAccessCount('abcd1234')).to.equal(2);
+  });
+});
+
+describe('short link downloads', () => {
+  let link;
+
+  beforeEach(async () => {
+    redisClient.adapter.clear();
+    const bucket = await buckets.create({ name: 'shared', driver: 'memory' });
+    const file = await createBucketStorage(bucket).uploadFile(Buffer.from('0123456789'), 'once.txt');
+    link = await sharedShortLinks.create({ bucket: 'shared', fileId: file.fileId, maxDownloads: 1 });
+  });
+
+  /**
+   * 通过短链接下载，返回状态码、响应头和内容
+   */
+  async function download({ cookie, range } = {}) {
+    const res = new PassThrough();
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    Object.assign(res, { statusCode: 200, headers: {}, body: null });
+    res.setHeader = (name, value) => {
+      res.headers[name.toLowerCase()] = value;
+    };
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (body) => {
+      res.body = body;
+      res.end();
+      return res;
+    };
+    const finished = new Promise(resolve => res.on('finish', resolve));
+    await downloadHandler({
+      method: 'GET',
+      query: { s: link.shortId, bucket: 'shared' },
+      headers: range ? { range } : {},
+      cookies: cookie ? { [cookie.name]: cookie.value } : {}
+    }, res);
+    await finished;
+    return { status: res.statusCode, headers: res.headers, content: Buffer.concat(chunks).toString() };
+  }
+
+  it('should count a full download even when it carries a download token', async () => {
+    const first = await download();
+    expect(first).to.include({ status: 200, content: '0123456789' });
+    const [name, value] = first.headers['set-cookie'].split(';')[0].split('=');
+    const cookie = { name, value };
+
+    // 从文件中间继续的区间请求属于同一次下载
+    expect(await download({ cookie, range: 'bytes=5-' })).to.include({ status: 206, content: '56789' });
+
+    // 不带 Range 或从第 0 字节开始的请求是新的下载，一次性链接已经用完
+    expect((await download({ cookie })).status).to.equal(410);
+    expect((await download({ cookie, range: 'bytes=0-' })).status).to.equal(410);
+    expect(await sharedShortLinks.getAccessCount(link.shortId)).to.equal(1);
+  });
+});
+
+describe('short link management', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should point the file record at a renamed link without losing concurrent edits', async () => {
+    redisClient.adapter.clear();
+    const bucket = await buckets.create({ name: 'managed', driver: 'memory' });
+    const storage = createBucketStorage(bucket);
+    const { fileId } = await storage.uploadFile(Buffer.from('managed'), 'draft.txt');
+    const link = await sharedShortLinks.create({ bucket: 'managed', fileId });
+    await storage.updateFileRecord(fileId, { shortLink: { shortId: link.shortId, createdAt: link.createdAt, expiresAt: null } });
+
+    // 同步短链接读取文件记录之后，另一个请求重命名了文件
+    const getFileInfo = TelegramStorage.prototype.getFileInfo;
+    sinon.stub(TelegramStorage.prototype, 'getFileInfo').callsFake(async function (...args) {
+      const fileInfo = await getFileInfo.apply(this, args);
+      TelegramStorage.prototype.getFileInfo.restore();
+      await storage.updateFileRecord(fileId, { fileName: 'final.txt' });
+      return fileInfo;
+    });
+
+    const res = { statusCode: null };
+    res.setHeader = () => {};
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = () => res;
+    await manageHandler({ method: 'PATCH', headers: {}, query: { shortId: link.shortId }, body: { slug: 'final-report' } }, res);
+    expect(res.statusCode).to.equal(200);
+
+    const fileInfo = await storage.getFileInfo(fileId);
+    expect(fileInfo.fileName).to.equal('final.txt');
+    expect(fileInfo.shortLink.shortId).to.equal('final-report');
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+const { getSigningKeys, signDownloadParams, verifyDownloadParams, getClientIp } = require('../src/signed_urls');
+
+/**
+ * 断言函数以指定状态码失败
+ */
+function expectStatus(fn, status) {
+  try {
+    fn();
+    expect.fail(`should fail with ${status}`);
+  } catch (error) {
+    expect(error.status).to.equal(status);
+  }
+}
+
+describe('signed download URLs', () => {
+  const newKey = 'n'.repeat(32);
+  const oldKey = 'o'.repeat(32);
+  const env = { DOWNLOAD_SIGNING_KEYS: `2024-06:${newKey}, 2024-01:${oldKey}` };
+  const now = new Date('2024-06-01T00:00:00Z');
+  const later = (seconds) => new Date(now.getTime() + seconds * 1000);
+
+  it('should parse signing keys and sign with the first one', () => {
+    const { activeKeyId, keys } = getSigningKeys(env);
+    expect(activeKeyId).to.equal('2024-06');
+    expect([...keys.keys()]).to.deep.equal(['2024-06', '2024-01']);
+    // 太短的密钥会被忽略
+    expect(getSigningKeys({ DOWNLOAD_SIGNING_KEYS: 'weak:secret' }).activeKeyId).to.be.null;
+    expectStatus(() => signDownloadParams({ fileId: 'file_1' }, {}, now), 501);
+  });
+
+  it('should verify signed parameters without any lookup', () => {
+    const { query, expiresAt, keyId } = signDownloadParams({
+      fileId: 'file_1',
+      bucket: 'photos',
+      expiresIn: 600,
+      disposition: 'inline',
+      maxBytes: 1024
+    }, env, now);
+    expect(keyId).to.equal('2024-06');
+    expect(expiresAt).to.equal(later(600).toISOString());
+
+    expect(verifyDownloadParams(query, { env, now: later(60) })).to.deep.equal({
+      fileId: 'file_1',
+      bucket: 'photos',
+      expires: Math.floor(later(600).getTime() / 1000),
+      disposition: 'inline',
+      maxBytes: 1024
+    });
+
+    // 修改任何参数都会使签名失效
+    expectStatus(() => verifyDownloadParams({ ...query, fileId: 'file_2' }, { env, now }), 403);
+    expectStatus(() => verifyDownloadParams({ ...query, maxBytes: '999999' }, { env, now }), 403);
+    expectStatus(() => verifyDownloadParams({ ...query, disposition: 'attachment' }, { env, now }), 403);
+    expectStatus(() => verifyDownloadParams({ ...query, sig: undefined }, { env, now }), 400);
+
+    try {
+      verifyDownloadParams(query, { env, now: later(601) });
+      expect.fail('should be expired');
+    } catch (error) {
+      expect(error).to.include({ status: 410, reason: 'expired' });
+    }
+  });
+
+  it('should keep old keys valid until they are removed', () => {
+    const { query } = signDownloadParams({ fileId: 'file_1' }, { DOWNLOAD_SIGNING_KEYS: `2024-01:${oldKey}` }, now);
+    expect(query.kid).to.equal('2024-01');
+    expect(verifyDownloadParams(query, { env, now }).fileId).to.equal('file_1');
+    expectStatus(() => verifyDownloadParams(query, { env: { DOWNLOAD_SIGNING_KEYS: `2024-06:${newKey}` }, now }), 403);
+  });
+
+  it('should restrict downloads to an IP prefix', () => {
+    const { query } = signDownloadParams({ fileId: 'file_1', ipPrefix: '10.20.' }, env, now);
+    expect(verifyDownloadParams(query, { env, now, clientIp: '10.20.3.4' }).fileId).to.equal('file_1');
+    expectStatus(() => verifyDownloadParams(query, { env, now, clientIp: '10.200.3.4' }), 403);
+    expectStatus(() => signDownloadParams({ fileId: 'file_1', ipPrefix: '10.0.0.0/8' }, env, now), 400);
+
+    expect(getClientIp({ headers: {}, socket: { remoteAddress: '::ffff:10.20.3.4' } })).to.equal('10.20.3.4');
+  });
+
+  it('should ignore a spoofed X-Forwarded-For header', () => {
+    const { query } = signDownloadParams({ fileId: 'file_1', ipPrefix: '10.20.' }, env, now);
+    const spoofed = { headers: { 'x-forwarded-for': '10.20.3.4' }, socket: { remoteAddress: '203.0.113.9' } };
+    const clientIp = getClientIp(spoofed, {});
+    expect(clientIp).to.equal('203.0.113.9');
+    expectStatus(() => verifyDownloadParams(query, { env, now, clientIp }), 403);
+
+    // 受信任的代理之后，取最右边的不受信任地址，客户端自己填写的地址被忽略
+    const proxyEnv = { TRUSTED_PROXIES: '10.0., 172.16.0.1' };
+    const proxied = {
+      headers: { 'x-forwarded-for': '10.20.3.4, 198.51.100.7, 172.16.0.1' },
+      socket: { remoteAddress: '::ffff:10.0.0.2' }
+    };
+    expect(getClientIp(proxied, proxyEnv)).to.equal('198.51.100.7');
+    expect(getClientIp({ ...proxied, headers: { 'x-forwarded-for': '10.20.3.4' } }, proxyEnv)).to.equal('10.20.3.4');
+  });
+});
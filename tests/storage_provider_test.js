@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  createStorageProvider,
+  createBucketStorage,
+  TelegramProvider,
+  MemoryProvider,
+  LocalDiskProvider
+} = require('../src/storage_provider');
+const { BucketStore } = require('../src/bucket_store');
+const { redisClient } = require('../src/redis_client');
+
+/**
+ * 读取流的全部内容
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('StorageProvider', () => {
+  let dir;
+
+  beforeEach(() => {
+    redisClient.adapter.clear();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tgnb-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const [name, create] of [
+    ['MemoryProvider', () => new MemoryProvider()],
+    ['LocalDiskProvider', () => new LocalDiskProvider(dir)]
+  ]) {
+    it(`${name} should put, read ranges, stat, caption and delete objects`, async () => {
+      const provider = create();
+      const fromBuffer = await provider.put(Buffer.from('0123456789'), { fileName: 'a.txt', caption: '#tgnb' });
+      const fromStream = await provider.put(Readable.from([Buffer.from('ab'), Buffer.from('cd')]), { fileName: 'b.txt' });
+
+      expect(fromBuffer.fileId).to.equal(fromBuffer.messageId);
+      expect(await readAll(await provider.getStream(fromBuffer))).to.equal('0123456789');
+      expect(await readAll(await provider.getStream(fromBuffer, { start: 3, end: 5 }))).to.equal('345');
+      expect(await readAll(await provider.getStream(fromStream))).to.equal('abcd');
+
+      await provider.setCaption(fromBuffer, '#tgnb\nfolder: /docs');
+      expect(await provider.stat(fromBuffer)).to.include({ size: 10, fileName: 'a.txt', caption: '#tgnb\nfolder: /docs' });
+
+      await provider.delete(fromBuffer);
+      expect(await provider.stat(fromBuffer)).to.be.null;
+      try {
+        await provider.getStream(fromBuffer);
+        expect.fail('reading a deleted object should fail');
+      } catch (error) {
+        expect(error.status).to.equal(404);
+      }
+      expect((await provider.diagnose()).provider).to.equal(provider.name);
+    });
+  }
+
+  it('LocalDiskProvider should reject ids that are not object ids', async () => {
+    const provider = new LocalDiskProvider(dir);
+    try {
+      await provider.getStream({ fileId: '../metadata.log' });
+      expect.fail('path traversal should be rejected');
+    } catch (error) {
+      expect(error.status).to.equal(400);
+    }
+  });
+
+  it('should store chunked files through a non-Telegram provider without a chat index', async () => {
+    const storage = createBucketStorage({ name: 'offline', driver: 'memory', chatId: 'memory:offline' }, {});
+    storage.chunkConfig.chunkSize = 4;
+
+    const result = await storage.uploadFile(Buffer.from('0123456789'), 'big.bin', { folder: '/a' });
+    const fileInfo = await storage.getFileInfo(result.fileId);
+    expect(fileInfo).to.include({ chunked: true, partCount: 3, folder: '/a' });
+    expect(await readAll(await storage.createDownloadStream(fileInfo, { start: 2, end: 8 }))).to.equal('2345678');
+    expect(await storage.chatIndex.getPending()).to.deep.equal([]);
+
+    await storage.deleteFile(result.messageId);
+    expect(await storage.listFiles()).to.deep.equal([]);
+    expect(storage.provider.objects.size).to.equal(0);
+  });
+
+  it('should pick the provider from the bucket driver', async () => {
+    expect(createStorageProvider({ name: 'a', driver: 'memory' }, {}))
+      .to.equal(createStorageProvider({ name: 'a', driver: 'memory' }, {}));
+    expect(createStorageProvider({ name: 'b', driver: 'local' }, { STORAGE_LOCAL_PATH: dir }).root)
+      .to.equal(path.join(dir, 'b'));
+    expect(createStorageProvider({ name: 'c', driver: 'telegram', chatId: '-100' }, { TELEGRAM_BOT_TOKEN: '1:x' }))
+      .to.be.instanceOf(TelegramProvider);
+    expect(() => createStorageProvider({ name: 'd', driver: 'telegram', chatId: '-100' }, {})).to.throw('TELEGRAM_BOT_TOKEN');
+    expect(() => createStorageProvider({ name: 'e', driver: 'ftp' }, {})).to.throw('未知的存储驱动');
+
+    const bucket = await new BucketStore().create({ name: 'demo', driver: 'memory' });
+    expect(bucket).to.include({ driver: 'memory', chatId: 'memory:demo' });
+  });
+});
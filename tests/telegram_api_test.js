@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  HOSTED_LIMITS,
+  LOCAL_LIMITS,
+  getTelegramApiConfig,
+  getTelegramLimits
+} = require('../src/telegram_api');
+const { BotPool } = require('../src/bot_pool');
+const { TelegramProvider } = require('../src/storage_telegram');
+const { TelegramStorage } = require('../src/telegram_storage');
+const { redisClient } = require('../src/redis_client');
+
+/**
+ * 读取流的全部内容
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('TelegramApi', () => {
+  let dir;
+
+  beforeEach(() => {
+    redisClient.adapter.clear();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tgnb-bot-api-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should read the Bot API server and limits from env', () => {
+    expect(getTelegramApiConfig({})).to.deep.equal({ baseApiUrl: 'https://api.telegram.org', local: false, selfHosted: false });
+    const config = getTelegramApiConfig({ TELEGRAM_API_URL: 'http://localhost:8081/', TELEGRAM_API_LOCAL: 'true' });
+    expect(config).to.deep.equal({ baseApiUrl: 'http://localhost:8081', local: true, selfHosted: true });
+
+    expect(getTelegramLimits(config)).to.equal(LOCAL_LIMITS);
+    expect(getTelegramLimits({ local: false })).to.equal(HOSTED_LIMITS);
+    expect(LOCAL_LIMITS.CHUNK_SIZE).to.be.below(LOCAL_LIMITS.MAX_UPLOAD_SIZE);
+    expect(HOSTED_LIMITS.CHUNK_SIZE).to.be.below(HOSTED_LIMITS.MAX_DOWNLOAD_SIZE);
+  });
+
+  it('should read documents from the local disk in --local mode', async () => {
+    const filePath = path.join(dir, 'documents', 'file_1.txt');
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, '0123456789');
+
+    const client = {
+      getFile: sinon.stub().resolves({ file_id: 'doc_1', file_path: filePath }),
+      getFileLink: sinon.stub().rejects(new Error('should not build an HTTP link'))
+    };
+    const provider = new TelegramProvider({ chatId: 'chat', bots: new BotPool([{ token: '1:a', client }]) });
+
+    expect(await provider.getFileLink('doc_1')).to.match(/^file:\/\//);
+    expect(await readAll(await provider.getStream({ fileId: 'doc_1' }))).to.equal('0123456789');
+    expect(await readAll(await provider.getStream({ fileId: 'doc_1' }, { start: 2, end: 4 }))).to.equal('234');
+    expect(client.getFileLink.called).to.be.false;
+
+    fs.rmSync(filePath);
+    try {
+      await provider.getStream({ fileId: 'doc_1' });
+      expect.fail('missing local files should fail');
+    } catch (error) {
+      expect(error.status).to.equal(404);
+    }
+  });
+
+  it('should refuse documents above the download limit of the current server', async () => {
+    const storage = new TelegramStorage({
+      botToken: 'test_token',
+      chatId: 'api_test',
+      telegramClient: {},
+      limits: HOSTED_LIMITS
+    });
+    expect(storage.chunkConfig.chunkSize).to.equal(HOSTED_LIMITS.CHUNK_SIZE);
+
+    try {
+      await storage.createDownloadStream({ fileId: 'big', fileSize: 100 * 1024 * 1024 });
+      expect.fail('large documents cannot be downloaded from the hosted Bot API');
+    } catch (error) {
+      expect(error.status).to.equal(413);
+    }
+  });
+});
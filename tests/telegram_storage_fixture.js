@@ -0,0 +1,27 @@
+const sinon = require('sinon');
+const { TelegramStorage } = require('../src/telegram_storage');
+const { redisClient } = require('../src/redis_client');
+
+// 清空内存 Redis 并创建一个使用模拟 Telegram 客户端的存储实例，消息ID 从 firstMessageId 之后递增
+function createMockStorage({ firstMessageId, chatPrefix, ...options }) {
+  redisClient.adapter.clear();
+  let nextMessageId = firstMessageId;
+  const telegramClient = {
+    sendDocument: sinon.stub().callsFake(async () => {
+      nextMessageId++;
+      return { message_id: nextMessageId, document: { file_id: `doc_${nextMessageId}` } };
+    }),
+    deleteMessage: sinon.stub().resolves(true),
+    editMessageCaption: sinon.stub().resolves(true),
+    getUpdates: sinon.stub().resolves([])
+  };
+  const storage = new TelegramStorage({
+    botToken: 'test_token',
+    chatId: `${chatPrefix}_${Date.now()}`,
+    telegramClient,
+    ...options
+  });
+  return { storage, telegramClient };
+}
+
+module.exports = { createMockStorage };
@@ -1,7 +1,10 @@
 const { describe, it, beforeEach, afterEach } = require('mocha');
 const { expect } = require('chai');
 const sinon = require('sinon');
+const { Readable } = require('stream');
+const crypto = require('crypto');
 const { TelegramStorage } = require('../src/telegram_storage');
+const { redisClient } = require('../src/redis_client');
 
 describe('TelegramStorage', () => {
   let telegramStorage;
@@ -83,4 +86,284 @@ describe('TelegramStorage', () => {
     expect(mockTelegramBot.deleteMessage.firstCall.args[1]).to.equal(messageId);
     expect(result).to.be.true;
   });
-});
\ No newline at end of file
+
+  it('should split files larger than the chunk size into parts', async () => {
+    let messageId = 200;
+    mockTelegramBot.sendDocument = sinon.stub().callsFake(async () => {
+      messageId++;
+      return { message_id: messageId, document: { file_id: `part_${messageId}` } };
+    });
+    telegramStorage.chunkConfig.chunkSize = 8;
+
+    const fileBuffer = Buffer.from('0123456789abcdefghij'); // 20 bytes -> 3 parts
+    const result = await telegramStorage.uploadFile(fileBuffer, 'large.bin');
+
+    expect(mockTelegramBot.sendDocument.callCount).to.equal(3);
+    expect(mockTelegramBot.sendDocument.firstCall.args[3].filename).to.equal('large.bin.part001of003');
+    expect(result.fileId).to.match(/^chunked_/);
+    expect(result.messageId).to.equal('201');
+
+    const manifest = await telegramStorage.getChunkManifest(result.fileId);
+    expect(manifest.parts.map(part => part.size)).to.deep.equal([8, 8, 4]);
+
+    const fileInfo = await telegramStorage.getFileInfo(result.fileId);
+    expect(fileInfo).to.include({ chunked: true, partCount: 3, fileSize: 20, fileName: 'large.bin' });
+  });
+
+  it('should delete every part of a chunked file', async () => {
+    let messageId = 300;
+    mockTelegramBot.sendDocument = sinon.stub().callsFake(async () => {
+      messageId++;
+      return { message_id: messageId, document: { file_id: `part_${messageId}` } };
+    });
+    mockTelegramBot.deleteMessage = sinon.stub().resolves(true);
+    telegramStorage.chunkConfig.chunkSize = 8;
+
+    const result = await telegramStorage.uploadFile(Buffer.alloc(17), 'parts.bin');
+    await telegramStorage.deleteFile(result.messageId);
+
+    expect(mockTelegramBot.deleteMessage.callCount).to.equal(3);
+    expect(mockTelegramBot.deleteMessage.args.map(args => args[1])).to.deep.equal(['301', '302', '303']);
+
+    try {
+      await telegramStorage.getChunkManifest(result.fileId);
+      expect.fail('manifest should have been removed');
+    } catch (error) {
+      expect(error.message).to.equal('分片清单未找到');
+    }
+  });
+
+  describe('deduplication', () => {
+    beforeEach(() => {
+      // 相同内容会被去重，每个用例从空的内存存储开始
+      redisClient.adapter.clear();
+      let messageId = 500;
+      mockTelegramBot.sendDocument = sinon.stub().callsFake(async () => {
+        messageId++;
+        return { message_id: messageId, document: { file_id: `doc_${messageId}` } };
+      });
+      mockTelegramBot.deleteMessage = sinon.stub().resolves(true);
+    });
+
+    it('should reference the existing document instead of sending it again', async () => {
+      const first = await telegramStorage.uploadFile(Buffer.from('same pdf'), 'a.pdf');
+      const second = await telegramStorage.uploadFile(Buffer.from('same pdf'), 'copy of a.pdf', { folder: '/backup' });
+
+      expect(mockTelegramBot.sendDocument.callCount).to.equal(1);
+      expect(second).to.include({ deduplicated: true, sha256: first.sha256 });
+      expect(second.fileId).to.not.equal(first.fileId);
+
+      const copy = await telegramStorage.getFileInfo(second.fileId);
+      expect(copy).to.include({ fileName: 'copy of a.pdf', folder: '/backup', sourceFileId: first.fileId });
+      expect((await telegramStorage.blobs.find(first.sha256)).fileId).to.equal(first.fileId);
+    });
+
+    it('should drop the streamed copy when the content already exists', async () => {
+      const first = await telegramStorage.uploadFile(Buffer.from('streamed twice'), 'a.txt');
+      const second = await telegramStorage.uploadFile(Readable.from([Buffer.from('streamed twice')]), 'b.txt');
+
+      expect(second.deduplicated).to.be.true;
+      expect(mockTelegramBot.deleteMessage.args.map(args => args[1])).to.deep.equal(['502']);
+      expect((await telegramStorage.getFileInfo(second.fileId)).sourceFileId).to.equal(first.fileId);
+    });
+
+    it('should delete the Telegram message only with the last reference', async () => {
+      const first = await telegramStorage.uploadFile(Buffer.from('shared'), 'a.txt');
+      const second = await telegramStorage.uploadFile(Buffer.from('shared'), 'b.txt');
+
+      await telegramStorage.deleteFile(first.messageId);
+      expect(mockTelegramBot.deleteMessage.called).to.be.false;
+      expect((await telegramStorage.listFiles()).map(file => file.fileId)).to.deep.equal([second.fileId]);
+
+      await telegramStorage.deleteFile(second.messageId);
+      expect(mockTelegramBot.deleteMessage.args.map(args => args[1])).to.deep.equal(['501']);
+      expect(await telegramStorage.blobs.find(first.sha256)).to.be.null;
+    });
+
+    it('should keep the reference count when deleting the message fails', async () => {
+      const first = await telegramStorage.uploadFile(Buffer.from('flaky'), 'a.txt');
+      telegramStorage.retryConfig.maxRetries = 1;
+      mockTelegramBot.deleteMessage = sinon.stub().rejects(new Error('Bad Request'));
+
+      try {
+        await telegramStorage.deleteFile(first.messageId);
+        expect.fail('delete should have failed');
+      } catch (error) {
+        expect(error.message).to.include('Bad Request');
+      }
+
+      mockTelegramBot.deleteMessage = sinon.stub().resolves(true);
+      await telegramStorage.deleteFile(first.messageId);
+      expect(mockTelegramBot.deleteMessage.calledOnce).to.be.true;
+      expect(await telegramStorage.blobs.find(first.sha256)).to.be.null;
+    });
+  });
+
+  describe('file details', () => {
+    it('should rename a file and sync the caption', async () => {
+      mockTelegramBot.sendDocument = sinon.stub().resolves({
+        message_id: 777,
+        document: { file_id: 'rename_file_id', file_size: 5 }
+      });
+      mockTelegramBot.editMessageCaption = sinon.stub().resolves(true);
+      await telegramStorage.uploadFile(Buffer.from('hello'), 'typo.txt', { folder: '/docs' });
+
+      const updated = await telegramStorage.updateFileDetails('rename_file_id', {
+        fileName: 'fixed.txt',
+        description: '季度报告',
+        tags: ['invoice', '2026-Q3']
+      });
+
+      expect(updated).to.include({ fileName: 'fixed.txt', originalFileName: 'typo.txt', description: '季度报告' });
+      expect(updated.tags).to.deep.equal(['invoice', '2026-Q3']);
+      expect((await telegramStorage.getFileInfo('rename_file_id')).fileName).to.equal('fixed.txt');
+      const listed = (await telegramStorage.listFiles()).filter(file => file.fileId === 'rename_file_id');
+      expect(listed).to.have.length(1);
+      expect(listed[0].fileName).to.equal('fixed.txt');
+
+      const [caption, options] = mockTelegramBot.editMessageCaption.firstCall.args;
+      expect(caption).to.equal('#tgnb\nname: fixed.txt\nfolder: /docs\ntags: invoice, 2026-Q3\ndescription: 季度报告');
+      expect(options).to.deep.equal({ chat_id: 'test_chat_id', message_id: '777' });
+    });
+
+    it('should keep both changes when a file is updated concurrently', async () => {
+      mockTelegramBot.sendDocument = sinon.stub().resolves({
+        message_id: 778,
+        document: { file_id: 'concurrent_file_id', file_size: 5 }
+      });
+      await telegramStorage.uploadFile(Buffer.from('draft'), 'draft.txt');
+
+      // 两个请求读取到同一个条目，后提交的请求需要重新读取并合并
+      await Promise.all([
+        telegramStorage.updateFileRecord('concurrent_file_id', { fileName: 'final.txt' }),
+        telegramStorage.updateFileRecord('concurrent_file_id', { description: '终稿' })
+      ]);
+
+      const listed = (await telegramStorage.listFiles()).filter(file => file.fileId === 'concurrent_file_id');
+      expect(listed).to.have.length(1);
+      expect(listed[0]).to.include({ fileName: 'final.txt', description: '终稿' });
+      expect(await telegramStorage.getFileInfo('concurrent_file_id')).to.include({ fileName: 'final.txt', description: '终稿' });
+    });
+  });
+
+  describe('sync metadata', () => {
+    it('should restore folder, name, tags and description from captions', async () => {
+      mockTelegramBot.getUpdates = sinon.stub().resolves([{
+        message: {
+          message_id: 901,
+          date: 1700000000,
+          chat: { id: 'sync_chat' },
+          caption: '#tgnb\nname: report.pdf\nfolder: /work/2026\ntags: invoice, design\ndescription: 年度总结',
+          document: { file_id: 'sync_doc', file_name: 'scan.pdf', file_size: 10 }
+        }
+      }]);
+      const storage = new TelegramStorage({ botToken: 'test_token', chatId: 'sync_chat', telegramClient: mockTelegramBot });
+
+      const [file] = await storage.syncFilesFromTelegram();
+
+      expect(file).to.include({
+        fileName: 'report.pdf',
+        originalFileName: 'scan.pdf',
+        folder: '/work/2026',
+        description: '年度总结'
+      });
+      expect(file.tags).to.deep.equal(['invoice', 'design']);
+      expect((await storage.folders.listFolders()).map(folder => folder.path)).to.deep.equal(['/work', '/work/2026']);
+    });
+  });
+
+  describe('ranged download', () => {
+    it('should map a range onto the covered parts', () => {
+      const parts = [
+        { fileId: 'p0', size: 10 },
+        { fileId: 'p1', size: 10 },
+        { fileId: 'p2', size: 5 }
+      ];
+
+      expect(telegramStorage.getPartSegments(parts, { start: 5, end: 14 })).to.deep.equal([
+        { fileId: 'p0', range: { start: 5, end: 9 } },
+        { fileId: 'p1', range: { start: 0, end: 4 } }
+      ]);
+      expect(telegramStorage.getPartSegments(parts, { start: 10, end: 24 })).to.deep.equal([
+        { fileId: 'p1', range: null },
+        { fileId: 'p2', range: null }
+      ]);
+    });
+
+    it('should slice locally when the file server ignores Range', async () => {
+      const source = Readable.from([Buffer.from('0123'), Buffer.from('4567'), Buffer.from('89')]);
+      const chunks = [];
+      for await (const chunk of telegramStorage.provider.sliceStream(source, 3, 5)) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).to.equal('34567');
+    });
+  });
+
+  describe('streaming upload', () => {
+    let received;
+
+    beforeEach(() => {
+      // 避免与前面用例上传过的相同内容去重
+      redisClient.adapter.clear();
+      let messageId = 400;
+      received = [];
+      // 模拟 Telegram 请求：完整读取流后返回消息
+      mockTelegramBot.sendDocument = sinon.stub().callsFake(async (chatId, stream, options, fileOptions) => {
+        const chunks = [];
+        for await (const chunk of stream) {
+          chunks.push(chunk);
+        }
+        messageId++;
+        received.push({ filename: fileOptions.filename, content: Buffer.concat(chunks).toString() });
+        return { message_id: messageId, document: { file_id: `stream_${messageId}` } };
+      });
+    });
+
+    it('should upload a Readable as a single document and hash it on the way', async () => {
+      const content = 'streamed file content';
+      const result = await telegramStorage.uploadFile(Readable.from([Buffer.from(content)]), 'stream.txt');
+
+      expect(received).to.deep.equal([{ filename: 'stream.txt', content }]);
+      expect(result.fileSize).to.equal(content.length);
+      expect(result.sha256).to.equal(crypto.createHash('sha256').update(content).digest('hex'));
+    });
+
+    it('should split a Readable into parts when the declared size exceeds the chunk size', async () => {
+      telegramStorage.chunkConfig.chunkSize = 8;
+      const source = Readable.from([Buffer.from('0123456'), Buffer.from('789abcdefghij')]);
+
+      const result = await telegramStorage.uploadFile(source, 'stream.bin', { fileSize: 20 });
+
+      expect(received.map(part => part.content)).to.deep.equal(['01234567', '89abcdef', 'ghij']);
+      expect(received[2].filename).to.equal('stream.bin.part003of003');
+      expect(result.fileId).to.match(/^chunked_/);
+      expect(result.fileSize).to.equal(20);
+    });
+
+    it('should reject an undeclared stream larger than the chunk size', async () => {
+      telegramStorage.chunkConfig.chunkSize = 8;
+
+      try {
+        await telegramStorage.uploadFile(Readable.from([Buffer.from('01234'), Buffer.from('56789')]), 'big.bin');
+        expect.fail('upload should have failed');
+      } catch (error) {
+        expect(error.status).to.equal(413);
+      }
+      expect(await redisClient.lrange(telegramStorage.key(`files:${telegramStorage.chatId}`))).to.deep.equal([]);
+    });
+
+    it('should reject and clean up when the stream is shorter than declared', async () => {
+      telegramStorage.chunkConfig.chunkSize = 8;
+      mockTelegramBot.deleteMessage = sinon.stub().resolves(true);
+
+      try {
+        await telegramStorage.uploadFile(Readable.from([Buffer.from('0123456789')]), 'short.bin', { fileSize: 20 });
+        expect.fail('upload should have failed');
+      } catch (error) {
+        expect(error.message).to.include('文件大小不匹配');
+      }
+      expect(mockTelegramBot.deleteMessage.callCount).to.equal(2);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,135 @@
+const { describe, it, beforeEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const { Readable, PassThrough } = require('stream');
+const { validateThumbnail, readThumbnail, MAX_THUMBNAIL_SIZE } = require('../src/thumbnails');
+const { createBucketStorage, TelegramProvider } = require('../src/storage_provider');
+const { BotPool } = require('../src/bot_pool');
+const { buckets } = require('../src/bucket_store');
+const { TelegramStorage } = require('../src/telegram_storage');
+const { redisClient } = require('../src/redis_client');
+const thumbnailHandler = require('../pages/api/files/[messageId]/thumbnail.js').default;
+
+// 最短的合法 JPEG 开头
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+/**
+ * 读取流的全部内容
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 断言 Promise 以指定状态码失败
+ */
+async function expectStatus(promise, status) {
+  try {
+    await promise;
+    expect.fail(`should fail with ${status}`);
+  } catch (error) {
+    expect(error.status).to.equal(status);
+  }
+}
+
+describe('Thumbnails', () => {
+  beforeEach(() => {
+    redisClient.adapter.clear();
+  });
+
+  it('should only accept JPEG thumbnails up to the size limit', async () => {
+    expect(validateThumbnail(JPEG)).to.equal(JPEG);
+    expect(() => validateThumbnail(Buffer.alloc(0))).to.throw('为空');
+    expect(() => validateThumbnail(Buffer.from('PNG'))).to.throw('JPEG');
+
+    expect(await readThumbnail(Readable.from([JPEG.subarray(0, 2), JPEG.subarray(2)]))).to.deep.equal(JPEG);
+    const tooLarge = Readable.from([JPEG, Buffer.alloc(MAX_THUMBNAIL_SIZE)]);
+    await expectStatus(readThumbnail(tooLarge), 413);
+    expect(tooLarge.readableEnded).to.be.true;
+  });
+
+  it('should keep thumbnails of plain uploads and share them with duplicates', async () => {
+    const storage = createBucketStorage({ name: 'thumbs', driver: 'memory', chatId: 'memory:thumbs' }, {});
+    const single = await storage.uploadFile(Buffer.from('photo'), 'a.jpg', { thumbnail: JPEG });
+    const file = await storage.findFileByMessageId(single.messageId);
+    expect(file.thumbFileId).to.be.a('string');
+    expect(await readAll(await storage.createThumbnailStream(file))).to.deep.equal(JPEG);
+
+    const duplicate = await storage.uploadFile(Buffer.from('photo'), 'b.jpg');
+    expect((await storage.findFileByMessageId(duplicate.messageId)).thumbFileId).to.equal(file.thumbFileId);
+
+    storage.chunkConfig.chunkSize = 4;
+    const chunked = await storage.uploadFile(Buffer.from('0123456789'), 'clip.mp4', { thumbnail: JPEG });
+    const chunkedFile = await storage.findFileByMessageId(chunked.messageId);
+    expect(chunkedFile.chunked).to.be.true;
+    expect(await readAll(await storage.createThumbnailStream(chunkedFile))).to.deep.equal(JPEG);
+
+    const encrypted = await storage.uploadFile(Buffer.from('secret'), 'c.enc', {
+      thumbnail: JPEG,
+      encryption: { version: 1 }
+    });
+    const encryptedFile = await storage.findFileByMessageId(encrypted.messageId);
+    expect(encryptedFile.thumbFileId).to.be.undefined;
+    await expectStatus(storage.createThumbnailStream(encryptedFile), 404);
+  });
+
+  it('should send thumbnails to Telegram as a file and record the returned thumb', async () => {
+    let sentThumb = null;
+    const client = {
+      sendDocument: sinon.stub().callsFake(async (chatId, content, options) => {
+        sentThumb = fs.readFileSync(options.thumb);
+        return { message_id: 7, document: { file_id: 'doc_7', thumbnail: { file_id: 'thumb_7' } } };
+      })
+    };
+    const provider = new TelegramProvider({ chatId: 'chat', bots: new BotPool([{ token: '1:a', client }]) });
+
+    const result = await provider.put(Buffer.from('photo'), { fileName: 'a.jpg', thumbnail: JPEG });
+    expect(result).to.include({ fileId: 'doc_7', messageId: '7', thumbFileId: 'thumb_7' });
+    expect(sentThumb).to.deep.equal(JPEG);
+    expect(fs.existsSync(client.sendDocument.firstCall.args[2].thumb)).to.be.false;
+  });
+
+  it('should serve a thumbnail by file ID and cache it only for the current thumbnail', async () => {
+    const bucket = await buckets.create({ name: 'thumbroute', driver: 'memory' });
+    const storage = createBucketStorage(bucket);
+    const uploaded = await storage.uploadFile(Buffer.from('route photo'), 'b.jpg', { thumbnail: JPEG });
+    const file = await storage.getFileInfo(uploaded.fileId);
+    const listFiles = sinon.spy(TelegramStorage.prototype, 'listFiles');
+
+    const request = async (query) => {
+      const res = new PassThrough();
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      Object.assign(res, { statusCode: 200, headers: {} });
+      res.setHeader = (name, value) => {
+        res.headers[name.toLowerCase()] = value;
+      };
+      res.status = (code) => {
+        res.statusCode = code;
+        return res;
+      };
+      res.json = () => res.end();
+      const finished = new Promise(resolve => res.on('finish', resolve));
+      await thumbnailHandler({ method: 'GET', headers: {}, query: { bucket: 'thumbroute', messageId: file.messageId, ...query } }, res);
+      await finished;
+      return { status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) };
+    };
+
+    const current = await request({ fileId: file.fileId, thumb: file.thumbFileId });
+    expect(current.status).to.equal(200);
+    expect(current.body).to.deep.equal(JPEG);
+    expect(current.headers['cache-control']).to.include('immutable');
+    // 地址中的缩略图ID已经过时，只能通过 ETag 重新验证
+    expect((await request({ fileId: file.fileId, thumb: 'old-thumb' })).headers['cache-control']).to.equal('no-cache');
+    expect(listFiles.called).to.be.false;
+    listFiles.restore();
+
+    expect((await request({ fileId: 'missing' })).status).to.equal(404);
+    expect((await request({})).status).to.equal(400);
+  });
+});
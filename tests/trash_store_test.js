@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { getTrashRetentionDays, getRequestActor } = require('../src/trash_store');
+const { createMockStorage } = require('./telegram_storage_fixture');
+
+describe('TrashStore', () => {
+  let storage;
+  let mockTelegramBot;
+
+  beforeEach(() => {
+    ({ storage, telegramClient: mockTelegramBot } = createMockStorage({
+      firstMessageId: 700,
+      chatPrefix: 'trash_test'
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should move files to the trash and restore them into their folder', async () => {
+    const uploaded = await storage.uploadFile(Buffer.from('hello'), 'a.txt', { folder: '/docs' });
+    await storage.folders.deleteFolder('/docs', { recursive: true, deletedBy: 'admin' });
+
+    expect(await storage.listFiles()).to.deep.equal([]);
+    expect(mockTelegramBot.deleteMessage.called).to.be.false;
+    const [entry] = await storage.trash.list(7);
+    expect(entry.file).to.include({ fileId: uploaded.fileId, fileName: 'a.txt' });
+    expect(entry.deletedBy).to.equal('admin');
+    expect(new Date(entry.expiresAt) - new Date(entry.deletedAt)).to.equal(7 * 86400 * 1000);
+
+    await storage.restoreFile(uploaded.fileId);
+    const [restored] = await storage.listFiles();
+    expect(restored).to.include({ fileId: uploaded.fileId, folder: '/docs' });
+    expect((await storage.folders.listFolders()).map(folder => folder.path)).to.include('/docs');
+    expect(await storage.trash.list()).to.deep.equal([]);
+  });
+
+  it('should only delete messages when trashed files are purged', async () => {
+    const first = await storage.uploadFile(Buffer.from('one'), 'one.txt');
+    const second = await storage.uploadFile(Buffer.from('two'), 'two.txt');
+    await storage.trashFile(first.messageId, { deletedBy: '10.0.0.1' });
+    await storage.trashFile(second.messageId);
+
+    // 刚删除的文件还在保留期内
+    expect(await storage.purgeExpiredTrash({ retentionDays: 1 })).to.deep.equal({ purged: 0, failed: 0 });
+    expect(await storage.purgeExpiredTrash({ retentionDays: 0 })).to.deep.equal({ purged: 2, failed: 0 });
+    expect(mockTelegramBot.deleteMessage.args.map(args => args[1]).sort()).to.deep.equal([first.messageId, second.messageId]);
+    expect(await storage.trash.list()).to.deep.equal([]);
+
+    const third = await storage.uploadFile(Buffer.from('three'), 'three.txt');
+    await storage.trashFile(third.messageId);
+    mockTelegramBot.deleteMessage = sinon.stub().rejects(new Error('Bad Request'));
+    storage.retryConfig.maxRetries = 1;
+    expect(await storage.purgeTrash()).to.deep.equal({ purged: 0, failed: 1 });
+    expect(await storage.trash.list()).to.have.lengthOf(1);
+  });
+
+  it('should purge a few expired files after trashing and tolerate housekeeping failures', async () => {
+    const first = await storage.uploadFile(Buffer.from('one'), 'one.txt');
+    const second = await storage.uploadFile(Buffer.from('two'), 'two.txt');
+    const purge = sinon.spy(storage, 'purgeExpiredTrash');
+
+    expect((await storage.trashAndPurge(first.messageId, { deletedBy: 'admin' })).deletedBy).to.equal('admin');
+    expect(purge.firstCall.args[0]).to.deep.equal({ limit: 3 });
+
+    purge.restore();
+    sinon.stub(storage, 'purgeExpiredTrash').rejects(new Error('Bad Request'));
+    expect((await storage.trashAndPurge(second.messageId)).file.fileId).to.equal(second.fileId);
+    expect(await storage.trash.list()).to.have.lengthOf(2);
+  });
+
+  it('should reject files that are not in the trash', async () => {
+    try {
+      await storage.trashFile('404');
+      expect.fail('missing files should not be trashed');
+    } catch (error) {
+      expect(error.status).to.equal(404);
+    }
+    try {
+      await storage.purgeFile('missing');
+      expect.fail('missing trash entries should not be purged');
+    } catch (error) {
+      expect(error.status).to.equal(404);
+    }
+  });
+
+  it('should read the retention and the deleting user', () => {
+    expect(getTrashRetentionDays({})).to.equal(30);
+    expect(getTrashRetentionDays({ TRASH_RETENTION_DAYS: '7' })).to.equal(7);
+    expect(getTrashRetentionDays({ TRASH_RETENTION_DAYS: 'soon' })).to.equal(30);
+
+    const token = Buffer.from(JSON.stringify({ username: 'admin', timestamp: Date.now() })).toString('base64');
+    expect(getRequestActor({ headers: { authorization: `Bearer ${token}` } })).to.equal('admin');
+    expect(getRequestActor({ headers: { 'x-forwarded-for': '1.2.3.4, 10.0.0.1' } })).to.equal('1.2.3.4');
+    expect(getRequestActor({ headers: {}, socket: { remoteAddress: '127.0.0.1' } })).to.equal('127.0.0.1');
+  });
+});
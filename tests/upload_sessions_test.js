@@ -0,0 +1,213 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { UploadSessionStore, uploadSessions, TUS_VERSION } = require('../src/upload_sessions');
+const { buckets } = require('../src/bucket_store');
+const { createBucketStorage } = require('../src/storage_provider');
+const { redisClient } = require('../src/redis_client');
+const handler = require('../pages/api/uploads/[uploadId].js').default;
+const thumbnailHandler = require('../pages/api/uploads/[uploadId]/thumbnail.js').default;
+
+/**
+ * 创建 tus 请求，请求体为给定的数据
+ */
+function createRequest(method, uploadId, { offset, body = '' } = {}) {
+  const req = Readable.from(body ? [Buffer.from(body)] : []);
+  req.method = method;
+  req.query = { uploadId };
+  req.headers = {
+    'tus-resumable': TUS_VERSION,
+    'content-type': 'application/offset+octet-stream'
+  };
+  if (offset !== undefined) {
+    req.headers['upload-offset'] = String(offset);
+  }
+  return req;
+}
+
+/**
+ * 记录状态码和响应头的响应对象
+ */
+function createResponse() {
+  const res = { statusCode: null, headers: {}, writableEnded: false };
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.end = () => {
+    res.writableEnded = true;
+    return res;
+  };
+  return res;
+}
+
+/**
+ * 调用 tus 会话API
+ */
+async function send(method, uploadId, options) {
+  const res = createResponse();
+  await handler(createRequest(method, uploadId, options), res);
+  return res;
+}
+
+describe('UploadSessionStore', () => {
+  let store;
+  let tempDir;
+
+  beforeEach(() => {
+    redisClient.adapter.clear();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tgnb-upload-test-'));
+    store = new UploadSessionStore({ tempDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should create a session and resume appending from the stored offset', async () => {
+    const session = await store.create({ length: 10, metadata: { filename: 'a.txt' } });
+    expect(session).to.include({ offset: 0, status: 'uploading' });
+    expect(await store.get(session.uploadId)).to.deep.equal(session);
+
+    const first = await store.append(session, Readable.from([Buffer.from('01234')]));
+    expect(first).to.include({ offset: 5, status: 'uploading' });
+
+    const last = await store.append(await store.get(session.uploadId), Readable.from([Buffer.from('56789')]));
+    expect(last).to.include({ offset: 10, status: 'finalizing' });
+    expect(fs.readFileSync(store.getTempPath(session.uploadId), 'utf8')).to.equal('0123456789');
+  });
+
+  it('should reject data beyond the declared length', async () => {
+    const session = await store.create({ length: 4, metadata: {} });
+    try {
+      await store.append(session, Readable.from([Buffer.from('012345')]));
+      expect.fail('append should have failed');
+    } catch (error) {
+      expect(error.session.offset).to.be.at.most(4);
+    }
+  });
+
+  it('should allow only one lock holder per upload', async () => {
+    const session = await store.create({ length: 4, metadata: {} });
+    const token = await store.lock(session.uploadId);
+    expect(token).to.be.a('string');
+    expect(await store.lock(session.uploadId)).to.be.null;
+    await store.unlock(session.uploadId, token);
+    expect(await store.lock(session.uploadId)).to.be.a('string');
+  });
+
+  it('should not release a lock held by another request', async () => {
+    const session = await store.create({ length: 4, metadata: {} });
+    const stale = await store.lock(session.uploadId);
+    // 锁过期后被下一个请求获得，之前的持有者结束时不能释放它
+    await redisClient.del(`upload-lock:${session.uploadId}`);
+    const current = await store.lock(session.uploadId);
+
+    await store.unlock(session.uploadId, stale);
+    expect(await store.lock(session.uploadId)).to.be.null;
+    await store.unlock(session.uploadId, current);
+    expect(await store.lock(session.uploadId)).to.be.a('string');
+  });
+
+  it('should sweep temp files of expired sessions', async () => {
+    const abandoned = await store.create({ length: 4, metadata: {} });
+    await store.saveThumbnail(abandoned, Buffer.from('jpeg'));
+    const active = await store.create({ length: 4, metadata: {} });
+    await redisClient.del(`upload:${abandoned.uploadId}`);
+
+    const later = Date.now() + 86400 * 1000;
+    expect(await store.sweepTempFiles(later)).to.equal(1);
+    expect(fs.existsSync(store.getTempPath(abandoned.uploadId))).to.be.false;
+    expect(fs.existsSync(store.getThumbnailPath(abandoned.uploadId))).to.be.false;
+    expect(fs.existsSync(store.getTempPath(active.uploadId))).to.be.true;
+    // 会话刚过期但文件还没有超过保留时间时不删除
+    await redisClient.del(`upload:${active.uploadId}`);
+    expect(await store.sweepTempFiles()).to.equal(0);
+  });
+
+  it('should keep the result of a completed upload after removing its temp file', async () => {
+    const session = await store.create({ length: 4, metadata: {} });
+    await store.complete(session, { fileId: 'file_1', messageId: '100' });
+
+    expect(fs.existsSync(store.getTempPath(session.uploadId))).to.be.false;
+    expect(await store.get(session.uploadId)).to.include({ status: 'completed' })
+      .and.to.have.deep.property('result', { fileId: 'file_1', messageId: '100' });
+  });
+});
+
+describe('tus upload routes', () => {
+  let bucket;
+
+  beforeEach(async () => {
+    redisClient.adapter.clear();
+    bucket = await buckets.create({ name: 'tus', driver: 'memory' });
+  });
+
+  /**
+   * 已保存到存储桶的文件记录
+   */
+  async function storedFiles() {
+    const storage = createBucketStorage(bucket);
+    return redisClient.lrange(storage.key(`files:${storage.chatId}`));
+  }
+
+  it('should report the offset and reject a mismatched offset', async () => {
+    const session = await uploadSessions.create({ length: 10, metadata: { filename: 'a.txt', bucket: 'tus' } });
+
+    const head = await send('HEAD', session.uploadId);
+    expect(head.statusCode).to.equal(200);
+    expect(head.headers).to.include({ 'upload-offset': 0, 'upload-length': 10 });
+
+    const mismatch = await send('PATCH', session.uploadId, { offset: 3, body: '3456' });
+    expect(mismatch.statusCode).to.equal(409);
+    expect(mismatch.headers['upload-offset']).to.equal(0);
+
+    expect((await send('HEAD', 'f'.repeat(32))).statusCode).to.equal(404);
+    await uploadSessions.remove(session.uploadId);
+  });
+
+  it('should resume and finalize an upload once', async () => {
+    const session = await uploadSessions.create({ length: 10, metadata: { filename: 'a.txt', bucket: 'tus' } });
+
+    const first = await send('PATCH', session.uploadId, { offset: 0, body: '01234' });
+    expect(first.statusCode).to.equal(204);
+    expect(first.headers['upload-offset']).to.equal(5);
+    expect((await send('HEAD', session.uploadId)).headers['upload-offset']).to.equal(5);
+
+    const last = await send('PATCH', session.uploadId, { offset: 5, body: '56789' });
+    expect(last.statusCode).to.equal(204);
+    expect(last.headers['x-file-id']).to.be.a('string');
+
+    // 最后一块数据的响应丢失后重发，返回已保存的文件而不是再保存一次
+    const retry = await send('PATCH', session.uploadId, { offset: 5, body: '56789' });
+    expect(retry.statusCode).to.equal(204);
+    expect(retry.headers).to.include({ 'upload-offset': 10, 'x-file-id': last.headers['x-file-id'] });
+    expect((await send('HEAD', session.uploadId)).headers['x-file-id']).to.equal(last.headers['x-file-id']);
+    expect(await storedFiles()).to.have.length(1);
+  });
+
+  it('should reject a concurrent request while the upload is locked', async () => {
+    const session = await uploadSessions.create({ length: 10, metadata: { filename: 'a.txt', bucket: 'tus' } });
+    const token = await uploadSessions.lock(session.uploadId);
+
+    const res = await send('PATCH', session.uploadId, { offset: 0, body: '01234' });
+    expect(res.statusCode).to.equal(423);
+    expect((await uploadSessions.get(session.uploadId)).offset).to.equal(0);
+
+    // 提交缩略图同样需要持有锁
+    const req = createRequest('PUT', session.uploadId, { body: 'jpeg' });
+    req.headers['content-type'] = 'image/jpeg';
+    const thumbnail = createResponse();
+    await thumbnailHandler(req, thumbnail);
+    expect(thumbnail.statusCode).to.equal(423);
+
+    await uploadSessions.unlock(session.uploadId, token);
+    await uploadSessions.remove(session.uploadId);
+  });
+});
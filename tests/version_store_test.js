@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { normalizeVersioningPolicy, getVersioningFromEnv, selectExpiredVersions } = require('../src/version_store');
+const { createMockStorage } = require('./telegram_storage_fixture');
+
+describe('VersionStore', () => {
+  let storage;
+  let mockTelegramBot;
+
+  beforeEach(() => {
+    ({ storage, telegramClient: mockTelegramBot } = createMockStorage({
+      firstMessageId: 800,
+      chatPrefix: 'version_test',
+      versioning: { enabled: true, keepLast: null, keepDays: null }
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should keep earlier uploads of the same path as versions', async () => {
+    const first = await storage.uploadFile(Buffer.from('v1'), 'report.xlsx', { folder: '/docs' });
+    await storage.updateFileDetails(first.fileId, { tags: ['finance'] });
+    const second = await storage.uploadFile(Buffer.from('v2'), 'report.xlsx', { folder: '/docs' });
+    await storage.uploadFile(Buffer.from('other'), 'report.xlsx', { folder: '/other' });
+
+    const files = await storage.listFiles();
+    expect(files).to.have.lengthOf(2);
+    const current = files.find(file => file.folder === '/docs');
+    expect(current).to.include({ fileId: second.fileId, lineageId: first.fileId, version: 2 });
+    expect(current.tags).to.deep.equal(['finance']);
+    expect(mockTelegramBot.deleteMessage.called).to.be.false;
+
+    const history = await storage.listVersions(second.fileId);
+    expect(history.versions.map(version => version.fileId)).to.deep.equal([first.fileId]);
+    expect((await storage.getVersionInfo(second.fileId, first.fileId)).messageId).to.equal(first.messageId);
+    expect((await storage.versions.getMessageIds()).has(first.messageId)).to.be.true;
+  });
+
+  it('should restore a version as the current file', async () => {
+    const first = await storage.uploadFile(Buffer.from('v1'), 'a.txt');
+    const second = await storage.uploadFile(Buffer.from('v2'), 'a.txt');
+
+    const restored = await storage.restoreVersion(second.fileId, first.fileId);
+    expect(restored).to.include({ fileId: first.fileId, version: 1 });
+    const [current] = await storage.listFiles();
+    expect(current.fileId).to.equal(first.fileId);
+
+    const history = await storage.listVersions(first.fileId);
+    expect(history.versions.map(version => version.fileId)).to.deep.equal([second.fileId]);
+
+    try {
+      await storage.restoreVersion(first.fileId, 'missing');
+      expect.fail('missing versions should not be restored');
+    } catch (error) {
+      expect(error.status).to.equal(404);
+    }
+  });
+
+  it('should prune versions beyond the folder policy and skip unversioned folders', async () => {
+    await storage.folders.createFolder('/keep');
+    await storage.versions.setFolderPolicy('/keep', { enabled: true, keepLast: 1 });
+    await storage.folders.createFolder('/plain');
+    await storage.versions.setFolderPolicy('/plain', false);
+
+    const first = await storage.uploadFile(Buffer.from('v1'), 'a.txt', { folder: '/keep' });
+    await storage.uploadFile(Buffer.from('v2'), 'a.txt', { folder: '/keep' });
+    const third = await storage.uploadFile(Buffer.from('v3'), 'a.txt', { folder: '/keep' });
+
+    const history = await storage.listVersions(third.fileId);
+    expect(history.current.version).to.equal(3);
+    expect(history.versions).to.have.lengthOf(1);
+    expect(mockTelegramBot.deleteMessage.calledWith(sinon.match.any, first.messageId)).to.be.true;
+
+    await storage.uploadFile(Buffer.from('x'), 'b.txt', { folder: '/plain' });
+    await storage.uploadFile(Buffer.from('y'), 'b.txt', { folder: '/plain' });
+    expect((await storage.listFiles()).filter(file => file.folder === '/plain')).to.have.lengthOf(2);
+
+    // 永久删除文件时一并删除历史版本
+    await storage.deleteFile(third.messageId);
+    expect(await storage.versions.getMessageIds()).to.have.property('size', 0);
+  });
+
+  it('should validate and apply versioning policies', () => {
+    expect(normalizeVersioningPolicy(null)).to.equal(null);
+    expect(normalizeVersioningPolicy(true)).to.deep.equal({ enabled: true, keepLast: null, keepDays: null });
+    expect(normalizeVersioningPolicy({ enabled: true, keepLast: '5', keepDays: '' }))
+      .to.deep.equal({ enabled: true, keepLast: 5, keepDays: null });
+    expect(() => normalizeVersioningPolicy({ enabled: true, keepLast: 1.5 })).to.throw('keepLast');
+    expect(() => normalizeVersioningPolicy('yes')).to.throw();
+
+    expect(getVersioningFromEnv({})).to.equal(null);
+    expect(getVersioningFromEnv({ FILE_VERSIONING: 'true', FILE_VERSIONS_KEEP_DAYS: '30' }))
+      .to.deep.equal({ enabled: true, keepLast: null, keepDays: 30 });
+
+    const now = Date.now();
+    const versions = [
+      { archivedAt: new Date(now - 86400 * 1000).toISOString() },
+      { archivedAt: new Date(now - 2 * 86400 * 1000).toISOString() },
+      { archivedAt: new Date(now - 10 * 86400 * 1000).toISOString() }
+    ];
+    expect(selectExpiredVersions(versions, { enabled: true, keepLast: 1 }, now)).to.deep.equal(versions.slice(1));
+    expect(selectExpiredVersions(versions, { enabled: true, keepLast: 1, keepDays: 5 }, now)).to.deep.equal([versions[2]]);
+    expect(selectExpiredVersions(versions, { enabled: true }, now)).to.deep.equal([]);
+  });
+});
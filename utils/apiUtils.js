@@ -125,6 +125,8 @@ export const fileAPI = {
   async uploadFile(file, onProgress) {
     try {
       const formData = new FormData();
+      // 文件大小需要在文件之前提交，服务端据此对大文件分片
+      formData.append('fileSize', String(file.size));
       formData.append('file', file);
 
       const response = await apiClient.post('/api/files', formData, {
@@ -7,7 +7,7 @@ import { AUTH_CONFIG } from '../constants/config';
 
 /**
  * 获取管理员凭据
- * 按优先级从不同来源获取：Vercel环境变量 -> .env.local -> Upstash Redis
+ * 按优先级从不同来源获取：Vercel环境变量 -> .env.local；此文件也会打包到浏览器端，不能引用元数据存储
  * @returns {Promise<{username: string, password: string}>}
  */
 export async function getAdminCredentials() {
@@ -20,24 +20,7 @@ export async function getAdminCredentials() {
       return { username: envUsername, password: envPassword };
     }
     
-    // 2. 从 Redis 获取（如果配置了 Redis）
-    if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
-      try {
-        const { getRedisClient } = await import('../src/redis_client.js');
-        const redis = getRedisClient();
-        
-        const redisUsername = await redis.get('admin:username');
-        const redisPassword = await redis.get('admin:password');
-        
-        if (redisUsername && redisPassword) {
-          return { username: redisUsername, password: redisPassword };
-        }
-      } catch (redisError) {
-        console.warn('Failed to get credentials from Redis:', redisError.message);
-      }
-    }
-    
-    // 3. 默认值（仅用于开发环境）
+    // 2. 默认值（仅用于开发环境）
     return {
       username: 'admin',
       password: 'admin123'
@@ -103,6 +86,19 @@ export function validateAuthToken(token) {
   }
 }
 
+/**
+ * 获取带有登录令牌的请求头
+ * 服务端用令牌中的用户名记录删除文件等操作的执行者
+ * @returns {Object} 请求头，未登录时为空对象
+ */
+export function getAuthHeaders() {
+  if (typeof window === 'undefined') {
+    return {};
+  }
+  const token = localStorage.getItem(AUTH_CONFIG.SESSION.STORAGE_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
 /**
  * 获取当前认证状态
  * @returns {string} 认证状态
@@ -0,0 +1,72 @@
+/**
+ * 存储桶工具
+ * 记住当前选择的存储桶，并为文件相关请求附加 bucket 参数
+ */
+import { STORAGE_CONFIG } from '../constants/config';
+
+// 默认存储桶，与服务端 src/bucket_store.js 保持一致
+export const DEFAULT_BUCKET = 'default';
+
+/**
+ * 读取当前选择的存储桶
+ * @returns {string} 存储桶名称
+ */
+export function getCurrentBucket() {
+  if (typeof window === 'undefined') {
+    return DEFAULT_BUCKET;
+  }
+  try {
+    return localStorage.getItem(STORAGE_CONFIG.KEYS.CURRENT_BUCKET) || DEFAULT_BUCKET;
+  } catch {
+    return DEFAULT_BUCKET;
+  }
+}
+
+/**
+ * 保存当前选择的存储桶
+ * @param {string} bucket - 存储桶名称
+ */
+export function setCurrentBucket(bucket) {
+  try {
+    if (!bucket || bucket === DEFAULT_BUCKET) {
+      localStorage.removeItem(STORAGE_CONFIG.KEYS.CURRENT_BUCKET);
+    } else {
+      localStorage.setItem(STORAGE_CONFIG.KEYS.CURRENT_BUCKET, bucket);
+    }
+  } catch (error) {
+    console.warn('保存存储桶选择失败:', error);
+  }
+}
+
+/**
+ * 为请求参数附加当前存储桶
+ * 默认存储桶不附加参数
+ * @param {Object} [params] - 原请求参数
+ * @param {string} [bucket] - 存储桶名称，默认为当前选择的存储桶
+ * @returns {Object} 请求参数
+ */
+export function withBucketParams(params = {}, bucket = getCurrentBucket()) {
+  return bucket && bucket !== DEFAULT_BUCKET ? { ...params, bucket } : params;
+}
+
+/**
+ * 为URL附加当前存储桶参数
+ * @param {string} url - 原URL
+ * @param {string} [bucket] - 存储桶名称，默认为当前选择的存储桶
+ * @returns {string} 带 bucket 参数的URL
+ */
+export function withBucket(url, bucket = getCurrentBucket()) {
+  if (!bucket || bucket === DEFAULT_BUCKET) {
+    return url;
+  }
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}bucket=${encodeURIComponent(bucket)}`;
+}
+
+export default {
+  DEFAULT_BUCKET,
+  getCurrentBucket,
+  setCurrentBucket,
+  withBucketParams,
+  withBucket
+};
@@ -4,6 +4,8 @@
  */
 
 import { getNetworkMonitor } from './networkMonitor.js';
+import { getCurrentBucket, withBucket, DEFAULT_BUCKET } from './bucketUtils.js';
+import { getAuthHeaders } from './authUtils.js';
 
 class DeleteQueue {
   constructor() {
@@ -83,6 +85,8 @@ class DeleteQueue {
       id: `delete_${fileId}_${Date.now()}`,
       fileId,
       fileInfo,
+      // 删除可能在切换存储桶之后才执行，入队时记录文件所在的存储桶
+      bucket: getCurrentBucket(),
       onSuccess,
       onError,
       retries: 0,
@@ -193,10 +197,12 @@ class DeleteQueue {
    * @param {object} task - 删除任务
    */
   async executeDelete(task) {
-    const response = await fetch(`/api/files/${task.fileId}`, {
+    const response = await fetch(withBucket(`/api/files/${task.fileId}`, task.bucket || DEFAULT_BUCKET), {
       method: 'DELETE',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        // 服务端记录删除者，显示在回收站中
+        ...getAuthHeaders()
       }
     });
 
@@ -0,0 +1,294 @@
+/**
+ * 端到端加密工具
+ * 在浏览器中用口令派生的密钥加密文件后再上传，下载或预览时在浏览器中解密，
+ * 口令和密钥从不发送到服务端。
+ *
+ * 密文格式：明文按 CHUNK_SIZE 分块，每块单独用 AES-GCM 加密（密文后附16字节认证标签），
+ * 第 i 块的 IV 为 8 字节随机前缀 + 4 字节大端序块序号，附加数据为块序号和末块标记，
+ * 可以防止块被重排、截断或拼接。
+ */
+import { ENCRYPTION_CONFIG } from '../constants/config';
+import { withBucket } from './bucketUtils';
+
+// AES-GCM 认证标签长度（字节）
+const TAG_LENGTH = 16;
+
+// 文件名加密使用的附加数据
+const NAME_AAD = new TextEncoder().encode('tgnb-file-name');
+
+// 本次会话中已输入的口令，仅保存在内存中，刷新页面后失效
+let sessionPassphrase = null;
+
+/**
+ * 字节数组转 base64
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} base64 字符串
+ */
+function toBase64(bytes) {
+  return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+/**
+ * base64 转字节数组
+ * @param {string} value - base64 字符串
+ * @returns {Uint8Array} 字节数组
+ */
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * 从口令派生 AES-GCM 密钥
+ * @param {string} passphrase - 口令
+ * @param {Uint8Array} salt - 盐
+ * @param {number} iterations - PBKDF2 迭代次数
+ * @returns {Promise<CryptoKey>} 密钥
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * 生成第 index 块的 IV 和附加数据
+ * @param {Uint8Array} noncePrefix - 随机前缀
+ * @param {number} index - 块序号
+ * @param {boolean} isLast - 是否为最后一块
+ * @returns {{iv: Uint8Array, additionalData: Uint8Array}} 加密参数
+ */
+function getChunkParams(noncePrefix, index, isLast) {
+  const iv = new Uint8Array(noncePrefix.length + 4);
+  iv.set(noncePrefix);
+  new DataView(iv.buffer).setUint32(noncePrefix.length, index);
+
+  const additionalData = new Uint8Array(5);
+  new DataView(additionalData.buffer).setUint32(0, index);
+  additionalData[4] = isLast ? 1 : 0;
+
+  return { iv, additionalData };
+}
+
+/**
+ * 校验口令长度
+ * @param {string} passphrase - 口令
+ */
+function validatePassphrase(passphrase) {
+  if (!passphrase || passphrase.length < ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`加密口令至少需要 ${ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH} 个字符`);
+  }
+}
+
+/**
+ * 加密文件
+ * @param {File} file - 原文件
+ * @param {string} passphrase - 口令
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.encryptName] - 是否同时加密文件名
+ * @returns {Promise<{file: File, encryption: Object}>} 加密后的文件和需要随文件保存的加密参数
+ */
+export async function encryptFile(file, passphrase, options = {}) {
+  validatePassphrase(passphrase);
+
+  const salt = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.SALT_LENGTH));
+  const noncePrefix = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.NONCE_PREFIX_LENGTH));
+  const chunkSize = ENCRYPTION_CONFIG.CHUNK_SIZE;
+  const iterations = ENCRYPTION_CONFIG.PBKDF2_ITERATIONS;
+  const key = await deriveKey(passphrase, salt, iterations);
+
+  const chunkCount = Math.max(1, Math.ceil(file.size / chunkSize));
+  const parts = [];
+  for (let index = 0; index < chunkCount; index++) {
+    const plain = await file.slice(index * chunkSize, (index + 1) * chunkSize).arrayBuffer();
+    const { iv, additionalData } = getChunkParams(noncePrefix, index, index === chunkCount - 1);
+    parts.push(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, plain));
+  }
+
+  const encryption = {
+    version: ENCRYPTION_CONFIG.VERSION,
+    algorithm: ENCRYPTION_CONFIG.ALGORITHM,
+    kdf: ENCRYPTION_CONFIG.KDF,
+    iterations,
+    salt: toBase64(salt),
+    noncePrefix: toBase64(noncePrefix),
+    chunkSize,
+    plainSize: file.size
+  };
+
+  let fileName = file.name;
+  if (options.encryptName) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: NAME_AAD },
+      key,
+      new TextEncoder().encode(file.name)
+    );
+    encryption.name = { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+
+    // 服务端只看到随机的文件名
+    const randomName = Array.from(crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0')).join('');
+    fileName = `${randomName}${ENCRYPTION_CONFIG.ENCRYPTED_NAME_EXTENSION}`;
+  }
+
+  return {
+    file: new File(parts, fileName, { type: 'application/octet-stream', lastModified: file.lastModified }),
+    encryption
+  };
+}
+
+/**
+ * 解密文件内容
+ * @param {ArrayBuffer} data - 密文
+ * @param {Object} encryption - 文件记录中的加密参数
+ * @param {string} passphrase - 口令
+ * @param {string} [type] - 解密结果的MIME类型
+ * @returns {Promise<Blob>} 明文
+ */
+export async function decryptData(data, encryption, passphrase, type = '') {
+  const key = await deriveKey(passphrase, fromBase64(encryption.salt), encryption.iterations);
+  const noncePrefix = fromBase64(encryption.noncePrefix);
+  const encryptedChunkSize = encryption.chunkSize + TAG_LENGTH;
+  const chunkCount = Math.max(1, Math.ceil(data.byteLength / encryptedChunkSize));
+
+  const parts = [];
+  try {
+    for (let index = 0; index < chunkCount; index++) {
+      const chunk = data.slice(index * encryptedChunkSize, (index + 1) * encryptedChunkSize);
+      const { iv, additionalData } = getChunkParams(noncePrefix, index, index === chunkCount - 1);
+      parts.push(await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData }, key, chunk));
+    }
+  } catch {
+    // AES-GCM 认证失败时无法区分口令错误和数据损坏
+    throw new Error('口令错误或文件已损坏');
+  }
+
+  const blob = new Blob(parts, { type });
+  if (blob.size !== encryption.plainSize) {
+    throw new Error('口令错误或文件已损坏');
+  }
+  return blob;
+}
+
+/**
+ * 解密文件名
+ * @param {Object} encryption - 文件记录中的加密参数
+ * @param {string} passphrase - 口令
+ * @returns {Promise<string|null>} 原文件名，文件名未加密时返回null
+ */
+export async function decryptFileName(encryption, passphrase) {
+  if (!encryption?.name) {
+    return null;
+  }
+  const key = await deriveKey(passphrase, fromBase64(encryption.salt), encryption.iterations);
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(encryption.name.iv), additionalData: NAME_AAD },
+      key,
+      fromBase64(encryption.name.data)
+    );
+    return new TextDecoder().decode(plain);
+  } catch {
+    throw new Error('口令错误或文件已损坏');
+  }
+}
+
+/**
+ * 下载并解密文件
+ * @param {Object} file - 文件记录
+ * @param {string} passphrase - 口令
+ * @param {string} [downloadUrl] - 密文的下载地址，默认下载文件的当前版本
+ * @returns {Promise<{blob: Blob, fileName: string}>} 明文和原文件名
+ */
+export async function fetchDecryptedFile(file, passphrase, downloadUrl = withBucket(`/api/download?fileId=${encodeURIComponent(file.fileId)}`)) {
+  const response = await fetch(downloadUrl);
+  if (!response.ok) {
+    throw new Error(`下载失败: ${response.status}`);
+  }
+
+  const fileName = await decryptFileName(file.encryption, passphrase) || file.fileName;
+  const blob = await decryptData(await response.arrayBuffer(), file.encryption, passphrase, guessMimeType(fileName));
+  return { blob, fileName };
+}
+
+/**
+ * 下载、解密并保存文件
+ * @param {Object} file - 文件记录
+ * @param {string} passphrase - 口令
+ * @param {string} [downloadUrl] - 密文的下载地址，默认下载文件的当前版本
+ * @returns {Promise<void>}
+ */
+export async function downloadEncryptedFile(file, passphrase, downloadUrl) {
+  const { blob, fileName } = await fetchDecryptedFile(file, passphrase, downloadUrl);
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // 等浏览器开始保存后再释放
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+/**
+ * 根据扩展名推断预览所需的MIME类型
+ * @param {string} fileName - 文件名
+ * @returns {string} MIME类型，未知时为空字符串
+ */
+function guessMimeType(fileName) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  const types = {
+    jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml',
+    mp4: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime',
+    mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg',
+    pdf: 'application/pdf', txt: 'text/plain', md: 'text/plain', json: 'application/json'
+  };
+  return types[extension] || '';
+}
+
+/**
+ * 判断文件是否为端到端加密
+ * @param {Object} file - 文件记录
+ * @returns {boolean} 是否加密
+ */
+export function isEncryptedFile(file) {
+  return Boolean(file?.encryption);
+}
+
+/**
+ * 读取本次会话中记住的口令
+ * @returns {string|null} 口令
+ */
+export function getSessionPassphrase() {
+  return sessionPassphrase;
+}
+
+/**
+ * 记住口令，仅在当前页面的内存中有效
+ * @param {string|null} passphrase - 口令，为null时清除
+ */
+export function setSessionPassphrase(passphrase) {
+  sessionPassphrase = passphrase || null;
+}
+
+export default {
+  encryptFile,
+  decryptData,
+  decryptFileName,
+  fetchDecryptedFile,
+  downloadEncryptedFile,
+  isEncryptedFile,
+  getSessionPassphrase,
+  setSessionPassphrase
+};
@@ -0,0 +1,144 @@
+/**
+ * 文件缩略图工具
+ * 上传前在浏览器中为图片和视频（首帧）生成 JPEG 缩略图，随文件发送到 Telegram；
+ * 文件列表通过 /api/files/[messageId]/thumbnail 显示缩略图
+ */
+import { FILE_ENDPOINTS } from '../constants/apiEndpoints';
+import { withBucket } from './bucketUtils.js';
+
+// Telegram 对缩略图的限制：JPEG，宽高不超过 320 像素，不超过 200KB
+const THUMBNAIL_SIZE = 320;
+const MAX_THUMBNAIL_BYTES = 200 * 1024;
+
+// 依次尝试的 JPEG 质量，直到缩略图不超过大小上限
+const JPEG_QUALITIES = [0.85, 0.7, 0.5, 0.3];
+
+// 视频加载或跳转超时时间，浏览器不支持的编码不会触发任何事件
+const VIDEO_TIMEOUT = 10000;
+
+/**
+ * 加载图片
+ * @param {string} url - 图片地址
+ * @returns {Promise<HTMLImageElement>} 加载完成的图片
+ */
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('图片无法解码'));
+    image.src = url;
+  });
+}
+
+/**
+ * 加载视频并跳转到用作缩略图的帧（第1秒，短视频取中间）
+ * @param {string} url - 视频地址
+ * @returns {Promise<HTMLVideoElement>} 已跳转到目标帧的视频
+ */
+function loadVideoFrame(url) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    const timer = setTimeout(() => reject(new Error('视频加载超时')), VIDEO_TIMEOUT);
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.onloadeddata = () => {
+      video.currentTime = Math.min(1, (video.duration || 0) / 2);
+    };
+    video.onseeked = () => {
+      clearTimeout(timer);
+      resolve(video);
+    };
+    video.onerror = () => {
+      clearTimeout(timer);
+      reject(new Error('视频无法解码'));
+    };
+    video.src = url;
+  });
+}
+
+/**
+ * 把图片或视频帧缩放后编码为 JPEG
+ * @param {CanvasImageSource} source - 图片或视频
+ * @param {number} width - 原始宽度
+ * @param {number} height - 原始高度
+ * @returns {Promise<Blob|null>} 缩略图，无法压缩到大小上限以内时为 null
+ */
+async function encodeThumbnail(source, width, height) {
+  if (!width || !height) {
+    return null;
+  }
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+
+  const context = canvas.getContext('2d');
+  // 透明背景的 PNG 转为 JPEG 时填充白色，避免变黑
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  for (const quality of JPEG_QUALITIES) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    if (blob && blob.size <= MAX_THUMBNAIL_BYTES) {
+      return blob;
+    }
+  }
+  return null;
+}
+
+/**
+ * 为文件生成缩略图
+ * 只处理浏览器能解码的图片和视频；PDF 等其他文件使用 Telegram 自己生成的缩略图（如果有）
+ * @param {File} file - 要上传的明文文件
+ * @returns {Promise<Blob|null>} JPEG 缩略图，不支持的类型或生成失败时为 null
+ */
+export async function createThumbnail(file) {
+  if (typeof document === 'undefined' || !file?.type) {
+    return null;
+  }
+
+  const isImage = file.type.startsWith('image/');
+  const isVideo = file.type.startsWith('video/');
+  if (!isImage && !isVideo) {
+    return null;
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    if (isImage) {
+      const image = await loadImage(url);
+      return await encodeThumbnail(image, image.naturalWidth, image.naturalHeight);
+    }
+    const video = await loadVideoFrame(url);
+    return await encodeThumbnail(video, video.videoWidth, video.videoHeight);
+  } catch (error) {
+    // 缩略图只是锦上添花，失败时照常上传
+    console.warn(`生成缩略图失败: ${file.name}`, error.message);
+    return null;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * 文件缩略图的地址
+ * 端到端加密的文件不会有缩略图；地址带有文件ID和缩略图ID，
+ * 服务端直接按文件ID读取记录，缩略图变化后地址随之变化，不会使用浏览器缓存中的旧图
+ * @param {Object} file - 文件列表中的记录
+ * @param {string} [bucket] - 存储桶名称，默认为当前选择的存储桶
+ * @returns {string|null} 缩略图地址，文件没有缩略图时为 null
+ */
+export function getThumbnailUrl(file, bucket) {
+  if (!file?.thumbFileId || file.encryption || !file.messageId) {
+    return null;
+  }
+  const params = new URLSearchParams({ fileId: file.fileId, thumb: file.thumbFileId });
+  return withBucket(`${FILE_ENDPOINTS.THUMBNAIL(encodeURIComponent(file.messageId))}?${params}`, bucket);
+}
+
+export default {
+  createThumbnail,
+  getThumbnailUrl
+};
@@ -0,0 +1,378 @@
+/**
+ * 可续传上传工具
+ * 基于 tus 协议分块上传文件，连接中断后通过 HEAD 查询服务端偏移量继续上传，
+ * 网络监控器报告重新联网时自动恢复
+ */
+import axios from 'axios';
+import { UPLOAD_CONFIG, STORAGE_CONFIG } from '../constants/config';
+import { FILE_ENDPOINTS } from '../constants/apiEndpoints';
+import { getNetworkMonitor } from './networkMonitor.js';
+import { getCurrentBucket, withBucket } from './bucketUtils.js';
+import { createThumbnail } from './fileThumbnail.js';
+
+const TUS_VERSION = '1.0.0';
+
+// 网络错误时的重试间隔（毫秒），重试用尽后等待网络恢复
+const RETRY_DELAYS = [1000, 3000, 5000, 10000];
+
+/**
+ * 生成文件指纹，用于在页面刷新后找回未完成的上传
+ * @param {File} file - 文件对象
+ * @param {string} folder - 目标文件夹
+ * @returns {string} 文件指纹
+ */
+function getFileFingerprint(file, folder) {
+  return ['tus', folder, file.name, file.size, file.lastModified].join('-');
+}
+
+/**
+ * 读取本地保存的上传地址
+ * @returns {Object} 指纹到上传地址的映射
+ */
+function loadStoredUploads() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_CONFIG.KEYS.UPLOAD_QUEUE) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * 保存或移除本地的上传地址
+ * @param {string} fingerprint - 文件指纹
+ * @param {string|null} uploadUrl - 上传地址，为 null 时移除
+ */
+function storeUploadUrl(fingerprint, uploadUrl) {
+  if (!fingerprint) {
+    return;
+  }
+  try {
+    const uploads = loadStoredUploads();
+    if (uploadUrl) {
+      uploads[fingerprint] = uploadUrl;
+    } else {
+      delete uploads[fingerprint];
+    }
+    localStorage.setItem(STORAGE_CONFIG.KEYS.UPLOAD_QUEUE, JSON.stringify(uploads));
+  } catch (error) {
+    console.warn('保存上传进度失败:', error);
+  }
+}
+
+/**
+ * 将文件名编码为 Upload-Metadata 请求头
+ * @param {Object} metadata - 元数据
+ * @returns {string} 请求头内容
+ */
+function encodeMetadata(metadata) {
+  return Object.entries(metadata)
+    .map(([key, value]) => {
+      const bytes = new TextEncoder().encode(String(value));
+      const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+      return `${key} ${btoa(binary)}`;
+    })
+    .join(',');
+}
+
+/**
+ * 判断是否为可以重试的网络错误
+ * @param {Error} error - 错误对象
+ * @returns {boolean} 是否可重试
+ */
+function isRetryableError(error) {
+  if (axios.isCancel(error)) {
+    return true;
+  }
+  if (!error.response) {
+    return true; // 网络中断、超时
+  }
+  // 409 偏移量不一致，423 同一个上传的另一个请求正在处理
+  return error.response.status >= 500 || [409, 423].includes(error.response.status);
+}
+
+/**
+ * 可续传上传任务
+ */
+export class ResumableUpload {
+  /**
+   * @param {File} file - 要上传的文件
+   * @param {Object} [options] - 上传选项
+   * @param {Function} [options.onProgress] - 进度回调，参数为 (bytesUploaded, bytesTotal)
+   * @param {Function} [options.onStatusChange] - 状态回调，参数为 'uploading' | 'paused' | 'success' | 'error'
+   * @param {number} [options.chunkSize] - 每个 PATCH 请求的数据大小
+   * @param {string} [options.folder] - 上传到的文件夹路径
+   * @param {string} [options.bucket] - 上传到的存储桶，默认为当前选择的存储桶
+   * @param {Object} [options.encryption] - 端到端加密参数，file 为加密后的文件时提供
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.chunkSize = options.chunkSize || UPLOAD_CONFIG.CHUNK_SIZE;
+    this.onProgress = options.onProgress;
+    this.onStatusChange = options.onStatusChange;
+    this.folder = options.folder || '/';
+    this.bucket = options.bucket || getCurrentBucket();
+    this.encryption = options.encryption || null;
+    // 每次加密的密文都不同，加密上传不能在刷新页面后从旧会话续传
+    this.fingerprint = this.encryption ? null : getFileFingerprint(file, `${this.bucket}:${this.folder}`);
+    this.uploadUrl = null;
+    this.offset = 0;
+    this.abortController = null;
+    this.resumeWaiter = null;
+    this.aborted = false;
+
+    this.handleNetworkChange = this.handleNetworkChange.bind(this);
+  }
+
+  /**
+   * 网络状态变化时恢复暂停的上传
+   * @param {Object} status - 网络状态
+   */
+  handleNetworkChange(status) {
+    if (status.isOnline) {
+      this.resume();
+    } else if (this.abortController) {
+      // 离线时立即中断当前请求，等待网络恢复
+      this.abortController.abort();
+    }
+  }
+
+  /**
+   * 更新上传状态
+   * @param {string} status - 状态
+   */
+  setStatus(status) {
+    if (this.onStatusChange) {
+      this.onStatusChange(status);
+    }
+  }
+
+  /**
+   * 开始（或继续）上传
+   * @returns {Promise<{fileId: string, messageId: string, fileName: string, fileSize: number}>} 上传结果
+   */
+  async start() {
+    const networkMonitor = typeof window !== 'undefined' ? getNetworkMonitor() : null;
+    networkMonitor?.addListener(this.handleNetworkChange);
+
+    try {
+      this.setStatus('uploading');
+      await this.locateUpload();
+
+      let result = null;
+      let attempt = 0;
+      while (!result) {
+        if (this.aborted) {
+          throw new Error('上传已取消');
+        }
+
+        try {
+          result = await this.uploadNextChunk();
+          attempt = 0;
+        } catch (error) {
+          if (this.aborted || !isRetryableError(error)) {
+            throw error;
+          }
+
+          if (attempt < RETRY_DELAYS.length && navigator.onLine) {
+            await new Promise(resolve => setTimeout(resolve, RETRY_DELAYS[attempt]));
+            attempt++;
+          } else {
+            // 重试用尽或离线，等待网络监控器报告恢复
+            this.setStatus('paused');
+            await this.waitForResume();
+            this.setStatus('uploading');
+            attempt = 0;
+          }
+
+          // 从服务端确认的偏移量继续
+          await this.locateUpload();
+        }
+      }
+
+      storeUploadUrl(this.fingerprint, null);
+      this.setStatus('success');
+      return result;
+    } catch (error) {
+      this.setStatus('error');
+      throw error;
+    } finally {
+      networkMonitor?.removeListener(this.handleNetworkChange);
+    }
+  }
+
+  /**
+   * 找到可继续的上传会话，没有时创建新会话
+   */
+  async locateUpload() {
+    const storedUrl = this.uploadUrl || (this.fingerprint && loadStoredUploads()[this.fingerprint]);
+
+    if (storedUrl) {
+      try {
+        const response = await axios.head(storedUrl, {
+          headers: { 'Tus-Resumable': TUS_VERSION }
+        });
+        this.uploadUrl = storedUrl;
+        this.offset = parseInt(response.headers['upload-offset'], 10) || 0;
+        this.reportProgress(this.offset);
+        return;
+      } catch (error) {
+        if (!error.response || ![404, 410].includes(error.response.status)) {
+          throw error;
+        }
+        // 会话已过期或临时文件已丢失，重新开始
+        storeUploadUrl(this.fingerprint, null);
+      }
+    }
+
+    const response = await axios.post(withBucket(FILE_ENDPOINTS.RESUMABLE_UPLOAD, this.bucket), null, {
+      headers: {
+        'Tus-Resumable': TUS_VERSION,
+        'Upload-Length': String(this.file.size),
+        'Upload-Metadata': encodeMetadata({
+          filename: this.file.name,
+          filetype: this.file.type || '',
+          folder: this.folder,
+          ...(this.encryption ? { encryption: JSON.stringify(this.encryption) } : {})
+        })
+      }
+    });
+
+    this.uploadUrl = response.headers.location;
+    this.offset = 0;
+    storeUploadUrl(this.fingerprint, this.uploadUrl);
+
+    if (!this.encryption) {
+      await this.sendThumbnail();
+    }
+  }
+
+  /**
+   * 为新会话提交缩略图，需要在最后一块数据之前完成
+   * 缩略图是可选的，生成或提交失败都不影响上传
+   */
+  async sendThumbnail() {
+    const thumbnail = await createThumbnail(this.file);
+    if (!thumbnail) {
+      return;
+    }
+
+    const url = new URL(this.uploadUrl, window.location.href);
+    url.pathname = `${url.pathname}/thumbnail`;
+    try {
+      await axios.put(url.href, thumbnail, {
+        headers: {
+          'Tus-Resumable': TUS_VERSION,
+          'Content-Type': 'image/jpeg'
+        }
+      });
+    } catch (error) {
+      console.warn(`提交缩略图失败: ${this.file.name}`, error.message);
+    }
+  }
+
+  /**
+   * 发送下一块数据
+   * 所有数据发送完毕后服务端会完成上传并返回文件ID
+   * @returns {Promise<Object|null>} 上传完成时返回结果，否则返回 null
+   */
+  async uploadNextChunk() {
+    const chunk = this.file.slice(this.offset, this.offset + this.chunkSize);
+    const chunkStart = this.offset;
+    this.abortController = new AbortController();
+
+    try {
+      const response = await axios.patch(this.uploadUrl, chunk, {
+        signal: this.abortController.signal,
+        headers: {
+          'Tus-Resumable': TUS_VERSION,
+          'Upload-Offset': String(this.offset),
+          'Content-Type': 'application/offset+octet-stream'
+        },
+        onUploadProgress: (progressEvent) => {
+          this.reportProgress(chunkStart + progressEvent.loaded);
+        }
+      });
+
+      this.offset = parseInt(response.headers['upload-offset'], 10);
+      this.reportProgress(this.offset);
+
+      if (response.headers['x-file-id']) {
+        return {
+          fileId: response.headers['x-file-id'],
+          messageId: response.headers['x-message-id'],
+          fileName: this.file.name,
+          fileSize: this.file.size
+        };
+      }
+      return null;
+    } finally {
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * 报告上传进度
+   * @param {number} bytesUploaded - 已上传字节数
+   */
+  reportProgress(bytesUploaded) {
+    if (this.onProgress) {
+      this.onProgress(Math.min(bytesUploaded, this.file.size), this.file.size);
+    }
+  }
+
+  /**
+   * 等待恢复上传
+   * @returns {Promise<void>}
+   */
+  waitForResume() {
+    return new Promise(resolve => {
+      this.resumeWaiter = resolve;
+    });
+  }
+
+  /**
+   * 恢复暂停的上传
+   */
+  resume() {
+    if (this.resumeWaiter) {
+      const resolve = this.resumeWaiter;
+      this.resumeWaiter = null;
+      resolve();
+    }
+  }
+
+  /**
+   * 取消上传并终止服务端会话
+   */
+  async abort() {
+    this.aborted = true;
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+    this.resume();
+
+    if (this.uploadUrl) {
+      storeUploadUrl(this.fingerprint, null);
+      try {
+        await axios.delete(this.uploadUrl, { headers: { 'Tus-Resumable': TUS_VERSION } });
+      } catch (error) {
+        console.warn('终止上传会话失败:', error.message);
+      }
+    }
+  }
+}
+
+/**
+ * 可续传上传文件
+ * @param {File} file - 要上传的文件
+ * @param {Object} [options] - 上传选项，见 ResumableUpload
+ * @returns {Promise<Object>} 上传结果
+ */
+export function uploadResumable(file, options = {}) {
+  return new ResumableUpload(file, options).start();
+}
+
+export default {
+  ResumableUpload,
+  uploadResumable
+};